@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * attribution-cli.js
+ *
+ * Review deposits the attribution rules could not credit to a customer
+ * (see attribution.js).
+ *
+ * Usage:
+ *   node common/attribution-cli.js list                  [--queue-dir DIR]
+ *   node common/attribution-cli.js show KEY              [--queue-dir DIR]
+ *   node common/attribution-cli.js resolve KEY CUSTOMER  [--note TEXT] [--queue-dir DIR]
+ *   node common/attribution-cli.js dismiss KEY           [--note TEXT] [--queue-dir DIR]
+ *
+ * KEY is the event's idempotency key. --queue-dir defaults to the
+ * ATTRIBUTION_QUEUE_DIR environment variable, the one the monitors use.
+ * Reviews are appended to resolved.jsonl in the queue directory.
+ */
+
+const { UnattributedQueue } = require("./attribution");
+
+function parseArgs(argv) {
+  const args = { positional: [], note: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--queue-dir") args.queueDir = argv[++i];
+    else if (arg === "--note") args.note = argv[++i];
+    else args.positional.push(arg);
+  }
+  return args;
+}
+
+function usage() {
+  console.log(
+    [
+      "Usage:",
+      "  attribution-cli.js list                 [--queue-dir DIR]",
+      "  attribution-cli.js show KEY             [--queue-dir DIR]",
+      "  attribution-cli.js resolve KEY CUSTOMER [--note TEXT] [--queue-dir DIR]",
+      "  attribution-cli.js dismiss KEY          [--note TEXT] [--queue-dir DIR]"
+    ].join("\n")
+  );
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, key, customerId] = args.positional;
+
+  const queueDir = args.queueDir || process.env.ATTRIBUTION_QUEUE_DIR;
+  if (!command || !queueDir) {
+    usage();
+    if (!queueDir && command) {
+      console.error("\nSet --queue-dir or ATTRIBUTION_QUEUE_DIR");
+    }
+    process.exitCode = 1;
+    return;
+  }
+  const queue = new UnattributedQueue(queueDir);
+
+  switch (command) {
+    case "list": {
+      const entries = queue.list();
+      if (entries.length === 0) {
+        console.log("No unattributed deposits.");
+        return;
+      }
+      for (const { key: entryKey, reason, event } of entries) {
+        console.log(
+          [
+            entryKey,
+            reason,
+            event.amountDecimal ?? event.amount ?? "-",
+            event.tokenSymbol || event.tokenId || event.assetType,
+            event.memo === null ? "(no memo)" : JSON.stringify(event.memo)
+          ].join("  ")
+        );
+      }
+      console.log(`\n${entries.length} unattributed deposit(s)`);
+      return;
+    }
+
+    case "show": {
+      const entry = queue.get(key || "");
+      if (!entry) {
+        console.error(`No unattributed deposit with key ${key}`);
+        process.exitCode = 1;
+        return;
+      }
+      console.log(JSON.stringify(entry, null, 2));
+      return;
+    }
+
+    case "resolve":
+    case "dismiss": {
+      if (!key || (command === "resolve" && !customerId)) {
+        usage();
+        process.exitCode = 1;
+        return;
+      }
+      const reviewed = queue.resolve(
+        key,
+        command === "resolve" ? customerId : null,
+        args.note
+      );
+      if (!reviewed) {
+        console.error(`No unattributed deposit with key ${key}`);
+        process.exitCode = 1;
+        return;
+      }
+      console.log(
+        reviewed.attributedTo
+          ? `✓ ${key} credited to ${reviewed.attributedTo}`
+          : `✓ ${key} dismissed`
+      );
+      return;
+    }
+
+    default:
+      usage();
+      process.exitCode = 1;
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,98 @@
+import { TransferEvent } from "./transfer-event";
+
+export type UnattributedReason = "missing_memo" | "unknown_memo";
+
+export interface AttributionRule {
+  customerId: string;
+  /** Exact memo (trimmed); one of reference and pattern */
+  reference?: string;
+  /** Regular expression; $1, $2, ... in customerId are its groups */
+  pattern?: string;
+  /** Only deposits to this address */
+  address?: string;
+}
+
+export interface ParsedAttributionRule {
+  customerId: string;
+  reference: string | null;
+  pattern: RegExp | null;
+  address: string | null;
+}
+
+export interface UnattributedEntry {
+  /** The event's idempotency key */
+  key: string;
+  reason: UnattributedReason;
+  queuedAt: string;
+  event: TransferEvent;
+}
+
+export interface ReviewedEntry extends UnattributedEntry {
+  /** null when dismissed */
+  attributedTo: string | null;
+  note: string | null;
+  resolvedAt: string;
+}
+
+export declare class UnattributedQueue {
+  constructor(dir: string);
+  readonly dir: string;
+  /** false if the event was queued before */
+  add(event: TransferEvent, reason: UnattributedReason): boolean;
+  /** Pending entries, in consensus order */
+  list(): UnattributedEntry[];
+  get(key: string): UnattributedEntry | null;
+  /** Credit a pending deposit to a customer, or dismiss it with null */
+  resolve(
+    key: string,
+    customerId: string | null,
+    note?: string | null
+  ): ReviewedEntry | null;
+}
+
+export interface DepositAttributionOptions {
+  rules?: ParsedAttributionRule[];
+  /** Shared deposit addresses; empty or unset: every address */
+  addresses?: string[];
+  queue?: UnattributedQueue | null;
+  onUnattributed?: (event: TransferEvent, reason: UnattributedReason) => void;
+}
+
+export declare class DepositAttribution {
+  constructor(options?: DepositAttributionOptions);
+  readonly rules: ParsedAttributionRule[];
+  readonly queue: UnattributedQueue | null;
+  readonly stats: { attributed: number; unattributed: number };
+  setRules(rules: ParsedAttributionRule[]): void;
+  appliesTo(evmAddress: string): boolean;
+  match(evmAddress: string, memo: string): string | null;
+  /** The customer to credit, or null (queued when the address is shared) */
+  attribute(event: TransferEvent): string | null;
+}
+
+export interface AttributionOptions {
+  addresses?: string[];
+  /** YAML or JSON file holding `rules: [...]` */
+  rulesFile?: string | null;
+  /** Table with customer_id, reference, pattern and evm_address columns */
+  table?: string | null;
+  connectionString?: string | null;
+  queueDir?: string;
+  onUnattributed?: (event: TransferEvent, reason: UnattributedReason) => void;
+}
+
+export declare function parseAttributionRules(
+  rules: AttributionRule[],
+  source?: string | null
+): ParsedAttributionRule[];
+
+export declare function loadAttributionRules(
+  options: AttributionOptions,
+  load?: (id: string) => any
+): Promise<ParsedAttributionRule[]>;
+
+/** null when options has no rulesFile or table */
+export declare function createAttribution(
+  options?: AttributionOptions,
+  load?: (id: string) => any
+): Promise<DepositAttribution | null>;
@@ -0,0 +1,377 @@
+/**
+ * attribution.js
+ *
+ * Memo-based attribution of deposits to shared deposit addresses, shared by
+ * both monitors. Exchange-style flows give every customer the same deposit
+ * address and tell deposits apart by the transaction memo; the rules here
+ * map a memo to the customer to credit, and the monitor writes it into the
+ * event's `attributedTo` field.
+ *
+ * A rule is either an exact reference or a regular expression:
+ *
+ *   { customerId: "alice", reference: "7731904" }
+ *   { customerId: "cust-$1", pattern: "^CUST-(\\d+)$" }
+ *
+ * The memo is trimmed first. References are looked up before patterns, and
+ * patterns are tried in order; `$1`, `$2`, ... in the customer ID are the
+ * pattern's groups. A rule with an `address` only applies to deposits to
+ * that address.
+ *
+ * Deposits to an attributed address (every watched address unless
+ * `addresses` lists some) whose memo is missing or matches no rule get
+ * `attributedTo: null` and are put in the unattributed queue, a directory
+ * of one JSON file per event, for manual review with attribution-cli.js.
+ * Deposits to other addresses are not attributed.
+ *
+ * Rules come from a YAML or JSON file holding `rules: [...]`, or from a
+ * PostgreSQL table (requires `pg`, loaded through the caller's require):
+ *
+ *   CREATE TABLE deposit_attribution (
+ *     customer_id text NOT NULL,
+ *     reference   text,          -- one of reference and pattern
+ *     pattern     text,
+ *     evm_address text           -- optional, 0x-prefixed or not
+ *   );
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ConfigError, readConfigFile } = require("./config");
+const { appendLineSync, writeFileAtomicSync } = require("./fs-utils");
+const { parseEvmAddress } = require("./watchlist");
+
+const REASONS = {
+  missingMemo: "missing_memo",
+  unknownMemo: "unknown_memo"
+};
+
+// ===========================================
+// RULES
+// ===========================================
+
+/**
+ * Check and compile rules. Every problem is reported at once.
+ * @param {object[]} rules - { customerId, reference | pattern, address? }
+ * @param {string} source - where the rules came from, for error messages
+ * @returns {object[]} - { customerId, reference, pattern (a RegExp),
+ *   address (normalized) }
+ * @throws {ConfigError}
+ */
+function parseAttributionRules(rules, source = null) {
+  if (!Array.isArray(rules)) {
+    throw new ConfigError(["rules: must be a list"], source);
+  }
+
+  const problems = [];
+  const parsed = [];
+  rules.forEach((rule, i) => {
+    const where = `rules[${i}]`;
+    if (rule === null || typeof rule !== "object" || Array.isArray(rule)) {
+      problems.push(`${where}: must be a mapping`);
+      return;
+    }
+    const unknown = Object.keys(rule).filter(
+      (key) => !["customerId", "reference", "pattern", "address"].includes(key)
+    );
+    if (unknown.length) {
+      problems.push(`${where}: unknown option ${unknown.join(", ")}`);
+    }
+    if (typeof rule.customerId !== "string" || rule.customerId === "") {
+      problems.push(`${where}.customerId: must be a non-empty string`);
+    }
+    const hasReference = rule.reference != null;
+    const hasPattern = rule.pattern != null;
+    if (hasReference === hasPattern) {
+      problems.push(`${where}: needs either a reference or a pattern`);
+    }
+    if (hasReference && typeof rule.reference !== "string") {
+      problems.push(`${where}.reference: must be a string`);
+    }
+
+    let pattern = null;
+    if (hasPattern) {
+      try {
+        pattern = new RegExp(rule.pattern);
+      } catch (err) {
+        problems.push(`${where}.pattern: ${err.message}`);
+      }
+    }
+    let address = null;
+    if (rule.address != null) {
+      address = parseEvmAddress(rule.address);
+      if (!address) {
+        problems.push(
+          `${where}.address: ${JSON.stringify(rule.address)} is not a 20-byte hex address`
+        );
+      }
+    }
+
+    parsed.push({
+      customerId: rule.customerId,
+      reference: hasReference ? String(rule.reference).trim() : null,
+      pattern,
+      address
+    });
+  });
+
+  if (problems.length > 0) throw new ConfigError(problems, source);
+  return parsed;
+}
+
+/**
+ * Load the rules from options.rulesFile, or from options.table in the
+ * database at options.connectionString
+ * @param {Function} [load] - the caller's require, for `yaml` and `pg`
+ */
+async function loadAttributionRules(options, load = require) {
+  if (options.rulesFile) {
+    const file = path.resolve(options.rulesFile);
+    return parseAttributionRules(readConfigFile(file, load).rules || [], file);
+  }
+
+  let Pool;
+  try {
+    ({ Pool } = load("pg"));
+  } catch (err) {
+    throw new Error(
+      "Attribution rules in a table need the pg package (npm install pg)"
+    );
+  }
+  const pool = new Pool({ connectionString: options.connectionString });
+  try {
+    const res = await pool.query(
+      `SELECT customer_id, reference, pattern, evm_address FROM ${options.table}`
+    );
+    return parseAttributionRules(
+      res.rows.map((row) => ({
+        customerId: row.customer_id,
+        reference: row.reference,
+        pattern: row.pattern,
+        address: row.evm_address
+      })),
+      `table ${options.table}`
+    );
+  } finally {
+    await pool.end();
+  }
+}
+
+// ===========================================
+// UNATTRIBUTED QUEUE
+// ===========================================
+
+/**
+ * Deposits waiting for manual review. Entries are files named after the
+ * event's idempotency key, in `pending/` until resolved (given a customer)
+ * or dismissed, then in `resolved/`; a key is queued only once, so a replay
+ * does not bring back a reviewed deposit. Each review is also appended to
+ * resolved.jsonl.
+ */
+class UnattributedQueue {
+  constructor(dir) {
+    if (!dir) throw new Error("Unattributed queue requires a directory");
+    this.dir = path.resolve(dir);
+    this.pendingDir = path.join(this.dir, "pending");
+    this.resolvedDir = path.join(this.dir, "resolved");
+    this.resolvedFile = path.join(this.dir, "resolved.jsonl");
+    fs.mkdirSync(this.pendingDir, { recursive: true });
+    fs.mkdirSync(this.resolvedDir, { recursive: true });
+  }
+
+  fileName(key) {
+    return `${key.replace(/:/g, "_")}.json`;
+  }
+
+  /**
+   * Queue a deposit; once add() returns it is on disk
+   * @returns {boolean} - false if the event was queued before
+   */
+  add(event, reason) {
+    const name = this.fileName(event.idempotencyKey);
+    if (
+      fs.existsSync(path.join(this.pendingDir, name)) ||
+      fs.existsSync(path.join(this.resolvedDir, name))
+    ) {
+      return false;
+    }
+    const entry = {
+      key: event.idempotencyKey,
+      reason,
+      queuedAt: new Date().toISOString(),
+      event
+    };
+    writeFileAtomicSync(
+      path.join(this.pendingDir, name),
+      JSON.stringify(entry, null, 2)
+    );
+    return true;
+  }
+
+  /**
+   * Pending entries, in consensus order
+   */
+  list() {
+    return fs
+      .readdirSync(this.pendingDir)
+      .filter((name) => name.endsWith(".json"))
+      .map((name) =>
+        JSON.parse(fs.readFileSync(path.join(this.pendingDir, name), "utf8"))
+      )
+      .sort((a, b) =>
+        a.event.consensusTimestamp.localeCompare(
+          b.event.consensusTimestamp,
+          "en",
+          { numeric: true }
+        )
+      );
+  }
+
+  get(key) {
+    try {
+      return JSON.parse(
+        fs.readFileSync(path.join(this.pendingDir, this.fileName(key)), "utf8")
+      );
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Credit a pending deposit to a customer, or dismiss it with null
+   * @returns {object|null} - the reviewed entry, or null if none is pending
+   */
+  resolve(key, customerId, note = null) {
+    const entry = this.get(key);
+    if (!entry) return null;
+
+    const reviewed = {
+      ...entry,
+      attributedTo: customerId,
+      note,
+      resolvedAt: new Date().toISOString()
+    };
+    const name = this.fileName(key);
+    writeFileAtomicSync(
+      path.join(this.resolvedDir, name),
+      JSON.stringify(reviewed, null, 2)
+    );
+    fs.unlinkSync(path.join(this.pendingDir, name));
+    appendLineSync(this.resolvedFile, JSON.stringify(reviewed));
+    return reviewed;
+  }
+}
+
+// ===========================================
+// ATTRIBUTION
+// ===========================================
+
+class DepositAttribution {
+  /**
+   * @param {object} options
+   *   rules:          parsed rules (see parseAttributionRules())
+   *   addresses:      the attributed (shared deposit) addresses; empty or
+   *                   unset: every address
+   *   queue:          UnattributedQueue for deposits no rule matched
+   *   onUnattributed: called with (event, reason) when a deposit is queued
+   */
+  constructor(options = {}) {
+    this.addresses = new Set(
+      (options.addresses || []).map((address) => {
+        const evm = parseEvmAddress(address);
+        if (!evm) throw new Error(`Invalid EVM address: ${address}`);
+        return evm;
+      })
+    );
+    this.queue = options.queue || null;
+    this.onUnattributed = options.onUnattributed || (() => {});
+    this.stats = { attributed: 0, unattributed: 0 };
+    this.setRules(options.rules || []);
+  }
+
+  setRules(rules) {
+    this.rules = rules;
+    this.references = new Map();
+    this.patterns = [];
+    for (const rule of rules) {
+      if (rule.reference !== null) {
+        const matches = this.references.get(rule.reference) || [];
+        this.references.set(rule.reference, [...matches, rule]);
+      } else {
+        this.patterns.push(rule);
+      }
+    }
+  }
+
+  appliesTo(evmAddress) {
+    return this.addresses.size === 0 || this.addresses.has(evmAddress);
+  }
+
+  /**
+   * The customer a memo attributes a deposit to, or null
+   */
+  match(evmAddress, memo) {
+    const applies = (rule) => !rule.address || rule.address === evmAddress;
+    const reference = (this.references.get(memo) || []).find(applies);
+    if (reference) return reference.customerId;
+
+    for (const rule of this.patterns) {
+      if (!applies(rule)) continue;
+      const groups = memo.match(rule.pattern);
+      if (groups) {
+        return rule.customerId.replace(/\$(\d+)/g, (_, n) => groups[n] ?? "");
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The customer to credit for a transfer event, or null. An attributed
+   * address's deposit that no rule explains is queued for review.
+   */
+  attribute(event) {
+    if (!this.appliesTo(event.evmAddress)) return null;
+
+    const memo = (event.memo || "").trim();
+    const customerId = memo ? this.match(event.evmAddress, memo) : null;
+    if (customerId) {
+      this.stats.attributed++;
+      return customerId;
+    }
+
+    const reason = memo ? REASONS.unknownMemo : REASONS.missingMemo;
+    this.stats.unattributed++;
+    if (this.queue && this.queue.add(event, reason)) {
+      this.onUnattributed(event, reason);
+    }
+    return null;
+  }
+}
+
+/**
+ * Create the attribution of a config's `attribution` section, or null when
+ * it has no rules file or table
+ *
+ * @param {object} options - addresses, rulesFile, table, connectionString,
+ *   queueDir, and onUnattributed (see DepositAttribution)
+ * @param {Function} [load] - the caller's require, for `yaml` and `pg`
+ * @returns {Promise<DepositAttribution|null>}
+ */
+async function createAttribution(options = {}, load = require) {
+  if (!options.rulesFile && !options.table) return null;
+  return new DepositAttribution({
+    rules: await loadAttributionRules(options, load),
+    addresses: options.addresses,
+    queue: new UnattributedQueue(options.queueDir),
+    onUnattributed: options.onUnattributed
+  });
+}
+
+module.exports = {
+  DepositAttribution,
+  REASONS,
+  UnattributedQueue,
+  createAttribution,
+  loadAttributionRules,
+  parseAttributionRules
+};
@@ -0,0 +1,414 @@
+/**
+ * backfill.js
+ *
+ * Historical backfill / audit reports: every transfer to a list of addresses
+ * in a time range, e.g. for month-end reconciliation.
+ *
+ * Each package has a backfill.js command that creates its monitor and calls
+ * runBackfillCli(). The monitor's backfill() walks the range with the same
+ * detection as its live polls, and the events are written to the output
+ * directory as
+ *
+ *   transfers.csv    one row per transfer, in consensus order
+ *   transfers.jsonl  the full events (transfer-event.schema.json)
+ *   totals.csv       per address and asset: transfer count and total amount
+ *
+ * Options:
+ *   --from TIME              start of the range, inclusive
+ *   --to TIME                end of the range, exclusive (default: now)
+ *   --address ADDR[=LABEL]   address to report on (repeatable)
+ *   --addresses-file FILE    watchlist JSON file, or one "ADDR [LABEL]" per line
+ *   --out-dir DIR            where to write the reports
+ *   --format csv|jsonl|both  default both
+ *   --network NAME           network written into the events
+ *
+ * TIME is an ISO 8601 date or date-time (UTC unless it has an offset) or
+ * unix seconds, optionally with a fraction ("seconds.nanos").
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { formatTokenAmount } = require("./tokens");
+const {
+  TRANSFER_EVENT_SCHEMA,
+  nanosToTimestamp,
+  timestampToNanos
+} = require("./transfer-event");
+const { writeFileAtomicSync } = require("./fs-utils");
+const { parseEvmAddress } = require("./watchlist");
+
+// transfers.csv has the scalar event fields, plus the Ethereum hash
+const TRANSFER_COLUMNS = [
+  ...TRANSFER_EVENT_SCHEMA.required.filter(
+    (key) => key !== "ethereum" && key !== "internal"
+  ),
+  "ethereumHash"
+];
+
+const TOTALS_COLUMNS = [
+  "evmAddress",
+  "label",
+  "entityId",
+  "assetType",
+  "tokenId",
+  "tokenSymbol",
+  "decimals",
+  "transfers",
+  "amount",
+  "amountDecimal",
+  "missingAmounts"
+];
+
+const FORMATS = ["csv", "jsonl", "both"];
+
+// ===========================================
+// INPUT
+// ===========================================
+
+/**
+ * @returns {bigint} - nanoseconds since the epoch
+ */
+function parseTime(value) {
+  if (/^\d+(\.\d{1,9})?$/.test(value)) {
+    return BigInt(timestampToNanos(value));
+  }
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`Invalid time: ${value}`);
+  return BigInt(ms) * 1_000_000n;
+}
+
+/**
+ * Read addresses from a watchlist JSON file (see watchlist.js) or a text
+ * file with one "ADDR [LABEL]" per line; blank and # lines are skipped
+ * @returns {Array<[string, string|null]>} - [address, label] pairs
+ */
+function readAddressesFile(file) {
+  const raw = fs.readFileSync(file, "utf8");
+
+  if (raw.trim().startsWith("{")) {
+    const saved = JSON.parse(raw).addresses || {};
+    return Object.entries(saved).map(([evm, entry]) => [
+      evm,
+      entry.label || null
+    ]);
+  }
+
+  return raw
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => {
+      const [address, ...label] = line.split(/\s+/);
+      return [address, label.join(" ") || null];
+    });
+}
+
+/**
+ * @returns {object} - { addresses: string[], labels: { [address]: label } }
+ */
+function collectAddresses(args) {
+  const entries = args.addresses.map((arg) => {
+    const [address, ...label] = arg.split("=");
+    return [address, label.join("=") || null];
+  });
+  if (args.addressesFile) {
+    entries.push(...readAddressesFile(args.addressesFile));
+  }
+
+  const addresses = [];
+  const labels = {};
+  for (const [address, label] of entries) {
+    const evm = parseEvmAddress(address);
+    if (!evm) throw new Error(`Invalid EVM address: ${address}`);
+    if (!addresses.includes(evm)) addresses.push(evm);
+    if (label) labels[evm] = label;
+  }
+  return { addresses, labels };
+}
+
+// ===========================================
+// REPORTS
+// ===========================================
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvValue(row[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+function compareEvents(a, b) {
+  const tsA = BigInt(timestampToNanos(a.consensusTimestamp));
+  const tsB = BigInt(timestampToNanos(b.consensusTimestamp));
+  if (tsA !== tsB) return tsA < tsB ? -1 : 1;
+  return (a.logIndex ?? -1) - (b.logIndex ?? -1);
+}
+
+/**
+ * Collects the events of one backfill and writes them out
+ */
+class BackfillReport {
+  /**
+   * @param {string[]} addresses - every address reported on; addresses
+   *   without transfers still get an (empty) HBAR total
+   * @param {object} labels - { [address]: label }
+   */
+  constructor(addresses, labels = {}) {
+    this.addresses = addresses;
+    this.labels = labels;
+    this.events = [];
+  }
+
+  add(event) {
+    this.events.push(event);
+  }
+
+  /**
+   * Events in consensus order; the monitors do not emit them that way
+   */
+  sortedEvents() {
+    return [...this.events].sort(compareEvents);
+  }
+
+  /**
+   * One row per address and asset (HBAR, or a token / contract ID). Events
+   * without an amount are counted in missingAmounts, not in the total.
+   */
+  totals() {
+    const totals = new Map();
+    const totalFor = (evmAddress, assetType, tokenId) => {
+      const key = `${evmAddress}|${assetType}|${tokenId || ""}`;
+      if (!totals.has(key)) {
+        totals.set(key, {
+          evmAddress,
+          label: this.labels[evmAddress] || null,
+          entityId: null,
+          assetType,
+          tokenId,
+          tokenSymbol: null,
+          decimals: null,
+          transfers: 0,
+          amount: 0n,
+          missingAmounts: 0
+        });
+      }
+      return totals.get(key);
+    };
+
+    for (const evmAddress of this.addresses) {
+      totalFor(evmAddress, "HBAR", null);
+    }
+    for (const event of this.sortedEvents()) {
+      const total = totalFor(event.evmAddress, event.assetType, event.tokenId);
+      total.entityId = total.entityId || event.entityId;
+      total.tokenSymbol = total.tokenSymbol || event.tokenSymbol;
+      if (event.decimals !== null) total.decimals = event.decimals;
+      total.transfers++;
+      if (event.amount === null) total.missingAmounts++;
+      else total.amount += BigInt(event.amount);
+    }
+
+    const order = (total) => this.addresses.indexOf(total.evmAddress);
+    return [...totals.values()]
+      .sort((a, b) => order(a) - order(b))
+      .map((total) => ({
+        ...total,
+        amount: total.amount.toString(),
+        amountDecimal: formatTokenAmount(total.amount, total.decimals)
+      }));
+  }
+
+  /**
+   * @param {string} outDir
+   * @param {string} format - "csv", "jsonl" or "both"
+   * @returns {string[]} - paths of the files written
+   */
+  write(outDir, format = "both") {
+    const events = this.sortedEvents();
+    const files = [];
+    const writeFile = (name, contents) => {
+      const file = path.join(outDir, name);
+      writeFileAtomicSync(file, contents);
+      files.push(file);
+    };
+
+    if (format === "csv" || format === "both") {
+      const rows = events.map((event) => ({
+        ...event,
+        ethereumHash: event.ethereum ? event.ethereum.hash : null
+      }));
+      writeFile("transfers.csv", toCsv(TRANSFER_COLUMNS, rows));
+    }
+    if (format === "jsonl" || format === "both") {
+      writeFile(
+        "transfers.jsonl",
+        events.map((event) => JSON.stringify(event) + "\n").join("")
+      );
+    }
+    writeFile("totals.csv", toCsv(TOTALS_COLUMNS, this.totals()));
+    return files;
+  }
+}
+
+// ===========================================
+// COMMAND LINE
+// ===========================================
+
+/**
+ * @param {object} extraOptions - { "--flag": "argName" } for options only
+ *   one command has
+ */
+function parseArgs(argv, extraOptions = {}) {
+  const args = { addresses: [], format: "both", extra: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") args.help = true;
+    else if (arg === "--from") args.from = argv[++i];
+    else if (arg === "--to") args.to = argv[++i];
+    else if (arg === "--address") args.addresses.push(argv[++i]);
+    else if (arg === "--addresses-file") args.addressesFile = argv[++i];
+    else if (arg === "--out-dir") args.outDir = argv[++i];
+    else if (arg === "--format") args.format = argv[++i];
+    else if (arg === "--network") args.network = argv[++i];
+    else if (extraOptions[arg]) args.extra[extraOptions[arg]] = argv[++i];
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return args;
+}
+
+function usage(command, extraUsage) {
+  console.log(
+    [
+      "Usage:",
+      `  ${command} --from TIME [--to TIME]`,
+      "    (--address ADDR[=LABEL]... | --addresses-file FILE)",
+      "    [--out-dir DIR] [--format csv|jsonl|both] [--network NAME]",
+      ...extraUsage.map((line) => `    ${line}`),
+      "",
+      "TIME is an ISO 8601 date / date-time (UTC by default) or unix seconds.",
+      "--from is inclusive, --to exclusive and defaults to now."
+    ].join("\n")
+  );
+}
+
+/**
+ * 2025-09-01T00:00:00.000Z -> 20250901T000000Z, for directory names
+ */
+function compactIsoTime(nanos) {
+  return new Date(Number(nanos / 1_000_000n))
+    .toISOString()
+    .replace(/\.\d+Z$/, "Z")
+    .replace(/[-:]/g, "");
+}
+
+/**
+ * Run a backfill command
+ *
+ * @param {object} options
+ *   command:       name shown in the usage text
+ *   defaultOutDir: reports go to defaultOutDir/FROM_TO without --out-dir
+ *   extraOptions:  { "--flag": "argName" } passed on to createMonitor
+ *   extraUsage:    usage lines for extraOptions
+ *   createMonitor: ({ watchedEvmAddresses, addressLabels, network,
+ *                  ...extra }) => a monitor with backfill() and close()
+ */
+function runBackfillCli(options) {
+  const { command, extraOptions = {}, extraUsage = [] } = options;
+
+  async function main() {
+    const args = parseArgs(process.argv.slice(2), extraOptions);
+    if (
+      args.help ||
+      !args.from ||
+      (args.addresses.length === 0 && !args.addressesFile)
+    ) {
+      usage(command, extraUsage);
+      if (!args.help) process.exitCode = 1;
+      return;
+    }
+    if (!FORMATS.includes(args.format)) {
+      throw new Error(`--format must be one of ${FORMATS.join(", ")}`);
+    }
+
+    const from = parseTime(args.from);
+    const to = args.to ? parseTime(args.to) : BigInt(Date.now()) * 1_000_000n;
+    if (to <= from) throw new Error("--to must be after --from");
+
+    const { addresses, labels } = collectAddresses(args);
+    const outDir =
+      args.outDir ||
+      path.join(
+        options.defaultOutDir,
+        `${compactIsoTime(from)}_${compactIsoTime(to)}`
+      );
+
+    const monitor = options.createMonitor({
+      ...args.extra,
+      network: args.network,
+      watchedEvmAddresses: addresses,
+      addressLabels: labels
+    });
+    const report = new BackfillReport(addresses, labels);
+    monitor.on("transfer", (event) => report.add(event));
+    monitor.on("error", (error) => {
+      console.error(
+        error.context ? `${error.context}: ${error.message}` : error.message
+      );
+    });
+
+    console.log(
+      `Backfilling ${addresses.length} address(es) from ` +
+        `${nanosToTimestamp(from)} to ${nanosToTimestamp(to)} (exclusive)...`
+    );
+
+    // The monitors scan (from, to]; shift by 1ns for [from, to)
+    const requestedTo = nanosToTimestamp(to - 1n);
+    let range;
+    try {
+      range = await monitor.backfill(nanosToTimestamp(from - 1n), requestedTo);
+    } finally {
+      await monitor.close();
+    }
+    if (range.toTimestamp !== requestedTo) {
+      console.warn(
+        `Data is only available up to ${range.toTimestamp}; ` +
+          `the report ends there`
+      );
+    }
+
+    const files = report.write(outDir, args.format);
+    console.log(`\n${report.events.length} transfer(s)`);
+    for (const total of report.totals()) {
+      if (total.transfers === 0) continue;
+      console.log(
+        `  0x${total.evmAddress}${total.label ? ` (${total.label})` : ""}  ` +
+          `${total.assetType}${total.tokenId ? ` ${total.tokenId}` : ""}  ` +
+          `${total.transfers} transfer(s), ` +
+          `${total.amountDecimal ?? `${total.amount} (raw)`}`
+      );
+    }
+    console.log(`\nReports:\n${files.map((file) => `  ${file}`).join("\n")}`);
+  }
+
+  main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  BackfillReport,
+  collectAddresses,
+  compactIsoTime,
+  parseArgs,
+  parseTime,
+  runBackfillCli,
+  toCsv
+};
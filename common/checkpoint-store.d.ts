@@ -0,0 +1,62 @@
+export interface CheckpointData {
+  accounts: Record<string, Record<string, unknown>>;
+  cursors: Record<string, unknown>;
+  /** Idempotency keys of recently emitted events, oldest first */
+  seen: string[];
+}
+
+export interface CheckpointStore {
+  load(): Promise<CheckpointData>;
+  saveAccount(key: string, state: Record<string, unknown>): Promise<void>;
+  saveCursor(name: string, value: unknown): Promise<void>;
+  /** Add seen idempotency keys and forget evicted ones */
+  saveSeen?(added: string[], evicted?: string[]): Promise<void>;
+  close(): Promise<void>;
+}
+
+export interface CheckpointStoreOptions {
+  backend?: "json" | "sqlite" | "postgres";
+  file?: string;
+  sqliteFile?: string;
+  /** An open better-sqlite3 Database */
+  database?: unknown;
+  connectionString?: string;
+  /** An existing pg Pool */
+  pool?: unknown;
+  table?: string;
+}
+
+export declare function createCheckpointStore(
+  options?: CheckpointStoreOptions,
+  load?: (id: string) => any
+): CheckpointStore;
+
+export declare class JsonFileCheckpointStore implements CheckpointStore {
+  constructor(filePath: string);
+  load(): Promise<CheckpointData>;
+  saveAccount(key: string, state: Record<string, unknown>): Promise<void>;
+  saveCursor(name: string, value: unknown): Promise<void>;
+  saveSeen(added: string[], evicted?: string[]): Promise<void>;
+  close(): Promise<void>;
+}
+
+export declare class PostgresCheckpointStore implements CheckpointStore {
+  constructor(pool: unknown, options?: { table?: string; ownsPool?: boolean });
+  load(): Promise<CheckpointData>;
+  saveAccount(key: string, state: Record<string, unknown>): Promise<void>;
+  saveCursor(name: string, value: unknown): Promise<void>;
+  saveSeen(added: string[], evicted?: string[]): Promise<void>;
+  close(): Promise<void>;
+}
+
+export declare class SqliteCheckpointStore implements CheckpointStore {
+  constructor(
+    database: unknown,
+    options?: { table?: string; ownsDatabase?: boolean }
+  );
+  load(): Promise<CheckpointData>;
+  saveAccount(key: string, state: Record<string, unknown>): Promise<void>;
+  saveCursor(name: string, value: unknown): Promise<void>;
+  saveSeen(added: string[], evicted?: string[]): Promise<void>;
+  close(): Promise<void>;
+}
@@ -0,0 +1,297 @@
+/**
+ * checkpoint-store.js
+ *
+ * Durable checkpoint storage shared by both monitors so they can resume
+ * exactly where they stopped after a crash or deploy.
+ *
+ * A checkpoint is made of three kinds of records:
+ *  - accounts: per-address state (entityId, lastTimestamp, ...)
+ *  - cursors:  named scan positions (e.g. the DB monitor's consensus timestamp)
+ *  - seen:     idempotency keys of recently emitted events (see
+ *              seen-events.js), oldest first
+ *
+ * Backends:
+ *  - json:     a single JSON file, written atomically (default)
+ *  - sqlite:   a table in a SQLite database (requires `better-sqlite3`)
+ *  - postgres: a table in a PostgreSQL database (requires `pg`)
+ *
+ * This module has no dependencies of its own. Database drivers are loaded
+ * through the `load` function handed to createCheckpointStore(), which should
+ * be the caller's own `require` so drivers resolve from the caller's package.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomic } = require("./fs-utils");
+
+const DEFAULT_TABLE = "evm_monitor_checkpoint";
+
+// ===========================================
+// JSON FILE BACKEND
+// ===========================================
+
+class JsonFileCheckpointStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.data = { accounts: {}, cursors: {}, seen: [] };
+    this.writeChain = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const raw = await fs.promises.readFile(this.filePath, "utf8");
+      const parsed = JSON.parse(raw);
+      this.data = {
+        accounts: parsed.accounts || {},
+        cursors: parsed.cursors || {},
+        seen: parsed.seen || []
+      };
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        throw new Error(
+          `Cannot read checkpoint file ${this.filePath}: ${err.message}`
+        );
+      }
+    }
+    return JSON.parse(JSON.stringify(this.data));
+  }
+
+  saveAccount(key, state) {
+    this.data.accounts[key] = { ...state };
+    return this.flush();
+  }
+
+  saveCursor(name, value) {
+    this.data.cursors[name] = value;
+    return this.flush();
+  }
+
+  saveSeen(added, evicted = []) {
+    const gone = new Set(evicted);
+    this.data.seen = this.data.seen
+      .concat(added)
+      .filter((key) => !gone.has(key));
+    return this.flush();
+  }
+
+  /**
+   * Writes are serialized so concurrent saves never interleave, and each
+   * write goes to a temp file that is renamed over the checkpoint.
+   */
+  flush() {
+    const snapshot = JSON.stringify({ version: 1, ...this.data }, null, 2);
+    const write = this.writeChain.then(() =>
+      writeFileAtomic(this.filePath, snapshot)
+    );
+    this.writeChain = write.catch(() => {});
+    return write;
+  }
+
+  async close() {
+    await this.writeChain;
+  }
+}
+
+// ===========================================
+// SQL BACKENDS
+// ===========================================
+
+/**
+ * Both SQL backends keep every record in one key/value table. Values are
+ * stored as JSON text so the store does not need to know the state shape.
+ * Subclasses implement run(sql, params) and all(sql, params) using `?`
+ * placeholders.
+ */
+class SqlCheckpointStore {
+  constructor(options = {}) {
+    this.table = options.table || DEFAULT_TABLE;
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(this.table)) {
+      throw new Error(`Invalid checkpoint table name: ${this.table}`);
+    }
+  }
+
+  async load() {
+    await this.run(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (scope, key)
+      )`
+    );
+
+    const rows = await this.all(
+      `SELECT scope, key, value FROM ${this.table} ORDER BY updated_at, key`
+    );
+    const data = { accounts: {}, cursors: {}, seen: [] };
+    for (const row of rows) {
+      const value = JSON.parse(row.value);
+      if (row.scope === "account") data.accounts[row.key] = value;
+      else if (row.scope === "cursor") data.cursors[row.key] = value;
+      else if (row.scope === "seen") data.seen.push(row.key);
+    }
+    return data;
+  }
+
+  saveAccount(key, state) {
+    return this.upsert("account", key, state);
+  }
+
+  saveCursor(name, value) {
+    return this.upsert("cursor", name, value);
+  }
+
+  async saveSeen(added, evicted = []) {
+    for (const key of added) await this.upsert("seen", key, true);
+    if (evicted.length > 0) {
+      await this.run(
+        `DELETE FROM ${this.table} WHERE scope = 'seen' AND key IN (${evicted
+          .map(() => "?")
+          .join(", ")})`,
+        evicted
+      );
+    }
+  }
+
+  upsert(scope, key, value) {
+    return this.run(
+      `INSERT INTO ${this.table} (scope, key, value, updated_at)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (scope, key)
+       DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+      [scope, key, JSON.stringify(value), new Date().toISOString()]
+    );
+  }
+}
+
+class PostgresCheckpointStore extends SqlCheckpointStore {
+  /**
+   * @param {object} pool - a pg Pool (or anything with query(sql, params))
+   * @param {object} options - { table, ownsPool }
+   */
+  constructor(pool, options = {}) {
+    super(options);
+    if (!pool) throw new Error("Postgres checkpoint store requires a pool");
+    this.pool = pool;
+    this.ownsPool = Boolean(options.ownsPool);
+  }
+
+  async run(sql, params = []) {
+    await this.pool.query(toPgPlaceholders(sql), params);
+  }
+
+  async all(sql, params = []) {
+    const res = await this.pool.query(toPgPlaceholders(sql), params);
+    return res.rows;
+  }
+
+  async close() {
+    if (this.ownsPool) await this.pool.end();
+  }
+}
+
+class SqliteCheckpointStore extends SqlCheckpointStore {
+  /**
+   * @param {object} database - a better-sqlite3 Database
+   * @param {object} options - { table, ownsDatabase }
+   */
+  constructor(database, options = {}) {
+    super(options);
+    if (!database) {
+      throw new Error("SQLite checkpoint store requires a database");
+    }
+    this.database = database;
+    this.ownsDatabase = Boolean(options.ownsDatabase);
+  }
+
+  async run(sql, params = []) {
+    this.database.prepare(sql).run(...params);
+  }
+
+  async all(sql, params = []) {
+    return this.database.prepare(sql).all(...params);
+  }
+
+  async close() {
+    if (this.ownsDatabase) this.database.close();
+  }
+}
+
+function toPgPlaceholders(sql) {
+  let i = 0;
+  return sql.replace(/\?/g, () => `$${++i}`);
+}
+
+// ===========================================
+// FACTORY
+// ===========================================
+
+/**
+ * Create a checkpoint store from a config object.
+ *
+ * @param {object} options
+ *   backend:          "json" | "sqlite" | "postgres" (default "json")
+ *   file:             JSON checkpoint file path (json)
+ *   sqliteFile:       SQLite database path (sqlite)
+ *   database:         an open better-sqlite3 Database (sqlite, optional)
+ *   connectionString: Postgres connection string (postgres)
+ *   pool:             an existing pg Pool (postgres, optional)
+ *   table:            table name for SQL backends
+ * @param {Function} load - module loader used for drivers (pass `require`)
+ */
+function createCheckpointStore(options = {}, load = require) {
+  const backend = options.backend || "json";
+
+  switch (backend) {
+    case "json":
+      return new JsonFileCheckpointStore(options.file || "checkpoints.json");
+
+    case "sqlite": {
+      if (options.database) {
+        return new SqliteCheckpointStore(options.database, options);
+      }
+      const Database = loadDriver(load, "better-sqlite3", backend);
+      return new SqliteCheckpointStore(
+        new Database(options.sqliteFile || "checkpoints.db"),
+        { ...options, ownsDatabase: true }
+      );
+    }
+
+    case "postgres": {
+      if (options.pool) {
+        return new PostgresCheckpointStore(options.pool, options);
+      }
+      if (!options.connectionString) {
+        throw new Error(
+          "Postgres checkpoint backend requires a connection string"
+        );
+      }
+      const { Pool } = loadDriver(load, "pg", backend);
+      return new PostgresCheckpointStore(
+        new Pool({ connectionString: options.connectionString }),
+        { ...options, ownsPool: true }
+      );
+    }
+
+    default:
+      throw new Error(`Unknown checkpoint backend: ${backend}`);
+  }
+}
+
+function loadDriver(load, name, backend) {
+  try {
+    return load(name);
+  } catch (e) {
+    throw new Error(
+      `The ${backend} checkpoint backend requires '${name}'. Install it with: npm install ${name}`
+    );
+  }
+}
+
+module.exports = {
+  createCheckpointStore,
+  JsonFileCheckpointStore,
+  PostgresCheckpointStore,
+  SqliteCheckpointStore
+};
@@ -0,0 +1,843 @@
+/**
+ * config.js
+ *
+ * Configuration of the monitor CLIs, merged in this order (later wins):
+ *
+ *   1. built-in defaults, plus the CLI's own (file locations, ports)
+ *   2. a YAML or JSON config file (--config or MONITOR_CONFIG); its `rest:`
+ *      and `db:` sections override the shared top-level keys for that
+ *      monitor, so one file can configure both
+ *   3. environment variables (ENV_VARS; empty values are ignored)
+ *   4. command-line flags (--network)
+ *
+ * The merged config is validated as a whole and every problem is reported
+ * at once in a ConfigError. `network` picks one of NETWORKS or a network
+ * defined under `networks:`; see config.example.yaml for every option.
+ *
+ * YAML is read with the `yaml` package, a dependency of both monitors,
+ * loaded through the caller's require; JSON needs nothing.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("./logger");
+const { parseEvmAddress } = require("./watchlist");
+
+const MONITORS = ["rest", "db"];
+
+// Built-in networks. The SDK knows the consensus nodes of the public ones;
+// local is a Solo network with node1 and the mirror node forwarded to
+// localhost.
+const NETWORKS = {
+  mainnet: { mirrorNodeUrl: "https://mainnet-public.mirrornode.hedera.com" },
+  testnet: { mirrorNodeUrl: "https://testnet.mirrornode.hedera.com" },
+  previewnet: { mirrorNodeUrl: "https://previewnet.mirrornode.hedera.com" },
+  local: {
+    mirrorNodeUrl: "http://localhost:8081",
+    consensusNodes: { "127.0.0.1:50211": "0.0.3" },
+    mirrorNodeGrpc: "127.0.0.1:8081"
+  }
+};
+
+// Transaction type names the database monitor can scan, as stored in the
+// mirror `transaction.type` column
+const DB_TRANSACTION_TYPES = {
+  CRYPTOTRANSFER: 14,
+  ETHEREUMTRANSACTION: 50
+};
+
+// Environment variable -> config path
+const ENV_VARS = {
+  HEDERA_NETWORK: "network",
+  MIRROR_NODE_URL: "mirrorNodeUrl",
+  POLLING_INTERVAL_MS: "pollingIntervalMs",
+  HEDERA_ACCOUNT_ID: "operator.accountId",
+  HEDERA_PRIVATE_KEY: "operator.privateKey",
+  WATCHLIST_FILE: "watchlist.file",
+  TEST_ADDRESSES: "watchlist.testAddresses",
+  WATCHLIST_API_HOST: "watchlist.api.host",
+  WATCHLIST_API_PORT: "watchlist.api.port",
+  WATCHLIST_API_TOKEN: "watchlist.api.token",
+  CHECKPOINT_BACKEND: "checkpoint.backend",
+  CHECKPOINT_FILE: "checkpoint.file",
+  CHECKPOINT_SQLITE_FILE: "checkpoint.sqliteFile",
+  CHECKPOINT_DATABASE_URL: "checkpoint.connectionString",
+  WEBHOOK_URL: "webhook.url",
+  WEBHOOK_SECRET: "webhook.secret",
+  WEBHOOK_QUEUE_DIR: "webhook.queueDir",
+  ATTRIBUTION_RULES_FILE: "attribution.rulesFile",
+  ATTRIBUTION_TABLE: "attribution.table",
+  ATTRIBUTION_DATABASE_URL: "attribution.connectionString",
+  ATTRIBUTION_QUEUE_DIR: "attribution.queueDir",
+  RULES_FILE: "rules.file",
+  RULES_RELOAD_INTERVAL_MS: "rules.reloadIntervalMs",
+  METRICS_HOST: "metrics.host",
+  METRICS_PORT: "metrics.port",
+  METRICS_STALL_AFTER_MS: "metrics.stallAfterMs",
+  LOG_LEVEL: "log.level",
+  LOG_FORMAT: "log.format",
+  DETECT_TRANSFER_LOGS: "detectTransferLogs",
+  DEDUPE_CACHE_SIZE: "dedupeCacheSize",
+  MONITOR_MODE: "mode",
+  REQUESTS_PER_SECOND: "requestsPerSecond",
+  MAX_CONCURRENT_REQUESTS: "maxConcurrentRequests",
+  DB_HOST: "database.host",
+  DB_PORT: "database.port",
+  DB_NAME: "database.name",
+  DB_USER: "database.user",
+  DB_PASSWORD: "database.password",
+  BATCH_LIMIT: "batchLimit",
+  MAX_POLL_DURATION_MS: "maxPollDurationMs",
+  LOOKBACK_SECONDS: "lookbackSeconds",
+  START_CONSENSUS_TIMESTAMP: "startConsensusTimestamp",
+  DETECT_INTERNAL_TRANSFERS: "detectInternalTransfers",
+  DB_LISTEN: "listen",
+  DB_LISTEN_CHANNEL: "listenChannel",
+  LISTEN_POLLING_INTERVAL_MS: "listenPollingIntervalMs"
+};
+
+// Shown as "***" by describeConfig()
+const SECRET_KEYS = new Set([
+  "privateKey",
+  "password",
+  "token",
+  "secret",
+  "connectionString"
+]);
+
+class ConfigError extends Error {
+  constructor(problems, file = null) {
+    super(
+      `Invalid configuration${file ? ` (${file})` : ""}:\n` +
+        problems.map((problem) => `  - ${problem}`).join("\n")
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// ===========================================
+// SCHEMA
+// ===========================================
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const string = { type: "string" };
+const boolean = { type: "boolean" };
+const integer = (min, max = Infinity) => ({ type: "integer", min, max });
+const oneOf = (...values) => ({ type: "enum", values });
+const object = (fields) => ({ type: "object", fields });
+const port = integer(0, 65535);
+
+const url = {
+  type: "string",
+  check: (value) => {
+    try {
+      const { protocol } = new URL(value);
+      return /^https?:$/.test(protocol) ? null : "must be an http(s) URL";
+    } catch (e) {
+      return "must be an http(s) URL";
+    }
+  }
+};
+
+const entityId = {
+  type: "string",
+  check: (value) =>
+    /^\d+\.\d+\.\d+$/.test(value) ? null : "must be an entity ID like 0.0.1234"
+};
+
+const hostPort = {
+  type: "string",
+  check: (value) => (/^[^\s:]+:\d+$/.test(value) ? null : "must be host:port")
+};
+
+const watchlistEntry = {
+  type: "custom",
+  check: (value) => {
+    if (typeof value === "number" || typeof value?.address === "number") {
+      return "quote the address (YAML reads an unquoted 0x... as a number)";
+    }
+    const entry = typeof value === "string" ? { address: value } : value;
+    if (!isPlainObject(entry)) {
+      return "must be an address or { address, label?, tokens? }";
+    }
+    const unknown = Object.keys(entry).filter(
+      (key) => !["address", "label", "tokens"].includes(key)
+    );
+    if (unknown.length) return `unknown option ${unknown.join(", ")}`;
+    if (!parseEvmAddress(entry.address)) {
+      return `${JSON.stringify(entry.address)} is not a 20-byte hex address`;
+    }
+    if (entry.label != null && typeof entry.label !== "string") {
+      return "label must be a string";
+    }
+    if (
+      entry.tokens != null &&
+      (!Array.isArray(entry.tokens) ||
+        entry.tokens.some((t) => !/^\d+\.\d+\.\d+$/.test(t)))
+    ) {
+      return "tokens must be a list of token IDs like 0.0.1234";
+    }
+    return null;
+  }
+};
+
+const NETWORK = object({
+  mirrorNodeUrl: url,
+  // "host:port" -> node account ID, for networks the SDK does not know
+  consensusNodes: { type: "map", values: entityId },
+  mirrorNodeGrpc: hostPort
+});
+
+// Options a monitor section may hold; `only` marks monitor-specific ones
+const FIELDS = {
+  network: string,
+  mirrorNodeUrl: url,
+  pollingIntervalMs: integer(100),
+  transactionTypes: { type: "array", items: string },
+  operator: object({ accountId: entityId, privateKey: string }),
+  watchlist: object({
+    file: string,
+    addresses: { type: "array", items: watchlistEntry },
+    testAddresses: integer(0),
+    api: object({ host: string, port, token: string })
+  }),
+  checkpoint: object({
+    backend: oneOf("json", "sqlite", "postgres"),
+    file: string,
+    sqliteFile: string,
+    connectionString: string
+  }),
+  webhook: object({ url, secret: string, queueDir: string }),
+  attribution: object({
+    addresses: {
+      type: "array",
+      items: {
+        type: "custom",
+        check: (value) => {
+          if (typeof value === "number") {
+            return "quote the address (YAML reads an unquoted 0x... as a number)";
+          }
+          return parseEvmAddress(value)
+            ? null
+            : `${JSON.stringify(value)} is not a 20-byte hex address`;
+        }
+      }
+    },
+    rulesFile: string,
+    table: {
+      type: "string",
+      check: (value) =>
+        /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)?$/.test(value)
+          ? null
+          : "must be a lowercase table name, optionally schema-qualified"
+    },
+    connectionString: string,
+    queueDir: string
+  }),
+  rules: object({ file: string, reloadIntervalMs: integer(0) }),
+  metrics: object({ host: string, port, stallAfterMs: integer(1000) }),
+  log: object({
+    level: oneOf("debug", "info", "warn", "error", "silent"),
+    format: oneOf("json", "pretty")
+  }),
+  detectTransferLogs: boolean,
+  dedupeCacheSize: integer(0),
+
+  // REST monitor (see query_watched_evm_addrs/lib DEFAULT_CONFIG)
+  mode: { ...oneOf("account", "stream"), only: "rest" },
+  pageLimit: { ...integer(1, 100), only: "rest" },
+  maxPagesPerQuery: { ...integer(1), only: "rest" },
+  requestsPerSecond: { ...integer(0), only: "rest" },
+  maxConcurrentRequests: { ...integer(1), only: "rest" },
+  requestTimeoutMs: { ...integer(100), only: "rest" },
+  maxRetries: { ...integer(0), only: "rest" },
+  logTopicBatchSize: { ...integer(1), only: "rest" },
+  maxLogRangeSeconds: { ...integer(1, 7 * 24 * 60 * 60), only: "rest" },
+  entityCacheSize: { ...integer(1), only: "rest" },
+
+  // Database monitor (see direct_database_query/lib DEFAULT_CONFIG)
+  database: {
+    ...object({
+      host: string,
+      port,
+      name: string,
+      user: string,
+      password: { type: "string", allowEmpty: true }
+    }),
+    only: "db"
+  },
+  batchLimit: { ...integer(1), only: "db" },
+  maxPollDurationMs: { ...integer(100), only: "db" },
+  lookbackSeconds: { ...integer(0), only: "db" },
+  startConsensusTimestamp: {
+    type: "string",
+    only: "db",
+    check: (value) =>
+      /^\d+$/.test(value) ? null : "must be a timestamp in nanoseconds"
+  },
+  detectInternalTransfers: { ...boolean, only: "db" },
+  listen: { ...boolean, only: "db" },
+  listenChannel: {
+    type: "string",
+    only: "db",
+    check: (value) =>
+      /^[a-z_][a-z0-9_]*$/.test(value) ? null : "must be a lowercase identifier"
+  },
+  listenPollingIntervalMs: { ...integer(100), only: "db" }
+};
+
+const fieldsFor = (monitor) =>
+  Object.fromEntries(
+    Object.entries(FIELDS).filter(
+      ([, spec]) => !spec.only || spec.only === monitor
+    )
+  );
+
+const FILE_SCHEMA = object({
+  ...FIELDS,
+  networks: { type: "map", values: NETWORK },
+  rest: object(fieldsFor("rest")),
+  db: object(fieldsFor("db"))
+});
+
+function describeType(spec) {
+  switch (spec.type) {
+    case "integer":
+      if (spec.max !== Infinity) {
+        return `an integer from ${spec.min} to ${spec.max}`;
+      }
+      return `an integer >= ${spec.min}`;
+    case "enum":
+      return `one of ${spec.values.join(", ")}`;
+    case "string":
+      return spec.allowEmpty ? "a string" : "a non-empty string";
+    case "array":
+      return "a list";
+    case "object":
+    case "map":
+      return "a mapping";
+    default:
+      return `a ${spec.type}`;
+  }
+}
+
+function matchesType(spec, value) {
+  switch (spec.type) {
+    case "string":
+      return typeof value === "string" && (spec.allowEmpty || value !== "");
+    case "integer":
+      return Number.isInteger(value) && value >= spec.min && value <= spec.max;
+    case "boolean":
+      return typeof value === "boolean";
+    case "enum":
+      return spec.values.includes(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+    case "map":
+      return isPlainObject(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Collect the problems of `value` against `spec` into `problems`. null
+ * means "not set" everywhere. sources maps paths to where a value came from.
+ */
+function validate(spec, value, keyPath, problems, sources = {}) {
+  if (value === null || value === undefined) return;
+
+  const where = (p) => (sources[p] ? ` (from ${sources[p]})` : "");
+  if (!matchesType(spec, value)) {
+    problems.push(
+      `${keyPath}${where(keyPath)}: must be ${describeType(spec)}, got ${JSON.stringify(value)}`
+    );
+    return;
+  }
+  if (spec.check) {
+    const message = spec.check(value);
+    if (message) problems.push(`${keyPath}${where(keyPath)}: ${message}`);
+  }
+
+  const join = (key) => (keyPath ? `${keyPath}.${key}` : key);
+  if (spec.type === "object") {
+    for (const [key, child] of Object.entries(value)) {
+      const field = spec.fields[key];
+      if (field) {
+        validate(field, child, join(key), problems, sources);
+        continue;
+      }
+      const elsewhere = MONITORS.find((m) => FIELDS[key]?.only === m);
+      problems.push(
+        elsewhere && FIELDS[key]
+          ? `${join(key)}: only applies to the ${elsewhere} monitor`
+          : `${join(key)}: unknown option`
+      );
+    }
+  } else if (spec.type === "map") {
+    for (const [key, child] of Object.entries(value)) {
+      validate(spec.values, child, join(key), problems, sources);
+    }
+  } else if (spec.type === "array") {
+    value.forEach((item, i) =>
+      validate(spec.items, item, `${keyPath}[${i}]`, problems, sources)
+    );
+  }
+}
+
+// ===========================================
+// LOADING
+// ===========================================
+
+/**
+ * Merge `override` into `base` (both plain objects); arrays and scalars
+ * replace, undefined leaves the base value and so does null in place of a
+ * mapping (a YAML section whose options are all commented out)
+ */
+function deepMerge(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    if (value === undefined) continue;
+    if (value === null && isPlainObject(base[key])) continue;
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? deepMerge(base[key], value)
+        : value;
+  }
+  return merged;
+}
+
+function setPath(target, keyPath, value) {
+  const keys = keyPath.split(".");
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(node[key])) node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function specAt(keyPath) {
+  let spec = object(FIELDS);
+  for (const key of keyPath.split(".")) spec = spec.fields[key];
+  return spec;
+}
+
+/**
+ * Convert an environment variable to the type its config path expects.
+ * Values that do not convert are kept as strings, for validate() to report.
+ */
+function parseEnvValue(spec, raw) {
+  const value = raw.trim();
+  if (spec.type === "integer" && /^-?\d+$/.test(value)) return Number(value);
+  if (spec.type === "boolean" && /^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === "true";
+  }
+  if (spec.type === "array") return value.split(",").map((s) => s.trim());
+  return value;
+}
+
+/**
+ * Read a YAML (.yml / .yaml) or JSON config file
+ * @param {Function} [requireFn] - require of the package that has `yaml`
+ */
+function readConfigFile(file, requireFn = require) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    throw new ConfigError([`cannot read config file: ${err.message}`], file);
+  }
+
+  let parsed;
+  if (/\.ya?ml$/i.test(file)) {
+    let YAML;
+    try {
+      YAML = requireFn("yaml");
+    } catch (err) {
+      throw new ConfigError(
+        [
+          "reading YAML needs the yaml package (npm install in the monitor's directory)"
+        ],
+        file
+      );
+    }
+    try {
+      parsed = YAML.parse(text);
+    } catch (err) {
+      throw new ConfigError([`not valid YAML: ${err.message}`], file);
+    }
+  } else {
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw new ConfigError([`not valid JSON: ${err.message}`], file);
+    }
+  }
+
+  if (parsed === null || parsed === undefined) return {};
+  if (!isPlainObject(parsed)) {
+    throw new ConfigError(["the file must hold a mapping of options"], file);
+  }
+  return parsed;
+}
+
+/**
+ * Relative paths in the file are relative to the file, not to the
+ * working directory
+ */
+function resolveFilePaths(section, dir) {
+  const resolve = (value) =>
+    typeof value === "string" && value !== ""
+      ? path.resolve(dir, value)
+      : value;
+  const resolved = { ...section };
+  for (const [group, keys] of [
+    ["watchlist", ["file"]],
+    ["checkpoint", ["file", "sqliteFile"]],
+    ["webhook", ["queueDir"]],
+    ["attribution", ["rulesFile", "queueDir"]],
+    ["rules", ["file"]]
+  ]) {
+    if (!isPlainObject(resolved[group])) continue;
+    resolved[group] = { ...resolved[group] };
+    for (const key of keys) {
+      resolved[group][key] = resolve(resolved[group][key]);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Build the config of one monitor.
+ *
+ * @param {string} monitor - "rest" or "db"
+ * @param {object} options
+ *   file:      config file path (YAML or JSON), optional
+ *   defaults:  the CLI's defaults, merged over the built-in ones
+ *   env:       environment variables (default process.env)
+ *   overrides: values from command-line flags, e.g. { network: "mainnet" }
+ *   require:   the caller's require, to load the yaml package
+ * @returns {object} - the validated config; `networkConfig` holds the
+ *   selected network's { mirrorNodeUrl, consensusNodes, mirrorNodeGrpc }
+ * @throws {ConfigError}
+ */
+function loadConfig(monitor, options = {}) {
+  if (!MONITORS.includes(monitor)) {
+    throw new ConfigError([`unknown monitor "${monitor}" (rest or db)`]);
+  }
+  const env = options.env || process.env;
+  const file = options.file ? path.resolve(options.file) : null;
+  const problems = [];
+  const sources = {};
+
+  // File: shared keys, then this monitor's section
+  let fileConfig = {};
+  if (file) {
+    fileConfig = readConfigFile(file, options.require);
+    validate(FILE_SCHEMA, fileConfig, "", problems);
+  }
+  const { networks = {}, rest, db, ...shared } = fileConfig;
+  const section = { rest, db }[monitor];
+  const fields = fieldsFor(monitor);
+  // Top-level options of the other monitor are not this one's business
+  for (const key of Object.keys(shared)) {
+    if (!fields[key]) delete shared[key];
+  }
+  let config = deepMerge(
+    deepMerge(
+      {
+        network: "testnet",
+        mirrorNodeUrl: null,
+        operator: { accountId: null, privateKey: null },
+        watchlist: {
+          file: "watchlist.json",
+          addresses: [],
+          testAddresses: 0,
+          api: { host: "127.0.0.1", port: 8080, token: null }
+        },
+        checkpoint: {
+          backend: "json",
+          file: "checkpoints.json",
+          sqliteFile: "checkpoints.db",
+          connectionString: null
+        },
+        webhook: { url: null, secret: null, queueDir: "webhook-queue" },
+        attribution: {
+          addresses: [],
+          rulesFile: null,
+          table: null,
+          connectionString: null,
+          queueDir: "unattributed"
+        },
+        rules: { file: null, reloadIntervalMs: 2000 },
+        metrics: { host: "0.0.0.0", port: null, stallAfterMs: null },
+        log: { level: "info", format: null }
+      },
+      options.defaults
+    ),
+    file
+      ? resolveFilePaths(
+          deepMerge(shared, isPlainObject(section) ? section : {}),
+          path.dirname(file)
+        )
+      : {}
+  );
+
+  // Environment, then flags
+  for (const [name, keyPath] of Object.entries(ENV_VARS)) {
+    const raw = env[name];
+    if (raw === undefined || raw.trim() === "") continue;
+    if (!fields[keyPath.split(".")[0]]) continue;
+    setPath(config, keyPath, parseEnvValue(specAt(keyPath), raw));
+    sources[keyPath] = name;
+  }
+  for (const [key, value] of Object.entries(options.overrides || {})) {
+    if (value === undefined || value === null) continue;
+    setPath(config, key, value);
+    sources[key] = `--${key}`;
+  }
+
+  // Validate what the environment and flags set, on top of the file
+  for (const keyPath of Object.keys(sources)) {
+    validate(
+      specAt(keyPath),
+      keyPath.split(".").reduce((node, key) => node?.[key], config),
+      keyPath,
+      problems,
+      sources
+    );
+  }
+
+  // Network
+  const allNetworks = { ...NETWORKS, ...networks };
+  const networkConfig = allNetworks[config.network];
+  if (!networkConfig) {
+    problems.push(
+      `network${sources.network ? ` (from ${sources.network})` : ""}: ` +
+        `unknown network "${config.network}" (${Object.keys(allNetworks).join(
+          ", "
+        )}, or one defined under networks)`
+    );
+  }
+  config.mirrorNodeUrl =
+    config.mirrorNodeUrl || (networkConfig && networkConfig.mirrorNodeUrl);
+  if (monitor === "rest" && networkConfig && !config.mirrorNodeUrl) {
+    problems.push(
+      `mirrorNodeUrl: required by the rest monitor; set it, or set ` +
+        `networks.${config.network}.mirrorNodeUrl`
+    );
+  }
+
+  if (monitor === "db" && Array.isArray(config.transactionTypes)) {
+    for (const type of config.transactionTypes) {
+      if (!(type in DB_TRANSACTION_TYPES)) {
+        problems.push(
+          `transactionTypes: the db monitor scans ${Object.keys(
+            DB_TRANSACTION_TYPES
+          ).join(" and ")}, not ${type}`
+        );
+      }
+    }
+  }
+  if (config.webhook.url && !config.webhook.secret) {
+    problems.push(
+      "webhook.secret: required with webhook.url; every delivery is signed"
+    );
+  }
+  if (config.attribution.rulesFile && config.attribution.table) {
+    problems.push("attribution: set rulesFile or table, not both");
+  }
+  if (config.attribution.table && !config.attribution.connectionString) {
+    problems.push(
+      "attribution.connectionString: required to read the rules table"
+    );
+  }
+  if (config.checkpoint.backend === "postgres") {
+    if (!config.checkpoint.connectionString) {
+      problems.push(
+        "checkpoint.connectionString: required by the postgres backend"
+      );
+    }
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems, file);
+  return {
+    ...config,
+    monitor,
+    configFile: file,
+    networkConfig: { ...networkConfig, mirrorNodeUrl: config.mirrorNodeUrl }
+  };
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Parse the flags shared by the monitor CLIs: --config FILE, --network NAME
+ * and --check (validate, print the config and exit)
+ * @returns {object} - { file, network, check, args } (args: the rest)
+ */
+function parseConfigArgs(argv, env = process.env) {
+  const result = {
+    file: env.MONITOR_CONFIG || null,
+    network: null,
+    check: false,
+    args: []
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    const value = () => {
+      const next = inline !== undefined ? inline : argv[++i];
+      if (next === undefined || next === "") {
+        throw new ConfigError([`${flag} needs a value`]);
+      }
+      return next;
+    };
+    if (flag === "--config" || flag === "-c") result.file = value();
+    else if (flag === "--network") result.network = value();
+    else if (flag === "--check") result.check = true;
+    else if (flag.startsWith("-")) {
+      throw new ConfigError([`unknown option ${flag}`]);
+    } else result.args.push(argv[i]);
+  }
+  return result;
+}
+
+/**
+ * The configured watchlist as monitor options: { watchedEvmAddresses,
+ * addressLabels, tokenAllowlist }
+ */
+function watchlistOptions(config) {
+  const watchedEvmAddresses = new Set();
+  const addressLabels = {};
+  const tokenAllowlist = {};
+  for (const item of config.watchlist.addresses) {
+    const entry = typeof item === "string" ? { address: item } : item;
+    const address = parseEvmAddress(entry.address);
+    watchedEvmAddresses.add(address);
+    if (entry.label) addressLabels[address] = entry.label;
+    if (entry.tokens) tokenAllowlist[address] = entry.tokens;
+  }
+  return { watchedEvmAddresses, addressLabels, tokenAllowlist };
+}
+
+/**
+ * Transaction type names as the database monitor's type IDs
+ */
+function dbTransactionTypes(names) {
+  return names.map((name) => DB_TRANSACTION_TYPES[name]);
+}
+
+/**
+ * A Hedera SDK Client for the configured network, with the operator set
+ * when one is configured
+ * @param {object} sdk - the @hiero-ledger/sdk module
+ */
+function createSdkClient(sdk, config) {
+  const { consensusNodes, mirrorNodeGrpc } = config.networkConfig;
+  let client;
+  if (consensusNodes) {
+    const network = {};
+    for (const [address, nodeId] of Object.entries(consensusNodes)) {
+      network[address] = sdk.AccountId.fromString(nodeId);
+    }
+    // Without scheduleNetworkUpdate the SDK keeps these addresses instead of
+    // replacing them with the address book's
+    client = sdk.Client.fromConfig({
+      network,
+      mirrorNetwork: mirrorNodeGrpc || undefined,
+      scheduleNetworkUpdate: false
+    });
+  } else if (config.network in NETWORKS) {
+    client = sdk.Client.forName(config.network);
+  } else {
+    throw new ConfigError([
+      `networks.${config.network}.consensusNodes: needed to send transactions`
+    ]);
+  }
+
+  const { accountId, privateKey } = config.operator;
+  if (accountId && privateKey) {
+    client.setOperator(
+      sdk.AccountId.fromString(accountId),
+      sdk.PrivateKey.fromStringECDSA(privateKey)
+    );
+  }
+  return client;
+}
+
+/**
+ * The config as indented JSON with secrets masked, for --check
+ */
+function describeConfig(config) {
+  return JSON.stringify(
+    config,
+    (key, value) => (SECRET_KEYS.has(key) && value ? "***" : value),
+    2
+  );
+}
+
+/**
+ * Load the config from the command line and run a monitor CLI with it.
+ * Config problems are printed and exit with status 1 before anything
+ * starts; --check prints the config instead of running.
+ *
+ * @param {string} monitor - "rest" or "db"
+ * @param {object} options
+ *   run:      async (config) => void, the CLI itself
+ *   defaults: the CLI's defaults (see loadConfig)
+ *   require:  the CLI's require, for the yaml package
+ *   argv:     arguments (default process.argv.slice(2))
+ */
+async function runMonitorCli(monitor, options) {
+  let config;
+  try {
+    const args = parseConfigArgs(options.argv || process.argv.slice(2));
+    if (args.args.length > 0) {
+      throw new ConfigError([`unexpected argument ${args.args[0]}`]);
+    }
+    config = loadConfig(monitor, {
+      file: args.file,
+      defaults: options.defaults,
+      overrides: { network: args.network },
+      require: options.require
+    });
+    if (args.check) {
+      console.log(describeConfig(config));
+      return;
+    }
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const log = createLogger(config.log);
+  try {
+    await options.run(config, log);
+  } catch (err) {
+    log.error("Fatal", { err });
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  ConfigError,
+  DB_TRANSACTION_TYPES,
+  ENV_VARS,
+  NETWORKS,
+  createSdkClient,
+  dbTransactionTypes,
+  describeConfig,
+  loadConfig,
+  parseConfigArgs,
+  readConfigFile,
+  runMonitorCli,
+  watchlistOptions
+};
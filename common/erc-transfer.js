@@ -0,0 +1,78 @@
+/**
+ * erc-transfer.js
+ *
+ * Decoding of ERC-20 / ERC-721 `Transfer(address,address,uint256)` logs,
+ * shared by both monitors.
+ *
+ *  - ERC-20:  topics = [sig, from, to],          data = amount
+ *  - ERC-721: topics = [sig, from, to, tokenId], data = empty
+ *
+ * Topics and data may be given as 0x-prefixed hex (Mirror Node REST) or as
+ * Buffers (Mirror Node DB, where leading zero bytes are trimmed).
+ */
+
+// keccak256("Transfer(address,address,uint256)")
+const TRANSFER_EVENT_TOPIC =
+  "ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+
+function toHex(value) {
+  if (value === null || value === undefined) return "";
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return Buffer.from(value).toString("hex");
+  }
+  return String(value).toLowerCase().replace(/^0x/, "");
+}
+
+/**
+ * An address as a 32-byte topic (0x-prefixed hex), for topic filters
+ */
+function addressToTopic(evmAddress) {
+  return "0x" + toHex(evmAddress).padStart(64, "0");
+}
+
+function topicToAddress(topic) {
+  return toHex(topic).padStart(64, "0").slice(-40);
+}
+
+function hexToDecimal(hex) {
+  const clean = toHex(hex);
+  return clean ? BigInt("0x" + clean).toString() : "0";
+}
+
+/**
+ * Decode a Transfer log.
+ * @returns {object|null} - { standard, from, to, amount, tokenId } or null
+ *   if the log is not a Transfer event
+ */
+function decodeTransferLog(topics, data) {
+  const [topic0, topic1, topic2, topic3] = topics;
+  if (toHex(topic0).padStart(64, "0") !== TRANSFER_EVENT_TOPIC) return null;
+  if (topic1 === undefined || topic2 === undefined) return null;
+
+  const from = topicToAddress(topic1);
+  const to = topicToAddress(topic2);
+
+  if (topic3 !== undefined && topic3 !== null) {
+    return {
+      standard: "ERC721",
+      from,
+      to,
+      amount: "1",
+      tokenId: hexToDecimal(topic3)
+    };
+  }
+
+  return {
+    standard: "ERC20",
+    from,
+    to,
+    amount: hexToDecimal(data),
+    tokenId: null
+  };
+}
+
+module.exports = {
+  TRANSFER_EVENT_TOPIC,
+  addressToTopic,
+  decodeTransferLog
+};
@@ -0,0 +1,52 @@
+/**
+ * fs-utils.js
+ *
+ * Crash-safe file writes shared by the checkpoint store, webhook queue and
+ * watchlist. Each write goes to a temp file that is fsynced and renamed over
+ * the target, so readers see either the old or the new contents.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+async function writeFileAtomic(filePath, contents) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const handle = await fs.promises.open(tmpPath, "w");
+  try {
+    await handle.writeFile(contents, "utf8");
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+function writeFileAtomicSync(filePath, contents) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const fd = fs.openSync(tmpPath, "w");
+  try {
+    fs.writeFileSync(fd, contents, "utf8");
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+function appendLineSync(filePath, line) {
+  const fd = fs.openSync(filePath, "a");
+  try {
+    fs.writeFileSync(fd, line + "\n", "utf8");
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeFileAtomicSync,
+  appendLineSync
+};
@@ -0,0 +1,43 @@
+export interface HttpClientOptions {
+  /** null or 0: no rate limit */
+  requestsPerSecond?: number | null;
+  /** Largest burst; defaults to requestsPerSecond */
+  burst?: number | null;
+  concurrency?: number;
+  timeoutMs?: number;
+  maxRetries?: number;
+  baseDelayMs?: number;
+  maxDelayMs?: number;
+}
+
+export interface HttpClientMetrics {
+  /** Attempts sent, retries included */
+  requests: number;
+  succeeded: number;
+  failed: number;
+  retries: number;
+  /** 429 responses */
+  rateLimited: number;
+  /** 5xx responses */
+  serverErrors: number;
+  timeouts: number;
+  networkErrors: number;
+  /** Time spent waiting for the rate limit */
+  throttledMs: number;
+  inFlight: number;
+  queued: number;
+}
+
+export declare const DEFAULT_OPTIONS: Required<HttpClientOptions>;
+
+export declare class HttpClient {
+  constructor(options?: HttpClientOptions);
+  readonly options: Required<HttpClientOptions>;
+  fetch(url: string, init?: RequestInit): Promise<Response>;
+  getMetrics(): HttpClientMetrics;
+}
+
+/** Retry-After in milliseconds from now, or null */
+export declare function parseRetryAfter(
+  value: string | null | undefined
+): number | null;
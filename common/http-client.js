@@ -0,0 +1,248 @@
+/**
+ * http-client.js
+ *
+ * fetch() with the manners a public Mirror Node expects, shared by the
+ * monitors' HTTP calls:
+ *
+ *  - a token bucket limits requests per second, and at most `concurrency`
+ *    requests are in flight
+ *  - each attempt, body included, times out after timeoutMs: the body is
+ *    read before the attempt gives up its slot, and the response returned
+ *    holds it in memory
+ *  - 429 and 5xx responses, timeouts and network errors are retried with
+ *    exponential backoff and full jitter; a Retry-After header wins over the
+ *    backoff and pauses every request of the client, not just the throttled
+ *    one
+ *
+ * Once retries run out the last response is returned (or the last error
+ * thrown), so callers handle it as they would a single fetch.
+ */
+
+const DEFAULT_OPTIONS = {
+  requestsPerSecond: 20,
+  // Tokens the bucket holds, i.e. the largest burst; defaults to one second
+  burst: null,
+  concurrency: 5,
+  timeoutMs: 10000,
+  maxRetries: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 30000
+};
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+// Statuses a Response may not be constructed with a body for
+const NULL_BODY_STATUS = new Set([101, 204, 205, 304]);
+
+/**
+ * Read a response's body and return a Response holding it, so callers can
+ * read it after the request's slot and timeout are gone
+ */
+async function bufferResponse(response) {
+  const body = await response.arrayBuffer();
+  return new Response(NULL_BODY_STATUS.has(response.status) ? null : body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Retry-After as milliseconds from now, or null if absent or unparseable
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class HttpClient {
+  /**
+   * @param {object} options - any DEFAULT_OPTIONS key; requestsPerSecond
+   *   null or 0 disables the rate limit
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS };
+    for (const key of Object.keys(DEFAULT_OPTIONS)) {
+      if (options[key] !== undefined) this.options[key] = options[key];
+    }
+
+    this.capacity = this.options.burst || this.options.requestsPerSecond || 1;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.active = 0;
+    this.slotWaiters = [];
+
+    this.metrics = {
+      requests: 0,
+      succeeded: 0,
+      failed: 0,
+      retries: 0,
+      rateLimited: 0,
+      serverErrors: 0,
+      timeouts: 0,
+      networkErrors: 0,
+      throttledMs: 0,
+      inFlight: 0,
+      queued: 0
+    };
+  }
+
+  /**
+   * A snapshot of the counters: requests (attempts sent), succeeded / failed
+   * (final outcomes; a 404 is an answer), retries, rateLimited (429s),
+   * serverErrors (5xx), timeouts, networkErrors, throttledMs (time spent
+   * waiting for the rate limit), inFlight and queued
+   */
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  // ===========================================
+  // LIMITS
+  // ===========================================
+
+  refill() {
+    const now = Date.now();
+    const rate = this.options.requestsPerSecond;
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + ((now - this.lastRefill) / 1000) * rate
+    );
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for a concurrency slot, then for a token
+   */
+  async acquire() {
+    this.metrics.queued++;
+    while (this.active >= this.options.concurrency) {
+      await new Promise((resolve) => this.slotWaiters.push(resolve));
+    }
+    this.active++;
+
+    try {
+      for (;;) {
+        const pause = this.pausedUntil - Date.now();
+        if (!this.options.requestsPerSecond) {
+          if (pause <= 0) return;
+        } else {
+          this.refill();
+          if (pause <= 0 && this.tokens >= 1) {
+            this.tokens--;
+            return;
+          }
+        }
+
+        const wait = Math.ceil(
+          Math.max(
+            pause,
+            this.options.requestsPerSecond
+              ? ((1 - this.tokens) / this.options.requestsPerSecond) * 1000
+              : 0,
+            1
+          )
+        );
+        this.metrics.throttledMs += wait;
+        await sleep(wait);
+      }
+    } finally {
+      this.metrics.queued--;
+    }
+  }
+
+  release() {
+    this.active--;
+    const next = this.slotWaiters.shift();
+    if (next) next();
+  }
+
+  backoffDelay(attempt) {
+    const ceiling = Math.min(
+      this.options.maxDelayMs,
+      this.options.baseDelayMs * 2 ** attempt
+    );
+    return Math.random() * ceiling;
+  }
+
+  // ===========================================
+  // REQUESTS
+  // ===========================================
+
+  /**
+   * fetch(url, init) with rate limiting, timeouts and retries
+   * @returns {Promise<Response>} - the first non-retryable response, or the
+   *   last one once retries run out, with its body already read
+   */
+  async fetch(url, init = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const lastAttempt = attempt >= this.options.maxRetries;
+      let response = null;
+      let error = null;
+
+      await this.acquire();
+      this.metrics.requests++;
+      this.metrics.inFlight++;
+      try {
+        response = await bufferResponse(
+          await fetch(url, {
+            ...init,
+            signal: AbortSignal.timeout(this.options.timeoutMs)
+          })
+        );
+      } catch (err) {
+        error = err;
+      } finally {
+        this.metrics.inFlight--;
+        this.release();
+      }
+
+      let delay = this.backoffDelay(attempt);
+      if (error) {
+        if (error.name === "TimeoutError") {
+          this.metrics.timeouts++;
+          error = new Error(
+            `Request timed out after ${this.options.timeoutMs}ms: ${url}`
+          );
+        } else {
+          this.metrics.networkErrors++;
+        }
+      } else if (RETRYABLE_STATUS.has(response.status)) {
+        if (response.status === 429) this.metrics.rateLimited++;
+        else this.metrics.serverErrors++;
+
+        const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+        if (retryAfter !== null) {
+          delay = Math.min(retryAfter, this.options.maxDelayMs);
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        }
+      } else {
+        if (response.ok || response.status === 404) this.metrics.succeeded++;
+        else this.metrics.failed++;
+        return response;
+      }
+
+      if (lastAttempt) {
+        this.metrics.failed++;
+        if (error) throw error;
+        return response;
+      }
+
+      this.metrics.retries++;
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  HttpClient,
+  parseRetryAfter
+};
@@ -0,0 +1,45 @@
+export type LogLevel = "debug" | "info" | "warn" | "error" | "silent";
+export type LogFormat = "json" | "pretty";
+
+export interface LoggerOptions {
+  /** Default "info" */
+  level?: LogLevel;
+  /** Default pretty when the stream is a terminal, else json */
+  format?: LogFormat;
+  /** Default process.stderr */
+  stream?: NodeJS.WritableStream & { isTTY?: boolean };
+  /** Context fields added to every line */
+  fields?: Record<string, unknown>;
+}
+
+export declare const LEVELS: Record<LogLevel, number>;
+
+export declare class Logger {
+  constructor(options?: LoggerOptions);
+
+  readonly level: LogLevel;
+  readonly format: LogFormat;
+  readonly pretty: boolean;
+  readonly fields: Record<string, unknown>;
+
+  /** A logger adding `fields` to every line of this one */
+  child(fields: Record<string, unknown>): Logger;
+  isLevelEnabled(level: LogLevel): boolean;
+  log(level: LogLevel, msg: string, fields?: Record<string, unknown>): void;
+  debug(msg: string, fields?: Record<string, unknown>): void;
+  info(msg: string, fields?: Record<string, unknown>): void;
+  warn(msg: string, fields?: Record<string, unknown>): void;
+  error(msg: string, fields?: Record<string, unknown>): void;
+}
+
+export declare function createLogger(options?: LoggerOptions): Logger;
+
+/** Used by the libraries when they are not given a logger */
+export declare const defaultLogger: Logger;
+
+/** Write `{ "type": type, "event": event }` to stdout as one JSON line */
+export declare function writeEvent(
+  type: string,
+  event: unknown,
+  stream?: NodeJS.WritableStream
+): void;
@@ -0,0 +1,161 @@
+/**
+ * logger.js
+ *
+ * Leveled logger for diagnostics, writing JSON lines or, for local use,
+ * human-readable lines:
+ *
+ *   const log = createLogger({ level: "info", format: "json" });
+ *   log.info("Monitor started", { network: "testnet" });
+ *   const addressLog = log.child({ address: "0x8f31..." });
+ *   addressLog.warn("Account no longer exists");
+ *
+ *   json:   {"time":"...","level":"warn","msg":"Account no longer exists","address":"0x8f31..."}
+ *   pretty: 12:00:00.000 WARN  Account no longer exists address=0x8f31...
+ *
+ * Logs go to stderr, so stdout is left to the events themselves: writeEvent()
+ * prints one as a JSON line.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ["json", "pretty"];
+
+/**
+ * Errors as { message, context?, stack } (they stringify to {}), bigints as
+ * strings
+ */
+function serializeValue(value) {
+  if (value instanceof Error) {
+    const serialized = { message: value.message };
+    if (value.context) serialized.context = value.context;
+    if (value.code) serialized.code = value.code;
+    serialized.stack = value.stack;
+    return serialized;
+  }
+  if (typeof value === "bigint") return value.toString();
+  return value;
+}
+
+function formatPrettyValue(value) {
+  if (value instanceof Error) return JSON.stringify(value.message);
+  if (value !== null && typeof value === "object") {
+    return JSON.stringify(value, (key, v) => serializeValue(v));
+  }
+  const text = String(value);
+  return /^[^\s"=]+$/.test(text) ? text : JSON.stringify(text);
+}
+
+class Logger {
+  /**
+   * @param {object} options
+   *   level:  "debug", "info" (default), "warn", "error" or "silent"
+   *   format: "json" or "pretty"; default pretty when the stream is a
+   *           terminal
+   *   stream: where lines go (default process.stderr)
+   *   fields: context fields added to every line
+   */
+  constructor(options = {}) {
+    this.stream = options.stream || process.stderr;
+    this.level = options.level || "info";
+    this.format = options.format || (this.stream.isTTY ? "pretty" : "json");
+    this.fields = options.fields || {};
+
+    if (!(this.level in LEVELS)) {
+      throw new Error(
+        `Unknown log level "${this.level}" (${Object.keys(LEVELS).join(", ")})`
+      );
+    }
+    if (!FORMATS.includes(this.format)) {
+      throw new Error(
+        `Unknown log format "${this.format}" (${FORMATS.join(", ")})`
+      );
+    }
+  }
+
+  get pretty() {
+    return this.format === "pretty";
+  }
+
+  /**
+   * A logger adding `fields` to every line of this one
+   */
+  child(fields) {
+    return new Logger({
+      stream: this.stream,
+      level: this.level,
+      format: this.format,
+      fields: { ...this.fields, ...fields }
+    });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+    const time = new Date().toISOString();
+    const all = { ...this.fields, ...fields };
+
+    if (this.pretty) {
+      const pairs = Object.entries(all)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}=${formatPrettyValue(value)}`);
+      this.stream.write(
+        `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${[
+          msg,
+          ...pairs
+        ].join(" ")}\n`
+      );
+      return;
+    }
+
+    this.stream.write(
+      JSON.stringify({ time, level, msg, ...all }, (key, value) =>
+        serializeValue(value)
+      ) + "\n"
+    );
+  }
+
+  debug(msg, fields) {
+    this.log("debug", msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log("info", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log("warn", msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log("error", msg, fields);
+  }
+}
+
+function createLogger(options = {}) {
+  return new Logger(options);
+}
+
+// Used by the libraries when they are not given a logger
+const defaultLogger = createLogger();
+
+/**
+ * Write a monitor event (e.g. a transfer) to stdout as one JSON line:
+ * { "type": "transfer", "event": { ... } }
+ */
+function writeEvent(type, event, stream = process.stdout) {
+  stream.write(
+    JSON.stringify({ type, event }, (key, value) =>
+      typeof value === "bigint" ? value.toString() : value
+    ) + "\n"
+  );
+}
+
+module.exports = {
+  LEVELS,
+  Logger,
+  createLogger,
+  defaultLogger,
+  writeEvent
+};
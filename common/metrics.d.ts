@@ -0,0 +1,68 @@
+import { Server } from "http";
+import { HttpClient } from "./http-client";
+import { Logger } from "./logger";
+import { MonitorBase } from "./monitor-base";
+
+export interface MetricSample {
+  /** Defaults to the family's name */
+  name?: string;
+  labels?: Record<string, string>;
+  value: number;
+}
+
+export interface MetricFamily {
+  name: string;
+  help: string;
+  type: "counter" | "gauge" | "histogram";
+  samples: MetricSample[];
+}
+
+export type MetricsCollector = () => MetricFamily[];
+
+export interface MonitorMetricsOptions {
+  /** Default ten polling intervals, at least a minute */
+  stallAfterMs?: number;
+  /** Poll duration histogram buckets, in seconds */
+  buckets?: number[];
+  collectors?: MetricsCollector[];
+}
+
+export interface MonitorHealth {
+  healthy: boolean;
+  ready: boolean;
+  unhealthyReasons: string[];
+  /** Includes every unhealthy reason */
+  notReadyReasons: string[];
+  /** ISO 8601 */
+  lastPollAt: string | null;
+  lastSuccessfulPollAt: string | null;
+  lagSeconds: number | null;
+}
+
+export declare const DEFAULT_BUCKETS: number[];
+
+export declare class MonitorMetrics {
+  /** Create before monitor.start() so the first poll is counted */
+  constructor(monitor: MonitorBase<any, any>, options?: MonitorMetricsOptions);
+
+  readonly stallAfterMs: number;
+
+  getLagSeconds(now?: number): number | null;
+  getHealth(now?: number): MonitorHealth;
+  collect(): MetricFamily[];
+  /** Prometheus text exposition format */
+  render(): string;
+}
+
+export declare function httpClientMetrics(
+  client: HttpClient,
+  prefix?: string
+): MetricsCollector;
+
+export declare function renderMetrics(families: MetricFamily[]): string;
+
+/** Serve /metrics, /healthz and /readyz */
+export declare function startMetricsServer(
+  metrics: MonitorMetrics,
+  options?: { port?: number; host?: string; logger?: Logger }
+): Promise<Server>;
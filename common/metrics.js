@@ -0,0 +1,436 @@
+/**
+ * metrics.js
+ *
+ * Prometheus metrics and health checks for a monitor (see monitor-base.js),
+ * served over HTTP:
+ *
+ *   GET /metrics   Prometheus text exposition format
+ *   GET /healthz   liveness: 503 once polling has stalled (no poll ended for
+ *                  stallAfterMs), or no poll has succeeded for that long,
+ *                  e.g. because the database or Mirror Node is unreachable
+ *   GET /readyz    readiness: 503 until the first poll succeeds, while the
+ *                  latest poll failed, and whenever /healthz fails
+ *
+ * The health endpoints answer JSON listing what is wrong. The few metric
+ * types needed are rendered here rather than with a client library.
+ */
+
+const http = require("http");
+const { defaultLogger } = require("./logger");
+
+// Poll duration histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// ===========================================
+// TEXT FORMAT
+// ===========================================
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels = {}) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+/**
+ * Render metric families as Prometheus text. A family is
+ * { name, help, type, samples: [{ name?, labels?, value }] }; a sample's name
+ * defaults to the family's.
+ */
+function renderMetrics(families) {
+  const lines = [];
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    for (const sample of family.samples) {
+      lines.push(
+        `${sample.name || family.name}${formatLabels(
+          sample.labels
+        )} ${formatValue(sample.value)}`
+      );
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+class Histogram {
+  constructor(buckets = DEFAULT_BUCKETS) {
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.counts = this.buckets.map(() => 0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  observe(value) {
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) this.counts[i]++;
+    });
+    this.sum += value;
+    this.count++;
+  }
+
+  samples(name) {
+    return [
+      ...this.buckets.map((bound, i) => ({
+        name: `${name}_bucket`,
+        labels: { le: formatValue(bound) },
+        value: this.counts[i]
+      })),
+      { name: `${name}_bucket`, labels: { le: "+Inf" }, value: this.count },
+      { name: `${name}_sum`, value: this.sum },
+      { name: `${name}_count`, value: this.count }
+    ];
+  }
+}
+
+function counter(name, help, value) {
+  return { name, help, type: "counter", samples: [{ value }] };
+}
+
+function gauge(name, help, value) {
+  return {
+    name,
+    help,
+    type: "gauge",
+    samples: value === null ? [] : [{ value }]
+  };
+}
+
+// ===========================================
+// MONITOR METRICS
+// ===========================================
+
+class MonitorMetrics {
+  /**
+   * Create before monitor.start() so the first poll is counted.
+   *
+   * @param {MonitorBase} monitor
+   * @param {object} options
+   *   stallAfterMs: how long without a finished poll, or a successful one,
+   *                 makes the monitor unhealthy (default ten polling
+   *                 intervals, at least a minute)
+   *   buckets:      poll duration histogram buckets, in seconds
+   *   collectors:   functions returning extra metric families, e.g.
+   *                 httpClientMetrics(monitor.client.http)
+   */
+  constructor(monitor, options = {}) {
+    this.monitor = monitor;
+    this.stallAfterMs =
+      options.stallAfterMs || Math.max(60000, monitor.pollingIntervalMs * 10);
+    this.collectors = options.collectors || [];
+    this.createdAt = Date.now();
+
+    this.polls = { success: 0, failure: 0 };
+    this.pollDuration = new Histogram(options.buckets);
+    this.transfers = new Map(); // "assetType detectionMethod" -> count
+    this.accountsCreated = 0;
+
+    monitor.on("poll", ({ durationMs, ok }) => {
+      this.polls[ok ? "success" : "failure"]++;
+      this.pollDuration.observe(durationMs / 1000);
+    });
+    monitor.on("transfer", (event) => {
+      const key = `${event.assetType} ${event.detectionMethod}`;
+      this.transfers.set(key, (this.transfers.get(key) || 0) + 1);
+    });
+    monitor.on("accountCreated", () => {
+      this.accountsCreated++;
+    });
+  }
+
+  /**
+   * Seconds between the last processed consensus timestamp and now, or null
+   */
+  getLagSeconds(now = Date.now()) {
+    const { lastProcessedTimestamp } = this.monitor.getProgress();
+    if (!lastProcessedTimestamp) return null;
+    const lag = now / 1000 - Number(lastProcessedTimestamp);
+    return Math.max(0, Math.round(lag * 1000) / 1000);
+  }
+
+  /**
+   * @returns {object} - { healthy, ready, unhealthyReasons,
+   *   notReadyReasons, lastPollAt, lastSuccessfulPollAt, lagSeconds };
+   *   every reason the monitor is unhealthy also makes it not ready
+   */
+  getHealth(now = Date.now()) {
+    const monitor = this.monitor;
+    const unhealthy = [];
+    const seconds = (since) => Math.round((now - since) / 1000);
+
+    const lastEnded = monitor.lastPollEndedAt || this.createdAt;
+    if (now - lastEnded > this.stallAfterMs) {
+      unhealthy.push(
+        `polling stalled: no poll ended for ${seconds(lastEnded)}s`
+      );
+    }
+    const lastSuccess = monitor.lastSuccessfulPollAt || this.createdAt;
+    if (now - lastSuccess > this.stallAfterMs) {
+      unhealthy.push(`no successful poll for ${seconds(lastSuccess)}s`);
+    }
+    const notReady = [...unhealthy];
+    if (!monitor.isRunning) notReady.push("monitor is not running");
+    if (!monitor.lastSuccessfulPollAt) {
+      notReady.push("no successful poll yet");
+    } else if (monitor.lastPollEndedAt > monitor.lastSuccessfulPollAt) {
+      notReady.push("the latest poll failed");
+    }
+
+    const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+    return {
+      healthy: unhealthy.length === 0,
+      ready: notReady.length === 0,
+      unhealthyReasons: unhealthy,
+      notReadyReasons: notReady,
+      lastPollAt: iso(monitor.lastPollEndedAt),
+      lastSuccessfulPollAt: iso(monitor.lastSuccessfulPollAt),
+      lagSeconds: this.getLagSeconds(now)
+    };
+  }
+
+  /**
+   * Every metric family, monitor first, then the collectors'
+   */
+  collect() {
+    const monitor = this.monitor;
+    const now = Date.now();
+    const progress = monitor.getProgress();
+    const health = this.getHealth(now);
+
+    const families = [
+      {
+        name: "hedera_monitor_info",
+        help: "Monitor source and network",
+        type: "gauge",
+        samples: [
+          {
+            labels: {
+              source: monitor.source || "",
+              network: monitor.network || ""
+            },
+            value: 1
+          }
+        ]
+      },
+      {
+        name: "hedera_monitor_polls_total",
+        help: "Polls finished, by result",
+        type: "counter",
+        samples: Object.entries(this.polls).map(([result, value]) => ({
+          labels: { result },
+          value
+        }))
+      },
+      {
+        name: "hedera_monitor_poll_duration_seconds",
+        help: "Poll duration",
+        type: "histogram",
+        samples: this.pollDuration.samples(
+          "hedera_monitor_poll_duration_seconds"
+        )
+      },
+      counter(
+        "hedera_monitor_scanned_total",
+        "Transactions (REST) or transaction rows (database) scanned",
+        progress.scanned
+      ),
+      {
+        name: "hedera_monitor_transfers_total",
+        help: "Incoming transfers reported, by asset type and detection method",
+        type: "counter",
+        samples: [...this.transfers].map(([key, value]) => {
+          const [assetType, detectionMethod] = key.split(" ");
+          return {
+            labels: {
+              asset_type: assetType,
+              detection_method: detectionMethod
+            },
+            value
+          };
+        })
+      },
+      counter(
+        "hedera_monitor_duplicates_suppressed_total",
+        "Transfers not reported again because their idempotency key was seen",
+        monitor.duplicatesSuppressed
+      ),
+      counter(
+        "hedera_monitor_transfers_dropped_total",
+        "Transfers not reported because a rule dropped them",
+        monitor.transfersDropped
+      ),
+      counter(
+        "hedera_monitor_accounts_created_total",
+        "Watched addresses seen getting a Hedera account",
+        this.accountsCreated
+      ),
+      counter(
+        "hedera_monitor_errors_total",
+        "Errors reported by the monitor",
+        monitor.errorCount
+      ),
+      gauge(
+        "hedera_monitor_watched_addresses",
+        "Addresses on the watchlist",
+        monitor.watchedEvmAddresses ? monitor.watchedEvmAddresses.size : null
+      ),
+      gauge(
+        "hedera_monitor_last_processed_timestamp_seconds",
+        "Consensus timestamp everything up to which has been processed",
+        progress.lastProcessedTimestamp
+          ? Number(progress.lastProcessedTimestamp)
+          : null
+      ),
+      gauge(
+        "hedera_monitor_lag_seconds",
+        "Seconds between the last processed consensus timestamp and now",
+        health.lagSeconds
+      ),
+      gauge(
+        "hedera_monitor_catching_up",
+        "1 while the monitor works through a backlog, else 0",
+        progress.catchingUp === undefined ? null : progress.catchingUp ? 1 : 0
+      ),
+      gauge(
+        "hedera_monitor_last_successful_poll_timestamp_seconds",
+        "Unix time of the last poll without errors",
+        monitor.lastSuccessfulPollAt
+          ? monitor.lastSuccessfulPollAt / 1000
+          : null
+      ),
+      gauge(
+        "hedera_monitor_healthy",
+        "1 if /healthz passes, else 0",
+        health.healthy ? 1 : 0
+      ),
+      gauge(
+        "hedera_monitor_ready",
+        "1 if /readyz passes, else 0",
+        health.ready ? 1 : 0
+      )
+    ];
+
+    for (const collect of this.collectors) families.push(...collect());
+    return families;
+  }
+
+  render() {
+    return renderMetrics(this.collect());
+  }
+}
+
+/**
+ * A collector for MonitorMetrics reporting an HttpClient's counters (see
+ * http-client.js), e.g. the REST monitor's Mirror Node requests
+ */
+function httpClientMetrics(client, prefix = "hedera_monitor_mirror_http") {
+  return () => {
+    const m = client.getMetrics();
+    return [
+      counter(`${prefix}_requests_total`, "Requests sent", m.requests),
+      counter(`${prefix}_retries_total`, "Requests retried", m.retries),
+      counter(
+        `${prefix}_failed_total`,
+        "Requests that failed after retries",
+        m.failed
+      ),
+      counter(`${prefix}_rate_limited_total`, "429 responses", m.rateLimited),
+      counter(`${prefix}_server_errors_total`, "5xx responses", m.serverErrors),
+      counter(`${prefix}_timeouts_total`, "Requests timed out", m.timeouts),
+      counter(
+        `${prefix}_network_errors_total`,
+        "Requests failed by a network error",
+        m.networkErrors
+      ),
+      counter(
+        `${prefix}_throttled_seconds_total`,
+        "Time requests waited for the rate limit",
+        m.throttledMs / 1000
+      ),
+      gauge(`${prefix}_in_flight`, "Requests in flight", m.inFlight),
+      gauge(`${prefix}_queued`, "Requests waiting to be sent", m.queued)
+    ];
+  };
+}
+
+// ===========================================
+// HTTP SERVER
+// ===========================================
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Serve /metrics, /healthz and /readyz.
+ *
+ * @param {MonitorMetrics} metrics
+ * @param {object} options - { port, host, logger }
+ * @returns {Promise<http.Server>}
+ */
+function startMetricsServer(metrics, options = {}) {
+  const log = options.logger || defaultLogger;
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      return sendJson(res, 405, { error: "Method not allowed" });
+    }
+
+    if (pathname === "/metrics") {
+      let body;
+      try {
+        body = metrics.render();
+      } catch (err) {
+        log.error("Metrics error", { err });
+        return sendJson(res, 500, { error: err.message });
+      }
+      res.writeHead(200, {
+        "Content-Type": "text/plain; version=0.0.4; charset=utf-8"
+      });
+      return res.end(body);
+    }
+    if (pathname === "/healthz" || pathname === "/readyz") {
+      const { healthy, ready, unhealthyReasons, notReadyReasons, ...info } =
+        metrics.getHealth();
+      const live = pathname === "/healthz";
+      const ok = live ? healthy : ready;
+      return sendJson(res, ok ? 200 : 503, {
+        status: ok ? "ok" : "unavailable",
+        reasons: live ? unhealthyReasons : notReadyReasons,
+        ...info
+      });
+    }
+    sendJson(res, 404, { error: "Not found" });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(options.port || 0, options.host || "127.0.0.1", () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  MonitorMetrics,
+  httpClientMetrics,
+  renderMetrics,
+  startMetricsServer
+};
@@ -0,0 +1,119 @@
+import { EventEmitter } from "events";
+import { CheckpointStore } from "./checkpoint-store";
+import { DepositAttribution } from "./attribution";
+import { RuleEngine } from "./rule-engine";
+import { Logger } from "./logger";
+
+export interface PollInfo<Stats> {
+  /** 1-based poll counter */
+  poll: number;
+  durationMs: number;
+  /** False if the poll reported an error */
+  ok: boolean;
+  /** Snapshot of the monitor's stats after the poll */
+  stats: Stats;
+}
+
+export interface AccountCreatedInfo {
+  evmAddress: string;
+  label: string | null;
+  entityId: string;
+  [key: string]: unknown;
+}
+
+/** Errors reported by a monitor may say which step failed */
+export interface MonitorError extends Error {
+  context?: string;
+}
+
+export interface MonitorProgress {
+  /** Rows or transactions scanned so far */
+  scanned: number;
+  /** Everything up to this consensus timestamp has been processed */
+  lastProcessedTimestamp: string | null;
+  /** True while a backlog is being worked through (if the monitor can tell) */
+  catchingUp?: boolean;
+}
+
+export interface MonitorBaseOptions<Transfer> {
+  pollingIntervalMs?: number;
+  /** Diagnostics logger; default: JSON lines, or pretty on a terminal */
+  logger?: Logger;
+  /** Check transfer events against the schema (default true) */
+  validateEvents?: boolean;
+  /**
+   * Idempotency keys to remember for duplicate suppression (default 10000,
+   * 0 disables it)
+   */
+  dedupeCacheSize?: number;
+  /** Where the seen idempotency keys are saved across restarts */
+  checkpointStore?: CheckpointStore;
+  /** Sets attributedTo on deposits to shared addresses, by memo */
+  attribution?: DepositAttribution | null;
+  /** Drops transfer events or routes them to more sinks */
+  rules?: RuleEngine | null;
+  onTransferReceived?: (transfer: Transfer) => void;
+  onAccountCreated?: (account: AccountCreatedInfo) => void;
+  onError?: (error: MonitorError) => void;
+}
+
+export interface MonitorEvents<Transfer, Stats> {
+  transfer: [transfer: Transfer];
+  accountCreated: [account: AccountCreatedInfo];
+  error: [error: MonitorError];
+  poll: [info: PollInfo<Stats>];
+}
+
+export declare class MonitorBase<Transfer, Stats> extends EventEmitter {
+  constructor(options?: MonitorBaseOptions<Transfer>);
+
+  readonly isRunning: boolean;
+  readonly pollingIntervalMs: number;
+  readonly validateEvents: boolean;
+  /** Written into every transfer event */
+  readonly source: "rest" | "db" | null;
+  readonly network: string | null;
+  /** Diagnostics logger, with the monitor's source and network as fields */
+  readonly log: Logger;
+  stats: Stats;
+  /** Date.now() when the last poll started and ended, or null */
+  readonly lastPollStartedAt: number | null;
+  readonly lastPollEndedAt: number | null;
+  /** Date.now() when the last poll without errors ended, or null */
+  readonly lastSuccessfulPollAt: number | null;
+  /** Errors reported since start */
+  readonly errorCount: number;
+  /** Transfers not emitted because their idempotency key was seen before */
+  readonly duplicatesSuppressed: number;
+  readonly attribution: DepositAttribution | null;
+  readonly rules: RuleEngine | null;
+  /** Transfers not emitted because a rule dropped them */
+  readonly transfersDropped: number;
+
+  /** Initialize, run the first poll and keep polling until stop() */
+  start(): Promise<void>;
+  /** Stop polling, wait for the poll in flight and release resources */
+  stop(): Promise<void>;
+  /** Run one poll now, or join the one in flight */
+  pollNow(): Promise<void>;
+  /** Milliseconds between the end of a poll and the next one */
+  nextPollDelay(): number;
+  getProgress(): MonitorProgress;
+
+  on<E extends keyof MonitorEvents<Transfer, Stats>>(
+    event: E,
+    listener: (...args: MonitorEvents<Transfer, Stats>[E]) => void
+  ): this;
+  once<E extends keyof MonitorEvents<Transfer, Stats>>(
+    event: E,
+    listener: (...args: MonitorEvents<Transfer, Stats>[E]) => void
+  ): this;
+  off<E extends keyof MonitorEvents<Transfer, Stats>>(
+    event: E,
+    listener: (...args: MonitorEvents<Transfer, Stats>[E]) => void
+  ): this;
+  emit<E extends keyof MonitorEvents<Transfer, Stats>>(
+    event: E,
+    ...args: MonitorEvents<Transfer, Stats>[E]
+  ): boolean;
+}
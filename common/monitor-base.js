@@ -0,0 +1,282 @@
+/**
+ * monitor-base.js
+ *
+ * EventEmitter lifecycle shared by both monitors.
+ *
+ * Events:
+ *   transfer        (event)  an incoming transfer to a watched address
+ *   accountCreated  (info)   a watched address got a Hedera account
+ *   error           (error)  a poll (or part of one) failed; polling goes on
+ *   poll            (info)   a poll finished: { poll, durationMs, ok, stats }
+ *                            ok is false if the poll reported an error
+ *
+ * Polls never overlap: the next one is scheduled nextPollDelay() (by default
+ * pollingIntervalMs) after the previous one finished, and stop() waits for
+ * the one in flight.
+ *
+ * Subclasses implement poll(), and optionally init() (run by start() before
+ * the first poll) and close() (run by stop() after the last one). They set
+ * `source` and `network`, and report transfers with emitTransfer(), which
+ * shapes them as transfer-event.schema.json and validates them. Overriding
+ * getProgress() lets metrics.js report how far the monitor has scanned.
+ *
+ * Every event carries an idempotency key (see transferEventKey()), and
+ * emitTransfer() drops an event whose key it has emitted before, e.g. when
+ * a restart replays transactions reported before the last checkpoint. The
+ * keys live in a bounded seen-set (seen-events.js), saved in the checkpoint
+ * store if there is one; subclasses restore it with seenEvents.restore().
+ *
+ * With an `attribution` (see attribution.js), emitTransfer() also credits
+ * deposits to shared addresses to a customer by their memo, in the event's
+ * `attributedTo` field.
+ *
+ * With `rules` (see rule-engine.js), emitTransfer() asks the rule engine
+ * about each event before attributing and emitting it: an event a rule
+ * drops is neither attributed nor emitted (it still counts as seen), and a
+ * routed one is also handed to the
+ * rules' sinks after the `transfer` listeners.
+ */
+
+const { EventEmitter } = require("events");
+const { defaultLogger } = require("./logger");
+const {
+  TransferEventValidationError,
+  buildTransferEvent,
+  transferEventKey,
+  validateTransferEvent
+} = require("./transfer-event");
+const { SeenEvents } = require("./seen-events");
+
+class MonitorBase extends EventEmitter {
+  /**
+   * @param {object} options
+   *   pollingIntervalMs: delay between the end of one poll and the next
+   *   validateEvents:    check transfer events against the schema (default
+   *                      true); invalid events are still emitted, after an
+   *                      error event describing what is wrong
+   *   logger:            diagnostics logger (see logger.js)
+   *   dedupeCacheSize:   idempotency keys to remember for duplicate
+   *                      suppression (default 10000, 0 disables it)
+   *   checkpointStore:   where the seen keys are saved (optional)
+   *   attribution:       DepositAttribution that sets attributedTo
+   *                      (optional, see attribution.js)
+   *   rules:             RuleEngine that filters and routes transfer
+   *                      events (optional, see rule-engine.js)
+   *   onTransferReceived, onAccountCreated, onError: optional listeners for
+   *     the transfer, accountCreated and error events
+   */
+  constructor(options = {}) {
+    super();
+    this.pollingIntervalMs = options.pollingIntervalMs || 5000;
+    this.isRunning = false;
+    this.pollTimer = null;
+    this.inFlightPoll = null;
+    this.pollCount = 0;
+    this.validateEvents = options.validateEvents !== false;
+    this.source = null;
+    this.network = null;
+    this.log = options.logger || defaultLogger;
+
+    this.seenEvents = new SeenEvents({
+      limit: options.dedupeCacheSize,
+      store: options.checkpointStore || null,
+      onError: (error) => this.reportError(error, "Error saving seen events")
+    });
+    // Off while backfilling, which replays history on purpose and leaves
+    // the seen-set alone
+    this.dedupeEvents = true;
+    this.duplicatesSuppressed = 0;
+    this.attribution = options.attribution || null;
+    this.rules = options.rules || null;
+    this.transfersDropped = 0;
+
+    // Poll health, for metrics and health checks (Date.now() values)
+    this.lastPollStartedAt = null;
+    this.lastPollEndedAt = null;
+    this.lastSuccessfulPollAt = null;
+    this.pollErrors = 0;
+    this.errorCount = 0;
+
+    if (options.onTransferReceived) {
+      this.on("transfer", options.onTransferReceived);
+    }
+    if (options.onAccountCreated) {
+      this.on("accountCreated", options.onAccountCreated);
+    }
+    if (options.onError) this.on("error", options.onError);
+  }
+
+  async init() {}
+
+  async close() {}
+
+  /**
+   * Initialize, run the first poll and keep polling until stop()
+   */
+  async start() {
+    if (this.isRunning) return;
+    await this.init();
+    this.isRunning = true;
+    await this.pollNow();
+    this.scheduleNextPoll();
+  }
+
+  /**
+   * Stop polling, wait for the poll in flight and release resources
+   */
+  async stop() {
+    this.isRunning = false;
+    if (this.pollTimer) clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    if (this.inFlightPoll) await this.inFlightPoll;
+    await this.seenEvents.flush();
+    await this.close();
+  }
+
+  scheduleNextPoll() {
+    if (!this.isRunning) return;
+    this.pollTimer = setTimeout(async () => {
+      this.pollTimer = null;
+      await this.pollNow();
+      this.scheduleNextPoll();
+    }, this.nextPollDelay());
+  }
+
+  /**
+   * Milliseconds between the end of a poll and the next one. Subclasses
+   * return 0 to poll again right away, e.g. while catching up.
+   */
+  nextPollDelay() {
+    return this.pollingIntervalMs;
+  }
+
+  /**
+   * Run one poll unless one is already in flight. Errors are reported
+   * through the error event, never thrown.
+   */
+  pollNow() {
+    if (!this.inFlightPoll) {
+      this.inFlightPoll = this.runPoll().finally(() => {
+        this.inFlightPoll = null;
+      });
+    }
+    return this.inFlightPoll;
+  }
+
+  async runPoll() {
+    const startedAt = Date.now();
+    this.pollCount++;
+    this.lastPollStartedAt = startedAt;
+    this.pollErrors = 0;
+    try {
+      await this.poll();
+    } catch (error) {
+      this.reportError(error);
+    }
+
+    const ok = this.pollErrors === 0;
+    this.lastPollEndedAt = Date.now();
+    if (ok) this.lastSuccessfulPollAt = this.lastPollEndedAt;
+    this.emit("poll", {
+      poll: this.pollCount,
+      durationMs: this.lastPollEndedAt - startedAt,
+      ok,
+      stats: { ...this.stats }
+    });
+  }
+
+  /**
+   * How far the monitor has got: rows or transactions scanned so far, the
+   * consensus timestamp ("seconds.nanos") everything up to which has been
+   * processed (or null if unknown), and optionally catchingUp, true while
+   * a backlog is being worked through
+   */
+  getProgress() {
+    return { scanned: 0, lastProcessedTimestamp: null };
+  }
+
+  /**
+   * Emit a transfer event built from `fields` (see transfer-event.js), unless
+   * one with the same idempotency key was emitted before.
+   * @returns {object|null} - the emitted event, or null for a duplicate or
+   *   an event a rule dropped
+   */
+  emitTransfer(fields) {
+    const idempotencyKey = transferEventKey(fields);
+    if (this.dedupeEvents && this.seenEvents.has(idempotencyKey)) {
+      this.duplicatesSuppressed++;
+      this.log.debug("Duplicate transfer suppressed", { idempotencyKey });
+      return null;
+    }
+
+    const event = buildTransferEvent({
+      network: this.network,
+      source: this.source,
+      ...fields,
+      idempotencyKey
+    });
+
+    // Rules first, so a dropped transfer is not queued for attribution
+    // review (no rule condition reads attributedTo)
+    let verdict = null;
+    if (this.rules) {
+      try {
+        verdict = this.rules.evaluate(event);
+      } catch (error) {
+        this.reportError(error, "Error evaluating transfer rules");
+      }
+    }
+    if (verdict && verdict.dropped) {
+      this.transfersDropped++;
+      this.log.debug("Transfer dropped by rule", {
+        idempotencyKey,
+        rule: verdict.dropped
+      });
+      if (this.dedupeEvents) this.seenEvents.add(idempotencyKey);
+      return null;
+    }
+
+    if (this.attribution) {
+      try {
+        event.attributedTo = this.attribution.attribute(event);
+      } catch (error) {
+        this.reportError(error, "Error attributing deposit");
+      }
+    }
+    if (this.validateEvents) {
+      const errors = validateTransferEvent(event);
+      if (errors.length > 0) {
+        this.reportError(
+          new TransferEventValidationError(event, errors),
+          "Invalid transfer event"
+        );
+      }
+    }
+
+    this.emit("transfer", event);
+    if (verdict) this.rules.deliver(event, verdict.routes);
+    if (this.dedupeEvents) this.seenEvents.add(idempotencyKey);
+    return event;
+  }
+
+  /**
+   * Emit an error without throwing when nobody listens for it
+   */
+  reportError(error, context = null) {
+    this.errorCount++;
+    // An invalid event is a bug to fix, not a failed poll
+    if (!(error instanceof TransferEventValidationError)) this.pollErrors++;
+    if (context && error instanceof Error && !error.context) {
+      error.context = context;
+    }
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", error);
+    } else {
+      this.log.error(context || "Monitor error", { err: error });
+    }
+  }
+}
+
+module.exports = {
+  MonitorBase
+};
@@ -0,0 +1,407 @@
+/**
+ * reconcile.js
+ *
+ * Balance reconciliation: checks that the transfers a monitor detects
+ * explain each watched account's balance history. For every address and
+ * asset (HBAR and HTS fungible tokens; NFTs are not reconciled) over a
+ * period,
+ *
+ *   start balance + detected incoming - outgoing = end balance
+ *
+ * where outgoing is every debit of the account, transaction fees included.
+ * A positive difference is money that arrived without an event (a missed
+ * deposit, or a credit the monitor does not report, such as staking
+ * rewards); a negative one is an event without the money (a duplicate or a
+ * wrong amount).
+ *
+ * Balances come from the mirror node's balance snapshots, which are taken
+ * every few minutes, so the period runs from the newest snapshot at or
+ * before its start to the newest one at or before its end.
+ *
+ * Each package has a reconcile.js command that creates its monitor and calls
+ * runReconcileCli(). Besides backfill() (see backfill.js), the monitor
+ * provides
+ *
+ *   balanceSnapshot(timestamp)  the snapshot at or before `timestamp`:
+ *     { timestamp, accounts: Map(evmAddress -> { entityId, hbar, tokens }) }
+ *     with bigint balances and tokens a Map(tokenId -> bigint) of fungible
+ *     tokens (NFT classes, whose balance is a serial count, are left out);
+ *     addresses without an account at the time are left out
+ *   accountDebits(entityId, fromTimestamp, toTimestamp)  what left the
+ *     account in (fromTimestamp, toTimestamp]: { hbar, tokens }, as above
+ *
+ * The report is written to the output directory as reconciliation.csv (one
+ * row per address and asset) and reconciliation.json. The command exits
+ * with status 2 when a difference is left unexplained.
+ *
+ * Options are those of backfill.js, with --format csv|json|both.
+ */
+
+const path = require("path");
+const { formatTokenAmount, isTokenAllowed } = require("./tokens");
+const { HBAR_DECIMALS, nanosToTimestamp } = require("./transfer-event");
+const { writeFileAtomicSync } = require("./fs-utils");
+const {
+  collectAddresses,
+  compactIsoTime,
+  parseArgs,
+  parseTime,
+  toCsv
+} = require("./backfill");
+
+const RECONCILIATION_COLUMNS = [
+  "evmAddress",
+  "label",
+  "entityId",
+  "assetType",
+  "tokenId",
+  "decimals",
+  "startBalance",
+  "incoming",
+  "transfers",
+  "missingAmounts",
+  "outgoing",
+  "expectedBalance",
+  "endBalance",
+  "difference",
+  "status"
+];
+
+const FORMATS = ["csv", "json", "both"];
+
+// ===========================================
+// REPORT
+// ===========================================
+
+/**
+ * The inputs of one reconciliation and the rows they add up to
+ */
+class ReconciliationReport {
+  /**
+   * @param {string[]} addresses - every address reconciled
+   * @param {object} options - labels ({ [address]: label }) and
+   *   tokenAllowlist (tokens the monitor does not report are left out)
+   */
+  constructor(addresses, options = {}) {
+    this.addresses = addresses;
+    this.labels = options.labels || {};
+    this.tokenAllowlist = options.tokenAllowlist || null;
+    this.start = null;
+    this.end = null;
+    this.events = [];
+    this.debits = new Map();
+  }
+
+  /**
+   * A transfer event detected in the period
+   */
+  add(event) {
+    if (event.assetType === "HBAR" || event.assetType === "FUNGIBLE_TOKEN") {
+      this.events.push(event);
+    }
+  }
+
+  /**
+   * One row per address and asset: HBAR, then each token the account held
+   * or moved in the period
+   */
+  rows() {
+    const rows = [];
+    for (const evmAddress of this.addresses) {
+      const start = this.start.accounts.get(evmAddress);
+      const end = this.end.accounts.get(evmAddress);
+      const debits = this.debits.get(evmAddress);
+      const events = this.events.filter((e) => e.evmAddress === evmAddress);
+      const entityId =
+        (end && end.entityId) || (start && start.entityId) || null;
+
+      const tokenIds = new Set();
+      for (const source of [start, end, debits]) {
+        if (source)
+          for (const tokenId of source.tokens.keys()) tokenIds.add(tokenId);
+      }
+      for (const event of events) {
+        if (event.tokenId) tokenIds.add(event.tokenId);
+      }
+
+      const assets = [{ assetType: "HBAR", tokenId: null }];
+      for (const tokenId of [...tokenIds].sort()) {
+        if (isTokenAllowed(this.tokenAllowlist, evmAddress, tokenId)) {
+          assets.push({ assetType: "FUNGIBLE_TOKEN", tokenId });
+        }
+      }
+
+      for (const { assetType, tokenId } of assets) {
+        const balanceOf = (source) => {
+          if (!source) return 0n;
+          if (!tokenId) return source.hbar;
+          return source.tokens.get(tokenId) || 0n;
+        };
+        const assetEvents = events.filter(
+          (e) => e.assetType === assetType && e.tokenId === tokenId
+        );
+        rows.push(
+          reconciliationRow({
+            evmAddress,
+            label: this.labels[evmAddress] || null,
+            entityId,
+            assetType,
+            tokenId,
+            startBalance: balanceOf(start),
+            endBalance: balanceOf(end),
+            outgoing: balanceOf(debits),
+            events: assetEvents
+          })
+        );
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Rows whose difference the detected transfers do not explain
+   */
+  unexplained() {
+    return this.rows().filter((row) => row.status !== "ok");
+  }
+
+  /**
+   * @param {string} outDir
+   * @param {string} format - "csv", "json" or "both"
+   * @returns {string[]} - paths of the files written
+   */
+  write(outDir, format = "both") {
+    const rows = this.rows();
+    const files = [];
+    const writeFile = (name, contents) => {
+      const file = path.join(outDir, name);
+      writeFileAtomicSync(file, contents);
+      files.push(file);
+    };
+
+    if (format === "csv" || format === "both") {
+      writeFile("reconciliation.csv", toCsv(RECONCILIATION_COLUMNS, rows));
+    }
+    if (format === "json" || format === "both") {
+      const report = {
+        fromTimestamp: this.start.timestamp,
+        toTimestamp: this.end.timestamp,
+        rows
+      };
+      writeFile("reconciliation.json", JSON.stringify(report, null, 2) + "\n");
+    }
+    return files;
+  }
+}
+
+/**
+ * Amounts are strings in the asset's smallest unit. An event without an
+ * amount (e.g. an undecodable Ethereum value) makes the row "incomplete".
+ */
+function reconciliationRow(fields) {
+  const { events, startBalance, endBalance, outgoing } = fields;
+  let incoming = 0n;
+  let missingAmounts = 0;
+  let decimals = fields.assetType === "HBAR" ? HBAR_DECIMALS : null;
+  for (const event of events) {
+    if (event.amount === null) missingAmounts++;
+    else incoming += BigInt(event.amount);
+    if (event.decimals !== null) decimals = event.decimals;
+  }
+  const expectedBalance = startBalance + incoming - outgoing;
+  const difference = endBalance - expectedBalance;
+
+  let status = "ok";
+  if (missingAmounts > 0) status = "incomplete";
+  else if (difference !== 0n) status = "unexplained";
+
+  return {
+    evmAddress: fields.evmAddress,
+    label: fields.label,
+    entityId: fields.entityId,
+    assetType: fields.assetType,
+    tokenId: fields.tokenId,
+    decimals,
+    startBalance: startBalance.toString(),
+    incoming: incoming.toString(),
+    transfers: events.length,
+    missingAmounts,
+    outgoing: outgoing.toString(),
+    expectedBalance: expectedBalance.toString(),
+    endBalance: endBalance.toString(),
+    difference: difference.toString(),
+    status
+  };
+}
+
+// ===========================================
+// RECONCILIATION
+// ===========================================
+
+/**
+ * Reconcile the monitor's watched addresses between the balance snapshots
+ * at or before fromTimestamp and toTimestamp ("seconds.nanos"). Failures
+ * are thrown.
+ * @returns {Promise<ReconciliationReport>}
+ */
+async function reconcileBalances(monitor, fromTimestamp, toTimestamp) {
+  const addresses = [...monitor.watchedEvmAddresses];
+  const report = new ReconciliationReport(addresses, {
+    labels: monitor.addressLabels,
+    tokenAllowlist: monitor.config.tokenAllowlist
+  });
+
+  report.start = await monitor.balanceSnapshot(fromTimestamp);
+  report.end = await monitor.balanceSnapshot(toTimestamp);
+  const from = report.start.timestamp;
+  const to = report.end.timestamp;
+
+  const onTransfer = (event) => report.add(event);
+  monitor.on("transfer", onTransfer);
+  try {
+    if (from !== to) {
+      const range = await monitor.backfill(from, to);
+      if (range.toTimestamp !== to) {
+        throw new Error(
+          `Transfers are only available up to ${range.toTimestamp}, ` +
+            `before the balance snapshot at ${to}`
+        );
+      }
+    }
+  } finally {
+    monitor.off("transfer", onTransfer);
+  }
+
+  for (const evmAddress of addresses) {
+    const account =
+      report.end.accounts.get(evmAddress) ||
+      report.start.accounts.get(evmAddress);
+    if (account && from !== to) {
+      report.debits.set(
+        evmAddress,
+        await monitor.accountDebits(account.entityId, from, to)
+      );
+    }
+  }
+  return report;
+}
+
+// ===========================================
+// COMMAND LINE
+// ===========================================
+
+function usage(command, extraUsage) {
+  console.log(
+    [
+      "Usage:",
+      `  ${command} --from TIME [--to TIME]`,
+      "    (--address ADDR[=LABEL]... | --addresses-file FILE)",
+      "    [--out-dir DIR] [--format csv|json|both] [--network NAME]",
+      ...extraUsage.map((line) => `    ${line}`),
+      "",
+      "TIME is an ISO 8601 date / date-time (UTC by default) or unix seconds.",
+      "Balances are taken from the newest snapshots at or before --from and",
+      "--to (default now)."
+    ].join("\n")
+  );
+}
+
+/**
+ * Run a reconciliation command
+ *
+ * @param {object} options - as for runBackfillCli() (see backfill.js); the
+ *   monitor also needs balanceSnapshot() and accountDebits()
+ */
+function runReconcileCli(options) {
+  const { command, extraOptions = {}, extraUsage = [] } = options;
+
+  async function main() {
+    const args = parseArgs(process.argv.slice(2), extraOptions);
+    if (
+      args.help ||
+      !args.from ||
+      (args.addresses.length === 0 && !args.addressesFile)
+    ) {
+      usage(command, extraUsage);
+      if (!args.help) process.exitCode = 1;
+      return;
+    }
+    if (!FORMATS.includes(args.format)) {
+      throw new Error(`--format must be one of ${FORMATS.join(", ")}`);
+    }
+
+    const from = parseTime(args.from);
+    const to = args.to ? parseTime(args.to) : BigInt(Date.now()) * 1_000_000n;
+    if (to <= from) throw new Error("--to must be after --from");
+
+    const { addresses, labels } = collectAddresses(args);
+    const monitor = options.createMonitor({
+      ...args.extra,
+      network: args.network,
+      watchedEvmAddresses: addresses,
+      addressLabels: labels
+    });
+    monitor.on("error", (error) => {
+      console.error(
+        error.context ? `${error.context}: ${error.message}` : error.message
+      );
+    });
+
+    console.log(
+      `Reconciling ${addresses.length} address(es) from ` +
+        `${nanosToTimestamp(from)} to ${nanosToTimestamp(to)}...`
+    );
+    let report;
+    try {
+      report = await reconcileBalances(
+        monitor,
+        nanosToTimestamp(from),
+        nanosToTimestamp(to)
+      );
+    } finally {
+      await monitor.close();
+    }
+    console.log(
+      `Balance snapshots: ${report.start.timestamp} to ${report.end.timestamp}`
+    );
+
+    const outDir =
+      args.outDir ||
+      path.join(
+        options.defaultOutDir,
+        `reconcile_${compactIsoTime(from)}_${compactIsoTime(to)}`
+      );
+    const files = report.write(outDir, args.format);
+
+    const unexplained = report.unexplained();
+    console.log(
+      `\n${report.rows().length} balance(s) checked, ` +
+        `${unexplained.length} not explained`
+    );
+    for (const row of unexplained) {
+      const difference =
+        formatTokenAmount(row.difference, row.decimals) ??
+        `${row.difference} (raw)`;
+      console.log(
+        `  0x${row.evmAddress}${row.label ? ` (${row.label})` : ""}  ` +
+          `${row.assetType}${row.tokenId ? ` ${row.tokenId}` : ""}  ` +
+          (row.status === "incomplete"
+            ? `${row.missingAmounts} transfer(s) without an amount`
+            : `difference ${difference}`)
+      );
+    }
+    console.log(`\nReports:\n${files.map((file) => `  ${file}`).join("\n")}`);
+    if (unexplained.length > 0) process.exitCode = 2;
+  }
+
+  main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  ReconciliationReport,
+  reconcileBalances,
+  runReconcileCli
+};
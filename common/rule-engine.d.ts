@@ -0,0 +1,97 @@
+import { Logger } from "./logger";
+import { TransferEvent } from "./transfer-event";
+
+type OneOrMany<T> = T | T[];
+
+export interface RuleConditions {
+  /** Watched addresses, 0x optional */
+  addresses?: OneOrMany<string>;
+  labels?: OneOrMany<string>;
+  assetType?: OneOrMany<TransferEvent["assetType"]>;
+  tokenId?: OneOrMany<string>;
+  transactionType?: OneOrMany<string>;
+  /** amountDecimal >= minAmount, in whole units (e.g. "10000") */
+  minAmount?: string | number;
+  /** amountDecimal < maxAmount, in whole units (e.g. "0.01") */
+  maxAmount?: string | number;
+  /** Sender EVM addresses, 0x optional */
+  from?: OneOrMany<string>;
+}
+
+export interface TransferRule {
+  name: string;
+  when?: RuleConditions;
+  unless?: RuleConditions;
+  /** Default "route" */
+  action?: "route" | "drop";
+  /** Sinks a route rule sends matching events to */
+  sinks?: string[];
+}
+
+export type SinkDefinition =
+  | { type: "webhook"; url: string; secret: string; queueDir: string }
+  | { type: "file"; path: string }
+  | { type: "log"; level?: "debug" | "info" | "warn" | "error" };
+
+export interface RulesFile {
+  sinks?: Record<string, SinkDefinition>;
+  rules?: TransferRule[];
+}
+
+export interface ParsedRule {
+  name: string;
+  action: "route" | "drop";
+  when: Record<string, unknown>;
+  unless: Record<string, unknown> | null;
+  sinks: string[];
+}
+
+export interface RuleVerdict {
+  /** Name of the rule that dropped the event, or null */
+  dropped: string | null;
+  /** Sink name -> names of the rules routing the event there */
+  routes: Map<string, string[]>;
+}
+
+export interface RuleEngineOptions {
+  /** YAML or JSON rules file */
+  file: string;
+  /** How often the file is checked for changes (default 2000, 0: never) */
+  reloadIntervalMs?: number;
+  /** `source` of webhook sink payloads */
+  source?: string | null;
+  logger?: Logger;
+  /** Called when a reload or a delivery fails */
+  onError?: (error: Error & { context?: string }) => void;
+  /** The caller's require, for the yaml package */
+  require?: (id: string) => any;
+}
+
+export declare class RuleEngine {
+  constructor(options: RuleEngineOptions);
+  readonly file: string;
+  readonly rules: ParsedRule[];
+  readonly stats: { dropped: number; routed: number; reloads: number };
+  /** Replace the rules from the file; throws (keeping the old rules) if invalid */
+  loadRules(): Promise<void>;
+  /** loadRules(), reporting failures through onError */
+  reload(): Promise<void>;
+  /** Load the rules and reload them whenever the file changes */
+  start(): Promise<void>;
+  stop(): Promise<void>;
+  evaluate(event: TransferEvent): RuleVerdict;
+  deliver(event: TransferEvent, routes: Map<string, string[]>): void;
+}
+
+export declare function parseRules(
+  spec: RulesFile,
+  source?: string | null
+): { sinks: Record<string, SinkDefinition>; rules: ParsedRule[] };
+
+export declare function compareDecimals(a: string, b: string): -1 | 0 | 1;
+
+/** null when options has no file */
+export declare function createRuleEngine(
+  options?: Partial<RuleEngineOptions>,
+  load?: (id: string) => any
+): Promise<RuleEngine | null>;
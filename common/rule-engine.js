@@ -0,0 +1,520 @@
+/**
+ * rule-engine.js
+ *
+ * Declarative rules that filter transfer events and route them to named
+ * sinks, shared by both monitors. The engine sits between detection and
+ * delivery: the monitor asks it about every event before emitting it (see
+ * monitor-base.js), so a dropped event never reaches the `transfer`
+ * listeners, and matching events are also handed to the sinks their rules
+ * name.
+ *
+ * Rules and sinks live in a YAML or JSON file, reloaded when it changes:
+ *
+ *   sinks:
+ *     alerts:     { type: webhook, url: https://..., secret: ..., queueDir: alerts-queue }
+ *     compliance: { type: file, path: flagged.jsonl }
+ *     pager:      { type: log, level: warn }
+ *   rules:
+ *     - name: ignore-dust
+ *       when: { assetType: HBAR, maxAmount: "0.01" }
+ *       action: drop
+ *     - name: large-deposits
+ *       when: { assetType: HBAR, minAmount: "10000" }
+ *       sinks: [alerts, pager]
+ *     - name: treasury-evm-only
+ *       when: { labels: [Treasury] }
+ *       unless: { transactionType: ETHEREUMTRANSACTION }
+ *       action: drop
+ *     - name: denylisted-senders
+ *       when: { from: ["0x1111111111111111111111111111111111111111"] }
+ *       sinks: [compliance]
+ *
+ * A rule matches when every condition of `when` holds and, if it has
+ * `unless`, not every condition of `unless` does. Conditions:
+ *
+ *   addresses, labels            the watched address (0x optional) / its label
+ *   assetType, tokenId,
+ *   transactionType              a value or a list of values
+ *   minAmount, maxAmount         amountDecimal >= minAmount, < maxAmount
+ *                                (whole units, e.g. HBAR); events without a
+ *                                decimal amount never match
+ *   from                         sender EVM addresses; for native HBAR
+ *                                and HTS transfers the sender is the
+ *                                debited account, by its EVM alias or
+ *                                else its long-zero address. Events
+ *                                without a known sender never match
+ *
+ * Rules are evaluated in order. The first matching `drop` rule drops the
+ * event; every matching `route` rule (the default action) sends it to its
+ * sinks, besides the monitor's normal delivery. Sink types:
+ *
+ *   webhook  a WebhookSink (url, secret, queueDir; see webhook-sink.js)
+ *   file     appends { rules, event } JSON lines to `path`
+ *   log      logs the event at `level` (default warn)
+ *
+ * Relative paths in the file are relative to the file. A reload that fails
+ * (unreadable file, invalid rules) keeps the previous rules and reports the
+ * error.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ConfigError, readConfigFile } = require("./config");
+const { appendLineSync } = require("./fs-utils");
+const { defaultLogger } = require("./logger");
+const { parseEvmAddress } = require("./watchlist");
+const { WebhookSink } = require("./webhook-sink");
+
+const ACTIONS = ["route", "drop"];
+const SINK_TYPES = ["webhook", "file", "log"];
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const LIST_CONDITIONS = ["assetType", "tokenId", "transactionType"];
+const CONDITIONS = [
+  "addresses",
+  "labels",
+  ...LIST_CONDITIONS,
+  "minAmount",
+  "maxAmount",
+  "from"
+];
+const DECIMAL_RE = /^\d+(\.\d+)?$/;
+
+// ===========================================
+// PARSING
+// ===========================================
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Check and normalize a `when` / `unless` mapping into problems
+ */
+function parseConditions(spec, where, problems) {
+  if (!isPlainObject(spec)) {
+    problems.push(`${where}: must be a mapping of conditions`);
+    return {};
+  }
+
+  const conditions = {};
+  for (const [key, value] of Object.entries(spec)) {
+    if (!CONDITIONS.includes(key)) {
+      problems.push(`${where}.${key}: unknown condition`);
+      continue;
+    }
+    if (key === "minAmount" || key === "maxAmount") {
+      if (!DECIMAL_RE.test(String(value))) {
+        problems.push(`${where}.${key}: must be a decimal amount like "10000"`);
+      }
+      conditions[key] = String(value);
+      continue;
+    }
+
+    const values = asList(value);
+    if (values.length === 0 || values.some((v) => typeof v !== "string")) {
+      problems.push(`${where}.${key}: must be a string or a list of strings`);
+      continue;
+    }
+    if (key === "addresses" || key === "from") {
+      const addresses = values.map(parseEvmAddress);
+      addresses.forEach((address, i) => {
+        if (!address) {
+          problems.push(
+            `${where}.${key}: ${JSON.stringify(values[i])} is not a 20-byte hex address`
+          );
+        }
+      });
+      conditions[key] = new Set(addresses);
+    } else {
+      conditions[key] = new Set(values);
+    }
+  }
+  return conditions;
+}
+
+/**
+ * Check and normalize a rules file's contents. Every problem is reported
+ * at once.
+ * @param {object} spec - { sinks, rules }
+ * @param {string} [source] - where it came from, for error messages
+ * @returns {object} - { sinks: { name: definition }, rules }
+ * @throws {ConfigError}
+ */
+function parseRules(spec, source = null) {
+  const problems = [];
+  const unknown = Object.keys(spec).filter(
+    (key) => !["sinks", "rules"].includes(key)
+  );
+  if (unknown.length) problems.push(`unknown option ${unknown.join(", ")}`);
+
+  const sinks = {};
+  const sinkSpecs = spec.sinks ?? {};
+  if (!isPlainObject(sinkSpecs)) problems.push("sinks: must be a mapping");
+  for (const [name, sink] of Object.entries(
+    isPlainObject(sinkSpecs) ? sinkSpecs : {}
+  )) {
+    const where = `sinks.${name}`;
+    if (!isPlainObject(sink) || !SINK_TYPES.includes(sink.type)) {
+      problems.push(`${where}.type: must be one of ${SINK_TYPES.join(", ")}`);
+      continue;
+    }
+    if (
+      sink.type === "webhook" &&
+      (!sink.url || !sink.secret || !sink.queueDir)
+    ) {
+      problems.push(
+        `${where}: a webhook sink needs a url, a secret and a queueDir`
+      );
+    }
+    if (sink.type === "file" && !sink.path) {
+      problems.push(`${where}.path: required by a file sink`);
+    }
+    if (sink.type === "log" && sink.level && !LOG_LEVELS.includes(sink.level)) {
+      problems.push(`${where}.level: must be one of ${LOG_LEVELS.join(", ")}`);
+    }
+    sinks[name] = sink;
+  }
+
+  const rules = [];
+  const names = new Set();
+  const ruleSpecs = spec.rules ?? [];
+  if (!Array.isArray(ruleSpecs)) problems.push("rules: must be a list");
+  (Array.isArray(ruleSpecs) ? ruleSpecs : []).forEach((rule, i) => {
+    const where = `rules[${i}]`;
+    if (!isPlainObject(rule)) {
+      problems.push(`${where}: must be a mapping`);
+      return;
+    }
+    const extra = Object.keys(rule).filter(
+      (key) => !["name", "when", "unless", "action", "sinks"].includes(key)
+    );
+    if (extra.length) {
+      problems.push(`${where}: unknown option ${extra.join(", ")}`);
+    }
+    if (typeof rule.name !== "string" || rule.name === "") {
+      problems.push(`${where}.name: must be a non-empty string`);
+    } else if (names.has(rule.name)) {
+      problems.push(`${where}.name: "${rule.name}" is used twice`);
+    }
+    names.add(rule.name);
+
+    const action = rule.action ?? "route";
+    if (!ACTIONS.includes(action)) {
+      problems.push(`${where}.action: must be one of ${ACTIONS.join(", ")}`);
+    }
+    const ruleSinks = rule.sinks ?? [];
+    if (action === "route") {
+      if (!Array.isArray(ruleSinks) || ruleSinks.length === 0) {
+        problems.push(`${where}.sinks: a route rule needs a list of sinks`);
+      } else {
+        for (const sink of ruleSinks) {
+          if (!sinks[sink]) problems.push(`${where}.sinks: no sink "${sink}"`);
+        }
+      }
+    } else if (rule.sinks !== undefined) {
+      problems.push(`${where}.sinks: a drop rule has no sinks`);
+    }
+
+    rules.push({
+      name: rule.name,
+      action,
+      when: parseConditions(rule.when ?? {}, `${where}.when`, problems),
+      unless:
+        rule.unless === undefined
+          ? null
+          : parseConditions(rule.unless, `${where}.unless`, problems),
+      sinks: Array.isArray(ruleSinks) ? ruleSinks : []
+    });
+  });
+
+  if (problems.length > 0) throw new ConfigError(problems, source);
+  return { sinks, rules };
+}
+
+// ===========================================
+// MATCHING
+// ===========================================
+
+/**
+ * Compare non-negative decimal strings: -1, 0 or 1
+ */
+function compareDecimals(a, b) {
+  const [aInt, aFrac = ""] = a.split(".");
+  const [bInt, bFrac = ""] = b.split(".");
+  const digits = Math.max(aFrac.length, bFrac.length);
+  const x = BigInt(aInt + aFrac.padEnd(digits, "0"));
+  const y = BigInt(bInt + bFrac.padEnd(digits, "0"));
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Whether every condition holds for the event
+ */
+function conditionsHold(conditions, event) {
+  const { addresses, labels, minAmount, maxAmount, from } = conditions;
+  if (addresses && !addresses.has(event.evmAddress)) return false;
+  if (labels && !labels.has(event.label)) return false;
+  for (const key of LIST_CONDITIONS) {
+    if (conditions[key] && !conditions[key].has(event[key])) return false;
+  }
+  if (minAmount || maxAmount) {
+    const amount = event.amountDecimal;
+    if (amount === null || !DECIMAL_RE.test(amount)) return false;
+    if (minAmount && compareDecimals(amount, minAmount) < 0) return false;
+    if (maxAmount && compareDecimals(amount, maxAmount) >= 0) return false;
+  }
+  if (from && !from.has(event.from)) return false;
+  return true;
+}
+
+function ruleMatches(rule, event) {
+  if (!conditionsHold(rule.when, event)) return false;
+  return !rule.unless || !conditionsHold(rule.unless, event);
+}
+
+// ===========================================
+// SINKS
+// ===========================================
+
+/**
+ * A sink from its definition: { definition, deliver(event, rules), start(),
+ * stop() }. Events delivered before start() wait in the sink's queue, if it
+ * has one.
+ */
+function createSink(name, definition, options) {
+  const { logger, source } = options;
+  switch (definition.type) {
+    case "webhook": {
+      const { type, ...settings } = definition;
+      const sink = new WebhookSink({ ...settings, source, logger });
+      return {
+        definition,
+        deliver: (event, rules) => sink.enqueue(event, { rules }),
+        start: () => sink.start(),
+        stop: () => sink.stop()
+      };
+    }
+    case "file":
+      return {
+        definition,
+        deliver: (event, rules) =>
+          appendLineSync(definition.path, JSON.stringify({ rules, event })),
+        start: () => {},
+        stop: async () => {}
+      };
+    default:
+      return {
+        definition,
+        deliver: (event, rules) =>
+          logger[definition.level || "warn"]("Transfer matched a rule", {
+            sink: name,
+            rules,
+            idempotencyKey: event.idempotencyKey,
+            address: `0x${event.evmAddress}`,
+            label: event.label,
+            amount: event.amountDecimal ?? event.amount,
+            asset: event.tokenSymbol || event.tokenId || event.assetType
+          }),
+        start: () => {},
+        stop: async () => {}
+      };
+  }
+}
+
+/**
+ * Paths of a sink definition resolved against the rules file's directory
+ */
+function resolveSinkPaths(definition, dir) {
+  const resolved = { ...definition };
+  for (const key of ["queueDir", "path"]) {
+    if (typeof resolved[key] === "string") {
+      resolved[key] = path.resolve(dir, resolved[key]);
+    }
+  }
+  return resolved;
+}
+
+// ===========================================
+// RULE ENGINE
+// ===========================================
+
+class RuleEngine {
+  /**
+   * @param {object} options
+   *   file:             rules file (YAML or JSON)
+   *   reloadIntervalMs: how often the file is checked for changes (default
+   *                     2000; 0 turns reloading off)
+   *   source:           `source` of webhook sink payloads
+   *   logger:           diagnostics logger (see logger.js)
+   *   onError:          called with the error when a reload or a delivery
+   *                     fails
+   *   require:          the caller's require, for the yaml package
+   */
+  constructor(options = {}) {
+    if (!options.file) throw new Error("Rule engine requires a file");
+    this.file = path.resolve(options.file);
+    this.reloadIntervalMs = options.reloadIntervalMs ?? 2000;
+    this.source = options.source || null;
+    this.log = options.logger || defaultLogger;
+    this.onError = options.onError || (() => {});
+    this.load = options.require || require;
+
+    this.rules = [];
+    this.sinks = new Map();
+    this.watching = false;
+    this.reloading = Promise.resolve();
+    this.stats = { dropped: 0, routed: 0, reloads: 0 };
+    this.onFileChange = () => {
+      this.reloading = this.reloading.then(() => this.reload());
+    };
+  }
+
+  /**
+   * Read the rules file and replace the rules and sinks. Sinks whose
+   * definition did not change are kept (with their queues); the others are
+   * stopped before their replacements start, so two webhook sinks never
+   * drain one queue directory. Throws when the file is invalid or a sink
+   * cannot be created, leaving the old rules and sinks.
+   */
+  async loadRules() {
+    const { sinks, rules } = parseRules(
+      readConfigFile(this.file, this.load),
+      this.file
+    );
+
+    const previous = this.sinks;
+    const next = new Map();
+    const created = [];
+    try {
+      for (const [name, definition] of Object.entries(sinks)) {
+        const resolved = resolveSinkPaths(definition, path.dirname(this.file));
+        const existing = previous.get(name);
+        if (
+          existing &&
+          JSON.stringify(existing.definition) === JSON.stringify(resolved)
+        ) {
+          next.set(name, existing);
+          continue;
+        }
+        const sink = createSink(name, resolved, {
+          logger: this.log,
+          source: this.source
+        });
+        created.push(sink);
+        next.set(name, sink);
+      }
+    } catch (error) {
+      for (const sink of created) await sink.stop();
+      throw error;
+    }
+    this.rules = rules;
+    this.sinks = next;
+
+    for (const [name, sink] of previous) {
+      if (next.get(name) !== sink) await sink.stop();
+    }
+    for (const sink of created) sink.start();
+    this.log.info("Transfer rules loaded", {
+      file: this.file,
+      rules: rules.length,
+      sinks: next.size
+    });
+  }
+
+  /**
+   * loadRules(), reporting failures instead of throwing
+   */
+  async reload() {
+    try {
+      await this.loadRules();
+      this.stats.reloads++;
+    } catch (error) {
+      error.context = error.context || "Error reloading transfer rules";
+      this.onError(error);
+    }
+  }
+
+  /**
+   * Load the rules and reload them whenever the file changes
+   */
+  async start() {
+    await this.loadRules();
+    if (this.reloadIntervalMs > 0 && !this.watching) {
+      fs.watchFile(
+        this.file,
+        { interval: this.reloadIntervalMs, persistent: false },
+        this.onFileChange
+      );
+      this.watching = true;
+    }
+  }
+
+  async stop() {
+    if (this.watching) fs.unwatchFile(this.file, this.onFileChange);
+    this.watching = false;
+    await this.reloading;
+    for (const sink of this.sinks.values()) await sink.stop();
+  }
+
+  /**
+   * What the rules say about an event
+   * @returns {object} - { dropped: rule name or null, routes: Map(sink ->
+   *   names of the rules routing there) }
+   */
+  evaluate(event) {
+    const routes = new Map();
+    for (const rule of this.rules) {
+      if (!ruleMatches(rule, event)) continue;
+      if (rule.action === "drop") {
+        this.stats.dropped++;
+        return { dropped: rule.name, routes };
+      }
+      for (const sink of rule.sinks) {
+        routes.set(sink, [...(routes.get(sink) || []), rule.name]);
+      }
+    }
+    return { dropped: null, routes };
+  }
+
+  /**
+   * Hand an event to the sinks evaluate() routed it to. A failing sink is
+   * reported and does not stop the others.
+   */
+  deliver(event, routes) {
+    for (const [name, rules] of routes) {
+      const sink = this.sinks.get(name);
+      if (!sink) continue;
+      try {
+        sink.deliver(event, rules);
+        this.stats.routed++;
+      } catch (error) {
+        error.context = `Error delivering to sink ${name}`;
+        this.onError(error);
+      }
+    }
+  }
+}
+
+/**
+ * Create and start a rule engine from a config's `rules` section, or return
+ * null when it has no file
+ *
+ * @param {object} options - file, reloadIntervalMs, and the other
+ *   RuleEngine options
+ * @param {Function} [load] - the caller's require, for `yaml`
+ * @returns {Promise<RuleEngine|null>}
+ */
+async function createRuleEngine(options = {}, load = require) {
+  if (!options.file) return null;
+  const engine = new RuleEngine({ ...options, require: load });
+  await engine.start();
+  return engine;
+}
+
+module.exports = {
+  RuleEngine,
+  compareDecimals,
+  createRuleEngine,
+  parseRules
+};
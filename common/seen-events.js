@@ -0,0 +1,91 @@
+/**
+ * seen-events.js
+ *
+ * The idempotency keys of the most recent transfer events a monitor emitted
+ * (see transferEventKey() in transfer-event.js), so the same transfer is not
+ * reported twice when a query overlaps an earlier one or a restart replays
+ * part of the history.
+ *
+ * The set is bounded: past `limit` keys the oldest are forgotten. With a
+ * checkpoint store the keys are saved next to the cursors and restored on
+ * start; without one they last as long as the process.
+ */
+
+const DEFAULT_LIMIT = 10000;
+
+class SeenEvents {
+  /**
+   * @param {object} options
+   *   limit: keys to remember (default 10000); 0 disables deduplication
+   *   store: checkpoint store to persist the keys in (optional)
+   *   onError: called with the error when saving keys fails
+   */
+  constructor(options = {}) {
+    this.limit = options.limit ?? DEFAULT_LIMIT;
+    this.store = options.store || null;
+    this.onError = options.onError || (() => {});
+    // A Set iterates in insertion order, oldest first
+    this.keys = new Set();
+    // Keys added and evicted since the last write to the store
+    this.unsaved = { added: [], evicted: [] };
+    this.writeScheduled = null;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Restore keys saved by a previous run, oldest first
+   */
+  restore(keys = []) {
+    this.keys = new Set(keys);
+    this.evictOldest();
+  }
+
+  has(key) {
+    return this.limit > 0 && this.keys.has(key);
+  }
+
+  /**
+   * Remember a key. Saving it runs in the background: keys added while a
+   * write is in flight go to the store together in the next one.
+   */
+  add(key) {
+    if (this.limit <= 0 || this.keys.has(key)) return;
+    this.keys.add(key);
+    const evicted = this.evictOldest();
+    if (!this.store || !this.store.saveSeen) return;
+
+    this.unsaved.added.push(key);
+    this.unsaved.evicted.push(...evicted);
+    if (!this.writeScheduled) {
+      this.writeScheduled = this.pendingWrite.then(() => {
+        const batch = this.unsaved;
+        this.unsaved = { added: [], evicted: [] };
+        this.writeScheduled = null;
+        return this.store.saveSeen(batch.added, batch.evicted);
+      });
+      this.pendingWrite = this.writeScheduled.catch(this.onError);
+    }
+  }
+
+  /**
+   * Wait for the keys added so far to be saved
+   */
+  flush() {
+    return this.pendingWrite;
+  }
+
+  evictOldest() {
+    const evicted = [];
+    for (const key of this.keys) {
+      if (this.keys.size <= this.limit) break;
+      this.keys.delete(key);
+      evicted.push(key);
+    }
+    return evicted;
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  SeenEvents
+};
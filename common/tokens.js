@@ -0,0 +1,42 @@
+/**
+ * tokens.js
+ *
+ * HTS token helpers shared by both monitors.
+ */
+
+/**
+ * Convert a raw integer token amount to a decimal string using the token's
+ * decimals, e.g. ("1234500", 6) => "1.2345". Returns null if decimals are
+ * unknown.
+ */
+function formatTokenAmount(rawAmount, decimals) {
+  if (decimals === null || decimals === undefined) return null;
+
+  const raw = BigInt(String(rawAmount));
+  const negative = raw < 0n;
+  const digits = (negative ? -raw : raw).toString();
+  const places = Number(decimals);
+
+  if (places === 0) return `${negative ? "-" : ""}${digits}`;
+
+  const padded = digits.padStart(places + 1, "0");
+  const whole = padded.slice(0, -places);
+  const frac = padded.slice(-places).replace(/0+$/, "");
+  return `${negative ? "-" : ""}${whole}${frac ? `.${frac}` : ""}`;
+}
+
+/**
+ * Per-address token allowlist check. An address without an allowlist
+ * entry accepts every token.
+ *
+ * @param {object} allowlist - { [evmAddress]: ["0.0.x", ...] }
+ */
+function isTokenAllowed(allowlist, evmAddress, tokenId) {
+  const allowed = allowlist && allowlist[evmAddress];
+  return !allowed || allowed.includes(tokenId);
+}
+
+module.exports = {
+  formatTokenAmount,
+  isTokenAllowed
+};
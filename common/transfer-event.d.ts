@@ -0,0 +1,87 @@
+export type AssetType = "HBAR" | "FUNGIBLE_TOKEN" | "NFT" | "ERC20" | "ERC721";
+
+export type AddressedBy = "evm_address" | "entity_id" | "long_zero";
+
+/** See transfer-event.schema.json */
+export interface TransferEvent {
+  schemaVersion: "1";
+  network: string;
+  source: "rest" | "db";
+  /** consensusTimestamp:evmAddress:asset:leg, the same on every run */
+  idempotencyKey: string;
+  /** Recipient EVM address, lowercase hex without 0x */
+  evmAddress: string;
+  label: string | null;
+  entityId: string | null;
+  assetType: AssetType;
+  /** Integer amount in the asset's smallest unit (tinybar for HBAR) */
+  amount: string | null;
+  decimals: number | null;
+  amountDecimal: string | null;
+  tokenId: string | null;
+  tokenName: string | null;
+  tokenSymbol: string | null;
+  serialNumber: string | null;
+  contractAddress: string | null;
+  from: string | null;
+  /** payer-seconds-nanos */
+  transactionId: string;
+  /** 0x-prefixed SHA-384 */
+  transactionHash: string;
+  /** seconds.nanoseconds */
+  consensusTimestamp: string;
+  transactionType: string | null;
+  isEvmTransaction: boolean;
+  detectionMethod: "transaction" | "contract_log" | "contract_action";
+  addressedBy: AddressedBy | null;
+  logIndex: number | null;
+  memo: string | null;
+  /** Customer a deposit to a shared address is credited to (attribution.js) */
+  attributedTo: string | null;
+  ethereum: {
+    hash: string | null;
+    valueWei: string | null;
+    precisionLoss: boolean | null;
+  } | null;
+  internal: {
+    callDepth: number;
+    actionIndex: number;
+    callerContractId: string | null;
+    callerAddress: string | null;
+  } | null;
+}
+
+export declare const SCHEMA_VERSION: "1";
+export declare const HBAR_DECIMALS: 8;
+export declare const TRANSFER_EVENT_SCHEMA: Record<string, unknown>;
+
+export declare class TransferEventValidationError extends Error {
+  constructor(event: unknown, errors: string[]);
+  readonly event: unknown;
+  readonly errors: string[];
+  /** Set when reported by a monitor */
+  context?: string;
+}
+
+export declare function buildTransferEvent(
+  fields: Partial<TransferEvent>
+): TransferEvent;
+export declare function validateTransferEvent(event: unknown): string[];
+/** The idempotency key of the event built from these fields */
+export declare function transferEventKey(
+  fields: Partial<TransferEvent>
+): string;
+export declare function nanosToTimestamp(
+  nanos: string | number | bigint
+): string;
+export declare function timestampToNanos(timestamp: string): string;
+export declare function formatTransactionId(
+  payerEntityId: string,
+  validStartNanos: string | number | bigint
+): string;
+/** "shard.realm.num" as a long-zero EVM address, hex without 0x */
+export declare function longZeroAddress(entityId: string): string;
+export declare function toHexHash(
+  value: string | Uint8Array | null | undefined,
+  encoding?: "hex" | "base64"
+): string | null;
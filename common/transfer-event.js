@@ -0,0 +1,212 @@
+/**
+ * transfer-event.js
+ *
+ * The transfer event both monitors emit, described by
+ * transfer-event.schema.json. Consumers can switch between the REST and the
+ * database monitor without code changes; `schemaVersion` changes only when
+ * the shape does.
+ *
+ * validateTransferEvent() checks an event against the schema. It implements
+ * just the JSON Schema keywords the schema uses, so no validator dependency
+ * is needed.
+ */
+
+const TRANSFER_EVENT_SCHEMA = require("./transfer-event.schema.json");
+
+const SCHEMA_VERSION = TRANSFER_EVENT_SCHEMA.properties.schemaVersion.const;
+
+const HBAR_DECIMALS = 8;
+
+class TransferEventValidationError extends Error {
+  constructor(event, errors) {
+    super(`Invalid transfer event: ${errors.join("; ")}`);
+    this.name = "TransferEventValidationError";
+    this.event = event;
+    this.errors = errors;
+  }
+}
+
+// ===========================================
+// BUILDING EVENTS
+// ===========================================
+
+/**
+ * Build a schema-shaped event: every schema field in schema order, null
+ * where not given
+ */
+function buildTransferEvent(fields) {
+  const event = {};
+  for (const key of Object.keys(TRANSFER_EVENT_SCHEMA.properties)) {
+    event[key] = fields[key] === undefined ? null : fields[key];
+  }
+  event.schemaVersion = SCHEMA_VERSION;
+  event.isEvmTransaction = Boolean(fields.isEvmTransaction);
+  return event;
+}
+
+/**
+ * The idempotency key of a transfer: consensus timestamp, recipient, asset
+ * (HBAR or the token / contract ID) and leg, e.g.
+ *
+ *   1700000000.000000001:8f31...9183:HBAR:credit      HBAR credit
+ *   1700000000.000000001:8f31...9183:0.0.6000:serial7  NFT serial 7
+ *   1700000000.000000001:8f31...9183:0.0.5000:log3     Transfer log 3
+ *   1700000000.000000001:8f31...9183:HBAR:call5        contract action 5
+ *
+ * Both monitors give a transfer the same key on every run. A transaction
+ * credits an account at most once per HBAR or fungible token, so those
+ * legs are not numbered: the REST API and the transaction bytes order
+ * their transfer lists differently.
+ */
+function transferEventKey(fields) {
+  const asset =
+    fields.assetType === "HBAR"
+      ? "HBAR"
+      : fields.tokenId || fields.contractAddress;
+  let leg;
+  if (fields.detectionMethod === "contract_log") {
+    leg = `log${fields.logIndex}`;
+  } else if (fields.detectionMethod === "contract_action") {
+    leg = `call${fields.internal.actionIndex}`;
+  } else if (fields.assetType === "NFT") {
+    leg = `serial${fields.serialNumber}`;
+  } else {
+    leg = "credit";
+  }
+  return `${fields.consensusTimestamp}:${fields.evmAddress}:${asset}:${leg}`;
+}
+
+/**
+ * Nanoseconds since the epoch (DB) to "seconds.nanoseconds" (REST)
+ */
+function nanosToTimestamp(nanos) {
+  const digits = String(nanos).padStart(10, "0");
+  return `${digits.slice(0, -9)}.${digits.slice(-9)}`;
+}
+
+/**
+ * "seconds.nanoseconds" to nanoseconds since the epoch, as a string
+ */
+function timestampToNanos(timestamp) {
+  const [seconds, nanos = "0"] = String(timestamp).split(".");
+  return (
+    BigInt(seconds) * 1_000_000_000n +
+    BigInt(nanos.padEnd(9, "0"))
+  ).toString();
+}
+
+/**
+ * "payer-seconds-nanos" from the payer entity ID and valid start (nanos)
+ */
+function formatTransactionId(payerEntityId, validStartNanos) {
+  const [seconds, nanos] = nanosToTimestamp(validStartNanos).split(".");
+  return `${payerEntityId}-${seconds}-${nanos}`;
+}
+
+/**
+ * The long-zero EVM address of an entity ID ("shard.realm.num"): 4-byte
+ * shard, 8-byte realm, 8-byte number, lowercase hex without 0x
+ */
+function longZeroAddress(entityId) {
+  const [shard, realm, num] = String(entityId).split(".").map(BigInt);
+  return (
+    shard.toString(16).padStart(8, "0") +
+    realm.toString(16).padStart(16, "0") +
+    num.toString(16).padStart(16, "0")
+  );
+}
+
+/**
+ * 0x-prefixed lowercase hex from a Buffer, base64 (REST) or hex string
+ */
+function toHexHash(value, encoding = "hex") {
+  if (value === null || value === undefined || value === "") return null;
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return `0x${Buffer.from(value).toString("hex")}`;
+  }
+  if (encoding === "base64") {
+    return `0x${Buffer.from(value, "base64").toString("hex")}`;
+  }
+  return `0x${String(value).toLowerCase().replace(/^0x/, "")}`;
+}
+
+// ===========================================
+// VALIDATION
+// ===========================================
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function validateValue(value, schema, path, errors) {
+  if ("const" in schema && value !== schema.const) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${JSON.stringify(schema.enum)}`);
+    return;
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${path} must be ${types.join(" or ")}`);
+      return;
+    }
+  }
+  if (typeof value === "string" && schema.pattern) {
+    if (!new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} does not match ${schema.pattern}`);
+    }
+  }
+  if (typeof value === "number" && schema.minimum !== undefined) {
+    if (value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+  }
+  if (typeOf(value) === "object" && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties[key];
+      if (childSchema) {
+        validateValue(child, childSchema, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+}
+
+/**
+ * @returns {string[]} - validation errors; empty if the event is valid
+ */
+function validateTransferEvent(event) {
+  const errors = [];
+  validateValue(event, TRANSFER_EVENT_SCHEMA, "event", errors);
+  return errors;
+}
+
+module.exports = {
+  HBAR_DECIMALS,
+  SCHEMA_VERSION,
+  TRANSFER_EVENT_SCHEMA,
+  TransferEventValidationError,
+  buildTransferEvent,
+  formatTransactionId,
+  longZeroAddress,
+  nanosToTimestamp,
+  timestampToNanos,
+  toHexHash,
+  transferEventKey,
+  validateTransferEvent
+};
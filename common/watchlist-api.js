@@ -0,0 +1,169 @@
+/**
+ * watchlist-api.js
+ *
+ * Small authenticated HTTP API for editing a Watchlist at runtime.
+ *
+ *   GET    /watchlist                  list watched addresses
+ *   POST   /watchlist                  { address, label? }    add one
+ *   POST   /watchlist/import           { addresses: [...] }   bulk add
+ *                                      (addresses or { address, label })
+ *   PATCH  /watchlist/:address         { label }              set label
+ *   DELETE /watchlist/:address                                remove
+ *
+ * Every request needs `Authorization: Bearer <token>`.
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const { defaultLogger } = require("./logger");
+const { parseEvmAddress } = require("./watchlist");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function isAuthorized(req, token) {
+  const header = req.headers.authorization || "";
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(header);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+async function readJsonBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, "Body too large");
+    chunks.push(chunk);
+  }
+  if (size === 0) return {};
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (e) {
+    throw new HttpError(400, "Body must be JSON");
+  }
+}
+
+async function route(watchlist, req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+  const parts = pathname.split("/").filter(Boolean);
+  if (parts[0] !== "watchlist" || parts.length > 2) {
+    throw new HttpError(404, "Not found");
+  }
+
+  // /watchlist
+  if (parts.length === 1) {
+    if (req.method === "GET") {
+      return sendJson(res, 200, { addresses: watchlist.list() });
+    }
+    if (req.method === "POST") {
+      const body = await readJsonBody(req);
+      if (!parseEvmAddress(body.address)) {
+        throw new HttpError(400, "`address` must be a 20-byte hex address");
+      }
+      let added;
+      try {
+        added = await watchlist.add(body.address, body.label || null);
+      } catch (err) {
+        throw new HttpError(502, `Could not add address: ${err.message}`);
+      }
+      return sendJson(res, added ? 201 : 200, {
+        address: `0x${parseEvmAddress(body.address)}`,
+        added
+      });
+    }
+    throw new HttpError(405, "Method not allowed");
+  }
+
+  // /watchlist/import
+  if (parts[1] === "import") {
+    if (req.method !== "POST") throw new HttpError(405, "Method not allowed");
+    const body = await readJsonBody(req);
+    const entries = Array.isArray(body) ? body : body.addresses;
+    if (!Array.isArray(entries)) {
+      throw new HttpError(400, "Expected an array of addresses");
+    }
+    return sendJson(res, 200, await watchlist.import(entries));
+  }
+
+  // /watchlist/:address
+  const address = decodeURIComponent(parts[1]);
+  if (!parseEvmAddress(address)) {
+    throw new HttpError(400, "Invalid EVM address");
+  }
+
+  if (req.method === "PATCH") {
+    const body = await readJsonBody(req);
+    if (body.label !== null && typeof body.label !== "string") {
+      throw new HttpError(400, "`label` must be a string or null");
+    }
+    if (!watchlist.setLabel(address, body.label)) {
+      throw new HttpError(404, "Address is not watched");
+    }
+    return sendJson(res, 200, {
+      address: `0x${parseEvmAddress(address)}`,
+      label: body.label || null
+    });
+  }
+  if (req.method === "DELETE") {
+    if (!watchlist.remove(address)) {
+      throw new HttpError(404, "Address is not watched");
+    }
+    return sendJson(res, 200, {
+      address: `0x${parseEvmAddress(address)}`,
+      removed: true
+    });
+  }
+  throw new HttpError(405, "Method not allowed");
+}
+
+/**
+ * Start the watchlist API.
+ *
+ * @param {Watchlist} watchlist
+ * @param {object} options - { port, host, token, logger }
+ * @returns {Promise<http.Server>}
+ */
+function startWatchlistApi(watchlist, options = {}) {
+  if (!options.token) {
+    throw new Error("The watchlist API requires a token");
+  }
+
+  const log = options.logger || defaultLogger;
+  const server = http.createServer((req, res) => {
+    if (!isAuthorized(req, options.token)) {
+      return sendJson(res, 401, { error: "Unauthorized" });
+    }
+    route(watchlist, req, res).catch((err) => {
+      const status = err.status || 500;
+      if (status === 500) log.error("Watchlist API error", { err });
+      sendJson(res, status, { error: err.message });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(options.port || 0, options.host || "127.0.0.1", () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  startWatchlistApi
+};
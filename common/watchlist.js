@@ -0,0 +1,190 @@
+/**
+ * watchlist.js
+ *
+ * Persistent, runtime-editable watchlist shared by both monitors.
+ *
+ * The monitors keep reading their watchedEvmAddresses / addressLabels
+ * directly; a Watchlist edits those objects in place and saves them to a
+ * JSON file, so changes made through the HTTP API (watchlist-api.js) survive
+ * restarts.
+ *
+ * On first run (no file yet) the configured addresses are saved as the
+ * initial watchlist. Afterwards the file is authoritative.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomicSync } = require("./fs-utils");
+
+const EVM_ADDRESS_RE = /^[0-9a-f]{40}$/;
+
+/**
+ * Normalize an address to 40 lowercase hex chars (no 0x), or null if invalid
+ */
+function parseEvmAddress(address) {
+  if (typeof address !== "string") return null;
+  const normalized = address.trim().toLowerCase().replace(/^0x/, "");
+  return EVM_ADDRESS_RE.test(normalized) ? normalized : null;
+}
+
+class Watchlist {
+  /**
+   * @param {object} options
+   *   addresses:      the Set of watched addresses to manage (the monitor's)
+   *   labels:         the address -> label object to manage (the monitor's)
+   *   file:           JSON file to persist the watchlist in
+   *   prepareAddress: optional async (evmAddress) => void, run before an
+   *                   address is added (e.g. to record a baseline). If it
+   *                   throws, the address is not added.
+   *   onRemove:       optional (evmAddress) => void, run after removal
+   */
+  constructor(options = {}) {
+    if (!options.addresses) throw new Error("Watchlist requires addresses");
+    if (!options.file) throw new Error("Watchlist requires a file");
+
+    this.addresses = options.addresses;
+    this.labels = options.labels || {};
+    this.file = path.resolve(options.file);
+    this.prepareAddress = options.prepareAddress || (async () => {});
+    this.onRemove = options.onRemove || (() => {});
+    this.addedAt = {};
+  }
+
+  load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.file, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        throw new Error(`Cannot read watchlist ${this.file}: ${err.message}`);
+      }
+      this.save();
+      return;
+    }
+
+    const saved = JSON.parse(raw).addresses || {};
+    this.addresses.clear();
+    for (const key of Object.keys(this.labels)) delete this.labels[key];
+
+    for (const [evm, entry] of Object.entries(saved)) {
+      this.addresses.add(evm);
+      if (entry.label) this.labels[evm] = entry.label;
+      this.addedAt[evm] = entry.addedAt || null;
+    }
+  }
+
+  save() {
+    const addresses = {};
+    for (const evm of this.addresses) {
+      addresses[evm] = {
+        label: this.labels[evm] || null,
+        addedAt: this.addedAt[evm] || null
+      };
+    }
+    writeFileAtomicSync(
+      this.file,
+      JSON.stringify({ version: 1, addresses }, null, 2)
+    );
+  }
+
+  list() {
+    return [...this.addresses].map((evm) => ({
+      address: `0x${evm}`,
+      label: this.labels[evm] || null,
+      addedAt: this.addedAt[evm] || null
+    }));
+  }
+
+  has(address) {
+    const evm = parseEvmAddress(address);
+    return Boolean(evm && this.addresses.has(evm));
+  }
+
+  /**
+   * Add (or relabel) one address.
+   * @returns {Promise<boolean>} - true if the address was not watched before
+   */
+  async add(address, label = null) {
+    const added = await this.addOne(address, label);
+    this.save();
+    return added;
+  }
+
+  /**
+   * Add many addresses, saving once.
+   * @param {Array<string|object>} entries - addresses or { address, label }
+   * @returns {Promise<object>} - { added, updated, invalid, failed }
+   */
+  async import(entries) {
+    const result = { added: [], updated: [], invalid: [], failed: [] };
+    try {
+      for (const entry of entries) {
+        const address = typeof entry === "string" ? entry : entry?.address;
+        const label = typeof entry === "string" ? null : entry?.label || null;
+        if (!parseEvmAddress(address)) {
+          result.invalid.push(address ?? null);
+          continue;
+        }
+        try {
+          const added = await this.addOne(address, label);
+          (added ? result.added : result.updated).push(
+            `0x${parseEvmAddress(address)}`
+          );
+        } catch (err) {
+          result.failed.push({ address, error: err.message });
+        }
+      }
+    } finally {
+      this.save();
+    }
+    return result;
+  }
+
+  async addOne(address, label) {
+    const evm = parseEvmAddress(address);
+    if (!evm) throw new Error(`Invalid EVM address: ${address}`);
+
+    const isNew = !this.addresses.has(evm);
+    if (isNew) {
+      await this.prepareAddress(evm);
+      this.addresses.add(evm);
+      this.addedAt[evm] = new Date().toISOString();
+    }
+    if (label) this.labels[evm] = label;
+    return isNew;
+  }
+
+  /**
+   * @returns {boolean} - true if the address was watched
+   */
+  remove(address) {
+    const evm = parseEvmAddress(address);
+    if (!evm || !this.addresses.has(evm)) return false;
+
+    this.addresses.delete(evm);
+    delete this.labels[evm];
+    delete this.addedAt[evm];
+    this.save();
+    this.onRemove(evm);
+    return true;
+  }
+
+  /**
+   * Set or clear (label = null) the label of a watched address
+   * @returns {boolean} - true if the address is watched
+   */
+  setLabel(address, label) {
+    const evm = parseEvmAddress(address);
+    if (!evm || !this.addresses.has(evm)) return false;
+
+    if (label) this.labels[evm] = label;
+    else delete this.labels[evm];
+    this.save();
+    return true;
+  }
+}
+
+module.exports = {
+  Watchlist,
+  parseEvmAddress
+};
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * webhook-cli.js
+ *
+ * Inspect and redeliver dead-lettered webhook events.
+ *
+ * Usage:
+ *   node common/webhook-cli.js list      [--queue-dir DIR]
+ *   node common/webhook-cli.js show ID   [--queue-dir DIR]
+ *   node common/webhook-cli.js redeliver (ID... | --all)
+ *        [--queue-dir DIR] [--url URL] [--secret SECRET]
+ *
+ * Options default to the WEBHOOK_QUEUE_DIR, WEBHOOK_URL and WEBHOOK_SECRET
+ * environment variables, the same ones the monitors use.
+ */
+
+const { WebhookSink } = require("./webhook-sink");
+
+function parseArgs(argv) {
+  const args = { positional: [], all: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--all") args.all = true;
+    else if (arg === "--queue-dir") args.queueDir = argv[++i];
+    else if (arg === "--url") args.url = argv[++i];
+    else if (arg === "--secret") args.secret = argv[++i];
+    else args.positional.push(arg);
+  }
+  return args;
+}
+
+function usage() {
+  console.log(
+    [
+      "Usage:",
+      "  webhook-cli.js list      [--queue-dir DIR]",
+      "  webhook-cli.js show ID   [--queue-dir DIR]",
+      "  webhook-cli.js redeliver (ID... | --all) [--queue-dir DIR] [--url URL] [--secret SECRET]"
+    ].join("\n")
+  );
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, ...ids] = args.positional;
+
+  const queueDir = args.queueDir || process.env.WEBHOOK_QUEUE_DIR;
+  if (!command || !queueDir) {
+    usage();
+    if (!queueDir && command) {
+      console.error("\nSet --queue-dir or WEBHOOK_QUEUE_DIR");
+    }
+    process.exitCode = 1;
+    return;
+  }
+
+  const url = args.url || process.env.WEBHOOK_URL;
+  const secret = args.secret || process.env.WEBHOOK_SECRET;
+  // list and show only read the queue; the url and secret are checked
+  // before redelivering
+  const sink = new WebhookSink({
+    url: url || "http://localhost",
+    secret: secret || "unused",
+    queueDir
+  });
+
+  switch (command) {
+    case "list": {
+      const records = sink.listDeadLetters();
+      if (records.length === 0) {
+        console.log("No dead-lettered events.");
+        return;
+      }
+      for (const record of records) {
+        const event = record.payload.event || {};
+        console.log(
+          [
+            record.id,
+            record.deadLetteredAt,
+            `${record.attempts} attempts`,
+            event.evmAddress ? `0x${event.evmAddress}` : "-",
+            event.transactionHash || "-",
+            record.lastError
+          ].join("  ")
+        );
+      }
+      console.log(`\n${records.length} dead-lettered event(s)`);
+      return;
+    }
+
+    case "show": {
+      const record = sink.listDeadLetters().find((r) => r.id === ids[0]);
+      if (!record) {
+        console.error(`No dead-lettered event with id ${ids[0]}`);
+        process.exitCode = 1;
+        return;
+      }
+      console.log(JSON.stringify(record, null, 2));
+      return;
+    }
+
+    case "redeliver": {
+      if (!args.all && ids.length === 0) {
+        console.error("Give event ids to redeliver, or --all");
+        process.exitCode = 1;
+        return;
+      }
+      if (!url || !secret) {
+        console.error(
+          url ? "Set --secret or WEBHOOK_SECRET" : "Set --url or WEBHOOK_URL"
+        );
+        process.exitCode = 1;
+        return;
+      }
+
+      const results = await sink.redeliverDeadLetters(args.all ? null : ids);
+      for (const { id, error } of results) {
+        console.log(error ? `✗ ${id}: ${error}` : `✓ ${id}`);
+      }
+      const failed = results.filter((r) => r.error).length;
+      console.log(
+        `\nRedelivered ${results.length - failed}/${results.length} event(s)`
+      );
+      if (failed > 0) process.exitCode = 1;
+      return;
+    }
+
+    default:
+      usage();
+      process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
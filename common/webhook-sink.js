@@ -0,0 +1,370 @@
+/**
+ * webhook-sink.js
+ *
+ * Delivers monitor events to an HTTP endpoint, shared by both monitors.
+ *
+ *  - Each event is POSTed as JSON with an HMAC-SHA256 signature and a
+ *    timestamp header (see signPayload()).
+ *  - Non-2xx responses and network errors are retried with exponential
+ *    backoff.
+ *  - Undelivered events live in an on-disk queue (one file per event), so a
+ *    restart picks them up again.
+ *  - Events that exhaust their attempts are appended to a dead-letter file,
+ *    which webhook-cli.js can inspect and redeliver.
+ *
+ * enqueue() writes the event to disk synchronously, so once it returns the
+ * event survives a crash and the caller may advance its checkpoint.
+ *
+ * Headers sent with every delivery:
+ *   X-Webhook-Id:        event id (stable across retries, use it to dedupe)
+ *   X-Webhook-Timestamp: unix seconds when the request was signed
+ *   X-Webhook-Signature: sha256=<hex HMAC of "<timestamp>.<body>">
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { writeFileAtomicSync, appendLineSync } = require("./fs-utils");
+const { defaultLogger } = require("./logger");
+
+const DEFAULTS = {
+  maxAttempts: 8,
+  initialBackoffMs: 1000,
+  maxBackoffMs: 5 * 60 * 1000,
+  requestTimeoutMs: 10000,
+  pollIntervalMs: 1000
+};
+
+// ===========================================
+// SIGNING
+// ===========================================
+
+function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a received signature (for webhook receivers). Rejects timestamps
+ * older than toleranceSeconds to limit replays.
+ */
+function verifySignature(secret, timestamp, body, signature, options = {}) {
+  const toleranceSeconds = options.toleranceSeconds ?? 300;
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+  if (Math.abs(now - Number(timestamp)) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+// ===========================================
+// WEBHOOK SINK
+// ===========================================
+
+class WebhookSink {
+  /**
+   * @param {object} options
+   *   url:              endpoint to POST events to
+   *   secret:           HMAC secret every delivery is signed with
+   *   queueDir:         directory for the queue and dead-letter file
+   *   source:           value of the envelope's `source` field
+   *   maxAttempts, initialBackoffMs, maxBackoffMs, requestTimeoutMs,
+   *   pollIntervalMs:   delivery tuning (see DEFAULTS)
+   *   onDeadLetter:     called with each entry moved to the dead-letter file
+   *   logger:           diagnostics logger (see logger.js)
+   */
+  constructor(options = {}) {
+    if (!options.url) throw new Error("Webhook sink requires a url");
+    if (!options.secret) throw new Error("Webhook sink requires a secret");
+    if (!options.queueDir) throw new Error("Webhook sink requires a queueDir");
+
+    this.url = options.url;
+    this.secret = options.secret;
+    this.source = options.source || null;
+    this.settings = { ...DEFAULTS };
+    for (const key of Object.keys(DEFAULTS)) {
+      if (options[key] !== undefined) this.settings[key] = options[key];
+    }
+    this.onDeadLetter = options.onDeadLetter || (() => {});
+    this.log = options.logger || defaultLogger;
+
+    this.queueDir = path.resolve(options.queueDir);
+    this.pendingDir = path.join(this.queueDir, "pending");
+    this.deadLetterFile = path.join(this.queueDir, "dead-letter.jsonl");
+    fs.mkdirSync(this.pendingDir, { recursive: true });
+
+    this.sequence = 0;
+    this.timer = null;
+    this.stopping = false;
+    this.draining = null;
+    this.stats = { delivered: 0, failedAttempts: 0, deadLettered: 0 };
+  }
+
+  /**
+   * Persist an event for delivery. Returns the queue entry.
+   * @param {object} [extra] - more envelope fields, e.g. the `rules` that
+   *   routed the event here (see rule-engine.js)
+   */
+  enqueue(event, extra = {}) {
+    const createdAt = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+      payload: { id: null, source: this.source, createdAt, ...extra, event }
+    };
+    entry.payload.id = entry.id;
+    // Zero-padded time + sequence keeps file names in enqueue order
+    entry.file = `${String(Date.now()).padStart(15, "0")}-${String(
+      this.sequence++
+    ).padStart(6, "0")}-${entry.id}.json`;
+
+    this.writeEntry(entry);
+    return entry;
+  }
+
+  start() {
+    if (this.timer) return;
+    // A failing pass (e.g. the queue directory became unwritable) is logged
+    // and retried on the next tick, so delivery resumes once it is fixed
+    const tick = async () => {
+      try {
+        await this.drain();
+      } catch (err) {
+        this.log.error("Error draining the webhook queue", { err });
+      }
+      if (this.timer)
+        this.timer = setTimeout(tick, this.settings.pollIntervalMs);
+    };
+    this.timer = setTimeout(tick, 0);
+  }
+
+  async stop() {
+    this.stopping = true;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    // A failed pass was logged by the tick that started it
+    if (this.draining) await this.draining.catch(() => {});
+    this.stopping = false;
+  }
+
+  /**
+   * Attempt every queued event that is due, oldest first. Concurrent calls
+   * share one pass.
+   */
+  drain() {
+    if (!this.draining) {
+      this.draining = this.drainOnce().finally(() => {
+        this.draining = null;
+      });
+    }
+    return this.draining;
+  }
+
+  async drainOnce() {
+    for (const entry of this.readPending()) {
+      if (this.stopping) return;
+      if (entry.nextAttemptAt > Date.now()) continue;
+
+      const error = await this.deliver(entry.payload);
+      entry.attempts++;
+
+      if (!error) {
+        this.stats.delivered++;
+        this.removeEntry(entry);
+        continue;
+      }
+
+      this.stats.failedAttempts++;
+      entry.lastError = error;
+      if (entry.attempts >= this.settings.maxAttempts) {
+        this.deadLetter(entry);
+      } else {
+        entry.nextAttemptAt = Date.now() + this.backoffMs(entry.attempts);
+        this.writeEntry(entry);
+      }
+    }
+  }
+
+  backoffMs(attempts) {
+    return Math.min(
+      this.settings.initialBackoffMs * 2 ** (attempts - 1),
+      this.settings.maxBackoffMs
+    );
+  }
+
+  /**
+   * POST one payload. Returns null on a 2xx response, otherwise an error
+   * message.
+   */
+  async deliver(payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Webhook-Id": payload.id,
+      "X-Webhook-Timestamp": timestamp,
+      "X-Webhook-Signature": signPayload(this.secret, timestamp, body)
+    };
+
+    try {
+      const response = await fetch(this.url, {
+        method: "POST",
+        headers,
+        body,
+        signal: AbortSignal.timeout(this.settings.requestTimeoutMs)
+      });
+      // Drain the body so the connection can be reused
+      await response.arrayBuffer().catch(() => {});
+      if (response.ok) return null;
+      return `HTTP ${response.status} ${response.statusText}`.trim();
+    } catch (err) {
+      return err.message;
+    }
+  }
+
+  // ===========================================
+  // QUEUE FILES
+  // ===========================================
+
+  readPending() {
+    const files = fs
+      .readdirSync(this.pendingDir)
+      .filter((file) => file.endsWith(".json"))
+      .sort();
+
+    const entries = [];
+    for (const file of files) {
+      try {
+        const entry = JSON.parse(
+          fs.readFileSync(path.join(this.pendingDir, file), "utf8")
+        );
+        entries.push({ ...entry, file });
+      } catch (err) {
+        if (err.code !== "ENOENT") {
+          this.log.error("Skipping unreadable webhook entry", {
+            file,
+            err
+          });
+        }
+      }
+    }
+    return entries;
+  }
+
+  writeEntry(entry) {
+    const { file, ...contents } = entry;
+    writeFileAtomicSync(
+      path.join(this.pendingDir, file),
+      JSON.stringify(contents)
+    );
+  }
+
+  removeEntry(entry) {
+    fs.rmSync(path.join(this.pendingDir, entry.file), { force: true });
+  }
+
+  deadLetter(entry) {
+    const { file, nextAttemptAt, ...record } = entry;
+    record.deadLetteredAt = new Date().toISOString();
+    appendLineSync(this.deadLetterFile, JSON.stringify(record));
+    this.removeEntry(entry);
+    this.stats.deadLettered++;
+    this.onDeadLetter(record);
+  }
+
+  // ===========================================
+  // DEAD LETTERS
+  // ===========================================
+
+  listDeadLetters() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.deadLetterFile, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    return raw
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+
+  /**
+   * Deliver dead-lettered events once more, immediately. Delivered events
+   * are removed from the dead-letter file; failures stay with their new
+   * error.
+   *
+   * A running monitor may dead-letter more events while this awaits the
+   * deliveries, so the file is read again before it is rewritten and every
+   * record this pass did not attempt is kept.
+   *
+   * @param {string[]|null} ids - events to redeliver (null = all)
+   * @returns {Promise<object[]>} - [{ id, error }] per attempted event
+   */
+  async redeliverDeadLetters(ids = null) {
+    const wanted = ids ? new Set(ids) : null;
+    // id -> the record with its new error, or null once delivered
+    const attempted = new Map();
+    const results = [];
+
+    for (const record of this.listDeadLetters()) {
+      if (wanted && !wanted.has(record.id)) continue;
+
+      const error = await this.deliver(record.payload);
+      record.attempts++;
+      results.push({ id: record.id, error });
+
+      if (error) {
+        record.lastError = error;
+        attempted.set(record.id, record);
+      } else {
+        this.stats.delivered++;
+        attempted.set(record.id, null);
+      }
+    }
+
+    const remaining = [];
+    for (const record of this.listDeadLetters()) {
+      if (!attempted.has(record.id)) remaining.push(record);
+      else if (attempted.get(record.id))
+        remaining.push(attempted.get(record.id));
+    }
+    writeFileAtomicSync(
+      this.deadLetterFile,
+      remaining.map((record) => JSON.stringify(record) + "\n").join("")
+    );
+    return results;
+  }
+}
+
+// ===========================================
+// FACTORY
+// ===========================================
+
+/**
+ * Create a started webhook sink from a config object, or null when no url
+ * is configured.
+ */
+function createWebhookSink(options = {}) {
+  if (!options.url) return null;
+  const sink = new WebhookSink(options);
+  sink.start();
+  return sink;
+}
+
+module.exports = {
+  createWebhookSink,
+  WebhookSink,
+  signPayload,
+  verifySignature
+};
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * backfill.js
+ *
+ * Report every transfer to the given addresses in a time range, read from
+ * the mirror node database (DB_* environment / .env, as for
+ * evm-address-monitor-db.js). Options and report files are described in
+ * common/backfill.js.
+ *
+ * Usage:
+ *   node backfill.js --from 2025-09-01 --to 2025-10-01 \
+ *     --address 0x8f31e9fa14266c5da7f63bfc96811e08b7c09183="Wallet A"
+ */
+
+require("dotenv").config();
+
+const path = require("path");
+const { DbEvmAddressMonitor } = require("./lib/db-evm-address-monitor");
+const { runBackfillCli } = require("../common/backfill");
+
+runBackfillCli({
+  command: "backfill.js",
+  defaultOutDir: path.join(__dirname, "reports"),
+  createMonitor: (options) =>
+    new DbEvmAddressMonitor({
+      ...options,
+      db: {
+        host: process.env.DB_HOST || "localhost",
+        port: parseInt(process.env.DB_PORT || "5432"),
+        database: process.env.DB_NAME || "mirror_node",
+        user: process.env.DB_USER || "mirror_node",
+        password: process.env.DB_PASSWORD || ""
+      },
+      network: options.network || process.env.HEDERA_NETWORK || "testnet",
+      batchLimit: parseInt(process.env.BATCH_LIMIT || "200"),
+      detectTransferLogs: process.env.DETECT_TRANSFER_LOGS !== "false",
+      detectInternalTransfers: process.env.DETECT_INTERNAL_TRANSFERS === "true"
+    })
+});
@@ -2,440 +2,420 @@
 /**
  * evm-address-monitor-db.js
  *
- * DB-based EVM address monitor that parses transaction_bytes from a local
- * Mirror Node PostgreSQL database to detect transfers to watched EVM addresses.
- *
- * This variant handles both:
- *  - CRYPTOTRANSFER (native Hedera HBAR transfers with AccountID.alias)
- *  - ETHEREUMTRANSACTION (EVM transactions — we decode the embedded ethereumData
- *    to extract the `to` address and value where possible)
- *
- * Note: ETH tx value is the Ethereum value (wei) encoded in the transaction; converting
- * that to tinybar/HBAR is not automatic — the event includes the raw ethereum value.
+ * Command-line runner for DbEvmAddressMonitor (lib/db-evm-address-monitor.js):
+ * reads settings from a config file, the environment and .env (see
+ * common/config.js), prints every detected event and optionally forwards it
+ * to a webhook. Events go to stdout and logs to
+ * stderr, as JSON lines unless LOG_FORMAT=pretty (the default on a
+ * terminal).
  *
  * Dependencies:
  *   npm install pg @hashgraph/proto long dotenv @hiero-ledger/sdk ethers
  *
  * Usage:
- *   configure DB env or .env then:
- *   node evm-address-monitor-db.js
+ *   node evm-address-monitor-db.js [--config FILE] [--network NAME] [--check]
+ *   (or from the repository root: node monitor.js db ...)
  */
 
 require("dotenv").config();
 
-const { Pool } = require("pg");
-const protoPkg = require("@hashgraph/proto");
-const Long = require("long");
+const path = require("path");
 const { PrivateKey } = require("@hiero-ledger/sdk");
-
-let ethers;
-try {
-  // optional dependency; if missing, ETH decoding will be skipped
-  ethers = require("ethers");
-} catch (e) {
-  ethers = null;
-  console.warn(
-    "ethers not available — ETH tx decoding disabled. Install 'ethers' to enable."
-  );
-}
+const { DbEvmAddressMonitor } = require("./lib/db-evm-address-monitor");
+const { createAttribution } = require("../common/attribution");
+const { createCheckpointStore } = require("../common/checkpoint-store");
+const { writeEvent } = require("../common/logger");
+const {
+  dbTransactionTypes,
+  runMonitorCli,
+  watchlistOptions
+} = require("../common/config");
+const { createRuleEngine } = require("../common/rule-engine");
+const { createWebhookSink } = require("../common/webhook-sink");
+const { Watchlist } = require("../common/watchlist");
+const { startWatchlistApi } = require("../common/watchlist-api");
+const { MonitorMetrics, startMetricsServer } = require("../common/metrics");
 
 // ===========================================
 // CONFIGURATION
 // ===========================================
 
-const CONFIG = {
-  db: {
-    host: process.env.DB_HOST || "localhost",
-    port: parseInt(process.env.DB_PORT || "5432"),
-    database: process.env.DB_NAME || "mirror_node",
-    user: process.env.DB_USER || "mirror_node",
-    password: process.env.DB_PASSWORD || ""
+// Defaults of this CLI. Everything can be set in a config file (see
+// ../config.example.yaml) and overridden by environment variables (see
+// common/config.js); monitor options left unset use the defaults in
+// lib/db-evm-address-monitor.js.
+const DEFAULTS = {
+  database: {
+    host: "localhost",
+    port: 5432,
+    name: "mirror_node",
+    user: "mirror_node",
+    password: ""
   },
-  pollingIntervalMs: parseInt(process.env.POLLING_INTERVAL_MS || "3000"),
-  lookbackSeconds: parseInt(process.env.LOOKBACK_SECONDS || "60"),
-  batchLimit: parseInt(process.env.BATCH_LIMIT || "200"),
-  transactionTypes: [14, 50], // CRYPTOTRANSFER, ETHEREUMTRANSACTION
-  // Default watched EVM addresses (no 0x, lowercase)
-  watchedEvmAddresses: new Set([
-    "8f31e9fa14266c5da7f63bfc96811e08b7c09183" // Wallet A
-  ]),
-  addressLabels: {
-    "8f31e9fa14266c5da7f63bfc96811e08b7c09183": "Wallet A"
-  }
+  pollingIntervalMs: 3000,
+
+  watchlist: {
+    // The saved watchlist; on the first run the addresses below are saved
+    // there, after that the file is the source of truth
+    file: path.join(__dirname, "watchlist.json"),
+    addresses: [
+      {
+        address: "0x8f31e9fa14266c5da7f63bfc96811e08b7c09183",
+        label: "Wallet A"
+      }
+    ],
+    api: { port: 8081 }
+  },
+
+  checkpoint: {
+    file: path.join(__dirname, "checkpoints.json"),
+    sqliteFile: path.join(__dirname, "checkpoints.db")
+  },
+
+  webhook: { queueDir: path.join(__dirname, "webhook-queue") },
+
+  attribution: { queueDir: path.join(__dirname, "unattributed") }
 };
 
+function addTestAddresses(watchlist, count, log) {
+  for (let i = 0; i < count; i++) {
+    const privateKey = PrivateKey.generateECDSA();
+    const normalized = privateKey.publicKey
+      .toEvmAddress()
+      .toLowerCase()
+      .replace("0x", "");
+    watchlist.watchedEvmAddresses.add(normalized);
+    watchlist.addressLabels[normalized] = `Test Wallet ${i + 1}`;
+    log.info("Added address to watch list", {
+      address: `0x${normalized}`,
+      label: `Test Wallet ${i + 1}`
+    });
+  }
+}
+
 // ===========================================
-// UTILITIES
+// OUTPUT
 // ===========================================
 
-function normalizeEvmAddress(address) {
-  if (!address) return null;
-  if (Buffer.isBuffer(address) || address instanceof Uint8Array) {
-    return Buffer.from(address).toString("hex").toLowerCase();
+// Banners are for pretty mode only; otherwise events are JSON lines
+
+// How the sender addressed the recipient, as shown in console output
+const ADDRESSED_BY_LABELS = {
+  evm_address: "EVM Address",
+  entity_id: "Entity ID",
+  long_zero: "Long-zero Address"
+};
+
+function formatAmount(event) {
+  if (event.assetType === "HBAR") {
+    return event.amountDecimal === null
+      ? "unknown"
+      : `${event.amountDecimal} ℏ`;
   }
-  return String(address).toLowerCase().replace(/^0x/, "");
+  return `${event.amountDecimal ?? event.amount} ${
+    event.tokenSymbol || event.tokenId
+  }`;
 }
 
-function addWatchedAddress(evmAddress, label = null) {
-  const normalized = normalizeEvmAddress(evmAddress);
-  CONFIG.watchedEvmAddresses.add(normalized);
-  if (label) CONFIG.addressLabels[normalized] = label;
-  console.log(
-    `Added address to watch list: 0x${normalized}${label ? ` (${label})` : ""}`
-  );
-}
+function printEventLines(event) {
+  const to = `  To: 0x${event.evmAddress}${
+    event.label ? ` (${event.label})` : ""
+  }`;
+  const sender = `  Sender used: ${ADDRESSED_BY_LABELS[event.addressedBy]}${
+    event.isEvmTransaction ? " (ETH tx)" : ""
+  }`;
+
+  if (event.detectionMethod === "contract_action") {
+    return [
+      "💰 INCOMING INTERNAL TRANSFER DETECTED!",
+      to,
+      `  Amount: ${formatAmount(event)}`,
+      `  From contract: ${event.internal.callerContractId || "unknown"} (depth ${
+        event.internal.callDepth
+      })`,
+      `  Transaction ID: ${event.transactionId}`,
+      `  Timestamp: ${event.consensusTimestamp}`
+    ];
+  }
 
-function formatHbarFromTinybar(tinybarStr) {
-  const t = Long.fromString(String(tinybarStr));
-  const whole = t.divide(100_000_000).toNumber();
-  const frac = t.mod(100_000_000).toNumber();
-  return `${whole}.${String(frac).padStart(8, "0")} ℏ`;
-}
+  if (event.assetType === "HBAR") {
+    const wei = event.ethereum
+      ? ` (${event.ethereum.valueWei} wei${
+          event.ethereum.precisionLoss ? ", sub-tinybar wei truncated" : ""
+        })`
+      : "";
+    return [
+      "💰 INCOMING TRANSFER DETECTED!",
+      to,
+      `  Amount: ${formatAmount(event)}${wei}`,
+      `  Transaction ID: ${event.transactionId}`,
+      `  Timestamp: ${event.consensusTimestamp}`,
+      sender
+    ];
+  }
 
-function getNanosSecondsAgo(seconds) {
-  const now = Date.now();
-  const target = now - seconds * 1000;
-  const s = Math.floor(target / 1000);
-  const ns = (target % 1000) * 1_000_000;
-  return `${s}${String(ns).padStart(9, "0")}`;
+  const isNft = event.assetType === "NFT" || event.assetType === "ERC721";
+  return [
+    "💰 INCOMING TOKEN TRANSFER DETECTED!",
+    to,
+    isNft
+      ? `  NFT: ${event.tokenId} #${event.serialNumber}`
+      : `  Amount: ${formatAmount(event)}`,
+    `  Transaction ID: ${event.transactionId}`,
+    `  Timestamp: ${event.consensusTimestamp}`,
+    sender
+  ];
 }
 
-function bufferToHexMaybe(buf) {
-  if (!buf && buf !== 0) return null;
-  if (Buffer.isBuffer(buf)) return buf.toString("hex");
-  return String(buf);
+function printEvent(event) {
+  const [title, ...lines] = printEventLines(event);
+  console.log("\n" + "=".repeat(60));
+  console.log(title);
+  console.log("=".repeat(60));
+  for (const line of lines) console.log(line);
+  console.log("=".repeat(60));
+  console.log(JSON.stringify(event, null, 2));
 }
 
-// ===========================================
-// GENERATE TEST ADDRESSES (like option1)
-// ===========================================
-
-console.log("=".repeat(60));
-console.log("GENERATING TEST ADDRESSES TO WATCH");
-console.log("=".repeat(60));
+function printAccountCreated(account) {
+  console.log("\n" + "=".repeat(60));
+  console.log("🆕 WATCHED ADDRESS NOW HAS AN ACCOUNT");
+  console.log("=".repeat(60));
+  console.log(
+    `  0x${account.evmAddress}${account.label ? ` (${account.label})` : ""} → ${
+      account.entityId
+    }`
+  );
+  console.log(`  Timestamp: ${account.consensusTimestamp}`);
+  console.log("=".repeat(60));
+}
 
-// Generate 3 test addresses and add them to watch list
-for (let i = 0; i < 3; i++) {
-  const privateKey = PrivateKey.generateECDSA();
-  const evmAddress = privateKey.publicKey.toEvmAddress();
-  addWatchedAddress(evmAddress, `Test Wallet ${i + 1}`);
+function formatStats(stats) {
+  return (
+    `polls=${stats.polls} scanned=${stats.scanned} matches=${stats.matches} ` +
+    `(${stats.cryptoTransfers} native, ${stats.ethereumTransactions} EVM, ` +
+    `${stats.tokenTransfers} token, ${stats.nftTransfers} NFT, ` +
+    `${stats.erc20Transfers + stats.erc721Transfers} ERC, ` +
+    `${stats.internalTransfers} internal)`
+  );
 }
-console.log();
 
 // ===========================================
-// PROTOBUF PARSER
+// MAIN
 // ===========================================
 
-class ProtoParser {
-  constructor() {
-    this.proto = protoPkg;
-    this.Transaction =
-      this.proto?.proto?.Transaction || this.proto?.Transaction;
-    this.SignedTransaction =
-      this.proto?.proto?.SignedTransaction || this.proto?.SignedTransaction;
-    this.TransactionBody =
-      this.proto?.proto?.TransactionBody || this.proto?.TransactionBody;
-  }
-
-  parseTransactionBytes(txBytes) {
-    if (!txBytes || txBytes.length === 0) return null;
-    try {
-      const transaction = this.Transaction.decode(txBytes);
-
-      // various field names across proto versions
-      const signedBytes =
-        transaction.signedTransactionBytes ||
-        transaction.signedTransaction ||
-        transaction.transactionBytes ||
-        transaction.transaction_bytes ||
-        null;
-
-      let txBody = null;
-
-      if (signedBytes && signedBytes.length > 0) {
-        const signed = this.SignedTransaction.decode(signedBytes);
-        const bodyBytes = signed.bodyBytes || signed.body || null;
-        if (bodyBytes && bodyBytes.length > 0) {
-          txBody = this.TransactionBody.decode(bodyBytes);
-        }
-      } else if (transaction.bodyBytes && transaction.bodyBytes.length > 0) {
-        txBody = this.TransactionBody.decode(transaction.bodyBytes);
-      } else if (transaction.body) {
-        txBody = transaction.body;
-      }
+function printHeading(title) {
+  console.log("=".repeat(60));
+  console.log(title);
+  console.log("=".repeat(60));
+}
 
-      return txBody ? { txBody } : null;
-    } catch (err) {
-      return null;
-    }
+/**
+ * Run the monitor with a config from common/config.js until SIGINT
+ */
+async function run(config, log) {
+  const watched = watchlistOptions(config);
+  if (config.watchlist.testAddresses > 0) {
+    if (log.pretty) printHeading("GENERATING TEST ADDRESSES TO WATCH");
+    addTestAddresses(watched, config.watchlist.testAddresses, log);
   }
-}
 
-// ===========================================
-// Helper: decode ethereum tx using ethers (if available)
-// ===========================================
-function decodeEthereumTx(ethereumData) {
-  if (!ethereumData || ethereumData.length === 0) return null;
-  if (!ethers) return null;
-
-  try {
-    const hex = "0x" + Buffer.from(ethereumData).toString("hex");
-    // ethers v6: ethers.parseTransaction, v5: ethers.utils.parseTransaction
-    let tx;
-    if (typeof ethers.parseTransaction === "function") {
-      tx = ethers.parseTransaction(hex);
-    } else if (
-      ethers.utils &&
-      typeof ethers.utils.parseTransaction === "function"
-    ) {
-      tx = ethers.utils.parseTransaction(hex);
-    } else {
-      return null;
-    }
+  const webhook = createWebhookSink({
+    ...config.webhook,
+    source: "db-monitor",
+    logger: log,
+    onDeadLetter: (record) =>
+      log.error("Webhook event dead-lettered", {
+        id: record.id,
+        err: record.lastError
+      })
+  });
 
-    return {
-      to: tx.to ? normalizeEvmAddress(tx.to) : null,
-      from: tx.from ? normalizeEvmAddress(tx.from) : null,
-      value: tx.value
-        ? tx.value.toString
-          ? tx.value.toString()
-          : String(tx.value)
-        : "0",
-      gasLimit: tx.gasLimit
-        ? tx.gasLimit.toString
-          ? tx.gasLimit.toString()
-          : String(tx.gasLimit)
-        : null,
-      gasPrice: tx.gasPrice
-        ? tx.gasPrice.toString
-          ? tx.gasPrice.toString()
-          : String(tx.gasPrice)
-        : null,
-      data: tx.data
-        ? typeof tx.data === "string"
-          ? tx.data.replace(/^0x/, "")
-          : Buffer.from(tx.data).toString("hex")
-        : null
-    };
-  } catch (e) {
-    return null;
+  const attribution = await createAttribution(
+    {
+      ...config.attribution,
+      onUnattributed: (event, reason) =>
+        log.warn("Unattributed deposit queued for review", {
+          idempotencyKey: event.idempotencyKey,
+          address: `0x${event.evmAddress}`,
+          reason
+        })
+    },
+    require
+  );
+  if (attribution) {
+    log.info("Deposit attribution enabled", {
+      rules: attribution.rules.length,
+      queueDir: attribution.queue.dir
+    });
   }
-}
 
-// ===========================================
-// MONITOR
-// ===========================================
-
-async function main() {
-  const pool = new Pool(CONFIG.db);
-  const parser = new ProtoParser();
+  const rules = await createRuleEngine(
+    {
+      ...config.rules,
+      source: "db-monitor",
+      logger: log,
+      onError: (error) =>
+        log.error(error.context || "Transfer rule error", { err: error })
+    },
+    require
+  );
 
-  let lastConsensusTs =
-    process.env.START_CONSENSUS_TIMESTAMP ||
-    getNanosSecondsAgo(CONFIG.lookbackSeconds);
+  // Options the library does not know (watchlist, log, ...) are ignored
+  const { database } = config;
+  const monitor = new DbEvmAddressMonitor({
+    ...config,
+    ...watched,
+    attribution,
+    rules,
+    db: {
+      host: database.host,
+      port: database.port,
+      database: database.name,
+      user: database.user,
+      password: database.password
+    },
+    transactionTypes:
+      config.transactionTypes && dbTransactionTypes(config.transactionTypes),
+    checkpointStore: createCheckpointStore(config.checkpoint, require),
+    logger: log
+  });
 
-  console.log("=".repeat(60));
-  console.log("EVM ADDRESS MONITOR - Database Edition");
-  console.log("=".repeat(60));
-  console.log(`Watching ${CONFIG.watchedEvmAddresses.size} addresses`);
-  for (const a of CONFIG.watchedEvmAddresses) {
-    console.log(
-      `  0x${a}${
-        CONFIG.addressLabels[a] ? ` (${CONFIG.addressLabels[a]})` : ""
-      }`
+  // The webhook queue is written synchronously, so an event is persisted
+  // before the monitor's cursor moves past it
+  monitor.on("transfer", (event) => {
+    if (log.pretty) printEvent(event);
+    else writeEvent("transfer", event);
+    if (webhook) webhook.enqueue(event);
+  });
+  monitor.on("accountCreated", (account) => {
+    if (log.pretty) printAccountCreated(account);
+    else writeEvent("accountCreated", account);
+  });
+  monitor.on("error", (error) => {
+    monitor.log.error(error.context || "Monitor error", {
+      err: error,
+      cursor: monitor.lastConsensusTs
+    });
+  });
+  monitor.on("poll", ({ poll, durationMs, ok, stats }) => {
+    if (!log.pretty) {
+      monitor.log.debug("Poll finished", {
+        poll,
+        durationMs,
+        ok,
+        cursor: monitor.lastConsensusTs,
+        lagSeconds: monitor.getLagSeconds(),
+        rowsPerSecond: monitor.rowsPerSecond,
+        catchingUp: monitor.catchingUp,
+        ...stats
+      });
+      return;
+    }
+    const catchUp = monitor.catchingUp
+      ? ` catching up: ${monitor.getLagSeconds()}s behind, ${monitor.rowsPerSecond} rows/s`
+      : "";
+    process.stdout.write(
+      `\r[${new Date().toISOString()}] ${formatStats(stats)}${catchUp}   `
     );
+  });
+
+  // The saved watchlist replaces the configured addresses after the first
+  // run. Rows are scanned network-wide from the cursor, so an address added
+  // at runtime only matches transfers from then on and needs no baseline;
+  // its add time keeps an older account from being reported as created.
+  const watchlist = new Watchlist({
+    addresses: monitor.watchedEvmAddresses,
+    labels: monitor.addressLabels,
+    file: config.watchlist.file,
+    prepareAddress: (evm) => monitor.setAddedAt(evm),
+    onRemove: (evm) => monitor.forgetAddress(evm)
+  });
+  watchlist.load();
+  for (const [evm, addedAt] of Object.entries(watchlist.addedAt)) {
+    if (addedAt) monitor.setAddedAt(evm, addedAt);
   }
-  console.log(`Polling interval: ${CONFIG.pollingIntervalMs}ms`);
-  console.log();
-
-  const stats = {
-    polls: 0,
-    scanned: 0,
-    matches: 0,
-    cryptoTransfers: 0,
-    ethereumTransactions: 0
-  };
-
-  async function pollOnce() {
-    stats.polls++;
-    const sql = `
-      SELECT consensus_timestamp, type, result, transaction_bytes, transaction_hash
-      FROM transaction
-      WHERE consensus_timestamp > $1
-        AND type = ANY($2)
-        AND result = 22
-      ORDER BY consensus_timestamp ASC
-      LIMIT $3
-    `;
-    try {
-      const res = await pool.query(sql, [
-        lastConsensusTs,
-        CONFIG.transactionTypes,
-        CONFIG.batchLimit
-      ]);
-      if (!res.rows || res.rows.length === 0) {
-        process.stdout.write(
-          `\r[${new Date().toISOString()}] polls=${stats.polls} scanned=${
-            stats.scanned
-          } matches=${stats.matches}   `
-        );
-        return;
-      }
 
-      for (const row of res.rows) {
-        stats.scanned++;
-        lastConsensusTs = row.consensus_timestamp || lastConsensusTs;
-
-        const txBytes = row.transaction_bytes;
-        if (!txBytes || txBytes.length === 0) continue;
-
-        const parsed = parser.parseTransactionBytes(txBytes);
-        if (!parsed || !parsed.txBody) continue;
-        const txBody = parsed.txBody;
-
-        // ------------------------------------------
-        // 1) CRYPTOTRANSFER - look for AccountID.alias
-        // ------------------------------------------
-        if (
-          txBody.cryptoTransfer &&
-          txBody.cryptoTransfer.transfers &&
-          txBody.cryptoTransfer.transfers.accountAmounts
-        ) {
-          for (const aa of txBody.cryptoTransfer.transfers.accountAmounts) {
-            const amt = Long.fromValue(aa.amount || 0);
-            if (!amt.greaterThan(Long.ZERO)) continue;
-
-            const accountId =
-              aa.accountID || aa.accountId || aa.account || null;
-            if (!accountId) continue;
-
-            if (accountId.alias && accountId.alias.length === 20) {
-              const evm = normalizeEvmAddress(
-                Buffer.from(accountId.alias).toString("hex")
-              );
-              if (CONFIG.watchedEvmAddresses.has(evm)) {
-                stats.matches++;
-                stats.cryptoTransfers++;
-
-                const txHashHex = bufferToHexMaybe(row.transaction_hash);
-                const event = {
-                  evmAddress: evm,
-                  label: CONFIG.addressLabels[evm] || null,
-                  amountTinybar: amt.toString(),
-                  amountHbar: formatHbarFromTinybar(amt.toString()),
-                  transactionHash: txHashHex,
-                  consensusTimestamp: row.consensus_timestamp,
-                  senderUsedEvmAddress: true,
-                  transactionType: "CRYPTOTRANSFER",
-                  detectionMethod: "transaction_bytes",
-                  memo: txBody.memo || null
-                };
-
-                // Human-friendly output
-                console.log("\n" + "=".repeat(60));
-                console.log("💰 INCOMING TRANSFER DETECTED!");
-                console.log("=".repeat(60));
-                console.log(
-                  `  To: 0x${event.evmAddress}${
-                    event.label ? ` (${event.label})` : ""
-                  }`
-                );
-                console.log(`  Amount: ${event.amountHbar}`);
-                console.log(`  Transaction Hash: ${event.transactionHash}`);
-                console.log(`  Timestamp: ${event.consensusTimestamp}`);
-                console.log(`  Sender used: EVM Address`);
-                console.log("=".repeat(60));
-                console.log(JSON.stringify(event, null, 2));
-              }
-            }
-          }
-        }
-
-        // ------------------------------------------
-        // 2) ETHEREUMTRANSACTION - decode ethereumData if present
-        // ------------------------------------------
-        if (txBody.ethereumTransaction) {
-          const eth = txBody.ethereumTransaction;
-          const ethData =
-            eth.ethereumData || eth.ethereum_data || eth.ethereumBytes || null;
-          if (ethData && ethData.length > 0 && ethers) {
-            const ethInfo = decodeEthereumTx(ethData);
-            if (ethInfo && ethInfo.to) {
-              const evm = normalizeEvmAddress(ethInfo.to);
-              if (CONFIG.watchedEvmAddresses.has(evm)) {
-                stats.matches++;
-                stats.ethereumTransactions++;
-
-                const txHashHex = bufferToHexMaybe(row.transaction_hash);
-                const event = {
-                  evmAddress: evm,
-                  label: CONFIG.addressLabels[evm] || null,
-                  // value is the Ethereum value (wei). Converting to tinybar is not automatic.
-                  ethereumValueWei: ethInfo.value,
-                  transactionHash: txHashHex,
-                  consensusTimestamp: row.consensus_timestamp,
-                  senderUsedEvmAddress: true,
-                  transactionType: "ETHEREUMTRANSACTION",
-                  detectionMethod: "transaction_bytes",
-                  memo: txBody.memo || null,
-                  ethereumInfo: ethInfo
-                };
-
-                // Human-friendly output (note: value shown in wei)
-                console.log("\n" + "=".repeat(60));
-                console.log("💰 INCOMING TRANSFER DETECTED!");
-                console.log("=".repeat(60));
-                console.log(
-                  `  To: 0x${event.evmAddress}${
-                    event.label ? ` (${event.label})` : ""
-                  }`
-                );
-                console.log(
-                  `  Ethereum value (wei): ${event.ethereumValueWei}`
-                );
-                console.log(`  Transaction Hash: ${event.transactionHash}`);
-                console.log(`  Timestamp: ${event.consensusTimestamp}`);
-                console.log(`  Sender used: EVM Address (ETH tx)`);
-                console.log("=".repeat(60));
-                console.log(JSON.stringify(event, null, 2));
-              }
-            }
-          } else if (txBody.ethereumTransaction && !ethers) {
-            // ethers not installed — optionally fallback to scanning transfer list (if present)
-            // some mirror builds will have transfers for ETH txs in the cryptoTransfer section as well
-            // nothing else to do here unless you want to attempt simple RLP parsing without ethers
-          }
-        }
-      } // end rows
-
-      process.stdout.write(
-        `\r[${new Date().toISOString()}] polls=${stats.polls} scanned=${
-          stats.scanned
-        } matches=${stats.matches} (${stats.cryptoTransfers} native, ${
-          stats.ethereumTransactions
-        } EVM)   `
+  if (log.pretty) {
+    printHeading("EVM ADDRESS MONITOR - Database Edition");
+    console.log(`Watching ${monitor.watchedEvmAddresses.size} addresses`);
+    for (const a of monitor.watchedEvmAddresses) {
+      console.log(
+        `  0x${a}${
+          monitor.addressLabels[a] ? ` (${monitor.addressLabels[a]})` : ""
+        }`
       );
-    } catch (err) {
-      console.error("DB poll error:", err.message);
     }
+    console.log(`Polling interval: ${config.pollingIntervalMs}ms`);
+    if (monitor.config.listen) {
+      console.log(
+        `Push mode: LISTEN ${monitor.config.listenChannel} ` +
+          `(safety-net polls every ${monitor.config.listenPollingIntervalMs}ms)`
+      );
+    }
+    console.log();
+  } else {
+    monitor.log.info("Monitor starting", {
+      addresses: monitor.watchedEvmAddresses.size,
+      watchlistFile: config.watchlist.file,
+      pollingIntervalMs: config.pollingIntervalMs,
+      listen: monitor.config.listen
+    });
+  }
+
+  // Before start(), so probes answer during the first poll
+  let metricsServer = null;
+  if (config.metrics.port !== null) {
+    const metrics = new MonitorMetrics(monitor, {
+      stallAfterMs: config.metrics.stallAfterMs
+    });
+    metricsServer = await startMetricsServer(metrics, {
+      ...config.metrics,
+      logger: log
+    });
+    log.info("Metrics listening", {
+      url: `http://${config.metrics.host}:${metricsServer.address().port}/metrics`
+    });
+  }
+
+  await monitor.start();
+  monitor.log.info("Scanning from consensus timestamp", {
+    cursor: monitor.startConsensusTs,
+    fromCheckpoint: monitor.resumedFromCheckpoint
+  });
+
+  let api = null;
+  if (config.watchlist.api.token) {
+    api = await startWatchlistApi(watchlist, {
+      ...config.watchlist.api,
+      logger: log
+    });
+    log.info("Watchlist API listening", {
+      url: `http://${config.watchlist.api.host}:${api.address().port}/watchlist`
+    });
   }
 
   // graceful shutdown
   process.on("SIGINT", async () => {
-    console.log("\nShutting down...");
+    if (log.pretty) console.log();
+    log.info("Shutting down");
+    if (api) api.close();
+    if (metricsServer) metricsServer.close();
     try {
-      await pool.end();
+      await monitor.stop();
+      if (webhook) await webhook.stop();
+      if (rules) await rules.stop();
     } catch (_) {}
+    monitor.log.info("Monitor stopped", {
+      summary: formatStats(monitor.stats),
+      cursor: monitor.lastConsensusTs
+    });
     process.exit(0);
   });
+}
 
-  // initial poll + loop
-  await pollOnce();
-  setInterval(pollOnce, CONFIG.pollingIntervalMs);
+if (require.main === module) {
+  runMonitorCli("db", { run, defaults: DEFAULTS, require });
 }
 
-// Start
-main().catch((err) => {
-  console.error("Fatal:", err);
-  process.exit(1);
-});
+module.exports = { DEFAULTS, run };
@@ -0,0 +1,193 @@
+import { MonitorBase, MonitorBaseOptions } from "../common/monitor-base";
+import { CheckpointStore } from "../common/checkpoint-store";
+import { TransferEvent } from "../common/transfer-event";
+
+export {
+  AccountCreatedInfo,
+  MonitorError,
+  MonitorProgress,
+  PollInfo
+} from "../common/monitor-base";
+export {
+  AttributionOptions,
+  AttributionRule,
+  DepositAttribution,
+  UnattributedEntry,
+  UnattributedQueue,
+  createAttribution,
+  parseAttributionRules
+} from "../common/attribution";
+export {
+  RuleConditions,
+  RuleEngine,
+  RuleEngineOptions,
+  RulesFile,
+  SinkDefinition,
+  TransferRule,
+  createRuleEngine
+} from "../common/rule-engine";
+export {
+  CheckpointStore,
+  CheckpointStoreOptions,
+  createCheckpointStore
+} from "../common/checkpoint-store";
+export {
+  LogFormat,
+  LogLevel,
+  Logger,
+  LoggerOptions,
+  createLogger,
+  writeEvent
+} from "../common/logger";
+export {
+  MetricFamily,
+  MetricsCollector,
+  MonitorHealth,
+  MonitorMetrics,
+  MonitorMetricsOptions,
+  startMetricsServer
+} from "../common/metrics";
+export {
+  AddressedBy,
+  AssetType,
+  SCHEMA_VERSION,
+  TRANSFER_EVENT_SCHEMA,
+  TransferEvent,
+  TransferEventValidationError,
+  validateTransferEvent
+} from "../common/transfer-event";
+
+export interface DbConnectionConfig {
+  host: string;
+  port: number;
+  database: string;
+  user: string;
+  password: string;
+}
+
+export interface DbEvmAddressMonitorConfig {
+  db: DbConnectionConfig;
+  /** Written into every event */
+  network: string;
+  pollingIntervalMs: number;
+  lookbackSeconds: number;
+  /** Consensus timestamp in nanoseconds; overrides the saved cursor */
+  startConsensusTimestamp: string | null;
+  batchLimit: number;
+  /** How long one poll may read batches back to back while behind */
+  maxPollDurationMs: number;
+  /** Mirror node transaction type codes (14 = CRYPTOTRANSFER, 50 = ETH) */
+  transactionTypes: number[];
+  /** { [evmAddress]: ["0.0.x", ...] }; addresses without an entry accept all */
+  tokenAllowlist: Record<string, string[]>;
+  detectTransferLogs: boolean;
+  detectInternalTransfers: boolean;
+  /** Push mode; needs migrations/001_transaction_notify.up.sql */
+  listen: boolean;
+  listenChannel: string;
+  /** Safety-net polling interval while LISTEN is active */
+  listenPollingIntervalMs: number;
+}
+
+export declare const DEFAULT_CONFIG: DbEvmAddressMonitorConfig;
+
+/** Anything with pg Pool's query() and end(), plus connect() for push mode */
+export interface QueryablePool {
+  query(sql: string, params?: unknown[]): Promise<{ rows: any[] }>;
+  end(): Promise<void>;
+  connect?(): Promise<any>;
+}
+
+export interface DbEvmAddressMonitorOptions
+  extends
+    Partial<Omit<DbEvmAddressMonitorConfig, "db">>,
+    MonitorBaseOptions<TransferEvent> {
+  db?: Partial<DbConnectionConfig>;
+  /** Existing pool; the monitor then leaves closing it to the caller */
+  pool?: QueryablePool;
+  /** Addresses to watch, with or without 0x */
+  watchedEvmAddresses?: Iterable<string>;
+  addressLabels?: Record<string, string>;
+  checkpointStore?: CheckpointStore;
+}
+
+export interface DbEvmAddressMonitorStats {
+  polls: number;
+  scanned: number;
+  matches: number;
+  cryptoTransfers: number;
+  ethereumTransactions: number;
+  tokenTransfers: number;
+  nftTransfers: number;
+  erc20Transfers: number;
+  erc721Transfers: number;
+  internalTransfers: number;
+  /** NOTIFYs received in push mode */
+  notifications: number;
+}
+
+/** Balances in an asset's smallest unit; tokens by token ID */
+export interface AccountBalances {
+  hbar: bigint;
+  tokens: Map<string, bigint>;
+}
+
+export interface BalanceSnapshot {
+  /** Consensus timestamp of the snapshot ("seconds.nanos") */
+  timestamp: string;
+  /** By EVM address (lowercase hex, no 0x); addresses without an account are left out */
+  accounts: Map<string, AccountBalances & { entityId: string }>;
+}
+
+export declare class DbEvmAddressMonitor extends MonitorBase<
+  TransferEvent,
+  DbEvmAddressMonitorStats
+> {
+  constructor(options?: DbEvmAddressMonitorOptions);
+
+  readonly config: DbEvmAddressMonitorConfig;
+  /** Live watchlist (lowercase hex without 0x) */
+  readonly watchedEvmAddresses: Set<string>;
+  readonly addressLabels: Record<string, string>;
+  /** Last processed consensus timestamp; null before start() */
+  readonly lastConsensusTs: string | null;
+  /** Where this run started scanning; null before start() */
+  readonly startConsensusTs: string | null;
+  readonly resumedFromCheckpoint: boolean;
+  /** True while the last poll ended with rows left to read */
+  readonly catchingUp: boolean;
+  /** Rows per second the last poll read; null before the first poll */
+  readonly rowsPerSecond: number | null;
+
+  /** Seconds between the cursor's consensus timestamp and now, or null */
+  getLagSeconds(now?: number): number | null;
+  addAddress(evmAddress: string, label?: string | null): void;
+  removeAddress(evmAddress: string): void;
+  /**
+   * Record when an address was added (now by default); its account is only
+   * reported as created if that happened later
+   */
+  setAddedAt(evmAddress: string, addedAt?: string | Date): void;
+  /** Drop the entity index entries of an address that is no longer watched */
+  forgetAddress(evmAddress: string): void;
+  /**
+   * Emit every transfer to the watched addresses in (fromTimestamp,
+   * toTimestamp] ("seconds.nanos"); resolves with the range scanned, which
+   * ends at the newest transaction in the database
+   */
+  backfill(
+    fromTimestamp: string,
+    toTimestamp: string
+  ): Promise<{ fromTimestamp: string; toTimestamp: string }>;
+  /**
+   * Balances of the watched addresses from the newest balance snapshot at or
+   * before `timestamp` ("seconds.nanos"), for reconciliation
+   */
+  balanceSnapshot(timestamp: string): Promise<BalanceSnapshot>;
+  /** What left an account in (fromTimestamp, toTimestamp], fees included */
+  accountDebits(
+    entityId: string,
+    fromTimestamp: string,
+    toTimestamp: string
+  ): Promise<AccountBalances>;
+}
@@ -0,0 +1,45 @@
+/**
+ * Package entry point: the Mirror Node database monitor as a library.
+ * evm-address-monitor-db.js is the command-line script built on it.
+ */
+
+const {
+  DEFAULT_CONFIG,
+  DbEvmAddressMonitor
+} = require("./lib/db-evm-address-monitor");
+const {
+  DepositAttribution,
+  UnattributedQueue,
+  createAttribution,
+  parseAttributionRules
+} = require("../common/attribution");
+const { createCheckpointStore } = require("../common/checkpoint-store");
+const { createLogger, writeEvent } = require("../common/logger");
+const { MonitorMetrics, startMetricsServer } = require("../common/metrics");
+const { RuleEngine, createRuleEngine } = require("../common/rule-engine");
+const {
+  SCHEMA_VERSION,
+  TRANSFER_EVENT_SCHEMA,
+  TransferEventValidationError,
+  validateTransferEvent
+} = require("../common/transfer-event");
+
+module.exports = {
+  DEFAULT_CONFIG,
+  DbEvmAddressMonitor,
+  DepositAttribution,
+  MonitorMetrics,
+  RuleEngine,
+  SCHEMA_VERSION,
+  TRANSFER_EVENT_SCHEMA,
+  TransferEventValidationError,
+  UnattributedQueue,
+  createAttribution,
+  createCheckpointStore,
+  createLogger,
+  createRuleEngine,
+  parseAttributionRules,
+  startMetricsServer,
+  validateTransferEvent,
+  writeEvent
+};
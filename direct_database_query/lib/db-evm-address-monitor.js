@@ -0,0 +1,1552 @@
+/**
+ * db-evm-address-monitor.js (library)
+ *
+ * DB-based EVM address monitor that parses transaction_bytes from a local
+ * Mirror Node PostgreSQL database to detect transfers to watched EVM addresses.
+ *
+ * This variant handles both:
+ *  - CRYPTOTRANSFER (native Hedera HBAR transfers addressed by AccountID.alias,
+ *    by entity ID (0.0.x) or by long-zero address), including HTS fungible
+ *    token and NFT transfers in `tokenTransfers`
+ *  - ETHEREUMTRANSACTION (EVM transactions — we decode the embedded ethereumData
+ *    to extract the `to` address and value where possible)
+ *  - ERC-20 / ERC-721 Transfer logs from the `contract_log` table whose `to`
+ *    topic is a watched address (token sends where the tx `to` is the contract)
+ *  - optionally, internal HBAR transfers made by contracts (multisig payouts,
+ *    DEX withdrawals, ...) from the `contract_action` table
+ *
+ * Watched EVM addresses are resolved to entity IDs through the mirror node
+ * `entity` table (re-checked every poll until the account is lazy-created), so
+ * transfers that address the account by entity ID are reported as well, with
+ * `addressedBy: "entity_id"`.
+ *
+ * Progress (the last processed consensus timestamp) is saved to an optional
+ * checkpoint store, so a restart resumes exactly where the previous run
+ * stopped.
+ *
+ * ETH tx values are encoded in wei (weibars); they are converted to tinybar
+ * (1 tinybar = 10^10 wei) so ETH and CRYPTOTRANSFER events share the same
+ * amount fields. The raw wei value is kept as `ethereum.valueWei`.
+ *
+ * Events follow common/transfer-event.schema.json, like the REST monitor's.
+ *
+ * DbEvmAddressMonitor is an EventEmitter (see common/monitor-base.js):
+ *
+ *   const monitor = new DbEvmAddressMonitor({
+ *     db: { host: "localhost", database: "mirror_node", user: "...", ... },
+ *     watchedEvmAddresses: ["0x8f31e9fa14266c5da7f63bfc96811e08b7c09183"]
+ *   });
+ *   monitor.on("transfer", (event) => { ... });
+ *   await monitor.start();
+ */
+
+const { Pool } = require("pg");
+const protoPkg = require("@hashgraph/proto");
+const Long = require("long");
+const { defaultLogger } = require("../../common/logger");
+const { MonitorBase } = require("../../common/monitor-base");
+const { formatTokenAmount, isTokenAllowed } = require("../../common/tokens");
+const {
+  HBAR_DECIMALS,
+  formatTransactionId,
+  longZeroAddress,
+  nanosToTimestamp,
+  timestampToNanos,
+  toHexHash
+} = require("../../common/transfer-event");
+const {
+  TRANSFER_EVENT_TOPIC,
+  decodeTransferLog
+} = require("../../common/erc-transfer");
+
+let ethers;
+try {
+  // optional dependency; if missing, ETH decoding will be skipped
+  ethers = require("ethers");
+} catch (e) {
+  ethers = null;
+  defaultLogger.warn(
+    "ethers not available — ETH tx decoding disabled. Install 'ethers' to enable."
+  );
+}
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+// Defaults for every option that can be passed to DbEvmAddressMonitor
+const DEFAULT_CONFIG = {
+  // pg Pool settings, used when no `pool` option is given
+  db: {
+    host: "localhost",
+    port: 5432,
+    database: "mirror_node",
+    user: "mirror_node",
+    password: ""
+  },
+  // Network name written into every event; the database cannot tell
+  network: "testnet",
+  pollingIntervalMs: 3000,
+  // Without a checkpoint, start this many seconds in the past...
+  lookbackSeconds: 60,
+  // ...unless a consensus timestamp (nanoseconds) to start after is given
+  startConsensusTimestamp: null,
+  batchLimit: 200,
+  // While behind (a batch came back full), a poll reads batches back to back
+  // for up to this long, and the next poll starts right away until the
+  // monitor has caught up
+  maxPollDurationMs: 10000,
+  transactionTypes: [14, 50], // CRYPTOTRANSFER, ETHEREUMTRANSACTION
+  // Optional per-address HTS token allowlist; addresses without an entry
+  // report every token. e.g. { "8f31...9183": ["0.0.429274"] }
+  tokenAllowlist: {},
+  // Report ERC-20 / ERC-721 Transfer logs to watched addresses
+  detectTransferLogs: true,
+  // Opt-in: report HBAR sent to watched addresses by contract internal calls
+  detectInternalTransfers: false,
+  // Opt-in push mode: LISTEN for the NOTIFY sent by the trigger in
+  // migrations/001_transaction_notify.up.sql and poll as soon as new rows are
+  // committed. Polling goes on as a safety net for missed notifications,
+  // every listenPollingIntervalMs (pollingIntervalMs while the LISTEN
+  // connection is down).
+  listen: false,
+  listenChannel: "hedera_monitor_transaction",
+  listenPollingIntervalMs: 30000
+};
+
+const CURSOR_NAME = "db.lastConsensusTs";
+
+// Installed by migrations/001_transaction_notify.up.sql
+const NOTIFY_TRIGGER_NAME = "hedera_monitor_transaction_notify";
+
+/**
+ * The channel a push mode trigger notifies, from its pg_trigger row
+ * (tgnargs, tgargs), or null without a trigger. The channel is the
+ * trigger's first argument; triggers installed without one notify the
+ * default channel.
+ */
+function notifyTriggerChannel(row) {
+  if (!row) return null;
+  if (Number(row.tgnargs) === 0) return DEFAULT_CONFIG.listenChannel;
+  // tgargs holds the arguments, each followed by a NUL byte
+  return Buffer.from(row.tgargs).toString("utf8").split("\0")[0];
+}
+
+// ===========================================
+// UTILITIES
+// ===========================================
+
+function normalizeEvmAddress(address) {
+  if (!address) return null;
+  if (Buffer.isBuffer(address) || address instanceof Uint8Array) {
+    return Buffer.from(address).toString("hex").toLowerCase();
+  }
+  return String(address).toLowerCase().replace(/^0x/, "");
+}
+
+// contract_action.call_operation_type values that move value to their
+// recipient (OP_CALL, OP_CREATE, OP_CREATE2). DELEGATECALL and CALLCODE
+// run the recipient's code with the caller's value and balance, and
+// STATICCALL moves nothing.
+const VALUE_CALL_OPERATION_TYPES = [1, 5, 6];
+
+// Senders of native transfers whose EVM alias is kept (see senderAddress)
+const SENDER_CACHE_SIZE = 10000;
+
+// Hedera weibar rule: 1 tinybar = 10^10 wei
+const WEI_PER_TINYBAR = 10_000_000_000n;
+
+/**
+ * Convert a wei amount to tinybar. Wei below 1 tinybar cannot be represented
+ * on Hedera and is truncated; `precisionLoss` flags when that happened.
+ */
+function weiToTinybar(weiStr) {
+  const wei = BigInt(String(weiStr));
+  return {
+    tinybar: (wei / WEI_PER_TINYBAR).toString(),
+    precisionLoss: wei % WEI_PER_TINYBAR !== 0n
+  };
+}
+
+function getNanosSecondsAgo(seconds) {
+  const now = Date.now();
+  const target = now - seconds * 1000;
+  const s = Math.floor(target / 1000);
+  const ns = (target % 1000) * 1_000_000;
+  return `${s}${String(ns).padStart(9, "0")}`;
+}
+
+/**
+ * A long-zero address is an entity ID in EVM address form:
+ * 12 zero bytes (shard and realm 0) followed by the 8-byte account number.
+ */
+function isLongZeroAddress(bytes) {
+  return bytes.length === 20 && bytes.subarray(0, 12).every((b) => b === 0);
+}
+
+function entityIdFromLongZero(bytes) {
+  const num = Buffer.from(bytes).readBigUInt64BE(12);
+  return `0.0.${num}`;
+}
+
+function entityIdFromAccountId(accountId) {
+  if (accountId.accountNum === null || accountId.accountNum === undefined) {
+    return null;
+  }
+  const shard = Long.fromValue(accountId.shardNum || 0).toString();
+  const realm = Long.fromValue(accountId.realmNum || 0).toString();
+  const num = Long.fromValue(accountId.accountNum).toString();
+  return `${shard}.${realm}.${num}`;
+}
+
+/**
+ * The AccountID debited the most in a list of AccountAmounts, or null
+ */
+function largestDebit(accountAmounts) {
+  let debited = null;
+  let debit = Long.ZERO;
+  for (const aa of accountAmounts) {
+    const amt = Long.fromValue(aa.amount || 0);
+    if (amt.lessThan(debit)) {
+      debited = aa.accountID || aa.accountId || null;
+      debit = amt;
+    }
+  }
+  return debited;
+}
+
+function tokenIdToString(tokenId) {
+  if (!tokenId) return null;
+  const shard = Long.fromValue(tokenId.shardNum || 0).toString();
+  const realm = Long.fromValue(tokenId.realmNum || 0).toString();
+  const num = Long.fromValue(tokenId.tokenNum || 0).toString();
+  return `${shard}.${realm}.${num}`;
+}
+
+/**
+ * Mirror node tables store entity IDs encoded as one bigint:
+ * shard (10 bits) | realm (16 bits) | num (38 bits)
+ */
+function encodeEntityId(entityId) {
+  const [shard, realm, num] = entityId.split(".").map(BigInt);
+  return ((shard << 54n) | (realm << 38n) | num).toString();
+}
+
+function decodeEntityId(encodedId) {
+  const id = BigInt(encodedId);
+  const shard = id >> 54n;
+  const realm = (id >> 38n) & 0xffffn;
+  const num = id & ((1n << 38n) - 1n);
+  return `${shard}.${realm}.${num}`;
+}
+
+function compareConsensusTimestamps(a, b) {
+  const diff = BigInt(a) - BigInt(b);
+  if (diff < 0n) return -1;
+  if (diff > 0n) return 1;
+  return 0;
+}
+
+function trimLeadingZeros(bytes) {
+  let i = 0;
+  while (i < bytes.length && bytes[i] === 0) i++;
+  return bytes.subarray(i);
+}
+
+// Names of the transaction types that are scanned or can emit contract logs
+const TRANSACTION_TYPE_NAMES = {
+  7: "CONTRACTCALL",
+  8: "CONTRACTCREATEINSTANCE",
+  14: "CRYPTOTRANSFER",
+  50: "ETHEREUMTRANSACTION"
+};
+
+/**
+ * Event fields shared by every transfer in a `transaction` row, or in a
+ * contract log / action row joined to its transaction
+ */
+function transactionEventFields(row, memo) {
+  return {
+    transactionId: formatTransactionId(
+      decodeEntityId(row.payer_account_id),
+      row.valid_start_ns
+    ),
+    transactionHash: toHexHash(row.transaction_hash),
+    consensusTimestamp: nanosToTimestamp(row.consensus_timestamp),
+    transactionType: TRANSACTION_TYPE_NAMES[row.transaction_type] || null,
+    isEvmTransaction: Number(row.transaction_type) === 50,
+    memo: memo || null
+  };
+}
+
+/**
+ * The `ethereum` event field from an Ethereum hash and value (wei)
+ */
+function ethereumEventFields(hash, valueWei) {
+  return {
+    hash: toHexHash(hash),
+    valueWei: valueWei ?? null,
+    precisionLoss:
+      valueWei === null || valueWei === undefined
+        ? null
+        : weiToTinybar(valueWei).precisionLoss
+  };
+}
+
+/**
+ * Ethereum fields of a log / action row joined to ethereum_transaction
+ * (whose value is stored as big-endian bytes)
+ */
+function joinedEthereumFields(row) {
+  if (Number(row.transaction_type) !== 50) return null;
+  const value = row.ethereum_value
+    ? BigInt(`0x${Buffer.from(row.ethereum_value).toString("hex") || "0"}`)
+    : null;
+  return ethereumEventFields(
+    row.ethereum_hash,
+    value === null ? null : value.toString()
+  );
+}
+
+function decodeMemo(memo) {
+  return memo && memo.length > 0 ? Buffer.from(memo).toString("utf8") : null;
+}
+
+// ===========================================
+// PROTOBUF PARSER
+// ===========================================
+
+class ProtoParser {
+  constructor() {
+    this.proto = protoPkg;
+    this.Transaction =
+      this.proto?.proto?.Transaction || this.proto?.Transaction;
+    this.SignedTransaction =
+      this.proto?.proto?.SignedTransaction || this.proto?.SignedTransaction;
+    this.TransactionBody =
+      this.proto?.proto?.TransactionBody || this.proto?.TransactionBody;
+  }
+
+  parseTransactionBytes(txBytes) {
+    if (!txBytes || txBytes.length === 0) return null;
+    try {
+      const transaction = this.Transaction.decode(txBytes);
+
+      // various field names across proto versions
+      const signedBytes =
+        transaction.signedTransactionBytes ||
+        transaction.signedTransaction ||
+        transaction.transactionBytes ||
+        transaction.transaction_bytes ||
+        null;
+
+      let txBody = null;
+
+      if (signedBytes && signedBytes.length > 0) {
+        const signed = this.SignedTransaction.decode(signedBytes);
+        const bodyBytes = signed.bodyBytes || signed.body || null;
+        if (bodyBytes && bodyBytes.length > 0) {
+          txBody = this.TransactionBody.decode(bodyBytes);
+        }
+      } else if (transaction.bodyBytes && transaction.bodyBytes.length > 0) {
+        txBody = this.TransactionBody.decode(transaction.bodyBytes);
+      } else if (transaction.body) {
+        txBody = transaction.body;
+      }
+
+      return txBody ? { txBody } : null;
+    } catch (err) {
+      return null;
+    }
+  }
+}
+
+// ===========================================
+// Helper: decode ethereum tx using ethers (if available)
+// ===========================================
+function decodeEthereumTx(ethereumData) {
+  if (!ethereumData || ethereumData.length === 0) return null;
+  if (!ethers) return null;
+
+  try {
+    const hex = "0x" + Buffer.from(ethereumData).toString("hex");
+    // ethers v6: ethers.Transaction.from, v5: ethers.utils.parseTransaction
+    let tx;
+    if (ethers.Transaction && typeof ethers.Transaction.from === "function") {
+      tx = ethers.Transaction.from(hex);
+    } else if (
+      ethers.utils &&
+      typeof ethers.utils.parseTransaction === "function"
+    ) {
+      tx = ethers.utils.parseTransaction(hex);
+    } else {
+      return null;
+    }
+
+    return {
+      hash: tx.hash || null,
+      to: tx.to ? normalizeEvmAddress(tx.to) : null,
+      from: tx.from ? normalizeEvmAddress(tx.from) : null,
+      value: tx.value
+        ? tx.value.toString
+          ? tx.value.toString()
+          : String(tx.value)
+        : "0",
+      gasLimit: tx.gasLimit
+        ? tx.gasLimit.toString
+          ? tx.gasLimit.toString()
+          : String(tx.gasLimit)
+        : null,
+      gasPrice: tx.gasPrice
+        ? tx.gasPrice.toString
+          ? tx.gasPrice.toString()
+          : String(tx.gasPrice)
+        : null,
+      data: tx.data
+        ? typeof tx.data === "string"
+          ? tx.data.replace(/^0x/, "")
+          : Buffer.from(tx.data).toString("hex")
+        : null
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+// ===========================================
+// MONITOR
+// ===========================================
+
+class DbEvmAddressMonitor extends MonitorBase {
+  /**
+   * @param {object} options - any DEFAULT_CONFIG key, plus
+   *   watchedEvmAddresses: addresses to watch (0x prefix optional)
+   *   addressLabels:       { [address]: label }
+   *   pool:                an existing pg Pool (otherwise one is created
+   *                        from `db` and closed by stop())
+   *   checkpointStore:     optional durable store for the scan cursor (see
+   *                        common/checkpoint-store.js)
+   *   onTransferReceived, onAccountCreated, onError: optional listeners
+   */
+  constructor(options = {}) {
+    const config = { ...DEFAULT_CONFIG };
+    for (const key of Object.keys(DEFAULT_CONFIG)) {
+      if (options[key] !== undefined) config[key] = options[key];
+    }
+    super({ ...options, pollingIntervalMs: config.pollingIntervalMs });
+    if (config.listen && !/^[a-z_][a-z0-9_]*$/.test(config.listenChannel)) {
+      throw new Error(
+        `listenChannel must be a lowercase identifier, got "${config.listenChannel}"`
+      );
+    }
+
+    this.config = config;
+    this.source = "db";
+    this.network = config.network;
+    this.log = this.log.child({ source: this.source, network: this.network });
+    this.pool = options.pool || null;
+    this.ownsPool = !options.pool;
+    this.checkpoints = options.checkpointStore || null;
+    this.parser = new ProtoParser();
+
+    // Live watchlist; edit it with addAddress() / removeAddress()
+    this.watchedEvmAddresses = new Set();
+    this.addressLabels = {};
+    for (const evmAddress of options.watchedEvmAddresses || []) {
+      this.watchedEvmAddresses.add(normalizeEvmAddress(evmAddress));
+    }
+    for (const [evmAddress, label] of Object.entries(
+      options.addressLabels || {}
+    )) {
+      this.addressLabels[normalizeEvmAddress(evmAddress)] = label;
+    }
+
+    // Watched EVM address <-> entity ID, filled from the mirror `entity` table
+    this.entityIdByEvm = new Map();
+    this.evmByEntityId = new Map();
+
+    // Watched EVM address -> when it was added at runtime, in nanoseconds
+    this.addedAtNanos = new Map();
+
+    // Token metadata from the mirror `token` table, fetched once per token
+    this.tokenInfoCache = new Map();
+
+    // Entity ID -> EVM alias (or null) of recent native transfer senders
+    this.senderCache = new Map();
+
+    // Last processed consensus timestamp, and where this run started
+    this.lastConsensusTs = null;
+    this.startConsensusTs = null;
+    this.resumedFromCheckpoint = false;
+
+    // Push mode: the pooled client holding the LISTEN, whether a
+    // notification arrived since the current scan started, and the poll
+    // notifications started (see onNotification)
+    this.listenClient = null;
+    this.notificationPending = false;
+    this.notifiedPoll = null;
+
+    // Catch-up: whether the last poll ended with rows left to read, since
+    // when (Date.now()) and with how many rows scanned, and the rows per
+    // second the last poll read
+    this.catchingUp = false;
+    this.catchUpStartedAt = null;
+    this.catchUpStartScanned = 0;
+    this.rowsPerSecond = null;
+
+    this.stats = {
+      polls: 0,
+      scanned: 0,
+      matches: 0,
+      cryptoTransfers: 0,
+      ethereumTransactions: 0,
+      tokenTransfers: 0,
+      nftTransfers: 0,
+      erc20Transfers: 0,
+      erc721Transfers: 0,
+      internalTransfers: 0,
+      notifications: 0
+    };
+  }
+
+  /**
+   * Start watching an address. Rows are scanned network-wide from the
+   * cursor, so only transfers from now on are matched.
+   */
+  addAddress(evmAddress, label = null) {
+    const normalized = normalizeEvmAddress(evmAddress);
+    this.watchedEvmAddresses.add(normalized);
+    if (label) this.addressLabels[normalized] = label;
+    this.setAddedAt(normalized);
+  }
+
+  removeAddress(evmAddress) {
+    const normalized = normalizeEvmAddress(evmAddress);
+    this.watchedEvmAddresses.delete(normalized);
+    delete this.addressLabels[normalized];
+    this.forgetAddress(normalized);
+  }
+
+  /**
+   * Record when an address was added to the watchlist (an ISO date or Date,
+   * now by default). Its account is only reported as created if that
+   * happened later.
+   */
+  setAddedAt(evmAddress, addedAt = new Date()) {
+    const ms = BigInt(new Date(addedAt).getTime());
+    this.addedAtNanos.set(
+      normalizeEvmAddress(evmAddress),
+      (ms * 1_000_000n).toString()
+    );
+  }
+
+  /**
+   * Drop the entity index entries of an address that is no longer watched
+   */
+  forgetAddress(evmAddress) {
+    const normalized = normalizeEvmAddress(evmAddress);
+    const entityId = this.entityIdByEvm.get(normalized);
+    this.entityIdByEvm.delete(normalized);
+    if (entityId) this.evmByEntityId.delete(entityId);
+    this.addedAtNanos.delete(normalized);
+  }
+
+  async init() {
+    if (!this.pool) this.pool = new Pool(this.config.db);
+
+    const saved = this.checkpoints
+      ? await this.checkpoints.load()
+      : { cursors: {}, seen: [] };
+    this.seenEvents.restore(saved.seen);
+    this.resumedFromCheckpoint = Boolean(
+      !this.config.startConsensusTimestamp && saved.cursors[CURSOR_NAME]
+    );
+
+    // An explicit start timestamp wins, then the saved cursor, then lookback
+    this.lastConsensusTs =
+      this.config.startConsensusTimestamp ||
+      saved.cursors[CURSOR_NAME] ||
+      getNanosSecondsAgo(this.config.lookbackSeconds);
+    this.startConsensusTs = this.lastConsensusTs;
+  }
+
+  async close() {
+    this.stopListening();
+    if (this.checkpoints) await this.checkpoints.close();
+    if (this.pool && this.ownsPool) {
+      await this.pool.end();
+      this.pool = null;
+    }
+  }
+
+  async saveCursor() {
+    if (!this.checkpoints) return;
+    await this.checkpoints.saveCursor(CURSOR_NAME, this.lastConsensusTs);
+  }
+
+  /**
+   * Resolve watched addresses that do not have an entity yet. Run before each
+   * batch; accounts lazy-created by rows in the batch are already committed,
+   * since the importer writes the entity and the transaction together.
+   */
+  async refreshEntityIndex() {
+    const unresolved = [...this.watchedEvmAddresses].filter(
+      (evm) => !this.entityIdByEvm.has(evm)
+    );
+    if (unresolved.length === 0) return;
+
+    const res = await this.pool.query(
+      `SELECT shard, realm, num, evm_address, created_timestamp
+       FROM entity
+       WHERE evm_address = ANY($1)
+         AND deleted IS NOT TRUE`,
+      [unresolved.map((evm) => Buffer.from(evm, "hex"))]
+    );
+    for (const row of res.rows) {
+      const evm = normalizeEvmAddress(row.evm_address);
+      const entityId = `${row.shard}.${row.realm}.${row.num}`;
+      this.entityIdByEvm.set(evm, entityId);
+      this.evmByEntityId.set(entityId, evm);
+
+      // Accounts created after the scan's starting point, and after the
+      // address was added, are new; older ones were only resolved now
+      const addedAt = this.addedAtNanos.get(evm);
+      if (
+        row.created_timestamp &&
+        BigInt(row.created_timestamp) > BigInt(this.startConsensusTs) &&
+        (!addedAt || BigInt(row.created_timestamp) > BigInt(addedAt))
+      ) {
+        this.emit("accountCreated", {
+          evmAddress: evm,
+          label: this.addressLabels[evm] || null,
+          entityId,
+          consensusTimestamp: nanosToTimestamp(row.created_timestamp)
+        });
+      }
+    }
+  }
+
+  watchedByEntityId(entityId, addressedBy) {
+    const evm = entityId && this.evmByEntityId.get(entityId);
+    if (!evm || !this.watchedEvmAddresses.has(evm)) return null;
+    return { evmAddress: evm, entityId, addressedBy };
+  }
+
+  watchedByEvmAddress(evmBytes) {
+    if (isLongZeroAddress(evmBytes)) {
+      return this.watchedByEntityId(
+        entityIdFromLongZero(evmBytes),
+        "long_zero"
+      );
+    }
+    const evm = normalizeEvmAddress(evmBytes);
+    if (!this.watchedEvmAddresses.has(evm)) return null;
+    return {
+      evmAddress: evm,
+      entityId: this.entityIdByEvm.get(evm) || null,
+      addressedBy: "evm_address"
+    };
+  }
+
+  /**
+   * Match an AccountID from a transfer list against the watchlist.
+   * Returns { evmAddress, entityId, addressedBy } or null.
+   */
+  resolveWatchedRecipient(accountId) {
+    if (accountId.alias && accountId.alias.length === 20) {
+      return this.watchedByEvmAddress(Buffer.from(accountId.alias));
+    }
+    return this.watchedByEntityId(
+      entityIdFromAccountId(accountId),
+      "entity_id"
+    );
+  }
+
+  /**
+   * The EVM address of the account a native transfer debits: the alias the
+   * body names it by, its EVM alias from the `entity` table, or else the
+   * long-zero form of its entity ID
+   */
+  async senderAddress(accountId) {
+    if (!accountId) return null;
+    if (accountId.alias && accountId.alias.length === 20) {
+      return normalizeEvmAddress(accountId.alias);
+    }
+    const entityId = entityIdFromAccountId(accountId);
+    if (!entityId) return null;
+
+    if (!this.senderCache.has(entityId)) {
+      const res = await this.pool.query(
+        `SELECT evm_address FROM entity WHERE id = $1`,
+        [encodeEntityId(entityId)]
+      );
+      const row = res.rows[0];
+      this.senderCache.set(
+        entityId,
+        row && row.evm_address ? normalizeEvmAddress(row.evm_address) : null
+      );
+      if (this.senderCache.size > SENDER_CACHE_SIZE) {
+        this.senderCache.delete(this.senderCache.keys().next().value);
+      }
+    }
+    return this.senderCache.get(entityId) || longZeroAddress(entityId);
+  }
+
+  async getTokenInfo(tokenId) {
+    if (this.tokenInfoCache.has(tokenId))
+      return this.tokenInfoCache.get(tokenId);
+
+    const res = await this.pool.query(
+      `SELECT name, symbol, decimals, type FROM token WHERE token_id = $1`,
+      [encodeEntityId(tokenId)]
+    );
+    const row = res.rows[0];
+    const info = row
+      ? {
+          name: row.name || null,
+          symbol: row.symbol || null,
+          decimals: row.decimals !== null ? Number(row.decimals) : null,
+          type: row.type || null
+        }
+      : null;
+    if (info) this.tokenInfoCache.set(tokenId, info);
+    return info;
+  }
+
+  /**
+   * Transfer logs in (fromTs, toTs] whose `to` topic is a watched address.
+   * The mirror stores topics with leading zero bytes trimmed, so watched
+   * addresses are trimmed the same way. Synthetic logs of HTS tokens are
+   * skipped; those are reported from tokenTransfers.
+   */
+  async fetchTransferLogs(fromTs, toTs) {
+    const watchedTopics = [...this.watchedEvmAddresses].map((evm) =>
+      trimLeadingZeros(Buffer.from(evm, "hex"))
+    );
+
+    const res = await this.pool.query(
+      `SELECT cl.consensus_timestamp, cl.contract_id, cl.index,
+              cl.topic0, cl.topic1, cl.topic2, cl.topic3, cl.data,
+              e.evm_address AS contract_evm_address,
+              t.transaction_hash, t.type AS transaction_type,
+              t.payer_account_id, t.valid_start_ns, t.memo,
+              et.hash AS ethereum_hash, et.value AS ethereum_value
+       FROM contract_log cl
+       LEFT JOIN entity e ON e.id = cl.contract_id
+       LEFT JOIN transaction t ON t.consensus_timestamp = cl.consensus_timestamp
+       LEFT JOIN ethereum_transaction et
+         ON et.consensus_timestamp = cl.consensus_timestamp
+       WHERE cl.consensus_timestamp > $1
+         AND cl.consensus_timestamp <= $2
+         AND cl.topic0 = $3
+         AND cl.topic2 = ANY($4)
+         AND NOT EXISTS (SELECT 1 FROM token tk WHERE tk.token_id = cl.contract_id)
+       ORDER BY cl.consensus_timestamp ASC, cl.index ASC`,
+      [fromTs, toTs, Buffer.from(TRANSFER_EVENT_TOPIC, "hex"), watchedTopics]
+    );
+    return res.rows;
+  }
+
+  reportTransferLog(log) {
+    const transfer = decodeTransferLog(
+      [log.topic0, log.topic1, log.topic2, log.topic3],
+      log.data
+    );
+    if (!transfer) return;
+
+    const recipient = this.watchedByEvmAddress(Buffer.from(transfer.to, "hex"));
+    if (!recipient) return;
+
+    const evm = recipient.evmAddress;
+    const contractId = decodeEntityId(log.contract_id);
+    if (!isTokenAllowed(this.config.tokenAllowlist, evm, contractId)) return;
+
+    const contractAddress = log.contract_evm_address
+      ? normalizeEvmAddress(log.contract_evm_address)
+      : null;
+
+    const isErc721 = transfer.standard === "ERC721";
+    const event = this.emitTransfer({
+      evmAddress: evm,
+      label: this.addressLabels[evm] || null,
+      entityId: recipient.entityId,
+      assetType: transfer.standard,
+      tokenId: contractId,
+      contractAddress,
+      decimals: isErc721 ? 0 : null,
+      serialNumber: transfer.tokenId,
+      amount: transfer.amount,
+      amountDecimal: isErc721 ? "1" : null,
+      from: transfer.from,
+      ...transactionEventFields(log, decodeMemo(log.memo)),
+      detectionMethod: "contract_log",
+      addressedBy: recipient.addressedBy,
+      logIndex: log.index,
+      ethereum: joinedEthereumFields(log)
+    });
+    if (!event) return;
+    this.stats.matches++;
+    if (isErc721) this.stats.erc721Transfers++;
+    else this.stats.erc20Transfers++;
+  }
+
+  /**
+   * Internal (call depth > 0) HBAR value transfers in (fromTs, toTs] to a
+   * watched account, from successful CALL / CREATE actions of successful
+   * transactions. Recipients without an account yet are stored by address.
+   */
+  async fetchInternalTransfers(fromTs, toTs) {
+    const watchedEntityIds = [...this.entityIdByEvm.values()].map(
+      encodeEntityId
+    );
+    const watchedAddresses = [...this.watchedEvmAddresses].map((evm) =>
+      Buffer.from(evm, "hex")
+    );
+
+    const res = await this.pool.query(
+      `SELECT ca.consensus_timestamp, ca.index, ca.call_depth, ca.call_type,
+              ca.call_operation_type, ca.caller, ca.caller_type,
+              ca.recipient_account, ca.recipient_address, ca.value,
+              ce.evm_address AS caller_evm_address,
+              t.transaction_hash, t.type AS transaction_type,
+              t.payer_account_id, t.valid_start_ns, t.memo,
+              et.hash AS ethereum_hash, et.value AS ethereum_value
+       FROM contract_action ca
+       JOIN transaction t
+         ON t.consensus_timestamp = ca.consensus_timestamp AND t.result = 22
+       LEFT JOIN ethereum_transaction et
+         ON et.consensus_timestamp = ca.consensus_timestamp
+       LEFT JOIN entity ce ON ce.id = ca.caller
+       WHERE ca.consensus_timestamp > $1
+         AND ca.consensus_timestamp <= $2
+         AND ca.call_depth > 0
+         AND ca.value > 0
+         AND ca.result_data_type = 11
+         AND ca.call_operation_type = ANY($5)
+         AND (ca.recipient_account = ANY($3) OR ca.recipient_address = ANY($4))
+       ORDER BY ca.consensus_timestamp ASC, ca.index ASC`,
+      [
+        fromTs,
+        toTs,
+        watchedEntityIds,
+        watchedAddresses,
+        VALUE_CALL_OPERATION_TYPES
+      ]
+    );
+    return res.rows;
+  }
+
+  reportInternalTransfer(action) {
+    const recipient = action.recipient_address
+      ? this.watchedByEvmAddress(Buffer.from(action.recipient_address))
+      : this.watchedByEntityId(
+          decodeEntityId(action.recipient_account),
+          "entity_id"
+        );
+    if (!recipient) return;
+
+    const evm = recipient.evmAddress;
+    const amount = String(action.value);
+    const callerIsContract = action.caller_type === "CONTRACT";
+    const callerAddress =
+      callerIsContract && action.caller_evm_address
+        ? normalizeEvmAddress(action.caller_evm_address)
+        : null;
+    const event = this.emitTransfer({
+      evmAddress: evm,
+      label: this.addressLabels[evm] || null,
+      entityId: recipient.entityId,
+      assetType: "HBAR",
+      amount,
+      decimals: HBAR_DECIMALS,
+      amountDecimal: formatTokenAmount(amount, HBAR_DECIMALS),
+      from: callerAddress,
+      ...transactionEventFields(action, decodeMemo(action.memo)),
+      detectionMethod: "contract_action",
+      addressedBy: recipient.addressedBy,
+      ethereum: joinedEthereumFields(action),
+      internal: {
+        callDepth: Number(action.call_depth),
+        actionIndex: Number(action.index),
+        callerContractId:
+          callerIsContract && action.caller
+            ? decodeEntityId(action.caller)
+            : null,
+        callerAddress
+      }
+    });
+    if (!event) return;
+    this.stats.matches++;
+    this.stats.internalTransfers++;
+  }
+
+  /**
+   * Consensus timestamp (nanoseconds) of the newest transaction of any type
+   * or result, or null for an empty table
+   */
+  async latestTransactionTimestamp() {
+    const res = await this.pool.query(
+      `SELECT MAX(consensus_timestamp) AS latest FROM transaction`
+    );
+    const latest = res.rows[0] ? res.rows[0].latest : null;
+    return latest === null ? null : String(latest);
+  }
+
+  /**
+   * Report every transfer to the watched addresses in (fromTimestamp,
+   * toTimestamp] ("seconds.nanos", as in events), with the same detection
+   * as poll(). No checkpoint is saved, transfers reported before are
+   * reported again (no duplicate suppression), and failures are thrown
+   * rather than reported.
+   *
+   * The range is cut off at the newest transaction in the database.
+   * @returns {Promise<object>} - the range scanned: { fromTimestamp,
+   *   toTimestamp }
+   */
+  async backfill(fromTimestamp, toTimestamp) {
+    if (this.isRunning) {
+      throw new Error("Stop the monitor before running a backfill");
+    }
+    if (!this.pool) this.pool = new Pool(this.config.db);
+
+    const latest = await this.latestTransactionTimestamp();
+    let untilTs = timestampToNanos(toTimestamp);
+    if (latest && BigInt(untilTs) > BigInt(latest)) untilTs = String(latest);
+
+    const checkpoints = this.checkpoints;
+    this.checkpoints = null;
+    this.dedupeEvents = false;
+    this.lastConsensusTs = timestampToNanos(fromTimestamp);
+    this.startConsensusTs = this.lastConsensusTs;
+    try {
+      let more = true;
+      while (more) more = await this.scanBatch(untilTs);
+    } finally {
+      this.checkpoints = checkpoints;
+      this.dedupeEvents = true;
+    }
+
+    return { fromTimestamp, toTimestamp: nanosToTimestamp(untilTs) };
+  }
+
+  /**
+   * Balances of the watched addresses from the newest balance snapshot at
+   * or before `timestamp` ("seconds.nanos"), read from the account_balance
+   * and token_balance tables, for reconciliation (see common/reconcile.js).
+   * Snapshots may only hold the accounts that changed, so each balance is
+   * the newest row at or before the snapshot. NFT classes are left out.
+   * @returns {Promise<object>} - { timestamp, accounts: Map(evmAddress ->
+   *   { entityId, hbar, tokens }) }
+   */
+  async balanceSnapshot(timestamp) {
+    if (!this.pool) this.pool = new Pool(this.config.db);
+
+    const snapshot = await this.pool.query(
+      `SELECT MAX(consensus_timestamp) AS snapshot
+       FROM account_balance
+       WHERE consensus_timestamp <= $1`,
+      [timestampToNanos(timestamp)]
+    );
+    const snapshotTs = snapshot.rows[0] ? snapshot.rows[0].snapshot : null;
+    if (!snapshotTs) {
+      throw new Error(`No balance snapshot at or before ${timestamp}`);
+    }
+
+    const entities = await this.pool.query(
+      `SELECT id, evm_address FROM entity WHERE evm_address = ANY($1)`,
+      [[...this.watchedEvmAddresses].map((evm) => Buffer.from(evm, "hex"))]
+    );
+    const evmById = new Map(
+      entities.rows.map((row) => [
+        String(row.id),
+        normalizeEvmAddress(row.evm_address)
+      ])
+    );
+    const ids = [...evmById.keys()];
+
+    const accounts = new Map();
+    const hbar = await this.pool.query(
+      `SELECT DISTINCT ON (account_id) account_id, balance
+       FROM account_balance
+       WHERE account_id = ANY($1) AND consensus_timestamp <= $2
+       ORDER BY account_id, consensus_timestamp DESC`,
+      [ids, snapshotTs]
+    );
+    for (const row of hbar.rows) {
+      accounts.set(evmById.get(String(row.account_id)), {
+        entityId: decodeEntityId(row.account_id),
+        hbar: BigInt(row.balance),
+        tokens: new Map()
+      });
+    }
+
+    const tokens = await this.pool.query(
+      `SELECT DISTINCT ON (account_id, token_id) account_id, token_id, balance
+       FROM token_balance
+       WHERE account_id = ANY($1) AND consensus_timestamp <= $2
+       ORDER BY account_id, token_id, consensus_timestamp DESC`,
+      [ids, snapshotTs]
+    );
+    for (const row of tokens.rows) {
+      const account = accounts.get(evmById.get(String(row.account_id)));
+      if (!account) continue;
+      // NFT classes are balanced in serials, which reconciliation leaves out
+      const tokenId = decodeEntityId(row.token_id);
+      const info = await this.getTokenInfo(tokenId);
+      if (info && info.type === "NON_FUNGIBLE_UNIQUE") continue;
+      account.tokens.set(tokenId, BigInt(row.balance));
+    }
+    return { timestamp: nanosToTimestamp(snapshotTs), accounts };
+  }
+
+  /**
+   * What left an account in (fromTimestamp, toTimestamp], fees included:
+   * its negative crypto_transfer and token_transfer rows (see
+   * common/reconcile.js)
+   * @returns {Promise<object>} - { hbar, tokens: Map(tokenId -> amount) },
+   *   amounts as positive bigints
+   */
+  async accountDebits(entityId, fromTimestamp, toTimestamp) {
+    if (!this.pool) this.pool = new Pool(this.config.db);
+    const params = [
+      encodeEntityId(entityId),
+      timestampToNanos(fromTimestamp),
+      timestampToNanos(toTimestamp)
+    ];
+
+    const hbar = await this.pool.query(
+      `SELECT COALESCE(SUM(-amount), 0) AS total
+       FROM crypto_transfer
+       WHERE entity_id = $1
+         AND consensus_timestamp > $2
+         AND consensus_timestamp <= $3
+         AND amount < 0
+         AND errata IS DISTINCT FROM 'DELETE'`,
+      params
+    );
+    const tokens = await this.pool.query(
+      `SELECT token_id, SUM(-amount) AS total
+       FROM token_transfer
+       WHERE account_id = $1
+         AND consensus_timestamp > $2
+         AND consensus_timestamp <= $3
+         AND amount < 0
+       GROUP BY token_id`,
+      params
+    );
+    return {
+      hbar: BigInt(hbar.rows[0].total),
+      tokens: new Map(
+        tokens.rows.map((row) => [
+          decodeEntityId(row.token_id),
+          BigInt(row.total)
+        ])
+      )
+    };
+  }
+
+  getProgress() {
+    return {
+      scanned: this.stats.scanned,
+      lastProcessedTimestamp: this.lastConsensusTs
+        ? nanosToTimestamp(this.lastConsensusTs)
+        : null,
+      catchingUp: this.catchingUp
+    };
+  }
+
+  /**
+   * Seconds between the cursor's consensus timestamp and now, or null
+   */
+  getLagSeconds(now = Date.now()) {
+    if (!this.lastConsensusTs) return null;
+    const lagNanos = BigInt(now) * 1000000n - BigInt(this.lastConsensusTs);
+    return Math.max(0, Number(lagNanos / 1000000n) / 1000);
+  }
+
+  nextPollDelay() {
+    // Back to back while behind, unless the last poll failed
+    if ((this.catchingUp || this.notificationPending) && !this.pollErrors) {
+      return 0;
+    }
+    return this.pollingIntervalMs;
+  }
+
+  async poll() {
+    this.stats.polls++;
+    if (this.config.listen && !this.listenClient) await this.startListening();
+
+    const startedAt = Date.now();
+    const scannedBefore = this.stats.scanned;
+    let more = false;
+    try {
+      // Drain full batches while behind; rows notified during a scan may
+      // have been committed after its query
+      do {
+        this.notificationPending = false;
+        more = await this.scanBatch();
+      } while (
+        (more || this.notificationPending) &&
+        this.isRunning &&
+        Date.now() - startedAt < this.config.maxPollDurationMs
+      );
+    } catch (err) {
+      this.reportError(err, "DB poll error");
+    }
+    this.updateCatchUp(
+      more,
+      this.stats.scanned - scannedBefore,
+      Date.now() - startedAt
+    );
+  }
+
+  /**
+   * Record throughput after a poll and log when the monitor falls behind,
+   * while it catches up and once it has caught up
+   */
+  updateCatchUp(behind, rows, durationMs) {
+    this.rowsPerSecond = Math.round((rows * 1000) / Math.max(durationMs, 1));
+
+    if (behind) {
+      if (!this.catchingUp) {
+        this.catchingUp = true;
+        this.catchUpStartedAt = Date.now() - durationMs;
+        this.catchUpStartScanned = this.stats.scanned - rows;
+      }
+      this.log.info("Catching up", {
+        lagSeconds: this.getLagSeconds(),
+        rowsPerSecond: this.rowsPerSecond,
+        cursor: this.lastConsensusTs
+      });
+      return;
+    }
+
+    if (this.catchingUp) {
+      const elapsedMs = Date.now() - this.catchUpStartedAt;
+      const scanned = this.stats.scanned - this.catchUpStartScanned;
+      this.catchingUp = false;
+      this.log.info("Caught up", {
+        durationMs: elapsedMs,
+        rows: scanned,
+        rowsPerSecond: Math.round((scanned * 1000) / Math.max(elapsedMs, 1)),
+        lagSeconds: this.getLagSeconds()
+      });
+    }
+  }
+
+  // ===========================================
+  // PUSH MODE
+  // ===========================================
+
+  /**
+   * LISTEN on a dedicated pooled client and poll on every notification.
+   * While listening, and if the trigger is installed and notifies
+   * listenChannel, the safety-net polls run every listenPollingIntervalMs.
+   * Failures are logged and retried on the next poll, which keeps polling
+   * at pollingIntervalMs meanwhile.
+   */
+  async startListening() {
+    const channel = this.config.listenChannel;
+    let client;
+    let triggerChannel;
+    try {
+      client = await this.pool.connect();
+      const trigger = await client.query(
+        `SELECT tgnargs, tgargs FROM pg_trigger
+         WHERE tgname = $1 AND tgrelid = 'transaction'::regclass`,
+        [NOTIFY_TRIGGER_NAME]
+      );
+      triggerChannel = notifyTriggerChannel(trigger.rows[0]);
+      if (!triggerChannel) {
+        this.log.warn(
+          "Push mode trigger not installed, so no notifications will come; " +
+            "run migrations/001_transaction_notify.up.sql",
+          { trigger: NOTIFY_TRIGGER_NAME }
+        );
+      } else if (triggerChannel !== channel) {
+        this.log.warn(
+          "Push mode trigger notifies another channel, so no notifications " +
+            "will come; install it with listenChannel as its argument",
+          { trigger: NOTIFY_TRIGGER_NAME, channel, triggerChannel }
+        );
+      }
+      await client.query(`LISTEN ${channel}`);
+    } catch (err) {
+      if (client) client.release(err);
+      this.log.warn("Could not LISTEN; polling instead", {
+        channel,
+        err,
+        pollingIntervalMs: this.config.pollingIntervalMs
+      });
+      return;
+    }
+
+    client.on("notification", (msg) => this.onNotification(msg));
+    client.on("error", (err) => {
+      this.log.warn("LISTEN connection lost; polling until it is back", {
+        channel,
+        err,
+        pollingIntervalMs: this.config.pollingIntervalMs
+      });
+      this.stopListening(err);
+      // Cut the safety-net wait short
+      if (this.pollTimer) {
+        clearTimeout(this.pollTimer);
+        this.scheduleNextPoll();
+      }
+    });
+    this.listenClient = client;
+    // Without the trigger, keep polling as often as without push mode
+    if (triggerChannel === channel) {
+      this.pollingIntervalMs = this.config.listenPollingIntervalMs;
+    }
+    this.log.info("Listening for new transactions", {
+      channel,
+      pollingIntervalMs: this.pollingIntervalMs
+    });
+  }
+
+  /**
+   * Close the LISTEN client and go back to polling every pollingIntervalMs.
+   * The client is destroyed rather than returned to the pool, where it
+   * would keep listening.
+   */
+  stopListening(err = undefined) {
+    const client = this.listenClient;
+    if (!client) return;
+    this.listenClient = null;
+    this.pollingIntervalMs = this.config.pollingIntervalMs;
+    client.removeAllListeners("notification");
+    // Keep a listener, or a late error would crash the process
+    client.removeAllListeners("error");
+    client.on("error", () => {});
+    client.release(err || true);
+  }
+
+  onNotification(msg) {
+    if (msg.channel !== this.config.listenChannel) return;
+    this.stats.notifications++;
+    this.notificationPending = true;
+    this.log.debug("Notification received", {
+      cursor: this.lastConsensusTs,
+      latest: msg.payload
+    });
+    if (!this.isRunning || this.notifiedPoll) return;
+
+    // Poll after the poll in flight, which may have missed the new rows or
+    // stopped early, then start the safety-net wait over. Notifications
+    // arriving meanwhile share this poll.
+    this.notifiedPoll = (this.inFlightPoll || Promise.resolve())
+      .then(() => {
+        if (this.isRunning && this.notificationPending) return this.pollNow();
+        return null;
+      })
+      .then(() => {
+        this.notifiedPoll = null;
+        if (this.pollTimer) {
+          clearTimeout(this.pollTimer);
+          this.scheduleNextPoll();
+        }
+      });
+  }
+
+  /**
+   * Report the transfers in up to batchLimit rows after the cursor, and move
+   * the cursor past them. Rows after untilTs (nanoseconds; default the
+   * newest transaction of any type) are left out, and the batch that
+   * reaches it also covers the logs and internal transfers up to untilTs.
+   * @returns {Promise<boolean>} - true if more rows may follow
+   */
+  async scanBatch(untilTs = null) {
+    // Read before the rows, so everything up to it is visible to the
+    // queries below. Going up to the newest transaction, not the newest
+    // scanned row, keeps logs and internal transfers of other transaction
+    // types (e.g. CONTRACTCALL) from waiting for the next scanned row.
+    const scanTo = untilTs || (await this.latestTransactionTimestamp());
+    if (!scanTo || BigInt(scanTo) <= BigInt(this.lastConsensusTs)) {
+      return false;
+    }
+
+    const sql = `
+      SELECT consensus_timestamp, type AS transaction_type, result,
+             transaction_bytes, transaction_hash, payer_account_id,
+             valid_start_ns
+      FROM transaction
+      WHERE consensus_timestamp > $1
+        AND type = ANY($2)
+        AND result = 22
+        AND consensus_timestamp <= $4
+      ORDER BY consensus_timestamp ASC
+      LIMIT $3
+    `;
+    const params = [
+      this.lastConsensusTs,
+      this.config.transactionTypes,
+      this.config.batchLimit,
+      scanTo
+    ];
+
+    const res = await this.pool.query(sql, params);
+    const rows = res.rows || [];
+    const more = rows.length >= this.config.batchLimit;
+
+    // Transfer logs and internal transfers (from any transaction type) in
+    // this batch's range are reported in consensus order between the rows,
+    // so the per-row checkpoint covers them too
+    const batchStart = this.lastConsensusTs;
+    const batchEnd = more ? rows[rows.length - 1].consensus_timestamp : scanTo;
+
+    await this.refreshEntityIndex();
+    const sideEvents = [];
+    if (this.config.detectTransferLogs) {
+      for (const log of await this.fetchTransferLogs(batchStart, batchEnd)) {
+        sideEvents.push({
+          consensusTimestamp: log.consensus_timestamp,
+          report: () => this.reportTransferLog(log)
+        });
+      }
+    }
+    if (this.config.detectInternalTransfers) {
+      for (const action of await this.fetchInternalTransfers(
+        batchStart,
+        batchEnd
+      )) {
+        sideEvents.push({
+          consensusTimestamp: action.consensus_timestamp,
+          report: () => this.reportInternalTransfer(action)
+        });
+      }
+    }
+    // Stable sort keeps log/action order within one timestamp
+    sideEvents.sort((a, b) =>
+      compareConsensusTimestamps(a.consensusTimestamp, b.consensusTimestamp)
+    );
+    let nextSideEvent = 0;
+
+    for (const row of rows) {
+      this.stats.scanned++;
+      this.lastConsensusTs = row.consensus_timestamp || this.lastConsensusTs;
+      const matchesBefore = this.stats.matches;
+
+      // Rows without (parseable) bytes still take part in log ordering
+      // and checkpointing; none of the checks below match an empty body
+      const parsed = this.parser.parseTransactionBytes(row.transaction_bytes);
+      const txBody = parsed && parsed.txBody ? parsed.txBody : {};
+      const txFields = transactionEventFields(row, txBody.memo);
+      if (!parsed && row.transaction_bytes && row.transaction_bytes.length) {
+        this.log.debug("Could not parse transaction bytes", {
+          txId: txFields.transactionId,
+          cursor: row.consensus_timestamp
+        });
+      }
+
+      // ------------------------------------------
+      // 1) CRYPTOTRANSFER - match AccountID by alias, entity ID or long-zero
+      // ------------------------------------------
+      if (
+        txBody.cryptoTransfer &&
+        txBody.cryptoTransfer.transfers &&
+        txBody.cryptoTransfer.transfers.accountAmounts
+      ) {
+        const accountAmounts = txBody.cryptoTransfer.transfers.accountAmounts;
+        for (const aa of accountAmounts) {
+          const amt = Long.fromValue(aa.amount || 0);
+          if (!amt.greaterThan(Long.ZERO)) continue;
+
+          const accountId = aa.accountID || aa.accountId || aa.account || null;
+          if (!accountId) continue;
+
+          const recipient = this.resolveWatchedRecipient(accountId);
+          if (recipient) {
+            const evm = recipient.evmAddress;
+            const event = this.emitTransfer({
+              evmAddress: evm,
+              label: this.addressLabels[evm] || null,
+              entityId: recipient.entityId,
+              assetType: "HBAR",
+              amount: amt.toString(),
+              decimals: HBAR_DECIMALS,
+              amountDecimal: formatTokenAmount(amt.toString(), HBAR_DECIMALS),
+              ...txFields,
+              from: await this.senderAddress(largestDebit(accountAmounts)),
+              detectionMethod: "transaction",
+              addressedBy: recipient.addressedBy
+            });
+            if (event) {
+              this.stats.matches++;
+              this.stats.cryptoTransfers++;
+            }
+          }
+        }
+      }
+
+      // ------------------------------------------
+      // 1b) CRYPTOTRANSFER - HTS fungible token and NFT transfers
+      // ------------------------------------------
+      if (txBody.cryptoTransfer && txBody.cryptoTransfer.tokenTransfers) {
+        for (const tokenList of txBody.cryptoTransfer.tokenTransfers) {
+          const tokenId = tokenIdToString(tokenList.token);
+          if (!tokenId) continue;
+
+          const incoming = [];
+          for (const aa of tokenList.transfers || []) {
+            const amt = Long.fromValue(aa.amount || 0);
+            if (!amt.greaterThan(Long.ZERO)) continue;
+            const accountId = aa.accountID || aa.accountId || null;
+            const recipient =
+              accountId && this.resolveWatchedRecipient(accountId);
+            if (recipient) {
+              incoming.push({
+                recipient,
+                sender: largestDebit(tokenList.transfers),
+                amount: amt.toString()
+              });
+            }
+          }
+          for (const nft of tokenList.nftTransfers || []) {
+            const accountId = nft.receiverAccountID || null;
+            const recipient =
+              accountId && this.resolveWatchedRecipient(accountId);
+            if (recipient) {
+              incoming.push({
+                recipient,
+                sender: nft.senderAccountID || null,
+                serialNumber: Long.fromValue(nft.serialNumber).toString()
+              });
+            }
+          }
+
+          for (const { recipient, sender, amount, serialNumber } of incoming) {
+            const evm = recipient.evmAddress;
+            if (!isTokenAllowed(this.config.tokenAllowlist, evm, tokenId)) {
+              continue;
+            }
+
+            const isNft = serialNumber !== undefined;
+            const info = await this.getTokenInfo(tokenId);
+            // Fall back to the decimals the sender asserted in the body
+            let decimals = info ? info.decimals : null;
+            if (decimals === null && tokenList.expectedDecimals) {
+              decimals = tokenList.expectedDecimals.value;
+            }
+            if (isNft) decimals = 0;
+
+            const event = this.emitTransfer({
+              evmAddress: evm,
+              label: this.addressLabels[evm] || null,
+              entityId: recipient.entityId,
+              assetType: isNft ? "NFT" : "FUNGIBLE_TOKEN",
+              tokenId,
+              tokenName: info ? info.name : null,
+              tokenSymbol: info ? info.symbol : null,
+              decimals,
+              serialNumber: isNft ? serialNumber : null,
+              amount: isNft ? "1" : amount,
+              amountDecimal: isNft ? "1" : formatTokenAmount(amount, decimals),
+              ...txFields,
+              from: await this.senderAddress(sender),
+              detectionMethod: "transaction",
+              addressedBy: recipient.addressedBy
+            });
+            if (!event) continue;
+            this.stats.matches++;
+            if (isNft) this.stats.nftTransfers++;
+            else this.stats.tokenTransfers++;
+          }
+        }
+      }
+
+      // ------------------------------------------
+      // 2) ETHEREUMTRANSACTION - decode ethereumData if present
+      // ------------------------------------------
+      if (txBody.ethereumTransaction) {
+        const eth = txBody.ethereumTransaction;
+        const ethData =
+          eth.ethereumData || eth.ethereum_data || eth.ethereumBytes || null;
+        if (ethData && ethData.length > 0 && ethers) {
+          const ethInfo = decodeEthereumTx(ethData);
+          if (!ethInfo) {
+            this.log.debug("Could not decode ethereumData", {
+              txId: txFields.transactionId,
+              cursor: row.consensus_timestamp
+            });
+          }
+          const recipient =
+            ethInfo && ethInfo.to
+              ? this.watchedByEvmAddress(Buffer.from(ethInfo.to, "hex"))
+              : null;
+          if (recipient) {
+            const evm = recipient.evmAddress;
+            const tinybar = ethInfo.value
+              ? weiToTinybar(ethInfo.value).tinybar
+              : null;
+            const event = this.emitTransfer({
+              evmAddress: evm,
+              label: this.addressLabels[evm] || null,
+              entityId: recipient.entityId,
+              assetType: "HBAR",
+              amount: tinybar,
+              decimals: HBAR_DECIMALS,
+              amountDecimal:
+                tinybar === null
+                  ? null
+                  : formatTokenAmount(tinybar, HBAR_DECIMALS),
+              from: ethInfo.from,
+              ...txFields,
+              detectionMethod: "transaction",
+              addressedBy: recipient.addressedBy,
+              ethereum: ethereumEventFields(ethInfo.hash, ethInfo.value)
+            });
+            if (event) {
+              this.stats.matches++;
+              this.stats.ethereumTransactions++;
+            }
+          }
+        } else if (txBody.ethereumTransaction && !ethers) {
+          // ethers not installed — optionally fallback to scanning transfer list (if present)
+          // some mirror builds will have transfers for ETH txs in the cryptoTransfer section as well
+          // nothing else to do here unless you want to attempt simple RLP parsing without ethers
+        }
+      }
+
+      // ------------------------------------------
+      // 3) Transfer logs and internal transfers up to this row's timestamp
+      // ------------------------------------------
+      while (
+        nextSideEvent < sideEvents.length &&
+        BigInt(sideEvents[nextSideEvent].consensusTimestamp) <=
+          BigInt(row.consensus_timestamp)
+      ) {
+        sideEvents[nextSideEvent++].report();
+      }
+
+      // Checkpoint right after a row produced events, so a restart never
+      // re-emits them; rows without matches are covered by the batch save
+      if (this.stats.matches > matchesBefore) {
+        await this.saveCursor();
+      }
+    } // end rows
+
+    // Logs and internal transfers after the last row (up to untilTs)
+    while (nextSideEvent < sideEvents.length) {
+      sideEvents[nextSideEvent++].report();
+    }
+    this.lastConsensusTs = batchEnd;
+    await this.saveCursor();
+    this.log.debug("Scanned batch", {
+      rows: res.rows.length,
+      cursor: this.lastConsensusTs,
+      more
+    });
+    return more;
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  DbEvmAddressMonitor,
+  ProtoParser,
+  decodeEthereumTx,
+  notifyTriggerChannel,
+  weiToTinybar
+};
@@ -0,0 +1,4 @@
+-- Remove the push mode trigger installed by 001_transaction_notify.up.sql
+
+DROP TRIGGER IF EXISTS hedera_monitor_transaction_notify ON transaction;
+DROP FUNCTION IF EXISTS hedera_monitor_notify_transaction();
@@ -0,0 +1,54 @@
+-- Push mode for the database monitor (listen: true / DB_LISTEN=true).
+--
+-- After every statement that inserts successful rows of a type the monitor
+-- scans into the mirror node's `transaction` table, NOTIFY the trigger's
+-- channel (its argument, hedera_monitor_transaction below) with the newest
+-- inserted consensus timestamp. The types are CRYPTOTRANSFER (14) and
+-- ETHEREUMTRANSACTION (50), whose bodies are decoded, and CONTRACTCALL (7)
+-- and CONTRACTCREATEINSTANCE (8), whose Transfer logs and internal
+-- transfers are reported (detectTransferLogs, detectInternalTransfers).
+-- With more transactionTypes, add them to the list in the function.
+--
+-- The notification is delivered when the importer commits, so the
+-- monitor's next query sees the rows. A statement-level trigger sends one
+-- notification per importer batch instead of one per row.
+--
+-- Run as the owner of the `transaction` table, with the mirror node schema
+-- on the search_path:
+--   psql -h localhost -U mirror_node -d mirror_node \
+--     -f migrations/001_transaction_notify.up.sql
+--
+-- With another listenChannel (DB_LISTEN_CHANNEL), change the trigger's
+-- argument at the end of this file to it; the monitor checks that they
+-- match.
+--
+-- Undo with 001_transaction_notify.down.sql. Safe to run again.
+
+CREATE OR REPLACE FUNCTION hedera_monitor_notify_transaction()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  latest bigint;
+BEGIN
+  SELECT max(consensus_timestamp) INTO latest
+  FROM new_rows
+  WHERE type IN (7, 8, 14, 50) AND result = 22;
+
+  IF latest IS NOT NULL THEN
+    PERFORM pg_notify(
+      coalesce(TG_ARGV[0], 'hedera_monitor_transaction'),
+      latest::text
+    );
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS hedera_monitor_transaction_notify ON transaction;
+
+CREATE TRIGGER hedera_monitor_transaction_notify
+AFTER INSERT ON transaction
+REFERENCING NEW TABLE AS new_rows
+FOR EACH STATEMENT
+EXECUTE FUNCTION hedera_monitor_notify_transaction('hedera_monitor_transaction');
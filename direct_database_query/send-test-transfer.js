@@ -1,57 +1,34 @@
-const {
-  Client,
-  PrivateKey,
-  AccountId,
-  TransferTransaction,
-  Hbar
-} = require("@hiero-ledger/sdk");
+const sdk = require("@hiero-ledger/sdk");
+const { TransferTransaction, Hbar } = sdk;
 require("dotenv").config();
+const {
+  ConfigError,
+  createSdkClient,
+  loadConfig,
+  parseConfigArgs
+} = require("../common/config");
+
+// The network and operator come from the monitor's config (see
+// common/config.js): HEDERA_NETWORK / --network, HEDERA_ACCOUNT_ID and
+// HEDERA_PRIVATE_KEY, or a config file given with --config.
+
+async function sendTestTransfer(config, recipientEvmAddress) {
+  const { accountId, privateKey } = config.operator;
+  if (!accountId || !privateKey) {
+    throw new ConfigError([
+      "operator.accountId and operator.privateKey (HEDERA_ACCOUNT_ID, HEDERA_PRIVATE_KEY) are required"
+    ]);
+  }
 
-async function sendTestTransfer(recipientEvmAddress) {
-  // ===========================================
-  // CONFIGURATION - Update these values
-  // ===========================================
-
-  const myAccountId = AccountId.fromString(process.env.HEDERA_ACCOUNT_ID);
-  const myPrivateKey = PrivateKey.fromStringECDSA(
-    process.env.HEDERA_PRIVATE_KEY
-  );
-
-  // ===========================================
-  // Solo Local Network Configuration
-  // ===========================================
-
-  // Configure network to point to local Solo node
-  // The consensus node (node1) is available at localhost:50211 with account ID 0.0.3
-  const network = {
-    "127.0.0.1:50211": AccountId.fromString("0.0.3")
-  };
-
-  // Mirror node gRPC endpoint for local Solo network
-  const mirrorNetwork = "127.0.0.1:8081";
-
-  // Create client from custom network configuration
-  // scheduleNetworkUpdate is set to false because the ports are hardcoded in the SDK
-  // and won't work correctly when running locally
-  const client = Client.fromConfig({
-    network,
-    mirrorNetwork,
-    scheduleNetworkUpdate: false
-  });
-
-  client.setOperator(myAccountId, myPrivateKey);
-
-  // ===========================================
-  // Send transfer
-  // ===========================================
+  const client = createSdkClient(sdk, config);
 
   // Normalize address
   const evmAddress = recipientEvmAddress.toLowerCase().replace("0x", "");
 
-  console.log(`Sending 0.01 HBAR to 0x${evmAddress}...`);
+  console.log(`Sending 0.01 HBAR to 0x${evmAddress} on ${config.network}...`);
 
   const transferTx = new TransferTransaction()
-    .addHbarTransfer(myAccountId, new Hbar(-0.01))
+    .addHbarTransfer(accountId, new Hbar(-0.01))
     .addHbarTransfer(evmAddress, new Hbar(0.01))
     .setTransactionMemo("Test transfer to monitored EVM address");
 
@@ -71,18 +48,28 @@ async function sendTestTransfer(recipientEvmAddress) {
 // ===========================================
 
 async function main() {
-  // Get EVM address from command line or use a test address
-  const evmAddress = process.argv[2];
+  const args = parseConfigArgs(process.argv.slice(2));
+  const [evmAddress] = args.args;
 
   if (!evmAddress) {
-    console.log("Usage: node send-test-transfer.js <evm-address>");
     console.log(
-      "Example: node send-test-transfer.js 0x8f31e9fa14266c5da7f63bfc96811e08b7c09183"
+      "Usage: node send-test-transfer.js <evm-address> [--config FILE] [--network NAME]"
+    );
+    console.log(
+      "Example: node send-test-transfer.js 0x8f31e9fa14266c5da7f63bfc96811e08b7c09183 --network local"
     );
     process.exit(1);
   }
 
-  await sendTestTransfer(evmAddress);
+  const config = loadConfig("db", {
+    file: args.file,
+    overrides: { network: args.network },
+    require
+  });
+  await sendTestTransfer(config, evmAddress);
 }
 
-main().catch(console.error);
+main().catch((err) => {
+  console.error(err instanceof ConfigError ? err.message : err);
+  process.exit(1);
+});
@@ -0,0 +1,671 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { keccak256 } = require("ethers");
+const { DbEvmAddressMonitor } = require("../lib/db-evm-address-monitor");
+const { createCheckpointStore } = require("../../common/checkpoint-store");
+const { createLogger } = require("../../common/logger");
+const { TRANSFER_EVENT_TOPIC } = require("../../common/erc-transfer");
+const { reconcileBalances } = require("../../common/reconcile");
+const {
+  TEST_WALLET,
+  cryptoTransferBody,
+  ethereumTransactionBody,
+  signEthereumTransaction,
+  transactionBytes
+} = require("./fixtures");
+const { TEST_DATABASE_URL, TestDatabase } = require("./postgres");
+
+const WATCHED = "8f31e9fa14266c5da7f63bfc96811e08b7c09183";
+const SENDER = "0.0.2002";
+
+// Rows are n seconds after the monitor's starting point
+const START = 1700000000_000000000n;
+const ts = (n) => (START + BigInt(n) * 1_000_000_000n).toString();
+
+function hbarTransfer(to, amount, options = {}) {
+  return transactionBytes(
+    cryptoTransferBody({
+      transfers: [
+        { account: SENDER, amount: -amount },
+        { account: to, amount }
+      ],
+      ...options
+    })
+  );
+}
+
+describe(
+  "DbEvmAddressMonitor against a Mirror Node database",
+  { skip: !TEST_DATABASE_URL && "set TEST_DATABASE_URL to run" },
+  () => {
+    let db;
+    let monitor;
+
+    /**
+     * Start a monitor on the test schema and collect what it emits. Polls
+     * only happen through start() and pollNow(), or a notification in push
+     * mode.
+     */
+    async function startMonitor(options = {}) {
+      const events = { transfers: [], accounts: [], errors: [] };
+      monitor = new DbEvmAddressMonitor({
+        pool: db.pool,
+        watchedEvmAddresses: [`0x${WATCHED}`],
+        startConsensusTimestamp: START.toString(),
+        pollingIntervalMs: 60_000,
+        network: "local",
+        logger: createLogger({ level: "silent" }),
+        ...options
+      });
+      monitor.on("transfer", (transfer) => events.transfers.push(transfer));
+      monitor.on("accountCreated", (account) => events.accounts.push(account));
+      monitor.on("error", (error) => events.errors.push(error));
+      await monitor.start();
+      return events;
+    }
+
+    beforeEach(async () => {
+      db = await TestDatabase.create();
+    });
+
+    afterEach(async () => {
+      if (monitor) await monitor.stop();
+      monitor = null;
+      await db.drop();
+    });
+
+    it("reports a CryptoTransfer to an alias and the account it created", async () => {
+      await db.insertEntity({
+        entityId: "0.0.1001",
+        evmAddress: WATCHED,
+        createdTimestamp: ts(1)
+      });
+      await db.insertTransaction({
+        consensusTimestamp: ts(1),
+        transactionBytes: hbarTransfer(`0x${WATCHED}`, 500_000_000, {
+          memo: "hello"
+        })
+      });
+
+      const events = await startMonitor();
+
+      assert.deepEqual(events.errors, []);
+      assert.equal(events.accounts.length, 1);
+      assert.equal(events.accounts[0].entityId, "0.0.1001");
+      assert.equal(events.transfers.length, 1);
+      const [transfer] = events.transfers;
+      assert.equal(transfer.evmAddress, WATCHED);
+      assert.equal(transfer.entityId, "0.0.1001");
+      assert.equal(transfer.addressedBy, "evm_address");
+      assert.equal(transfer.assetType, "HBAR");
+      assert.equal(transfer.amount, "500000000");
+      assert.equal(transfer.amountDecimal, "5");
+      assert.equal(transfer.transactionId, "0.0.2-1700000000-000000000");
+      assert.equal(transfer.consensusTimestamp, "1700000001.000000000");
+      assert.equal(transfer.transactionType, "CRYPTOTRANSFER");
+      assert.equal(transfer.memo, "hello");
+      assert.equal(
+        transfer.idempotencyKey,
+        `1700000001.000000000:${WATCHED}:HBAR:credit`
+      );
+      // The sender has no alias, so it is named by its long-zero address
+      assert.equal(transfer.from, `${"0".repeat(37)}7d2`);
+    });
+
+    it("reports a CryptoTransfer to the entity ID of a watched account", async () => {
+      await db.insertEntity({
+        entityId: "0.0.1001",
+        evmAddress: WATCHED,
+        createdTimestamp: "1"
+      });
+      await db.insertTransaction({
+        consensusTimestamp: ts(1),
+        transactionBytes: hbarTransfer("0.0.1001", 250)
+      });
+      await db.insertTransaction({
+        consensusTimestamp: ts(2),
+        transactionBytes: hbarTransfer("0.0.1002", 999)
+      });
+
+      const events = await startMonitor();
+
+      assert.deepEqual(events.accounts, []);
+      assert.deepEqual(
+        events.transfers.map((t) => [t.entityId, t.addressedBy, t.amount]),
+        [["0.0.1001", "entity_id", "250"]]
+      );
+      assert.equal(monitor.stats.scanned, 2);
+    });
+
+    it("reports only accounts created after an address was added", async () => {
+      const OLD = "1111111111111111111111111111111111111111";
+      const NEW = "2222222222222222222222222222222222222222";
+      const events = await startMonitor();
+      // Both accounts are newer than the cursor; only NEW is newer than the
+      // time it is added
+      const later = (BigInt(Date.now()) + 60_000n) * 1_000_000n;
+      await db.insertEntity({
+        entityId: "0.0.1003",
+        evmAddress: OLD,
+        createdTimestamp: ts(1)
+      });
+      await db.insertEntity({
+        entityId: "0.0.1004",
+        evmAddress: NEW,
+        createdTimestamp: later.toString()
+      });
+      // Entities are resolved by polls that have rows to scan
+      await db.insertTransaction({
+        consensusTimestamp: ts(2),
+        transactionBytes: hbarTransfer("0.0.1002", 1)
+      });
+
+      monitor.addAddress(`0x${OLD}`);
+      monitor.addAddress(`0x${NEW}`);
+      await monitor.pollNow();
+
+      assert.deepEqual(events.errors, []);
+      assert.deepEqual(
+        events.accounts.map((a) => [a.evmAddress, a.entityId]),
+        [[NEW, "0.0.1004"]]
+      );
+    });
+
+    it("reports HTS token transfers with token metadata", async () => {
+      await db.insertEntity({
+        entityId: SENDER,
+        evmAddress: "22".repeat(20),
+        createdTimestamp: "1"
+      });
+      await db.insertToken({
+        tokenId: "0.0.5000",
+        name: "Test Token",
+        symbol: "TT",
+        decimals: 2,
+        type: "FUNGIBLE_COMMON"
+      });
+      await db.insertTransaction({
+        consensusTimestamp: ts(1),
+        transactionBytes: transactionBytes(
+          cryptoTransferBody({
+            tokenTransfers: [
+              {
+                token: "0.0.5000",
+                transfers: [
+                  { account: SENDER, amount: -250 },
+                  { account: `0x${WATCHED}`, amount: 250 }
+                ]
+              },
+              {
+                token: "0.0.6000",
+                nftTransfers: [
+                  {
+                    sender: `0x${"33".repeat(20)}`,
+                    receiver: `0x${WATCHED}`,
+                    serialNumber: 7
+                  }
+                ]
+              }
+            ]
+          })
+        )
+      });
+
+      const events = await startMonitor();
+
+      assert.deepEqual(events.errors, []);
+      assert.equal(events.transfers.length, 2);
+      const [transfer, nft] = events.transfers;
+      assert.equal(transfer.assetType, "FUNGIBLE_TOKEN");
+      assert.equal(transfer.tokenId, "0.0.5000");
+      assert.equal(transfer.tokenSymbol, "TT");
+      assert.equal(transfer.amountDecimal, "2.5");
+      assert.equal(nft.assetType, "NFT");
+      assert.equal(nft.serialNumber, "7");
+      // The entity's EVM alias, and the alias the NFT sender is named by
+      assert.deepEqual(
+        [transfer.from, nft.from],
+        ["22".repeat(20), "33".repeat(20)]
+      );
+      // The same keys as the REST monitor gives these transfers
+      assert.deepEqual(
+        [transfer, nft].map((t) => t.idempotencyKey.split(":").slice(2)),
+        [
+          ["0.0.5000", "credit"],
+          ["0.0.6000", "serial7"]
+        ]
+      );
+    });
+
+    it("decodes legacy, EIP-2930 and EIP-1559 Ethereum transactions", async () => {
+      const hashes = [];
+      for (const type of [0, 1, 2]) {
+        const ethereumData = await signEthereumTransaction({
+          type,
+          to: WATCHED,
+          valueWei: BigInt(type + 1) * 10_000_000_000n,
+          nonce: type
+        });
+        hashes.push(keccak256(ethereumData));
+        await db.insertTransaction({
+          consensusTimestamp: ts(type + 1),
+          type: "ETHEREUMTRANSACTION",
+          transactionBytes: transactionBytes(
+            ethereumTransactionBody(ethereumData)
+          )
+        });
+      }
+
+      const events = await startMonitor();
+
+      assert.deepEqual(events.errors, []);
+      assert.deepEqual(
+        events.transfers.map((t) => t.amount),
+        ["1", "2", "3"]
+      );
+      assert.deepEqual(
+        events.transfers.map((t) => t.ethereum.hash),
+        hashes
+      );
+      for (const transfer of events.transfers) {
+        assert.equal(transfer.isEvmTransaction, true);
+        assert.equal(transfer.transactionType, "ETHEREUMTRANSACTION");
+        assert.equal(
+          transfer.from,
+          TEST_WALLET.address.toLowerCase().replace(/^0x/, "")
+        );
+      }
+    });
+
+    it("skips failed transactions and other transaction types", async () => {
+      await db.insertTransaction({
+        consensusTimestamp: ts(1),
+        transactionBytes: hbarTransfer(`0x${WATCHED}`, 100),
+        result: 11
+      });
+      await db.insertTransaction({
+        consensusTimestamp: ts(2),
+        type: 15,
+        transactionBytes: hbarTransfer(`0x${WATCHED}`, 100)
+      });
+
+      const events = await startMonitor();
+
+      assert.deepEqual(events.transfers, []);
+      assert.equal(monitor.stats.scanned, 0);
+    });
+
+    it("reports ERC-20 Transfer logs to watched addresses", async () => {
+      await db.insertEntity({
+        entityId: "0.0.7000",
+        evmAddress: "33".repeat(20),
+        createdTimestamp: "1",
+        type: "CONTRACT"
+      });
+      await db.insertTransaction({
+        consensusTimestamp: ts(1),
+        type: "ETHEREUMTRANSACTION"
+      });
+      await db.insertContractLog({
+        consensusTimestamp: ts(1),
+        contractId: "0.0.7000",
+        index: 1,
+        // The Mirror Node stores topics without leading zeros
+        topics: [TRANSFER_EVENT_TOPIC, "44".repeat(20), WATCHED],
+        data: (1234).toString(16).padStart(64, "0")
+      });
+
+      const events = await startMonitor();
+
+      assert.deepEqual(events.errors, []);
+      assert.equal(events.transfers.length, 1);
+      const [transfer] = events.transfers;
+      assert.equal(transfer.assetType, "ERC20");
+      assert.equal(transfer.amount, "1234");
+      assert.equal(transfer.from, "44".repeat(20));
+      assert.equal(transfer.contractAddress, "33".repeat(20));
+      assert.equal(transfer.tokenId, "0.0.7000");
+      assert.equal(transfer.detectionMethod, "contract_log");
+    });
+
+    it("reports Transfer logs of contract calls without a scanned row", async () => {
+      await db.insertEntity({
+        entityId: "0.0.7000",
+        evmAddress: "33".repeat(20),
+        createdTimestamp: "1",
+        type: "CONTRACT"
+      });
+      // CONTRACTCALL, a type the monitor does not scan
+      await db.insertTransaction({ consensusTimestamp: ts(1), type: 7 });
+      await db.insertContractLog({
+        consensusTimestamp: ts(1),
+        contractId: "0.0.7000",
+        index: 0,
+        topics: [TRANSFER_EVENT_TOPIC, "44".repeat(20), WATCHED],
+        data: (5).toString(16).padStart(64, "0")
+      });
+
+      const events = await startMonitor();
+
+      assert.deepEqual(events.errors, []);
+      assert.deepEqual(
+        events.transfers.map((t) => [t.assetType, t.amount]),
+        [["ERC20", "5"]]
+      );
+      assert.equal(monitor.stats.scanned, 0);
+      assert.equal(monitor.lastConsensusTs, ts(1));
+    });
+
+    it("reports internal CALL transfers but not delegate calls", async () => {
+      await db.insertEntity({
+        entityId: "0.0.1001",
+        evmAddress: WATCHED,
+        createdTimestamp: "1"
+      });
+      await db.insertEntity({
+        entityId: "0.0.7000",
+        evmAddress: "33".repeat(20),
+        createdTimestamp: "1",
+        type: "CONTRACT"
+      });
+      await db.insertTransaction({ consensusTimestamp: ts(1), type: 7 });
+      await db.insertContractAction({
+        consensusTimestamp: ts(1),
+        index: 1,
+        caller: "0.0.7000",
+        recipient: "0.0.1001",
+        value: 300
+      });
+      // A DELEGATECALL repeats the value of the call it runs in
+      await db.insertContractAction({
+        consensusTimestamp: ts(1),
+        index: 2,
+        callDepth: 2,
+        callOperationType: 3,
+        caller: "0.0.7000",
+        recipient: "0.0.1001",
+        value: 300
+      });
+
+      const events = await startMonitor({ detectInternalTransfers: true });
+
+      assert.deepEqual(events.errors, []);
+      assert.deepEqual(
+        events.transfers.map((t) => [
+          t.amount,
+          t.detectionMethod,
+          t.internal.actionIndex
+        ]),
+        [["300", "contract_action", 1]]
+      );
+    });
+
+    it("resumes from a checkpoint without reporting twice", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "db-monitor-"));
+      const file = path.join(dir, "checkpoints.json");
+      try {
+        await db.insertTransaction({
+          consensusTimestamp: ts(1),
+          transactionBytes: hbarTransfer(`0x${WATCHED}`, 100)
+        });
+        const first = await startMonitor({
+          checkpointStore: createCheckpointStore({ file })
+        });
+        await monitor.stop();
+
+        await db.insertTransaction({
+          consensusTimestamp: ts(2),
+          transactionBytes: hbarTransfer(`0x${WATCHED}`, 200)
+        });
+        // Without the checkpoint, this run would start from the lookback
+        const second = await startMonitor({
+          startConsensusTimestamp: null,
+          checkpointStore: createCheckpointStore({ file })
+        });
+
+        assert.deepEqual(
+          first.transfers.map((t) => t.amount),
+          ["100"]
+        );
+        assert.equal(monitor.resumedFromCheckpoint, true);
+        assert.deepEqual(
+          second.transfers.map((t) => t.amount),
+          ["200"]
+        );
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("suppresses transfers replayed from an earlier start timestamp", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "db-monitor-"));
+      const file = path.join(dir, "checkpoints.json");
+      try {
+        await db.insertTransaction({
+          consensusTimestamp: ts(1),
+          transactionBytes: hbarTransfer(`0x${WATCHED}`, 100)
+        });
+        await startMonitor({
+          checkpointStore: createCheckpointStore({ file })
+        });
+        await monitor.stop();
+
+        await db.insertTransaction({
+          consensusTimestamp: ts(2),
+          transactionBytes: hbarTransfer(`0x${WATCHED}`, 200)
+        });
+        // The explicit start timestamp wins over the checkpoint
+        const events = await startMonitor({
+          checkpointStore: createCheckpointStore({ file })
+        });
+
+        assert.deepEqual(
+          events.transfers.map((t) => t.amount),
+          ["200"]
+        );
+        assert.equal(monitor.duplicatesSuppressed, 1);
+        assert.equal(monitor.stats.matches, 1);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("drains a backlog in one poll", async () => {
+      for (let i = 1; i <= 50; i++) {
+        await db.insertTransaction({
+          consensusTimestamp: ts(i),
+          transactionBytes: hbarTransfer(`0x${WATCHED}`, i)
+        });
+      }
+
+      const events = await startMonitor({ batchLimit: 10 });
+
+      assert.equal(events.transfers.length, 50);
+      assert.equal(monitor.lastConsensusTs, ts(50));
+      assert.equal(monitor.catchingUp, false);
+    });
+
+    it("reconciles balance snapshots with detected deposits", async () => {
+      await db.insertEntity({
+        entityId: "0.0.1001",
+        evmAddress: WATCHED,
+        createdTimestamp: "1"
+      });
+      await db.insertTransaction({ consensusTimestamp: ts(1) });
+      await db.insertBalance({
+        consensusTimestamp: ts(1),
+        accountId: "0.0.1001",
+        balance: 1000,
+        tokens: { "0.0.5000": 40 }
+      });
+      await db.insertTransaction({
+        consensusTimestamp: ts(2),
+        transactionBytes: hbarTransfer(`0x${WATCHED}`, 500)
+      });
+      // HBAR sent by a contract call is not a monitored transaction type
+      await db.insertTransaction({ consensusTimestamp: ts(3), type: 15 });
+      // An outgoing transfer and its fee
+      await db.insertTransaction({ consensusTimestamp: ts(4) });
+      await db.insertTransfer({
+        consensusTimestamp: ts(4),
+        entityId: "0.0.1001",
+        amount: -320
+      });
+      // NFT balances count serials and are not reconciled
+      await db.insertToken({
+        tokenId: "0.0.6000",
+        name: "Test NFT",
+        symbol: "TNFT",
+        decimals: 0,
+        type: "NON_FUNGIBLE_UNIQUE"
+      });
+      await db.insertBalance({
+        consensusTimestamp: ts(4),
+        accountId: "0.0.1001",
+        balance: 1250,
+        tokens: { "0.0.6000": 1 }
+      });
+
+      monitor = new DbEvmAddressMonitor({
+        pool: db.pool,
+        watchedEvmAddresses: [`0x${WATCHED}`],
+        logger: createLogger({ level: "silent" })
+      });
+      const report = await reconcileBalances(
+        monitor,
+        "1700000001.500000000",
+        "1700000009.000000000"
+      );
+
+      assert.equal(report.start.timestamp, "1700000001.000000000");
+      assert.equal(report.end.timestamp, "1700000004.000000000");
+      assert.deepEqual(
+        report
+          .rows()
+          .map((row) => [
+            row.assetType,
+            row.tokenId,
+            row.startBalance,
+            row.incoming,
+            row.outgoing,
+            row.endBalance,
+            row.difference,
+            row.status
+          ]),
+        [
+          ["HBAR", null, "1000", "500", "320", "1250", "70", "unexplained"],
+          ["FUNGIBLE_TOKEN", "0.0.5000", "40", "0", "0", "40", "0", "ok"]
+        ]
+      );
+    });
+
+    it("reacts to notifications in push mode", async () => {
+      await db.migrate("001_transaction_notify.up");
+      const events = await startMonitor({
+        listen: true,
+        listenPollingIntervalMs: 60_000
+      });
+      assert.ok(monitor.listenClient, "the monitor is listening");
+
+      const transfer = once(monitor, "transfer", {
+        signal: AbortSignal.timeout(5000)
+      });
+      await db.insertTransaction({
+        consensusTimestamp: ts(1),
+        transactionBytes: hbarTransfer(`0x${WATCHED}`, 100)
+      });
+      await transfer;
+
+      assert.equal(events.transfers.length, 1);
+      assert.ok(monitor.stats.notifications >= 1);
+    });
+
+    it("is notified of Transfer logs of contract calls", async () => {
+      await db.migrate("001_transaction_notify.up");
+      await db.insertEntity({
+        entityId: "0.0.7000",
+        evmAddress: "33".repeat(20),
+        createdTimestamp: "1",
+        type: "CONTRACT"
+      });
+      const events = await startMonitor({
+        listen: true,
+        listenPollingIntervalMs: 60_000
+      });
+
+      const transfer = once(monitor, "transfer", {
+        signal: AbortSignal.timeout(5000)
+      });
+      // The importer commits both rows together; the notification follows
+      // the transaction row
+      await db.insertContractLog({
+        consensusTimestamp: ts(1),
+        contractId: "0.0.7000",
+        topics: [TRANSFER_EVENT_TOPIC, "44".repeat(20), WATCHED],
+        data: (5).toString(16).padStart(64, "0")
+      });
+      await db.insertTransaction({ consensusTimestamp: ts(1), type: 7 });
+      await transfer;
+
+      assert.deepEqual(
+        events.transfers.map((t) => [t.assetType, t.amount]),
+        [["ERC20", "5"]]
+      );
+    });
+
+    it("polls again for a notification during a notified poll", async () => {
+      await db.migrate("001_transaction_notify.up");
+      // One batch per poll, which then lingers, so the second notification
+      // arrives while the first poll is still running
+      const events = await startMonitor({
+        listen: true,
+        listenPollingIntervalMs: 60_000,
+        maxPollDurationMs: 0
+      });
+      const scanBatch = monitor.scanBatch.bind(monitor);
+      monitor.scanBatch = async (...args) => {
+        const more = await scanBatch(...args);
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        return more;
+      };
+
+      const first = once(monitor, "transfer", {
+        signal: AbortSignal.timeout(5000)
+      });
+      await db.insertTransaction({
+        consensusTimestamp: ts(1),
+        transactionBytes: hbarTransfer(`0x${WATCHED}`, 100)
+      });
+      await first;
+      const second = once(monitor, "transfer", {
+        signal: AbortSignal.timeout(5000)
+      });
+      await db.insertTransaction({
+        consensusTimestamp: ts(2),
+        transactionBytes: hbarTransfer(`0x${WATCHED}`, 200)
+      });
+      await second;
+
+      assert.deepEqual(
+        events.transfers.map((t) => t.amount),
+        ["100", "200"]
+      );
+    });
+
+    it("keeps polling when the trigger notifies another channel", async () => {
+      await db.migrate("001_transaction_notify.up");
+      await startMonitor({
+        listen: true,
+        listenChannel: "other_channel",
+        listenPollingIntervalMs: 120_000
+      });
+
+      assert.ok(monitor.listenClient, "the monitor is listening");
+      assert.equal(monitor.pollingIntervalMs, 60_000);
+    });
+  }
+);
@@ -0,0 +1,203 @@
+/**
+ * fixtures.js
+ *
+ * Builders for the bytes the Mirror Node stores in transaction.transaction_bytes:
+ * real protobuf Transaction / SignedTransaction / TransactionBody messages
+ * (@hashgraph/proto), and signed Ethereum transactions (ethers) for the
+ * ethereumData of an EthereumTransaction.
+ *
+ *   const body = cryptoTransferBody({
+ *     transfers: [
+ *       { account: "0.0.2", amount: -500 },
+ *       { account: "0x8f31...", amount: 500 }   // an alias
+ *     ]
+ *   });
+ *   const bytes = transactionBytes(body);
+ *
+ * Accounts are entity IDs ("0.0.1001") or EVM addresses, which become
+ * 20-byte aliases, as in a transfer that lazy-creates an account.
+ */
+
+const { proto } = require("@hashgraph/proto");
+const { Wallet } = require("ethers");
+
+// Hedera chain IDs: 295 mainnet, 296 testnet, 298 local
+const CHAIN_ID = 298;
+
+// A fixed key, so signed transactions and their hashes are reproducible
+const TEST_WALLET = new Wallet(`0x${"11".repeat(32)}`);
+
+const PAYER = "0.0.2";
+
+// ===========================================
+// IDS
+// ===========================================
+
+/**
+ * "shard.realm.num" to the encoded bigint the Mirror Node stores, as a string
+ */
+function encodeEntityId(entityId) {
+  const [shard, realm, num] = entityId.split(".").map(BigInt);
+  return ((shard << 54n) | (realm << 38n) | num).toString();
+}
+
+function isEvmAddress(account) {
+  return /^(0x)?[0-9a-fA-F]{40}$/.test(account);
+}
+
+/**
+ * An AccountID from an entity ID or, for an EVM address, its alias
+ */
+function accountId(account) {
+  if (isEvmAddress(account)) {
+    return { alias: Buffer.from(account.replace(/^0x/, ""), "hex") };
+  }
+  const [shardNum, realmNum, accountNum] = account.split(".").map(Number);
+  return { shardNum, realmNum, accountNum };
+}
+
+function tokenId(token) {
+  const [shardNum, realmNum, tokenNum] = token.split(".").map(Number);
+  return { shardNum, realmNum, tokenNum };
+}
+
+// ===========================================
+// TRANSACTION BODIES
+// ===========================================
+
+/**
+ * Fields every body carries: transaction ID (payer, valid start), node, fee
+ * and memo
+ */
+function bodyFields({ payer = PAYER, validStartSeconds = 1700000000, memo }) {
+  return {
+    transactionID: {
+      accountID: accountId(payer),
+      transactionValidStart: { seconds: validStartSeconds, nanos: 0 }
+    },
+    nodeAccountID: accountId("0.0.3"),
+    transactionFee: 100_000_000,
+    transactionValidDuration: { seconds: 120 },
+    memo: memo || ""
+  };
+}
+
+/**
+ * @param {object} options
+ *   transfers:      [{ account, amount }] HBAR, in tinybar
+ *   tokenTransfers: [{ token, transfers: [{ account, amount }],
+ *                    nftTransfers: [{ sender, receiver, serialNumber }],
+ *                    expectedDecimals }]
+ *   payer, validStartSeconds, memo
+ */
+function cryptoTransferBody(options = {}) {
+  const { transfers = [], tokenTransfers = [] } = options;
+  return {
+    ...bodyFields(options),
+    cryptoTransfer: {
+      transfers: {
+        accountAmounts: transfers.map(({ account, amount }) => ({
+          accountID: accountId(account),
+          amount
+        }))
+      },
+      tokenTransfers: tokenTransfers.map((list) => ({
+        token: tokenId(list.token),
+        transfers: (list.transfers || []).map(({ account, amount }) => ({
+          accountID: accountId(account),
+          amount
+        })),
+        nftTransfers: (list.nftTransfers || []).map((nft) => ({
+          senderAccountID: accountId(nft.sender),
+          receiverAccountID: accountId(nft.receiver),
+          serialNumber: nft.serialNumber
+        })),
+        expectedDecimals:
+          list.expectedDecimals === undefined
+            ? null
+            : { value: list.expectedDecimals }
+      }))
+    }
+  };
+}
+
+/**
+ * @param {Buffer} ethereumData - a signed Ethereum transaction
+ */
+function ethereumTransactionBody(ethereumData, options = {}) {
+  return {
+    ...bodyFields(options),
+    ethereumTransaction: { ethereumData, maxGasAllowance: 0 }
+  };
+}
+
+/**
+ * Serialized Transaction bytes for a body. By default the body is wrapped in
+ * a SignedTransaction (signedTransactionBytes), as SDKs do today; with
+ * legacy it is set in the deprecated bodyBytes field.
+ * @returns {Buffer}
+ */
+function transactionBytes(body, { legacy = false } = {}) {
+  const bodyBytes = proto.TransactionBody.encode(body).finish();
+  const sigMap = { sigPair: [] };
+  const transaction = legacy
+    ? { bodyBytes, sigMap }
+    : {
+        signedTransactionBytes: proto.SignedTransaction.encode({
+          bodyBytes,
+          sigMap
+        }).finish()
+      };
+  return Buffer.from(proto.Transaction.encode(transaction).finish());
+}
+
+// ===========================================
+// ETHEREUM TRANSACTIONS
+// ===========================================
+
+/**
+ * Sign an Ethereum transaction of the given type: 0 (legacy, EIP-155), 1
+ * (EIP-2930 access list) or 2 (EIP-1559)
+ * @param {object} options - type, to (null for a contract creation),
+ *   valueWei, nonce, data, wallet
+ * @returns {Promise<Buffer>} - the raw signed transaction
+ */
+async function signEthereumTransaction({
+  type = 2,
+  to,
+  valueWei = 0n,
+  nonce = 0,
+  data = "0x",
+  wallet = TEST_WALLET
+}) {
+  const tx = {
+    type,
+    chainId: CHAIN_ID,
+    nonce,
+    to: to ? `0x${to.replace(/^0x/, "")}` : null,
+    value: BigInt(valueWei),
+    data,
+    gasLimit: 21_000n
+  };
+  if (type === 2) {
+    tx.maxFeePerGas = 710_000_000_000n;
+    tx.maxPriorityFeePerGas = 0n;
+  } else {
+    tx.gasPrice = 710_000_000_000n;
+  }
+  if (type === 1) tx.accessList = [];
+
+  const signed = await wallet.signTransaction(tx);
+  return Buffer.from(signed.slice(2), "hex");
+}
+
+module.exports = {
+  CHAIN_ID,
+  PAYER,
+  TEST_WALLET,
+  cryptoTransferBody,
+  encodeEntityId,
+  ethereumTransactionBody,
+  signEthereumTransaction,
+  transactionBytes
+};
@@ -0,0 +1,97 @@
+-- The part of the Mirror Node schema the database monitor reads: the tables
+-- and columns of its queries, with the importer's column types. Created in a
+-- disposable schema by test/postgres.js.
+
+CREATE TABLE transaction (
+  consensus_timestamp bigint PRIMARY KEY,
+  type smallint NOT NULL,
+  result smallint NOT NULL,
+  payer_account_id bigint NOT NULL,
+  valid_start_ns bigint NOT NULL,
+  transaction_hash bytea,
+  transaction_bytes bytea,
+  memo bytea
+);
+
+CREATE TABLE entity (
+  id bigint PRIMARY KEY,
+  shard bigint NOT NULL,
+  realm bigint NOT NULL,
+  num bigint NOT NULL,
+  evm_address bytea,
+  created_timestamp bigint,
+  deleted boolean,
+  type text NOT NULL DEFAULT 'ACCOUNT'
+);
+
+CREATE TABLE token (
+  token_id bigint PRIMARY KEY,
+  name text NOT NULL,
+  symbol text NOT NULL,
+  decimals bigint NOT NULL,
+  type text NOT NULL
+);
+
+CREATE TABLE ethereum_transaction (
+  consensus_timestamp bigint PRIMARY KEY,
+  hash bytea NOT NULL,
+  value bytea
+);
+
+CREATE TABLE contract_log (
+  consensus_timestamp bigint NOT NULL,
+  contract_id bigint NOT NULL,
+  index integer NOT NULL,
+  topic0 bytea,
+  topic1 bytea,
+  topic2 bytea,
+  topic3 bytea,
+  data bytea,
+  PRIMARY KEY (consensus_timestamp, index)
+);
+
+CREATE TABLE contract_action (
+  consensus_timestamp bigint NOT NULL,
+  index integer NOT NULL,
+  call_depth integer NOT NULL,
+  call_type integer NOT NULL DEFAULT 1,
+  call_operation_type integer NOT NULL DEFAULT 1,
+  caller bigint NOT NULL,
+  caller_type text NOT NULL DEFAULT 'CONTRACT',
+  recipient_account bigint,
+  recipient_address bytea,
+  value bigint NOT NULL,
+  result_data_type integer NOT NULL DEFAULT 11,
+  PRIMARY KEY (consensus_timestamp, index)
+);
+
+CREATE TABLE crypto_transfer (
+  entity_id bigint NOT NULL,
+  consensus_timestamp bigint NOT NULL,
+  amount bigint NOT NULL,
+  payer_account_id bigint NOT NULL,
+  errata text
+);
+
+CREATE TABLE token_transfer (
+  token_id bigint NOT NULL,
+  account_id bigint NOT NULL,
+  consensus_timestamp bigint NOT NULL,
+  amount bigint NOT NULL,
+  payer_account_id bigint NOT NULL
+);
+
+CREATE TABLE account_balance (
+  consensus_timestamp bigint NOT NULL,
+  account_id bigint NOT NULL,
+  balance bigint NOT NULL,
+  PRIMARY KEY (account_id, consensus_timestamp)
+);
+
+CREATE TABLE token_balance (
+  consensus_timestamp bigint NOT NULL,
+  account_id bigint NOT NULL,
+  token_id bigint NOT NULL,
+  balance bigint NOT NULL,
+  PRIMARY KEY (account_id, token_id, consensus_timestamp)
+);
@@ -0,0 +1,169 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { keccak256 } = require("ethers");
+const {
+  ProtoParser,
+  decodeEthereumTx,
+  notifyTriggerChannel,
+  weiToTinybar
+} = require("../lib/db-evm-address-monitor");
+const {
+  TEST_WALLET,
+  cryptoTransferBody,
+  ethereumTransactionBody,
+  signEthereumTransaction,
+  transactionBytes
+} = require("./fixtures");
+
+const WATCHED = "8f31e9fa14266c5da7f63bfc96811e08b7c09183";
+
+const parser = new ProtoParser();
+
+function accountAmounts(bytes) {
+  const { txBody } = parser.parseTransactionBytes(bytes);
+  return txBody.cryptoTransfer.transfers.accountAmounts.map((aa) => ({
+    alias: aa.accountID.alias
+      ? Buffer.from(aa.accountID.alias).toString("hex")
+      : null,
+    accountNum: Number(aa.accountID.accountNum),
+    amount: Number(aa.amount)
+  }));
+}
+
+describe("ProtoParser", () => {
+  const body = cryptoTransferBody({
+    transfers: [
+      { account: "0.0.2", amount: -700 },
+      { account: `0x${WATCHED}`, amount: 500 },
+      { account: "0.0.1001", amount: 200 }
+    ],
+    memo: "fixture"
+  });
+
+  for (const legacy of [false, true]) {
+    const format = legacy ? "bodyBytes" : "signedTransactionBytes";
+
+    it(`reads alias and entity ID CryptoTransfers (${format})`, () => {
+      const bytes = transactionBytes(body, { legacy });
+
+      assert.deepEqual(accountAmounts(bytes), [
+        { alias: null, accountNum: 2, amount: -700 },
+        { alias: WATCHED, accountNum: 0, amount: 500 },
+        { alias: null, accountNum: 1001, amount: 200 }
+      ]);
+      const { txBody } = parser.parseTransactionBytes(bytes);
+      assert.equal(txBody.memo, "fixture");
+    });
+  }
+
+  it("reads token and NFT transfers", () => {
+    const bytes = transactionBytes(
+      cryptoTransferBody({
+        tokenTransfers: [
+          {
+            token: "0.0.5000",
+            transfers: [{ account: `0x${WATCHED}`, amount: 250 }],
+            nftTransfers: [
+              { sender: "0.0.2", receiver: "0.0.1001", serialNumber: 7 }
+            ],
+            expectedDecimals: 2
+          }
+        ]
+      })
+    );
+
+    const { txBody } = parser.parseTransactionBytes(bytes);
+    const [list] = txBody.cryptoTransfer.tokenTransfers;
+    assert.equal(Number(list.token.tokenNum), 5000);
+    assert.equal(Number(list.transfers[0].amount), 250);
+    assert.equal(Number(list.nftTransfers[0].serialNumber), 7);
+    assert.equal(list.expectedDecimals.value, 2);
+  });
+
+  it("returns null for empty or malformed bytes", () => {
+    assert.equal(parser.parseTransactionBytes(null), null);
+    assert.equal(parser.parseTransactionBytes(Buffer.alloc(0)), null);
+    assert.equal(
+      parser.parseTransactionBytes(Buffer.from("not a transaction")),
+      null
+    );
+  });
+});
+
+describe("decodeEthereumTx", () => {
+  for (const [type, name] of [
+    [0, "legacy"],
+    [1, "EIP-2930"],
+    [2, "EIP-1559"]
+  ]) {
+    it(`decodes a signed ${name} transaction from a TransactionBody`, async () => {
+      const ethereumData = await signEthereumTransaction({
+        type,
+        to: WATCHED,
+        valueWei: 12_345_678_900_000_000_000n
+      });
+      const bytes = transactionBytes(ethereumTransactionBody(ethereumData));
+      const { txBody } = parser.parseTransactionBytes(bytes);
+
+      const decoded = decodeEthereumTx(txBody.ethereumTransaction.ethereumData);
+
+      assert.equal(decoded.to, WATCHED);
+      assert.equal(
+        decoded.from,
+        TEST_WALLET.address.toLowerCase().replace(/^0x/, "")
+      );
+      assert.equal(decoded.value, "12345678900000000000");
+      assert.equal(decoded.gasLimit, "21000");
+      assert.equal(decoded.hash, keccak256(ethereumData));
+    });
+  }
+
+  it("has no recipient for a contract creation", async () => {
+    const ethereumData = await signEthereumTransaction({
+      to: null,
+      data: "0x6080"
+    });
+
+    const decoded = decodeEthereumTx(ethereumData);
+
+    assert.equal(decoded.to, null);
+    assert.equal(decoded.data, "6080");
+  });
+
+  it("returns null for data that is not a signed transaction", () => {
+    assert.equal(decodeEthereumTx(Buffer.alloc(0)), null);
+    assert.equal(decodeEthereumTx(Buffer.from("f0ffee", "hex")), null);
+  });
+});
+
+describe("weiToTinybar", () => {
+  it("converts whole tinybar", () => {
+    assert.deepEqual(weiToTinybar("12345678900000000000"), {
+      tinybar: "1234567890",
+      precisionLoss: false
+    });
+  });
+
+  it("flags wei below one tinybar", () => {
+    assert.deepEqual(weiToTinybar("10000000001"), {
+      tinybar: "1",
+      precisionLoss: true
+    });
+  });
+});
+
+describe("notifyTriggerChannel", () => {
+  it("reads the channel from the trigger's argument", () => {
+    const row = { tgnargs: 1, tgargs: Buffer.from("custom_channel\0") };
+    assert.equal(notifyTriggerChannel(row), "custom_channel");
+  });
+
+  it("uses the default channel for a trigger without arguments", () => {
+    const row = { tgnargs: 0, tgargs: Buffer.alloc(0) };
+    assert.equal(notifyTriggerChannel(row), "hedera_monitor_transaction");
+  });
+
+  it("returns null without a trigger", () => {
+    assert.equal(notifyTriggerChannel(undefined), null);
+  });
+});
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * monitor.js
+ *
+ * Run either monitor with a config file:
+ *
+ *   node monitor.js rest [--config FILE] [--network NAME] [--check]
+ *   node monitor.js db   [--config FILE] [--network NAME] [--check]
+ *
+ * --config defaults to MONITOR_CONFIG; --network picks a network by name
+ * (mainnet, testnet, previewnet, local or one defined in the file); --check
+ * validates the config, prints it with secrets masked and exits. See
+ * config.example.yaml and common/config.js.
+ *
+ * Dependencies are those of the monitor's package (npm install in
+ * query_watched_evm_addrs or direct_database_query).
+ */
+
+const path = require("path");
+const { createRequire } = require("module");
+const { runMonitorCli } = require("./common/config");
+
+const MONITORS = {
+  rest: "query_watched_evm_addrs/evm-address-monitor.js",
+  db: "direct_database_query/evm-address-monitor-db.js"
+};
+
+const [monitor, ...argv] = process.argv.slice(2);
+
+if (!MONITORS[monitor]) {
+  console.error(
+    "Usage: node monitor.js <rest|db> [--config FILE] [--network NAME] [--check]"
+  );
+  process.exit(1);
+}
+
+const cliPath = path.join(__dirname, MONITORS[monitor]);
+const { DEFAULTS, run } = require(cliPath);
+
+runMonitorCli(monitor, {
+  run,
+  defaults: DEFAULTS,
+  // Optional packages (yaml) come from the monitor's node_modules
+  require: createRequire(cliPath),
+  argv
+});
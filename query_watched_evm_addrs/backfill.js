@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * backfill.js
+ *
+ * Report every transfer to the given addresses in a time range, read from
+ * the Mirror Node REST API. Options and report files are described in
+ * common/backfill.js.
+ *
+ * Usage:
+ *   node backfill.js --from 2025-09-01 --to 2025-10-01 \
+ *     --address 0x8f31e9fa14266c5da7f63bfc96811e08b7c09183="Wallet A"
+ */
+
+require("dotenv").config();
+
+const path = require("path");
+const { EvmAddressMonitor } = require("./lib/evm-address-monitor");
+const { runBackfillCli } = require("../common/backfill");
+
+runBackfillCli({
+  command: "backfill.js",
+  defaultOutDir: path.join(__dirname, "reports"),
+  extraOptions: { "--mirror-node-url": "mirrorNodeUrl" },
+  extraUsage: ["[--mirror-node-url URL]"],
+  createMonitor: (options) =>
+    new EvmAddressMonitor({
+      ...options,
+      network: options.network || process.env.HEDERA_NETWORK || null
+    })
+});
@@ -1,457 +1,314 @@
+require("dotenv").config();
+
+const path = require("path");
 const { PrivateKey } = require("@hiero-ledger/sdk");
+const { EvmAddressMonitor } = require("./lib/evm-address-monitor");
+const { createAttribution } = require("../common/attribution");
+const { createCheckpointStore } = require("../common/checkpoint-store");
+const { writeEvent } = require("../common/logger");
+const { runMonitorCli, watchlistOptions } = require("../common/config");
+const { createRuleEngine } = require("../common/rule-engine");
+const { createWebhookSink } = require("../common/webhook-sink");
+const { Watchlist } = require("../common/watchlist");
+const { startWatchlistApi } = require("../common/watchlist-api");
+const {
+  MonitorMetrics,
+  httpClientMetrics,
+  startMetricsServer
+} = require("../common/metrics");
 
 // ===========================================
 // CONFIGURATION
 // ===========================================
 
-const CONFIG = {
-  mirrorNodeUrl: "https://testnet.mirrornode.hedera.com",
+// Defaults of this CLI. Everything can be set in a config file (see
+// ../config.example.yaml) and overridden by environment variables (see
+// common/config.js); monitor options left unset use the defaults in
+// lib/evm-address-monitor.js.
+const DEFAULTS = {
   pollingIntervalMs: 5000,
 
-  // Your EVM addresses to monitor
-  watchedEvmAddresses: new Set(["8f31e9fa14266c5da7f63bfc96811e08b7c09183"]),
-
-  addressLabels: {
-    "8f31e9fa14266c5da7f63bfc96811e08b7c09183": "Wallet A"
+  watchlist: {
+    // The saved watchlist; on the first run the addresses below are saved
+    // there, after that the file is the source of truth
+    file: path.join(__dirname, "watchlist.json"),
+    addresses: [
+      {
+        address: "0x8f31e9fa14266c5da7f63bfc96811e08b7c09183",
+        label: "Wallet A"
+      }
+    ],
+    api: { port: 8080 }
   },
 
-  // Transaction types to monitor
-  // CRYPTOTRANSFER = native Hedera transfer
-  // ETHEREUMTRANSACTION = EVM-based transfer (MetaMask, web3. js, etc.)
-  transactionTypes: ["CRYPTOTRANSFER", "ETHEREUMTRANSACTION"]
-};
+  checkpoint: {
+    file: path.join(__dirname, "checkpoints.json"),
+    sqliteFile: path.join(__dirname, "checkpoints.db")
+  },
 
-// ===========================================
-// UTILITY FUNCTIONS
-// ===========================================
+  webhook: { queueDir: path.join(__dirname, "webhook-queue") },
 
-function normalizeEvmAddress(address) {
-  return address.toLowerCase().replace("0x", "");
-}
+  attribution: { queueDir: path.join(__dirname, "unattributed") }
+};
 
-function addWatchedAddress(evmAddress, label = null) {
-  const normalized = normalizeEvmAddress(evmAddress);
-  CONFIG.watchedEvmAddresses.add(normalized);
-  if (label) {
-    CONFIG.addressLabels[normalized] = label;
+function addTestAddresses(watchlist, count, log) {
+  for (let i = 0; i < count; i++) {
+    const privateKey = PrivateKey.generateECDSA();
+    const normalized = privateKey.publicKey
+      .toEvmAddress()
+      .toLowerCase()
+      .replace("0x", "");
+    watchlist.watchedEvmAddresses.add(normalized);
+    watchlist.addressLabels[normalized] = `Test Wallet ${i + 1}`;
+    log.info("Added address to watch list", {
+      address: `0x${normalized}`,
+      label: `Test Wallet ${i + 1}`
+    });
   }
-  console.log(
-    `Added address to watch list: 0x${normalized}${label ? ` (${label})` : ""}`
-  );
-}
-
-function getAddressLabel(evmAddress) {
-  const normalized = normalizeEvmAddress(evmAddress);
-  return CONFIG.addressLabels[normalized] || null;
 }
 
 // ===========================================
-// MIRROR NODE API
+// OUTPUT
 // ===========================================
 
-async function fetchAccountByEvmAddress(evmAddress) {
-  const normalized = normalizeEvmAddress(evmAddress);
-  const url = `${CONFIG.mirrorNodeUrl}/api/v1/accounts/0.0.${normalized}`;
+// Banners are for pretty mode only; otherwise events are JSON lines
 
-  const response = await fetch(url);
+function printTransfer(transfer) {
+  console.log("\n\n" + "🎉".repeat(30));
+  console.log("INCOMING TRANSFER DETECTED!");
+  console.log("🎉".repeat(30));
+  console.log(JSON.stringify(transfer, null, 2));
 
-  if (!response.ok) {
-    if (response.status === 404) {
-      return null;
-    }
-    throw new Error(`Mirror Node API error: ${response.status}`);
+  if (transfer.isEvmTransaction) {
+    console.log(
+      "\n📱 This transfer came through the Hedera EVM (e.g., MetaMask)"
+    );
+  } else {
+    console.log("\n🔷 This is a native Hedera CRYPTOTRANSFER");
   }
-
-  return response.json();
+  console.log();
 }
 
-/**
- * Fetch transactions for an account - supports multiple transaction types
- * @param {string} accountId - The account ID (e.g., "0.0.12345")
- * @param {object} params - Query parameters
- * @returns {Promise<object>} - Transaction data
- */
-async function fetchAccountTransactions(accountId, params = {}) {
-  const allTransactions = [];
-
-  // Fetch each transaction type separately
-  for (const txType of CONFIG.transactionTypes) {
-    const queryParams = new URLSearchParams({
-      limit: params.limit || 50,
-      order: "desc",
-      transactiontype: txType
-    });
-
-    if (params.timestamp) {
-      queryParams.set("timestamp", `gt:${params.timestamp}`);
-    }
-
-    const url = `${CONFIG.mirrorNodeUrl}/api/v1/transactions?account.id=${accountId}&${queryParams}`;
-
-    try {
-      const response = await fetch(url);
-
-      if (!response.ok) {
-        console.error(
-          `Error fetching ${txType} transactions: ${response.status}`
-        );
-        continue;
-      }
-
-      const data = await response.json();
-
-      if (data.transactions && data.transactions.length > 0) {
-        // Add transaction type info to each transaction
-        for (const tx of data.transactions) {
-          tx._txType = txType;
-          allTransactions.push(tx);
-        }
-      }
-    } catch (error) {
-      console.error(`Error fetching ${txType} transactions:`, error.message);
-    }
-  }
-
-  // Sort all transactions by consensus_timestamp (newest first)
-  allTransactions.sort((a, b) => {
-    const tsA = parseFloat(a.consensus_timestamp);
-    const tsB = parseFloat(b.consensus_timestamp);
-    return tsB - tsA;
-  });
+function printAccountCreated(account) {
+  console.log("\n\n" + "🆕".repeat(30));
+  console.log("NEW ACCOUNT CREATED (Lazy-Create)!");
+  console.log("🆕".repeat(30));
+  console.log(JSON.stringify(account, null, 2));
+  console.log();
+}
 
-  return { transactions: allTransactions };
+function formatStats(stats) {
+  return (
+    `${stats.newAccountsDetected} new accounts, ` +
+    `${stats.transfersDetected} transfers ` +
+    `(${stats.cryptoTransfers} native, ${stats.ethereumTransactions} EVM, ` +
+    `${stats.tokenTransfers} token, ${stats.nftTransfers} NFT, ` +
+    `${stats.erc20Transfers + stats.erc721Transfers} ERC)` +
+    (stats.transactionsScanned
+      ? `, ${stats.transactionsScanned} transactions scanned`
+      : "")
+  );
 }
 
-/**
- * Get transaction type display name
- */
-function getTransactionTypeName(tx) {
-  // Use the name field if available, otherwise use our tracked type
-  return tx.name || tx._txType || "UNKNOWN";
+function printHeading(title) {
+  console.log("=".repeat(60));
+  console.log(title);
+  console.log("=".repeat(60));
 }
 
-/**
- * Check if a transaction is an EVM transaction
- */
-function isEvmTransaction(tx) {
-  const name = tx.name || tx._txType || "";
-  return name === "ETHEREUMTRANSACTION";
+function printBanner(monitor) {
+  printHeading("EVM ADDRESS MONITOR (Direct Query Approach)");
+  console.log(`Watching ${monitor.watchedEvmAddresses.size} EVM addresses`);
+  console.log(`Polling interval: ${monitor.config.pollingIntervalMs}ms`);
+  console.log(
+    `Transaction types: ${monitor.config.transactionTypes.join(", ")}`
+  );
+  console.log();
+  if (monitor.config.mode === "stream") {
+    console.log("Stream mode: network-wide transactions are matched against");
+    console.log("the watchlist in memory, so requests do not grow with it.");
+  } else {
+    console.log("This approach queries each watched EVM address directly,");
+    console.log("which scales well for a known set of addresses.");
+  }
+  console.log();
+  console.log("Supported transaction types:");
+  console.log("  • CRYPTOTRANSFER - Native Hedera HBAR transfers");
+  console.log(
+    "  • ETHEREUMTRANSACTION - EVM-based transfers (MetaMask, web3.js)"
+  );
+  console.log();
 }
 
 // ===========================================
-// EVM ADDRESS MONITOR - Direct Approach
+// MAIN
 // ===========================================
 
-class EvmAddressMonitor {
-  constructor(options = {}) {
-    this.onTransferReceived = options.onTransferReceived || this.defaultHandler;
-    this.onAccountCreated = options.onAccountCreated || (() => {});
-    this.onError = options.onError || console.error;
-    this.isRunning = false;
-
-    // Track account state
-    this.accountState = new Map(); // evmAddress -> { entityId, lastBalance, lastTimestamp }
-
-    this.stats = {
-      totalPolls: 0,
-      newAccountsDetected: 0,
-      transfersDetected: 0,
-      cryptoTransfers: 0,
-      ethereumTransactions: 0
-    };
-  }
-
-  defaultHandler(transfer) {
-    console.log("\n" + "=".repeat(60));
-    console.log("💰 INCOMING TRANSFER DETECTED!");
-    console.log("=".repeat(60));
-    console.log(
-      `  To: 0x${transfer.evmAddress} (${transfer.label || "No label"})`
-    );
-    console.log(`  Entity ID: ${transfer.entityId}`);
-    console.log(`  Amount: ${transfer.amountHbar}`);
-    console.log(`  Transaction Type: ${transfer.transactionType}`);
-    console.log(`  Transaction: ${transfer.transactionId}`);
-    console.log("=".repeat(60));
-  }
-
-  /**
-   * Check a single EVM address for account existence and new transfers
-   */
-  async checkEvmAddress(evmAddress) {
-    const normalized = normalizeEvmAddress(evmAddress);
-    const label = getAddressLabel(normalized);
-
-    try {
-      const account = await fetchAccountByEvmAddress(normalized);
-
-      if (!account) {
-        // Account doesn't exist yet
-        if (this.accountState.has(normalized)) {
-          console.log(`⚠️ Account 0x${normalized} no longer exists? `);
-        }
-        return;
-      }
-
-      const currentState = this.accountState.get(normalized);
-      const entityId = account.account;
-      const balance = account.balance.balance;
-
-      if (!currentState) {
-        // First time seeing this account - it was just created!
-        console.log(`\n🆕 NEW ACCOUNT DETECTED! `);
-        console.log(`   EVM Address: 0x${normalized} (${label || "No label"})`);
-        console.log(`   Entity ID: ${entityId}`);
-        console.log(`   Balance: ${balance / 100_000_000} ℏ`);
-
-        this.accountState.set(normalized, {
-          entityId,
-          lastBalance: balance,
-          lastTimestamp: null
-        });
-
-        this.stats.newAccountsDetected++;
-
-        this.onAccountCreated({
-          evmAddress: normalized,
-          label,
-          entityId,
-          balance: `${balance / 100_000_000} ℏ`
-        });
-
-        // Fetch recent transactions for this new account
-        await this.fetchNewTransfers(normalized, entityId, null);
-      } else if (balance !== currentState.lastBalance) {
-        // Balance changed - fetch new transfers
-        console.log(`\n📊 Balance change detected for 0x${normalized}`);
-        console.log(`   Old: ${currentState.lastBalance / 100_000_000} ℏ`);
-        console.log(`   New: ${balance / 100_000_000} ℏ`);
-
-        await this.fetchNewTransfers(
-          normalized,
-          entityId,
-          currentState.lastTimestamp
-        );
-
-        // Update state
-        currentState.lastBalance = balance;
-      }
-    } catch (error) {
-      console.error(`Error checking 0x${normalized}:`, error.message);
-    }
+/**
+ * Run the monitor with a config from common/config.js until SIGINT
+ */
+async function run(config, log) {
+  const watched = watchlistOptions(config);
+  if (config.watchlist.testAddresses > 0) {
+    if (log.pretty) printHeading("GENERATING TEST ADDRESSES TO WATCH");
+    addTestAddresses(watched, config.watchlist.testAddresses, log);
   }
 
-  /**
-   * Fetch and report new transfers for an account
-   * Handles both CRYPTOTRANSFER and ETHEREUMTRANSACTION types
-   */
-  async fetchNewTransfers(evmAddress, entityId, sinceTimestamp) {
-    try {
-      const params = {};
-      if (sinceTimestamp) {
-        params.timestamp = sinceTimestamp;
-      }
-
-      const data = await fetchAccountTransactions(entityId, params);
-
-      if (!data.transactions || data.transactions.length === 0) {
-        return;
-      }
-
-      const label = getAddressLabel(evmAddress);
-
-      // Process transactions (newest first, so reverse for chronological order)
-      const transactions = [...data.transactions].reverse();
-
-      for (const tx of transactions) {
-        // Determine the transfer amount based on transaction type
-        let incomingTransfer = null;
-        const txType = getTransactionTypeName(tx);
-        const isEvm = isEvmTransaction(tx);
-
-        // Find the transfer to this account
-        // For both CRYPTOTRANSFER and ETHEREUMTRANSACTION, the transfers array contains the HBAR movements
-        if (tx.transfers && tx.transfers.length > 0) {
-          incomingTransfer = tx.transfers.find(
-            (t) => t.account === entityId && t.amount > 0
-          );
-        }
-
-        if (incomingTransfer) {
-          this.stats.transfersDetected++;
-
-          if (isEvm) {
-            this.stats.ethereumTransactions++;
-          } else {
-            this.stats.cryptoTransfers++;
-          }
-
-          // Update last timestamp
-          const state = this.accountState.get(evmAddress);
-          if (state) {
-            state.lastTimestamp = tx.consensus_timestamp;
-          }
-
-          // Build transfer info
-          const transferInfo = {
-            evmAddress,
-            label,
-            entityId,
-            amount: `${incomingTransfer.amount} tinybar`,
-            amountHbar: `${incomingTransfer.amount / 100_000_000} ℏ`,
-            transactionId: tx.transaction_id,
-            transactionType: txType,
-            isEvmTransaction: isEvm,
-            consensusTimestamp: tx.consensus_timestamp,
-            balance: `${state?.lastBalance / 100_000_000} ℏ`,
-            memo: tx.memo_base64
-              ? Buffer.from(tx.memo_base64, "base64").toString()
-              : null
-          };
-
-          // For ETHEREUMTRANSACTION, add additional EVM-specific info if available
-          if (isEvm) {
-            transferInfo.ethereumData = {
-              hash: tx.transaction_hash || null
-              // The ethereum_transaction field may contain additional details
-              // when fetching individual transaction details
-            };
-          }
+  const webhook = createWebhookSink({
+    ...config.webhook,
+    source: "rest-monitor",
+    logger: log,
+    onDeadLetter: (record) =>
+      log.error("Webhook event dead-lettered", {
+        id: record.id,
+        err: record.lastError
+      })
+  });
 
-          this.onTransferReceived(transferInfo);
-        }
-      }
-    } catch (error) {
-      console.error(`Error fetching transfers for ${entityId}:`, error.message);
-    }
+  const attribution = await createAttribution(
+    {
+      ...config.attribution,
+      onUnattributed: (event, reason) =>
+        log.warn("Unattributed deposit queued for review", {
+          idempotencyKey: event.idempotencyKey,
+          address: `0x${event.evmAddress}`,
+          reason
+        })
+    },
+    require
+  );
+  if (attribution) {
+    log.info("Deposit attribution enabled", {
+      rules: attribution.rules.length,
+      queueDir: attribution.queue.dir
+    });
   }
 
-  /**
-   * Poll all watched addresses
-   */
-  async poll() {
-    this.stats.totalPolls++;
+  const rules = await createRuleEngine(
+    {
+      ...config.rules,
+      source: "rest-monitor",
+      logger: log,
+      onError: (error) =>
+        log.error(error.context || "Transfer rule error", { err: error })
+    },
+    require
+  );
 
-    const addresses = Array.from(CONFIG.watchedEvmAddresses);
+  // Options the library does not know (watchlist, log, ...) are ignored
+  const monitor = new EvmAddressMonitor({
+    ...config,
+    ...watched,
+    attribution,
+    rules,
+    checkpointStore: createCheckpointStore(config.checkpoint, require),
+    logger: log
+  });
 
-    // Process in parallel with a small batch size to avoid rate limits
-    const batchSize = 5;
-    for (let i = 0; i < addresses.length; i += batchSize) {
-      const batch = addresses.slice(i, i + batchSize);
-      await Promise.all(batch.map((addr) => this.checkEvmAddress(addr)));
+  monitor.on("transfer", (transfer) => {
+    if (log.pretty) printTransfer(transfer);
+    else writeEvent("transfer", transfer);
+    if (webhook) webhook.enqueue(transfer);
+  });
+  monitor.on("accountCreated", (account) => {
+    if (log.pretty) printAccountCreated(account);
+    else writeEvent("accountCreated", account);
+  });
+  monitor.on("error", (error) => {
+    monitor.log.error(error.context || "Monitor error", { err: error });
+  });
+  monitor.on("poll", ({ poll, durationMs, ok }) => {
+    if (!log.pretty) {
+      monitor.log.debug("Poll finished", {
+        poll,
+        durationMs,
+        ok,
+        watchedAddresses: monitor.watchedEvmAddresses.size,
+        ...monitor.stats
+      });
+      return;
     }
-
     process.stdout.write(
-      `\r[${new Date().toISOString()}] Poll #${this.stats.totalPolls} - ` +
-        `Watching ${addresses.length} addresses, ` +
-        `${this.stats.newAccountsDetected} new accounts, ` +
-        `${this.stats.transfersDetected} transfers ` +
-        `(${this.stats.cryptoTransfers} native, ${this.stats.ethereumTransactions} EVM)   `
+      `\r[${new Date().toISOString()}] Poll #${poll} - ` +
+        `Watching ${monitor.watchedEvmAddresses.size} addresses, ` +
+        `${formatStats(monitor.stats)}   `
     );
-  }
-
-  async start() {
-    console.log("=".repeat(60));
-    console.log("EVM ADDRESS MONITOR (Direct Query Approach)");
-    console.log("=".repeat(60));
-    console.log(`Watching ${CONFIG.watchedEvmAddresses.size} EVM addresses`);
-    console.log(`Polling interval: ${CONFIG.pollingIntervalMs}ms`);
-    console.log(`Transaction types: ${CONFIG.transactionTypes.join(", ")}`);
-    console.log();
-    console.log("This approach queries each watched EVM address directly,");
-    console.log("which scales well for a known set of addresses.");
-    console.log();
-    console.log("Supported transaction types:");
-    console.log("  • CRYPTOTRANSFER - Native Hedera HBAR transfers");
-    console.log(
-      "  • ETHEREUMTRANSACTION - EVM-based transfers (MetaMask, web3.js)"
-    );
-    console.log();
-
-    this.isRunning = true;
-
-    // Initial poll
-    await this.poll();
+  });
 
-    // Start polling loop
-    this.pollInterval = setInterval(async () => {
-      if (this.isRunning) {
-        await this.poll();
-      }
-    }, CONFIG.pollingIntervalMs);
+  // The saved watchlist replaces the configured addresses after the first run
+  const watchlist = new Watchlist({
+    addresses: monitor.watchedEvmAddresses,
+    labels: monitor.addressLabels,
+    file: config.watchlist.file,
+    prepareAddress: (evmAddress) => monitor.baselineAddress(evmAddress),
+    onRemove: (evmAddress) => monitor.removeAddress(evmAddress)
+  });
+  watchlist.load();
+  log.info("Watchlist loaded", {
+    addresses: monitor.watchedEvmAddresses.size,
+    file: config.watchlist.file
+  });
 
-    console.log("\nMonitor started. Watching for incoming transfers.. .\n");
+  // Before start(), so probes answer during the first poll
+  let metricsServer = null;
+  if (config.metrics.port !== null) {
+    const metrics = new MonitorMetrics(monitor, {
+      stallAfterMs: config.metrics.stallAfterMs,
+      collectors: [httpClientMetrics(monitor.client.http)]
+    });
+    metricsServer = await startMetricsServer(metrics, {
+      ...config.metrics,
+      logger: log
+    });
+    log.info("Metrics listening", {
+      url: `http://${config.metrics.host}:${metricsServer.address().port}/metrics`
+    });
   }
 
-  stop() {
-    this.isRunning = false;
-    if (this.pollInterval) {
-      clearInterval(this.pollInterval);
-    }
-    console.log("\n\nMonitor stopped.");
-    console.log(
-      `Final stats: ${this.stats.totalPolls} polls, ` +
-        `${this.stats.newAccountsDetected} new accounts, ` +
-        `${this.stats.transfersDetected} transfers ` +
-        `(${this.stats.cryptoTransfers} native, ${this.stats.ethereumTransactions} EVM)`
-    );
+  if (log.pretty) {
+    printBanner(monitor);
+  } else {
+    monitor.log.info("Monitor starting", {
+      mode: monitor.config.mode,
+      addresses: monitor.watchedEvmAddresses.size,
+      pollingIntervalMs: monitor.config.pollingIntervalMs,
+      transactionTypes: monitor.config.transactionTypes
+    });
   }
-}
-
-// ===========================================
-// MAIN
-// ===========================================
-
-async function main() {
-  console.log("=".repeat(60));
-  console.log("GENERATING TEST ADDRESSES TO WATCH");
-  console.log("=".repeat(60));
+  await monitor.start();
+  monitor.log.info("Monitor started. Watching for incoming transfers");
 
-  for (let i = 0; i < 3; i++) {
-    const privateKey = PrivateKey.generateECDSA();
-    const evmAddress = privateKey.publicKey.toEvmAddress();
-    addWatchedAddress(evmAddress, `Test Wallet ${i + 1}`);
+  let api = null;
+  if (config.watchlist.api.token) {
+    api = await startWatchlistApi(watchlist, {
+      ...config.watchlist.api,
+      logger: log
+    });
+    log.info("Watchlist API listening", {
+      url: `http://${config.watchlist.api.host}:${api.address().port}/watchlist`
+    });
   }
 
-  console.log();
-
-  const monitor = new EvmAddressMonitor({
-    onTransferReceived: (transfer) => {
-      console.log("\n\n" + "🎉".repeat(30));
-      console.log("INCOMING TRANSFER DETECTED!");
-      console.log("🎉".repeat(30));
-      console.log(JSON.stringify(transfer, null, 2));
-
-      if (transfer.isEvmTransaction) {
-        console.log(
-          "\n📱 This transfer came through the Hedera EVM (e.g., MetaMask)"
-        );
-      } else {
-        console.log("\n🔷 This is a native Hedera CRYPTOTRANSFER");
-      }
-      console.log();
-    },
-
-    onAccountCreated: (account) => {
-      console.log("\n\n" + "🆕".repeat(30));
-      console.log("NEW ACCOUNT CREATED (Lazy-Create)!");
-      console.log("🆕".repeat(30));
-      console.log(JSON.stringify(account, null, 2));
-      console.log();
-    },
-
-    onError: (error) => {
-      console.error("\nMonitor error:", error.message);
-    }
-  });
-
-  await monitor.start();
-
-  process.on("SIGINT", () => {
-    console.log("\n\nShutting down.. .");
-    monitor.stop();
+  process.on("SIGINT", async () => {
+    if (log.pretty) console.log();
+    log.info("Shutting down");
+    if (api) api.close();
+    if (metricsServer) metricsServer.close();
+    await monitor.stop();
+    if (webhook) await webhook.stop();
+    if (rules) await rules.stop();
+    monitor.log.info("Monitor stopped", {
+      summary: `${monitor.stats.totalPolls} polls, ${formatStats(
+        monitor.stats
+      )}`,
+      mirrorNodeRequests: monitor.client.http.getMetrics()
+    });
     process.exit(0);
   });
 }
 
-main().catch(console.error);
+if (require.main === module) {
+  runMonitorCli("rest", { run, defaults: DEFAULTS, require });
+}
+
+module.exports = { DEFAULTS, run };
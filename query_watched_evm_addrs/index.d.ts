@@ -0,0 +1,210 @@
+import { MonitorBase, MonitorBaseOptions } from "../common/monitor-base";
+import { CheckpointStore } from "../common/checkpoint-store";
+import { HttpClient } from "../common/http-client";
+import { Logger } from "../common/logger";
+import { TransferEvent } from "../common/transfer-event";
+
+export {
+  AccountCreatedInfo,
+  MonitorError,
+  MonitorProgress,
+  PollInfo
+} from "../common/monitor-base";
+export {
+  AttributionOptions,
+  AttributionRule,
+  DepositAttribution,
+  UnattributedEntry,
+  UnattributedQueue,
+  createAttribution,
+  parseAttributionRules
+} from "../common/attribution";
+export {
+  RuleConditions,
+  RuleEngine,
+  RuleEngineOptions,
+  RulesFile,
+  SinkDefinition,
+  TransferRule,
+  createRuleEngine
+} from "../common/rule-engine";
+export {
+  CheckpointStore,
+  CheckpointStoreOptions,
+  createCheckpointStore
+} from "../common/checkpoint-store";
+export {
+  LogFormat,
+  LogLevel,
+  Logger,
+  LoggerOptions,
+  createLogger,
+  writeEvent
+} from "../common/logger";
+export {
+  MetricFamily,
+  MetricsCollector,
+  MonitorHealth,
+  MonitorMetrics,
+  MonitorMetricsOptions,
+  httpClientMetrics,
+  startMetricsServer
+} from "../common/metrics";
+export {
+  HttpClient,
+  HttpClientMetrics,
+  HttpClientOptions
+} from "../common/http-client";
+export {
+  AddressedBy,
+  AssetType,
+  SCHEMA_VERSION,
+  TRANSFER_EVENT_SCHEMA,
+  TransferEvent,
+  TransferEventValidationError,
+  validateTransferEvent
+} from "../common/transfer-event";
+
+export interface EvmAddressMonitorConfig {
+  mirrorNodeUrl: string;
+  pollingIntervalMs: number;
+  /** null: derived from mirrorNodeUrl */
+  network: string | null;
+  transactionTypes: string[];
+  /** { [evmAddress]: ["0.0.x", ...] }; addresses without an entry accept all */
+  tokenAllowlist: Record<string, string[]>;
+  detectTransferLogs: boolean;
+  logTopicBatchSize: number;
+  maxLogRangeSeconds: number;
+  pageLimit: number;
+  maxPagesPerQuery: number;
+  /** Mirror Node request limits (see common/http-client.js) */
+  requestsPerSecond: number | null;
+  maxConcurrentRequests: number;
+  requestTimeoutMs: number;
+  maxRetries: number;
+  /** "account": poll each address; "stream": tail network-wide transactions */
+  mode: "account" | "stream";
+  /** Stream mode: account lookups kept in memory */
+  entityCacheSize: number;
+}
+
+export declare const DEFAULT_CONFIG: EvmAddressMonitorConfig;
+
+export interface EvmAddressMonitorOptions
+  extends Partial<EvmAddressMonitorConfig>, MonitorBaseOptions<TransferEvent> {
+  /** Addresses to watch, with or without 0x */
+  watchedEvmAddresses?: Iterable<string>;
+  addressLabels?: Record<string, string>;
+  checkpointStore?: CheckpointStore;
+}
+
+export interface EvmAddressMonitorStats {
+  totalPolls: number;
+  newAccountsDetected: number;
+  transfersDetected: number;
+  cryptoTransfers: number;
+  ethereumTransactions: number;
+  tokenTransfers: number;
+  nftTransfers: number;
+  erc20Transfers: number;
+  erc721Transfers: number;
+  /** Stream mode only */
+  transactionsScanned: number;
+}
+
+export declare class MirrorNodeClient {
+  constructor(config: EvmAddressMonitorConfig, logger?: Logger);
+  readonly log: Logger;
+  /** Rate limiting, retries and request metrics */
+  readonly http: HttpClient;
+  fetchAccountByEvmAddress(evmAddress: string): Promise<any | null>;
+  fetchAccount(accountId: string): Promise<any | null>;
+  fetchAccountTransactions(
+    accountId: string,
+    params?: { timestamp?: string; until?: string; limit?: number }
+  ): Promise<{ transactions: any[]; complete: boolean }>;
+  /** Network-wide without accountId */
+  fetchTransactions(params?: {
+    accountId?: string;
+    timestamp?: string;
+    until?: string;
+    limit?: number;
+  }): Promise<{ transactions: any[]; complete: boolean }>;
+  fetchTokenInfo(tokenId: string): Promise<{
+    name: string | null;
+    symbol: string | null;
+    decimals: number | null;
+    type: string | null;
+  } | null>;
+  fetchTransactionByTimestamp(timestamp: string): Promise<any | null>;
+  fetchContractResult(timestamp: string): Promise<any | null>;
+  fetchLatestBlockTimestamp(): Promise<string | null>;
+  fetchTransferLogs(
+    evmAddresses: string[] | null,
+    fromTimestamp: string,
+    toTimestamp: string
+  ): Promise<{ logs: any[]; completeUntil: string }>;
+  /** The /api/v1/balances response at or before `timestamp` */
+  fetchBalances(timestamp: string, accountId?: string | null): Promise<any>;
+  fetchAccountDebits(
+    accountId: string,
+    fromTimestamp: string,
+    toTimestamp: string
+  ): Promise<AccountBalances>;
+}
+
+/** Balances in an asset's smallest unit; tokens by token ID */
+export interface AccountBalances {
+  hbar: bigint;
+  tokens: Map<string, bigint>;
+}
+
+export interface BalanceSnapshot {
+  /** Consensus timestamp of the snapshot ("seconds.nanos") */
+  timestamp: string;
+  /** By EVM address (lowercase hex, no 0x); addresses without an account are left out */
+  accounts: Map<string, AccountBalances & { entityId: string }>;
+}
+
+export declare class EvmAddressMonitor extends MonitorBase<
+  TransferEvent,
+  EvmAddressMonitorStats
+> {
+  constructor(options?: EvmAddressMonitorOptions);
+
+  readonly config: EvmAddressMonitorConfig;
+  readonly client: MirrorNodeClient;
+  /** Live watchlist (lowercase hex without 0x) */
+  readonly watchedEvmAddresses: Set<string>;
+  readonly addressLabels: Record<string, string>;
+
+  addAddress(evmAddress: string, label?: string | null): void;
+  removeAddress(evmAddress: string): void;
+  getAddressLabel(evmAddress: string): string | null;
+  /**
+   * Record a baseline so only transfers after this point are reported for
+   * an address that is about to be added
+   */
+  baselineAddress(evmAddress: string): Promise<void>;
+  /**
+   * Emit every transfer to the watched addresses in (fromTimestamp,
+   * toTimestamp] ("seconds.nanos"); resolves with the range scanned, which
+   * ends at the newest block the Mirror Node has
+   */
+  backfill(
+    fromTimestamp: string,
+    toTimestamp: string
+  ): Promise<{ fromTimestamp: string; toTimestamp: string }>;
+  /**
+   * Balances of the watched addresses from the newest balance snapshot at or
+   * before `timestamp` ("seconds.nanos"), for reconciliation
+   */
+  balanceSnapshot(timestamp: string): Promise<BalanceSnapshot>;
+  /** What left an account in (fromTimestamp, toTimestamp], fees included */
+  accountDebits(
+    entityId: string,
+    fromTimestamp: string,
+    toTimestamp: string
+  ): Promise<AccountBalances>;
+}
@@ -0,0 +1,54 @@
+/**
+ * Package entry point: the REST Mirror Node monitor as a library.
+ * evm-address-monitor.js is the command-line script built on it.
+ */
+
+const {
+  DEFAULT_CONFIG,
+  EvmAddressMonitor,
+  MirrorNodeClient
+} = require("./lib/evm-address-monitor");
+const {
+  DepositAttribution,
+  UnattributedQueue,
+  createAttribution,
+  parseAttributionRules
+} = require("../common/attribution");
+const { createCheckpointStore } = require("../common/checkpoint-store");
+const { createLogger, writeEvent } = require("../common/logger");
+const {
+  MonitorMetrics,
+  httpClientMetrics,
+  startMetricsServer
+} = require("../common/metrics");
+const { HttpClient } = require("../common/http-client");
+const { RuleEngine, createRuleEngine } = require("../common/rule-engine");
+const {
+  SCHEMA_VERSION,
+  TRANSFER_EVENT_SCHEMA,
+  TransferEventValidationError,
+  validateTransferEvent
+} = require("../common/transfer-event");
+
+module.exports = {
+  DEFAULT_CONFIG,
+  DepositAttribution,
+  EvmAddressMonitor,
+  HttpClient,
+  MirrorNodeClient,
+  MonitorMetrics,
+  RuleEngine,
+  SCHEMA_VERSION,
+  TRANSFER_EVENT_SCHEMA,
+  TransferEventValidationError,
+  UnattributedQueue,
+  createAttribution,
+  createCheckpointStore,
+  createLogger,
+  createRuleEngine,
+  httpClientMetrics,
+  parseAttributionRules,
+  startMetricsServer,
+  validateTransferEvent,
+  writeEvent
+};
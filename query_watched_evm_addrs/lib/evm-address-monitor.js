@@ -0,0 +1,1623 @@
+/**
+ * evm-address-monitor.js (library)
+ *
+ * Watches a set of EVM addresses through the Mirror Node REST API and
+ * reports incoming HBAR, HTS token/NFT and ERC-20/ERC-721 transfers. Events
+ * follow common/transfer-event.schema.json, like the database monitor's.
+ *
+ * In the default "account" mode each watched address is polled; in "stream"
+ * mode the network's transactions are tailed and matched in memory, which
+ * suits large watchlists (see DEFAULT_CONFIG.mode).
+ *
+ * EvmAddressMonitor is an EventEmitter (see common/monitor-base.js):
+ *
+ *   const monitor = new EvmAddressMonitor({
+ *     watchedEvmAddresses: ["0x8f31e9fa14266c5da7f63bfc96811e08b7c09183"],
+ *     addressLabels: { "8f31e9fa14266c5da7f63bfc96811e08b7c09183": "Wallet A" }
+ *   });
+ *   monitor.on("transfer", (transfer) => { ... });
+ *   await monitor.start();
+ *   ...
+ *   await monitor.stop();
+ */
+
+const { HttpClient } = require("../../common/http-client");
+const { defaultLogger } = require("../../common/logger");
+const { MonitorBase } = require("../../common/monitor-base");
+const { formatTokenAmount, isTokenAllowed } = require("../../common/tokens");
+const {
+  HBAR_DECIMALS,
+  longZeroAddress,
+  toHexHash
+} = require("../../common/transfer-event");
+const {
+  TRANSFER_EVENT_TOPIC,
+  addressToTopic,
+  decodeTransferLog
+} = require("../../common/erc-transfer");
+
+// ===========================================
+// CONFIGURATION
+// ===========================================
+
+// Defaults for every option that can be passed to EvmAddressMonitor
+const DEFAULT_CONFIG = {
+  mirrorNodeUrl: "https://testnet.mirrornode.hedera.com",
+  pollingIntervalMs: 5000,
+
+  // Network name written into every event; derived from mirrorNodeUrl when
+  // not set (mainnet / testnet / previewnet / local)
+  network: null,
+
+  // Transaction types to monitor
+  // CRYPTOTRANSFER = native Hedera transfer
+  // ETHEREUMTRANSACTION = EVM-based transfer (MetaMask, web3. js, etc.)
+  transactionTypes: ["CRYPTOTRANSFER", "ETHEREUMTRANSACTION"],
+
+  // Optional per-address HTS token allowlist. Addresses without an entry
+  // report every fungible token and NFT they receive.
+  // e.g. { "8f31e9fa14266c5da7f63bfc96811e08b7c09183": ["0.0.429274"] }
+  tokenAllowlist: {},
+
+  // ERC-20 / ERC-721 deposits made through contracts (e.g. MetaMask token
+  // sends) are found through Transfer logs whose `to` topic is watched.
+  // Addresses are queried in batches of logTopicBatchSize, and one scan
+  // covers at most maxLogRangeSeconds (the Mirror Node allows 7 days).
+  detectTransferLogs: true,
+  logTopicBatchSize: 20,
+  maxLogRangeSeconds: 6 * 24 * 60 * 60,
+
+  // Transaction query pagination: page size (Mirror Node max is 100) and the
+  // maximum number of pages followed per query before deferring to next poll
+  pageLimit: 100,
+  maxPagesPerQuery: 20,
+
+  // Mirror Node request limits (see common/http-client.js): requests per
+  // second, requests in flight (also the number of addresses checked in
+  // parallel), per-attempt timeout, and retries of 429 / 5xx / network errors
+  requestsPerSecond: 20,
+  maxConcurrentRequests: 5,
+  requestTimeoutMs: 10000,
+  maxRetries: 5,
+
+  // "account": poll each watched address (requests grow with the watchlist)
+  // "stream":  tail /transactions network-wide and match recipients against
+  //            the watchlist in memory (requests grow with network traffic)
+  mode: "account",
+  // Stream mode: recipient entity ID -> EVM address lookups kept in memory
+  entityCacheSize: 100000
+};
+
+// Checkpoint cursor for the network-wide Transfer log scan
+const LOG_CURSOR_NAME = "rest.lastLogTimestamp";
+
+// Checkpoint cursor for the network-wide transaction stream (stream mode)
+const STREAM_CURSOR_NAME = "rest.streamTimestamp";
+
+// ===========================================
+// UTILITY FUNCTIONS
+// ===========================================
+
+function normalizeEvmAddress(address) {
+  return address.toLowerCase().replace("0x", "");
+}
+
+/**
+ * Guess the network from a Mirror Node URL; unknown hosts are named as is
+ */
+function networkFromMirrorNodeUrl(mirrorNodeUrl) {
+  const host = new URL(mirrorNodeUrl).hostname;
+  for (const network of ["mainnet", "testnet", "previewnet"]) {
+    if (host.split(/[.-]/).includes(network)) return network;
+  }
+  if (host === "localhost" || host === "127.0.0.1") return "local";
+  return host;
+}
+
+/**
+ * Compare Mirror Node consensus timestamps ("seconds.nanos") without the
+ * precision loss of parseFloat
+ */
+function compareTimestamps(a, b) {
+  const [secA, nanosA = "0"] = String(a).split(".");
+  const [secB, nanosB = "0"] = String(b).split(".");
+  const tsA = BigInt(secA) * 1_000_000_000n + BigInt(nanosA.padEnd(9, "0"));
+  const tsB = BigInt(secB) * 1_000_000_000n + BigInt(nanosB.padEnd(9, "0"));
+  return tsA < tsB ? -1 : tsA > tsB ? 1 : 0;
+}
+
+// ===========================================
+// MIRROR NODE API
+// ===========================================
+
+/**
+ * Mirror Node REST queries used by the monitor, sent through a rate-limited,
+ * retrying HttpClient. Token metadata rarely changes, so it is fetched once
+ * per token.
+ */
+class MirrorNodeClient {
+  /**
+   * @param {object} config - mirrorNodeUrl, transactionTypes, pageLimit,
+   *   maxPagesPerQuery and the request limits (see DEFAULT_CONFIG)
+   * @param {Logger} [logger] - see common/logger.js
+   */
+  constructor(config, logger = defaultLogger) {
+    this.config = config;
+    this.log = logger;
+    this.baseUrl = config.mirrorNodeUrl.replace(/\/+$/, "");
+    this.tokenInfoCache = new Map();
+    this.http = new HttpClient({
+      requestsPerSecond: config.requestsPerSecond,
+      concurrency: config.maxConcurrentRequests,
+      timeoutMs: config.requestTimeoutMs,
+      maxRetries: config.maxRetries
+    });
+  }
+
+  async fetchAccountByEvmAddress(evmAddress) {
+    return this.fetchAccount(`0.0.${normalizeEvmAddress(evmAddress)}`);
+  }
+
+  /**
+   * @param {string} accountId - entity ID, or 0.0.{evmAddress}
+   * @returns {Promise<object|null>} - null if there is no such account; its
+   *   `transactions` hold the account's latest transaction
+   */
+  async fetchAccount(accountId) {
+    const url = `${this.baseUrl}/api/v1/accounts/${accountId}?limit=1`;
+
+    const response = await this.http.fetch(url);
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      throw new Error(`Mirror Node API error: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Fetch transactions for an account - supports multiple transaction types
+   *
+   * @param {string} accountId - The account ID (e.g., "0.0.12345")
+   * @param {object} params - Query parameters (see fetchTransactions)
+   * @returns {Promise<object>} - { transactions (oldest first), complete }
+   */
+  async fetchAccountTransactions(accountId, params = {}) {
+    return this.fetchTransactions({ ...params, accountId });
+  }
+
+  /**
+   * Fetch transactions of the configured types, for params.accountId or
+   * network-wide without it
+   *
+   * With params.timestamp, every page after that timestamp is followed through
+   * links.next (up to this.config.maxPagesPerQuery). Without it, only the latest page
+   * is fetched. params.until (inclusive) bounds the range from above.
+   *
+   * If a type could not be drained (page cap or error), the result is cut off
+   * at the last timestamp that is complete for every type, and `complete` is
+   * false so the caller retries the rest on the next poll.
+   *
+   * @returns {Promise<object>} - { transactions (oldest first), complete }
+   */
+  async fetchTransactions(params = {}) {
+    const { accountId } = params;
+    let allTransactions = [];
+    let complete = true;
+    let completeUntil = null; // only set when some type stopped early
+
+    // Fetch each transaction type separately
+    for (const txType of this.config.transactionTypes) {
+      const queryParams = new URLSearchParams({
+        limit: params.limit || this.config.pageLimit,
+        order: params.timestamp ? "asc" : "desc",
+        transactiontype: txType
+      });
+
+      if (params.timestamp) {
+        queryParams.set("timestamp", `gt:${params.timestamp}`);
+      }
+      if (params.until) {
+        queryParams.append("timestamp", `lte:${params.until}`);
+      }
+
+      if (accountId) queryParams.set("account.id", accountId);
+
+      let url = `${this.baseUrl}/api/v1/transactions?${queryParams}`;
+      let pages = 0;
+      let lastSeen = params.timestamp || null;
+      let drained = false;
+
+      try {
+        while (url) {
+          const response = await this.http.fetch(url);
+
+          if (!response.ok) {
+            this.log.error("Error fetching transactions", {
+              txType,
+              accountId,
+              status: response.status
+            });
+            break;
+          }
+
+          const data = await response.json();
+          pages++;
+
+          if (data.transactions && data.transactions.length > 0) {
+            // Add transaction type info to each transaction
+            for (const tx of data.transactions) {
+              tx._txType = txType;
+              allTransactions.push(tx);
+            }
+            lastSeen =
+              data.transactions[data.transactions.length - 1]
+                .consensus_timestamp;
+          }
+
+          const next = params.timestamp && data.links && data.links.next;
+          if (!next) {
+            drained = true;
+            break;
+          }
+
+          if (pages >= this.config.maxPagesPerQuery) {
+            this.log.warn("Page cap hit; continuing after cursor next poll", {
+              pageCap: this.config.maxPagesPerQuery,
+              txType,
+              accountId,
+              cursor: lastSeen
+            });
+            break;
+          }
+
+          url = `${this.baseUrl}${next}`;
+        }
+      } catch (error) {
+        this.log.error("Error fetching transactions", {
+          txType,
+          accountId,
+          err: error
+        });
+      }
+
+      if (!drained) {
+        complete = false;
+        if (
+          lastSeen &&
+          (!completeUntil || compareTimestamps(lastSeen, completeUntil) < 0)
+        ) {
+          completeUntil = lastSeen;
+        }
+      }
+    }
+
+    // Drop anything past the point where some type stopped, so the caller's
+    // checkpoint never moves beyond transactions it has not seen
+    if (completeUntil) {
+      allTransactions = allTransactions.filter(
+        (tx) => compareTimestamps(tx.consensus_timestamp, completeUntil) <= 0
+      );
+    }
+
+    // Sort all transactions by consensus_timestamp (oldest first)
+    allTransactions.sort((a, b) =>
+      compareTimestamps(a.consensus_timestamp, b.consensus_timestamp)
+    );
+
+    return { transactions: allTransactions, complete };
+  }
+
+  /**
+   * Fetch token name, symbol and decimals (cached)
+   * @returns {Promise<object|null>} - null if the token could not be fetched
+   */
+  async fetchTokenInfo(tokenId) {
+    if (this.tokenInfoCache.has(tokenId)) {
+      return this.tokenInfoCache.get(tokenId);
+    }
+
+    const response = await this.http.fetch(
+      `${this.baseUrl}/api/v1/tokens/${tokenId}`
+    );
+
+    // Not an HTS token (e.g. an ERC-20 contract); remember that too
+    if (response.status === 404) {
+      this.tokenInfoCache.set(tokenId, null);
+      return null;
+    }
+
+    if (!response.ok) {
+      this.log.error("Error fetching token", {
+        tokenId,
+        status: response.status
+      });
+      return null;
+    }
+
+    const data = await response.json();
+    const info = {
+      name: data.name || null,
+      symbol: data.symbol || null,
+      decimals: data.decimals !== undefined ? Number(data.decimals) : null,
+      type: data.type || null
+    };
+    this.tokenInfoCache.set(tokenId, info);
+    return info;
+  }
+
+  /**
+   * The transaction at a consensus timestamp (for Transfer logs, which do
+   * not carry the transaction ID)
+   * @returns {Promise<object|null>}
+   */
+  async fetchTransactionByTimestamp(timestamp) {
+    const url = `${this.baseUrl}/api/v1/transactions?timestamp=${timestamp}&limit=1`;
+    const response = await this.http.fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Mirror Node API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data.transactions || [])[0] || null;
+  }
+
+  /**
+   * The contract result of an ETHEREUMTRANSACTION, for its Ethereum hash
+   * @returns {Promise<object|null>}
+   */
+  async fetchContractResult(timestamp) {
+    const url = `${this.baseUrl}/api/v1/contracts/results?timestamp=${timestamp}&limit=1`;
+    const response = await this.http.fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Mirror Node API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data.results || [])[0] || null;
+  }
+
+  /**
+   * Consensus timestamp of the newest block the Mirror Node has ingested.
+   * Everything up to it is complete, so it is a safe upper bound for scans.
+   */
+  async fetchLatestBlockTimestamp() {
+    const url = `${this.baseUrl}/api/v1/blocks?limit=1&order=desc`;
+    const response = await this.http.fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Mirror Node API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const block = data.blocks && data.blocks[0];
+    return block ? block.timestamp.to : null;
+  }
+
+  /**
+   * Balances from the newest balance snapshot at or before a timestamp, for
+   * one account, or without accountId just to find the snapshot
+   * @returns {Promise<object>} - { timestamp, balances: [{ account, balance,
+   *   tokens }] }; timestamp is null if there is no such snapshot
+   */
+  async fetchBalances(timestamp, accountId = null) {
+    const queryParams = new URLSearchParams({
+      timestamp: `lte:${timestamp}`,
+      limit: 1
+    });
+    if (accountId) queryParams.set("account.id", accountId);
+
+    const response = await this.http.fetch(
+      `${this.baseUrl}/api/v1/balances?${queryParams}`
+    );
+    if (!response.ok) {
+      throw new Error(`Mirror Node API error: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Sum what left an account in (fromTimestamp, toTimestamp]: the negative
+   * HBAR and token legs of every transaction touching it, whatever its type
+   * or result, so transaction fees are included
+   * @returns {Promise<object>} - { hbar, tokens: Map(tokenId -> amount) },
+   *   amounts as positive bigints
+   */
+  async fetchAccountDebits(accountId, fromTimestamp, toTimestamp) {
+    const queryParams = new URLSearchParams({
+      "account.id": accountId,
+      order: "asc",
+      limit: this.config.pageLimit
+    });
+    queryParams.append("timestamp", `gt:${fromTimestamp}`);
+    queryParams.append("timestamp", `lte:${toTimestamp}`);
+
+    const debits = { hbar: 0n, tokens: new Map() };
+    let url = `${this.baseUrl}/api/v1/transactions?${queryParams}`;
+    while (url) {
+      const response = await this.http.fetch(url);
+      if (!response.ok) {
+        throw new Error(`Mirror Node API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      for (const tx of data.transactions || []) {
+        for (const t of tx.transfers || []) {
+          if (t.account === accountId && t.amount < 0) {
+            debits.hbar -= BigInt(t.amount);
+          }
+        }
+        for (const t of tx.token_transfers || []) {
+          if (t.account === accountId && t.amount < 0) {
+            const total = debits.tokens.get(t.token_id) || 0n;
+            debits.tokens.set(t.token_id, total - BigInt(t.amount));
+          }
+        }
+      }
+      url =
+        data.links && data.links.next
+          ? `${this.baseUrl}${data.links.next}`
+          : null;
+    }
+    return debits;
+  }
+
+  /**
+   * Fetch Transfer logs whose `to` topic is one of the given addresses (any
+   * address when evmAddresses is null), in (fromTimestamp, toTimestamp],
+   * oldest first, following links.next
+   *
+   * @returns {Promise<object>} - { logs, completeUntil }; completeUntil is
+   *   toTimestamp unless the page cap cut the scan short
+   */
+  async fetchTransferLogs(evmAddresses, fromTimestamp, toTimestamp) {
+    const queryParams = new URLSearchParams({
+      topic0: `0x${TRANSFER_EVENT_TOPIC}`,
+      order: "asc",
+      limit: this.config.pageLimit
+    });
+    for (const evmAddress of evmAddresses || []) {
+      queryParams.append("topic2", addressToTopic(evmAddress));
+    }
+    queryParams.append("timestamp", `gt:${fromTimestamp}`);
+    queryParams.append("timestamp", `lte:${toTimestamp}`);
+
+    let url = `${this.baseUrl}/api/v1/contracts/results/logs?${queryParams}`;
+    const logs = [];
+    let pages = 0;
+
+    while (url) {
+      const response = await this.http.fetch(url);
+
+      if (!response.ok) {
+        throw new Error(`Mirror Node API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      pages++;
+      logs.push(...(data.logs || []));
+
+      const next = data.links && data.links.next;
+      if (!next) break;
+
+      if (pages >= this.config.maxPagesPerQuery) {
+        // Logs of one transaction share a timestamp, and the last one may be
+        // cut in half, so leave it for the next scan
+        const lastTimestamp = logs[logs.length - 1].timestamp;
+        const kept = logs.filter(
+          (log) => compareTimestamps(log.timestamp, lastTimestamp) < 0
+        );
+        this.log.warn("Page cap hit; continuing after cursor next poll", {
+          pageCap: this.config.maxPagesPerQuery,
+          query: "Transfer logs",
+          cursor: lastTimestamp
+        });
+        return {
+          logs: kept,
+          completeUntil: kept.length
+            ? kept[kept.length - 1].timestamp
+            : fromTimestamp
+        };
+      }
+
+      url = `${this.baseUrl}${next}`;
+    }
+
+    return { logs, completeUntil: toTimestamp };
+  }
+}
+
+/**
+ * Limit a log scan to maxLogRangeSeconds after fromTimestamp
+ */
+function clampLogRange(fromTimestamp, toTimestamp, maxLogRangeSeconds) {
+  const [sec, nanos = "0"] = String(fromTimestamp).split(".");
+  const limit = `${BigInt(sec) + BigInt(maxLogRangeSeconds)}.${nanos}`;
+  return compareTimestamps(toTimestamp, limit) > 0 ? limit : toTimestamp;
+}
+
+/**
+ * Consensus timestamp of the latest transaction touching an account, from
+ * an accounts response, or null if the response lists none
+ */
+function latestTransactionTimestamp(account) {
+  const [latest] = account.transactions || [];
+  return latest ? latest.consensus_timestamp : null;
+}
+
+function decodeMemo(tx) {
+  return tx.memo_base64
+    ? Buffer.from(tx.memo_base64, "base64").toString()
+    : null;
+}
+
+/**
+ * Accounts receiving HBAR, fungible tokens or NFTs in a transaction
+ */
+function incomingAccountIds(tx) {
+  const ids = new Set();
+  for (const t of tx.transfers || []) {
+    if (t.amount > 0) ids.add(t.account);
+  }
+  for (const t of tx.token_transfers || []) {
+    if (t.amount > 0) ids.add(t.account);
+  }
+  for (const nft of tx.nft_transfers || []) {
+    if (nft.receiver_account_id) ids.add(nft.receiver_account_id);
+  }
+  return ids;
+}
+
+/**
+ * The account debited the most in a transfer list ({ account, amount }
+ * legs), or null if none is debited
+ */
+function largestDebit(transfers) {
+  let debited = null;
+  for (const t of transfers) {
+    if (t.amount < 0 && (!debited || t.amount < debited.amount)) debited = t;
+  }
+  return debited ? debited.account : null;
+}
+
+/**
+ * Get transaction type display name
+ */
+function getTransactionTypeName(tx) {
+  // Use the name field if available, otherwise use our tracked type
+  return tx.name || tx._txType || "UNKNOWN";
+}
+
+/**
+ * Check if a transaction is an EVM transaction
+ */
+function isEvmTransaction(tx) {
+  const name = tx.name || tx._txType || "";
+  return name === "ETHEREUMTRANSACTION";
+}
+
+// ===========================================
+// EVM ADDRESS MONITOR - Direct Approach
+// ===========================================
+
+class EvmAddressMonitor extends MonitorBase {
+  /**
+   * @param {object} options - any DEFAULT_CONFIG key, plus
+   *   watchedEvmAddresses: addresses to watch (0x prefix optional)
+   *   addressLabels:       { [address]: label }
+   *   checkpointStore:     optional durable store for account state (see
+   *                        common/checkpoint-store.js)
+   *   onTransferReceived, onAccountCreated, onError: optional listeners
+   */
+  constructor(options = {}) {
+    const config = { ...DEFAULT_CONFIG };
+    for (const key of Object.keys(DEFAULT_CONFIG)) {
+      if (options[key] !== undefined) config[key] = options[key];
+    }
+    super({ ...options, pollingIntervalMs: config.pollingIntervalMs });
+
+    this.config = config;
+    this.source = "rest";
+    this.network =
+      config.network || networkFromMirrorNodeUrl(config.mirrorNodeUrl);
+    this.log = this.log.child({ source: this.source, network: this.network });
+    this.client = new MirrorNodeClient(config, this.log);
+
+    // Live watchlist; edit it with addAddress() / removeAddress()
+    this.watchedEvmAddresses = new Set();
+    this.addressLabels = {};
+    for (const evmAddress of options.watchedEvmAddresses || []) {
+      this.watchedEvmAddresses.add(normalizeEvmAddress(evmAddress));
+    }
+    for (const [evmAddress, label] of Object.entries(
+      options.addressLabels || {}
+    )) {
+      this.addressLabels[normalizeEvmAddress(evmAddress)] = label;
+    }
+
+    // Track account state
+    this.accountState = new Map(); // evmAddress -> { entityId, lastTimestamp, lastActivityTimestamp }
+
+    // Optional durable store for accountState (see common/checkpoint-store.js)
+    this.checkpoints = options.checkpointStore || null;
+
+    // Transfer logs are scanned network-wide from this consensus timestamp
+    this.lastLogTimestamp = null;
+
+    // Stream mode: transactions are scanned network-wide from streamTimestamp.
+    // Watched accounts seen so far are indexed both ways; every recipient
+    // looked up is cached as { evmAddress, createdTimestamp }.
+    this.streamTimestamp = null;
+    this.streamStartTimestamp = null;
+    this.entityIdByEvm = new Map();
+    this.evmByEntityId = new Map();
+    this.accountCache = new Map();
+
+    // Account mode: every watched address was caught up with the network as
+    // of this consensus timestamp (the newest block before the last poll
+    // that checked them all)
+    this.accountsSyncedTimestamp = null;
+
+    this.stats = {
+      totalPolls: 0,
+      newAccountsDetected: 0,
+      transfersDetected: 0,
+      cryptoTransfers: 0,
+      ethereumTransactions: 0,
+      tokenTransfers: 0,
+      nftTransfers: 0,
+      erc20Transfers: 0,
+      erc721Transfers: 0,
+      transactionsScanned: 0
+    };
+  }
+
+  /**
+   * Start watching an address. Unlike the watchlist API, this records no
+   * baseline; call baselineAddress() first to skip existing history.
+   */
+  addAddress(evmAddress, label = null) {
+    const normalized = normalizeEvmAddress(evmAddress);
+    this.watchedEvmAddresses.add(normalized);
+    if (label) this.addressLabels[normalized] = label;
+  }
+
+  /**
+   * Stop watching an address and drop its entity index entries and account
+   * state; adding it again takes a new baseline.
+   */
+  removeAddress(evmAddress) {
+    const normalized = normalizeEvmAddress(evmAddress);
+    this.watchedEvmAddresses.delete(normalized);
+    delete this.addressLabels[normalized];
+    this.accountState.delete(normalized);
+
+    const entityId = this.entityIdByEvm.get(normalized);
+    this.entityIdByEvm.delete(normalized);
+    if (entityId) this.evmByEntityId.delete(entityId);
+  }
+
+  getAddressLabel(evmAddress) {
+    return this.addressLabels[normalizeEvmAddress(evmAddress)] || null;
+  }
+
+  /**
+   * Restore account state saved by a previous run
+   */
+  async restoreCheckpoint() {
+    if (!this.checkpoints) return;
+
+    const { accounts, cursors, seen } = await this.checkpoints.load();
+    this.seenEvents.restore(seen);
+    for (const [evmAddress, state] of Object.entries(accounts)) {
+      this.accountState.set(normalizeEvmAddress(evmAddress), { ...state });
+    }
+    this.lastLogTimestamp = cursors[LOG_CURSOR_NAME] || null;
+    this.streamTimestamp = cursors[STREAM_CURSOR_NAME] || null;
+    this.streamStartTimestamp = this.streamTimestamp;
+    this.log.info("Restored checkpoint state", {
+      accounts: Object.keys(accounts).length,
+      logCursor: this.lastLogTimestamp,
+      streamCursor: this.streamTimestamp,
+      seenEvents: this.seenEvents.keys.size
+    });
+  }
+
+  /**
+   * Persist the current state of one account
+   */
+  async saveAccountState(evmAddress) {
+    if (!this.checkpoints) return;
+    const state = this.accountState.get(evmAddress);
+    if (state) {
+      await this.checkpoints.saveAccount(evmAddress, state);
+    }
+  }
+
+  async saveLogCursor() {
+    if (!this.checkpoints) return;
+    await this.checkpoints.saveCursor(LOG_CURSOR_NAME, this.lastLogTimestamp);
+  }
+
+  async saveStreamCursor() {
+    if (!this.checkpoints) return;
+    await this.checkpoints.saveCursor(STREAM_CURSOR_NAME, this.streamTimestamp);
+  }
+
+  /**
+   * Record a baseline for an address added at runtime, so only transfers
+   * after this point are reported. An account that already exists is not
+   * reported as new, and its history is skipped. An address without an
+   * account gets no state, so its lazy-create is reported as usual.
+   */
+  async baselineAddress(evmAddress) {
+    // The stream only matches addresses from the moment they are watched
+    if (this.config.mode === "stream") return;
+
+    const normalized = normalizeEvmAddress(evmAddress);
+    const timestamp = await this.client.fetchLatestBlockTimestamp();
+    const account = await this.client.fetchAccountByEvmAddress(normalized);
+
+    if (!account) {
+      this.accountState.delete(normalized);
+      return;
+    }
+
+    // lastActivityTimestamp stays null so the first poll fetches everything
+    // after the baseline timestamp
+    this.accountState.set(normalized, {
+      entityId: account.account,
+      lastTimestamp: timestamp,
+      lastActivityTimestamp: null
+    });
+    await this.saveAccountState(normalized);
+  }
+
+  /**
+   * Check a single EVM address for account existence and new transfers.
+   * Transactions are fetched whenever the account's latest transaction
+   * changed, not its balance: a deposit swept out before the next poll
+   * leaves the balance where it was.
+   * @returns {Promise<boolean>} - true if every transfer up to the account's
+   *   latest transaction was processed
+   */
+  async checkEvmAddress(evmAddress) {
+    const normalized = normalizeEvmAddress(evmAddress);
+    const label = this.getAddressLabel(normalized);
+
+    try {
+      const account = await this.client.fetchAccountByEvmAddress(normalized);
+
+      if (!account) {
+        // Account doesn't exist yet
+        if (this.accountState.has(normalized)) {
+          this.log.warn("Watched account no longer exists?", {
+            address: `0x${normalized}`
+          });
+        }
+        return true;
+      }
+
+      const currentState = this.accountState.get(normalized);
+      const entityId = account.account;
+      const balance = account.balance.balance;
+      // Without it (null), every poll asks for transactions since the last one
+      const latestActivity = latestTransactionTimestamp(account);
+
+      if (!currentState) {
+        // First time seeing this account - it was just created!
+
+        // lastActivityTimestamp stays null until the initial fetch completes,
+        // so a restart in between re-fetches instead of skipping transfers
+        const state = {
+          entityId,
+          lastTimestamp: null,
+          lastActivityTimestamp: null
+        };
+        this.accountState.set(normalized, state);
+        await this.saveAccountState(normalized);
+
+        this.stats.newAccountsDetected++;
+
+        this.emit("accountCreated", {
+          evmAddress: normalized,
+          label,
+          entityId,
+          balance: `${balance / 100_000_000} ℏ`
+        });
+
+        // Fetch recent transactions for this new account
+        const complete = await this.fetchNewTransfers(
+          normalized,
+          entityId,
+          null
+        );
+        if (complete) {
+          state.lastActivityTimestamp = latestActivity;
+          await this.saveAccountState(normalized);
+        }
+        return complete;
+      } else if (
+        latestActivity === null ||
+        latestActivity !== currentState.lastActivityTimestamp
+      ) {
+        // New transactions - fetch new transfers
+        this.log.info("Account activity detected", {
+          address: `0x${normalized}`,
+          entityId,
+          previousTransaction: currentState.lastActivityTimestamp,
+          latestTransaction: latestActivity
+        });
+
+        const complete = await this.fetchNewTransfers(
+          normalized,
+          entityId,
+          currentState.lastTimestamp
+        );
+
+        // Update state only once every transfer up to this transaction was
+        // seen
+        if (complete) {
+          currentState.lastActivityTimestamp = latestActivity;
+          currentState.entityId = entityId;
+          await this.saveAccountState(normalized);
+        }
+        return complete;
+      }
+      return true;
+    } catch (error) {
+      this.reportError(error, `Error checking 0x${normalized}`);
+      return false;
+    }
+  }
+
+  /**
+   * Fetch and report new transfers for an account
+   * Handles both CRYPTOTRANSFER and ETHEREUMTRANSACTION types, and HBAR,
+   * HTS fungible token and NFT movements within them
+   * @returns {Promise<boolean>} - false if some transfers are still unseen
+   */
+  async fetchNewTransfers(evmAddress, entityId, sinceTimestamp) {
+    try {
+      const params = {};
+      if (sinceTimestamp) {
+        params.timestamp = sinceTimestamp;
+      }
+
+      const data = await this.client.fetchAccountTransactions(entityId, params);
+
+      if (!data.transactions || data.transactions.length === 0) {
+        return data.complete;
+      }
+
+      const label = this.getAddressLabel(evmAddress);
+      const state = this.accountState.get(evmAddress);
+
+      // Transactions arrive in chronological order
+      for (const tx of data.transactions) {
+        this.stats.transactionsScanned++;
+        const transfers = await this.findIncomingTransfers(
+          tx,
+          evmAddress,
+          entityId
+        );
+
+        for (const fields of transfers) {
+          // Update last timestamp
+          if (state) {
+            state.lastTimestamp = tx.consensus_timestamp;
+          }
+
+          if (this.emitTransfer({ evmAddress, label, entityId, ...fields })) {
+            this.countTransfer(fields);
+          }
+
+          // Checkpoint after delivery so a crash replays rather than drops
+          await this.saveAccountState(evmAddress);
+        }
+      }
+
+      // Move the cursor past everything processed, so outgoing-only
+      // transactions are not fetched again (or stall a partial drain)
+      if (state) {
+        state.lastTimestamp =
+          data.transactions[data.transactions.length - 1].consensus_timestamp;
+        await this.saveAccountState(evmAddress);
+      }
+
+      return data.complete;
+    } catch (error) {
+      this.reportError(error, `Error fetching transfers for ${entityId}`);
+      return false;
+    }
+  }
+
+  /**
+   * Find every incoming transfer to an account in one transaction: HBAR
+   * (CRYPTOTRANSFER and ETHEREUMTRANSACTION both carry it in `transfers`),
+   * then HTS fungible tokens and NFTs. Without an EVM sender, `from` is the
+   * account debited the most of the same asset (see senderAddress).
+   * @returns {Promise<object[]>} - event fields for each transfer
+   */
+  async findIncomingTransfers(tx, evmAddress, entityId) {
+    const incomingTransfer =
+      (tx.transfers || []).find(
+        (t) => t.account === entityId && t.amount > 0
+      ) || null;
+    const tokenTransfers = await this.findIncomingTokenTransfers(
+      tx,
+      evmAddress,
+      entityId
+    );
+    if (!incomingTransfer && tokenTransfers.length === 0) return [];
+
+    const txFields = await this.transactionEventFields(tx);
+    const transfers = [];
+
+    if (incomingTransfer) {
+      const amount = String(incomingTransfer.amount);
+      transfers.push({
+        assetType: "HBAR",
+        amount,
+        decimals: HBAR_DECIMALS,
+        amountDecimal: formatTokenAmount(amount, HBAR_DECIMALS),
+        ...txFields,
+        from:
+          txFields.from ||
+          (await this.senderAddress(largestDebit(tx.transfers || [])))
+      });
+    }
+    for (const { senderId, ...tokenTransfer } of tokenTransfers) {
+      transfers.push({
+        ...tokenTransfer,
+        ...txFields,
+        from: txFields.from || (await this.senderAddress(senderId))
+      });
+    }
+    return transfers;
+  }
+
+  countTransfer(fields) {
+    this.stats.transfersDetected++;
+    if (fields.assetType === "HBAR") {
+      if (fields.isEvmTransaction) {
+        this.stats.ethereumTransactions++;
+      } else {
+        this.stats.cryptoTransfers++;
+      }
+    } else if (fields.assetType === "NFT") {
+      this.stats.nftTransfers++;
+    } else if (fields.assetType === "FUNGIBLE_TOKEN") {
+      this.stats.tokenTransfers++;
+    } else if (fields.assetType === "ERC721") {
+      this.stats.erc721Transfers++;
+    } else {
+      this.stats.erc20Transfers++;
+    }
+  }
+
+  /**
+   * Report ERC-20 / ERC-721 Transfer logs to watched addresses emitted since
+   * the last scan. These deposits have no HBAR or HTS leg on the recipient,
+   * because the transaction targets the token contract.
+   * @param {string} [latestTimestamp] - newest block timestamp, if the poll
+   *   already fetched it
+   */
+  async checkTransferLogs(latestTimestamp = null) {
+    try {
+      const latest =
+        latestTimestamp || (await this.client.fetchLatestBlockTimestamp());
+      if (!latest) return;
+
+      // First run without a checkpoint: start from now, not from history
+      if (!this.lastLogTimestamp) {
+        this.lastLogTimestamp = latest;
+        await this.saveLogCursor();
+        return;
+      }
+
+      const until = clampLogRange(
+        this.lastLogTimestamp,
+        latest,
+        this.config.maxLogRangeSeconds
+      );
+      if (compareTimestamps(until, this.lastLogTimestamp) <= 0) return;
+
+      const { logs, completeUntil } = await this.collectTransferLogs(
+        this.lastLogTimestamp,
+        until
+      );
+      for (const log of logs) {
+        await this.reportTransferLog(
+          log,
+          this.config.mode === "stream" ? this.entityIdByEvm : null
+        );
+      }
+
+      this.lastLogTimestamp = completeUntil;
+      await this.saveLogCursor();
+    } catch (error) {
+      this.reportError(error, "Error checking Transfer logs");
+    }
+  }
+
+  /**
+   * Transfer logs to any watched address in (fromTimestamp, toTimestamp],
+   * queried in batches of logTopicBatchSize addresses. In stream mode every
+   * Transfer log is fetched in one query and matched by reportTransferLog().
+   * @returns {Promise<object>} - { logs (in consensus order), completeUntil }
+   */
+  async collectTransferLogs(fromTimestamp, toTimestamp) {
+    const batches = [];
+    if (this.config.mode === "stream") {
+      batches.push(null);
+    } else {
+      const addresses = Array.from(this.watchedEvmAddresses);
+      for (
+        let i = 0;
+        i < addresses.length;
+        i += this.config.logTopicBatchSize
+      ) {
+        batches.push(addresses.slice(i, i + this.config.logTopicBatchSize));
+      }
+    }
+
+    const logs = [];
+    let completeUntil = toTimestamp;
+
+    for (const batch of batches) {
+      const result = await this.client.fetchTransferLogs(
+        batch,
+        fromTimestamp,
+        toTimestamp
+      );
+      logs.push(...result.logs);
+      if (compareTimestamps(result.completeUntil, completeUntil) < 0) {
+        completeUntil = result.completeUntil;
+      }
+    }
+
+    const ready = logs
+      .filter((log) => compareTimestamps(log.timestamp, completeUntil) <= 0)
+      .sort(
+        (a, b) =>
+          compareTimestamps(a.timestamp, b.timestamp) || a.index - b.index
+      );
+    return { logs: ready, completeUntil };
+  }
+
+  /**
+   * @param {object} log - a Mirror Node contract log
+   * @param {Map} [entityIds] - evmAddress -> entity ID; defaults to the
+   *   account state
+   */
+  async reportTransferLog(log, entityIds = null) {
+    const transfer = decodeTransferLog(log.topics, log.data);
+    if (!transfer) return;
+
+    const evmAddress = transfer.to;
+    if (!this.watchedEvmAddresses.has(evmAddress)) return;
+    if (
+      !isTokenAllowed(this.config.tokenAllowlist, evmAddress, log.contract_id)
+    ) {
+      return;
+    }
+
+    // HTS tokens emit synthetic Transfer logs as well; those deposits are
+    // already reported from token_transfers / nft_transfers
+    if (await this.client.fetchTokenInfo(log.contract_id)) return;
+
+    const state = this.accountState.get(evmAddress);
+    const entityId = entityIds
+      ? entityIds.get(evmAddress) || null
+      : state
+        ? state.entityId
+        : null;
+
+    // Logs carry neither the transaction ID nor the Hedera hash
+    const tx = await this.client.fetchTransactionByTimestamp(log.timestamp);
+    if (!tx) {
+      throw new Error(`No transaction found at ${log.timestamp}`);
+    }
+    const isErc721 = transfer.standard === "ERC721";
+    const fields = {
+      assetType: transfer.standard,
+      tokenId: log.contract_id,
+      contractAddress: normalizeEvmAddress(log.address),
+      decimals: isErc721 ? 0 : null,
+      serialNumber: transfer.tokenId,
+      amount: transfer.amount,
+      amountDecimal: isErc721 ? "1" : null,
+      ...(await this.transactionEventFields(tx)),
+      from: transfer.from,
+      detectionMethod: "contract_log",
+      logIndex: log.index
+    };
+
+    const event = this.emitTransfer({
+      evmAddress,
+      label: this.getAddressLabel(evmAddress),
+      entityId,
+      ...fields
+    });
+    if (event) this.countTransfer(fields);
+  }
+
+  /**
+   * Event fields shared by every transfer in a Mirror Node transaction. For
+   * an ETHEREUMTRANSACTION the contract result adds the sender and the
+   * Ethereum hash; the REST API reports the value in tinybar only, so
+   * valueWei and precisionLoss stay unknown.
+   */
+  async transactionEventFields(tx) {
+    const fields = {
+      from: null,
+      transactionId: tx.transaction_id,
+      transactionHash: toHexHash(tx.transaction_hash, "base64"),
+      consensusTimestamp: tx.consensus_timestamp,
+      transactionType: getTransactionTypeName(tx),
+      isEvmTransaction: isEvmTransaction(tx),
+      detectionMethod: "transaction",
+      memo: decodeMemo(tx),
+      ethereum: null
+    };
+
+    if (fields.isEvmTransaction) {
+      const result = await this.client.fetchContractResult(
+        tx.consensus_timestamp
+      );
+      fields.from =
+        result && result.from ? normalizeEvmAddress(result.from) : null;
+      fields.ethereum = {
+        hash: result && result.hash ? toHexHash(result.hash) : null,
+        valueWei: null,
+        precisionLoss: null
+      };
+    }
+    return fields;
+  }
+
+  /**
+   * Find HTS fungible token and NFT transfers into an account
+   * @returns {Promise<object[]>} - token fields for each incoming transfer,
+   *   with the entity ID of its sender (senderId)
+   */
+  async findIncomingTokenTransfers(tx, evmAddress, entityId) {
+    const found = [];
+
+    for (const t of tx.token_transfers || []) {
+      if (t.account !== entityId || !(t.amount > 0)) continue;
+      if (!isTokenAllowed(this.config.tokenAllowlist, evmAddress, t.token_id))
+        continue;
+
+      const info = await this.client.fetchTokenInfo(t.token_id);
+      const decimals = info ? info.decimals : null;
+      found.push({
+        assetType: "FUNGIBLE_TOKEN",
+        tokenId: t.token_id,
+        tokenName: info?.name || null,
+        tokenSymbol: info?.symbol || null,
+        decimals,
+        serialNumber: null,
+        amount: String(t.amount),
+        amountDecimal: formatTokenAmount(t.amount, decimals),
+        senderId: largestDebit(
+          tx.token_transfers.filter((other) => other.token_id === t.token_id)
+        )
+      });
+    }
+
+    for (const nft of tx.nft_transfers || []) {
+      if (nft.receiver_account_id !== entityId) continue;
+      if (
+        !isTokenAllowed(this.config.tokenAllowlist, evmAddress, nft.token_id)
+      ) {
+        continue;
+      }
+
+      const info = await this.client.fetchTokenInfo(nft.token_id);
+      found.push({
+        assetType: "NFT",
+        tokenId: nft.token_id,
+        tokenName: info?.name || null,
+        tokenSymbol: info?.symbol || null,
+        decimals: 0,
+        serialNumber: String(nft.serial_number),
+        amount: "1",
+        amountDecimal: "1",
+        senderId: nft.sender_account_id || null
+      });
+    }
+
+    return found;
+  }
+
+  /**
+   * Report every transfer to the watched addresses in (fromTimestamp,
+   * toTimestamp] ("seconds.nanos"), with the same detection as poll().
+   * Events come per address, then from Transfer logs, so they are not in
+   * consensus order. Account state and checkpoints are left untouched,
+   * transfers reported before are reported again (no duplicate
+   * suppression), and failures are thrown rather than reported.
+   *
+   * The range is cut off at the newest block the Mirror Node has ingested.
+   * @returns {Promise<object>} - the range scanned: { fromTimestamp,
+   *   toTimestamp }
+   */
+  async backfill(fromTimestamp, toTimestamp) {
+    // A backfill reports the range again on purpose
+    this.dedupeEvents = false;
+    try {
+      return await this.backfillRange(fromTimestamp, toTimestamp);
+    } finally {
+      this.dedupeEvents = true;
+    }
+  }
+
+  async backfillRange(fromTimestamp, toTimestamp) {
+    const latest = await this.client.fetchLatestBlockTimestamp();
+    if (latest && compareTimestamps(toTimestamp, latest) > 0) {
+      toTimestamp = latest;
+    }
+
+    const entityIds = new Map();
+    for (const evmAddress of this.watchedEvmAddresses) {
+      const account = await this.client.fetchAccountByEvmAddress(evmAddress);
+      if (!account) continue;
+      entityIds.set(evmAddress, account.account);
+      await this.backfillAccount(
+        evmAddress,
+        account.account,
+        fromTimestamp,
+        toTimestamp
+      );
+    }
+
+    if (this.config.detectTransferLogs) {
+      let from = fromTimestamp;
+      while (compareTimestamps(from, toTimestamp) < 0) {
+        const until = clampLogRange(
+          from,
+          toTimestamp,
+          this.config.maxLogRangeSeconds
+        );
+        const { logs, completeUntil } = await this.collectTransferLogs(
+          from,
+          until
+        );
+        for (const log of logs) {
+          await this.reportTransferLog(log, entityIds);
+        }
+        if (compareTimestamps(completeUntil, from) <= 0) {
+          throw new Error(`Too many Transfer logs at ${from} to page through`);
+        }
+        from = completeUntil;
+      }
+    }
+
+    return { fromTimestamp, toTimestamp };
+  }
+
+  async backfillAccount(evmAddress, entityId, fromTimestamp, toTimestamp) {
+    const label = this.getAddressLabel(evmAddress);
+    let since = fromTimestamp;
+
+    for (;;) {
+      const data = await this.client.fetchAccountTransactions(entityId, {
+        timestamp: since,
+        until: toTimestamp
+      });
+
+      for (const tx of data.transactions) {
+        this.stats.transactionsScanned++;
+        const transfers = await this.findIncomingTransfers(
+          tx,
+          evmAddress,
+          entityId
+        );
+        for (const fields of transfers) {
+          this.countTransfer(fields);
+          this.emitTransfer({ evmAddress, label, entityId, ...fields });
+        }
+      }
+
+      if (data.complete) return;
+
+      // Continue after a page cap; a failed query leaves nothing to continue
+      // from (see fetchAccountTransactions)
+      if (data.transactions.length === 0) {
+        throw new Error(`Could not fetch transactions for ${entityId}`);
+      }
+      since =
+        data.transactions[data.transactions.length - 1].consensus_timestamp;
+    }
+  }
+
+  /**
+   * The EVM address of the account a native transfer debits: its EVM alias
+   * if it has one, otherwise the long-zero form of its entity ID
+   */
+  async senderAddress(entityId) {
+    if (!entityId) return null;
+    const account = await this.resolveAccount(entityId);
+    return (account && account.evmAddress) || longZeroAddress(entityId);
+  }
+
+  // ===========================================
+  // STREAM MODE
+  // ===========================================
+
+  /**
+   * Look up the EVM address and creation time of an account, once per
+   * account; the cache keeps the entityCacheSize most recent lookups
+   * @returns {Promise<object|null>} - { evmAddress, createdTimestamp }
+   */
+  async resolveAccount(entityId) {
+    if (this.accountCache.has(entityId)) {
+      return this.accountCache.get(entityId);
+    }
+
+    const account = await this.client.fetchAccount(entityId);
+    const info = account
+      ? {
+          evmAddress: account.evm_address
+            ? normalizeEvmAddress(account.evm_address)
+            : null,
+          createdTimestamp: account.created_timestamp || null
+        }
+      : null;
+
+    this.accountCache.set(entityId, info);
+    if (this.accountCache.size > this.config.entityCacheSize) {
+      this.accountCache.delete(this.accountCache.keys().next().value);
+    }
+    return info;
+  }
+
+  /**
+   * The watched address an entity ID belongs to, or null. Watched accounts
+   * stay indexed after their cache entry is evicted.
+   */
+  async watchedEvmAddressOf(entityId) {
+    const indexed = this.evmByEntityId.get(entityId);
+    if (indexed) {
+      return this.watchedEvmAddresses.has(indexed) ? indexed : null;
+    }
+
+    const info = await this.resolveAccount(entityId);
+    const evmAddress = info && info.evmAddress;
+    if (!evmAddress || !this.watchedEvmAddresses.has(evmAddress)) return null;
+
+    this.entityIdByEvm.set(evmAddress, entityId);
+    this.evmByEntityId.set(entityId, evmAddress);
+
+    // Accounts created since the stream started are new (lazy-create)
+    if (
+      info.createdTimestamp &&
+      this.streamStartTimestamp &&
+      compareTimestamps(info.createdTimestamp, this.streamStartTimestamp) > 0
+    ) {
+      this.stats.newAccountsDetected++;
+      this.emit("accountCreated", {
+        evmAddress,
+        label: this.getAddressLabel(evmAddress),
+        entityId,
+        consensusTimestamp: info.createdTimestamp
+      });
+    }
+    return evmAddress;
+  }
+
+  /**
+   * Scan the transactions after the stream cursor, up to the newest ingested
+   * block, and report those into watched accounts. Requests depend on the
+   * network's transaction rate, not on the number of watched addresses.
+   */
+  async pollStream() {
+    try {
+      const latest = await this.client.fetchLatestBlockTimestamp();
+      if (!latest) return;
+
+      // First run without a checkpoint: start from now, not from history
+      if (!this.streamTimestamp) {
+        this.streamTimestamp = latest;
+        this.streamStartTimestamp = latest;
+        await this.saveStreamCursor();
+        return;
+      }
+      if (compareTimestamps(latest, this.streamTimestamp) <= 0) return;
+
+      // Bounded by the same block for every type, so a block ingested
+      // between the per-type queries cannot be skipped
+      const data = await this.client.fetchTransactions({
+        timestamp: this.streamTimestamp,
+        until: latest
+      });
+
+      // Resolve unknown recipients a few at a time before matching
+      const unknown = new Set();
+      for (const tx of data.transactions) {
+        for (const entityId of incomingAccountIds(tx)) {
+          if (
+            !this.evmByEntityId.has(entityId) &&
+            !this.accountCache.has(entityId)
+          ) {
+            unknown.add(entityId);
+          }
+        }
+      }
+      const toResolve = Array.from(unknown);
+      const batchSize = this.config.maxConcurrentRequests;
+      for (let i = 0; i < toResolve.length; i += batchSize) {
+        await Promise.all(
+          toResolve.slice(i, i + batchSize).map((id) => this.resolveAccount(id))
+        );
+      }
+
+      for (const tx of data.transactions) {
+        this.stats.transactionsScanned++;
+        const matches = await this.reportStreamTransaction(tx);
+        this.streamTimestamp = tx.consensus_timestamp;
+
+        // Checkpoint after delivery so a crash replays rather than drops
+        if (matches > 0) await this.saveStreamCursor();
+      }
+
+      // Rows after the last transaction are only complete when every type
+      // was drained
+      if (data.complete) this.streamTimestamp = latest;
+      await this.saveStreamCursor();
+      this.log.debug("Scanned transactions", {
+        transactions: data.transactions.length,
+        cursor: this.streamTimestamp,
+        complete: data.complete
+      });
+    } catch (error) {
+      this.reportError(error, "Error streaming transactions");
+    }
+  }
+
+  /**
+   * Balances of the watched addresses from the newest balance snapshot at
+   * or before `timestamp` ("seconds.nanos"), for reconciliation (see
+   * common/reconcile.js). NFT classes are left out.
+   * @returns {Promise<object>} - { timestamp, accounts: Map(evmAddress ->
+   *   { entityId, hbar, tokens }) }
+   */
+  async balanceSnapshot(timestamp) {
+    const snapshot = await this.client.fetchBalances(timestamp);
+    if (!snapshot.timestamp) {
+      throw new Error(`No balance snapshot at or before ${timestamp}`);
+    }
+
+    const accounts = new Map();
+    for (const evmAddress of this.watchedEvmAddresses) {
+      const account = await this.client.fetchAccountByEvmAddress(evmAddress);
+      if (!account) continue;
+      const { balances } = await this.client.fetchBalances(
+        snapshot.timestamp,
+        account.account
+      );
+      const [entry] = balances || [];
+      if (!entry) continue;
+      // NFT classes are balanced in serials, which reconciliation leaves out
+      const tokens = new Map();
+      for (const t of entry.tokens || []) {
+        const info = await this.client.fetchTokenInfo(t.token_id);
+        if (info && info.type === "NON_FUNGIBLE_UNIQUE") continue;
+        tokens.set(t.token_id, BigInt(t.balance));
+      }
+      accounts.set(evmAddress, {
+        entityId: account.account,
+        hbar: BigInt(entry.balance),
+        tokens
+      });
+    }
+    return { timestamp: snapshot.timestamp, accounts };
+  }
+
+  /**
+   * What left an account in (fromTimestamp, toTimestamp], fees included
+   * (see common/reconcile.js)
+   */
+  async accountDebits(entityId, fromTimestamp, toTimestamp) {
+    return this.client.fetchAccountDebits(entityId, fromTimestamp, toTimestamp);
+  }
+
+  /**
+   * @returns {Promise<number>} - the number of transfers reported
+   */
+  async reportStreamTransaction(tx) {
+    let matches = 0;
+    for (const entityId of incomingAccountIds(tx)) {
+      const evmAddress = await this.watchedEvmAddressOf(entityId);
+      if (!evmAddress) continue;
+
+      const label = this.getAddressLabel(evmAddress);
+      const transfers = await this.findIncomingTransfers(
+        tx,
+        evmAddress,
+        entityId
+      );
+      for (const fields of transfers) {
+        if (this.emitTransfer({ evmAddress, label, entityId, ...fields })) {
+          this.countTransfer(fields);
+          matches++;
+        }
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Poll all watched addresses
+   */
+  async poll() {
+    this.stats.totalPolls++;
+
+    if (this.config.mode === "stream") {
+      await this.pollStream();
+      if (this.config.detectTransferLogs) {
+        await this.checkTransferLogs();
+      }
+      return;
+    }
+
+    // Balances fetched after this block include every transaction in it
+    let latest = null;
+    try {
+      latest = await this.client.fetchLatestBlockTimestamp();
+    } catch (error) {
+      this.reportError(error, "Error fetching the latest block");
+    }
+
+    const addresses = Array.from(this.watchedEvmAddresses);
+    let caughtUp = true;
+
+    // Check as many addresses in parallel as requests may be in flight
+    const batchSize = this.config.maxConcurrentRequests;
+    for (let i = 0; i < addresses.length; i += batchSize) {
+      const batch = addresses.slice(i, i + batchSize);
+      const results = await Promise.all(
+        batch.map((addr) => this.checkEvmAddress(addr))
+      );
+      if (results.includes(false)) caughtUp = false;
+    }
+    if (latest && caughtUp) this.accountsSyncedTimestamp = latest;
+
+    if (this.config.detectTransferLogs) {
+      await this.checkTransferLogs(latest);
+    }
+  }
+
+  getProgress() {
+    return {
+      scanned: this.stats.transactionsScanned,
+      lastProcessedTimestamp:
+        this.config.mode === "stream"
+          ? this.streamTimestamp
+          : this.accountsSyncedTimestamp
+    };
+  }
+
+  async init() {
+    await this.restoreCheckpoint();
+  }
+
+  async close() {
+    if (this.checkpoints) {
+      await this.checkpoints.close();
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  EvmAddressMonitor,
+  MirrorNodeClient
+};
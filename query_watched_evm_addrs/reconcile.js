@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * reconcile.js
+ *
+ * Check that the transfers detected through the Mirror Node REST API explain
+ * the balance history of the given addresses, between the balance snapshots
+ * of /api/v1/balances. Options and report files are described in
+ * common/reconcile.js.
+ *
+ * Usage:
+ *   node reconcile.js --from 2025-09-01 --to 2025-10-01 \
+ *     --address 0x8f31e9fa14266c5da7f63bfc96811e08b7c09183="Wallet A"
+ */
+
+require("dotenv").config();
+
+const path = require("path");
+const { EvmAddressMonitor } = require("./lib/evm-address-monitor");
+const { runReconcileCli } = require("../common/reconcile");
+
+runReconcileCli({
+  command: "reconcile.js",
+  defaultOutDir: path.join(__dirname, "reports"),
+  extraOptions: { "--mirror-node-url": "mirrorNodeUrl" },
+  extraUsage: ["[--mirror-node-url URL]"],
+  createMonitor: (options) =>
+    new EvmAddressMonitor({
+      ...options,
+      network: options.network || process.env.HEDERA_NETWORK || null
+    })
+});
@@ -1,36 +1,34 @@
-const {
-  Client,
-  PrivateKey,
-  AccountId,
-  TransferTransaction,
-  Hbar
-} = require("@hiero-ledger/sdk");
+const sdk = require("@hiero-ledger/sdk");
+const { TransferTransaction, Hbar } = sdk;
 require("dotenv").config();
+const {
+  ConfigError,
+  createSdkClient,
+  loadConfig,
+  parseConfigArgs
+} = require("../common/config");
+
+// The network and operator come from the monitor's config (see
+// common/config.js): HEDERA_NETWORK / --network, HEDERA_ACCOUNT_ID and
+// HEDERA_PRIVATE_KEY, or a config file given with --config.
+
+async function sendTestTransfer(config, recipientEvmAddress) {
+  const { accountId, privateKey } = config.operator;
+  if (!accountId || !privateKey) {
+    throw new ConfigError([
+      "operator.accountId and operator.privateKey (HEDERA_ACCOUNT_ID, HEDERA_PRIVATE_KEY) are required"
+    ]);
+  }
 
-async function sendTestTransfer(recipientEvmAddress) {
-  // ===========================================
-  // CONFIGURATION - Update these values
-  // ===========================================
-
-  const myAccountId = AccountId.fromString(process.env.HEDERA_ACCOUNT_ID);
-  const myPrivateKey = PrivateKey.fromStringECDSA(
-    process.env.HEDERA_PRIVATE_KEY
-  );
-
-  // ===========================================
-  // Send transfer
-  // ===========================================
-
-  const client = Client.forTestnet();
-  client.setOperator(myAccountId, myPrivateKey);
+  const client = createSdkClient(sdk, config);
 
   // Normalize address
   const evmAddress = recipientEvmAddress.toLowerCase().replace("0x", "");
 
-  console.log(`Sending 0.01 HBAR to 0x${evmAddress}...`);
+  console.log(`Sending 0.01 HBAR to 0x${evmAddress} on ${config.network}...`);
 
   const transferTx = new TransferTransaction()
-    .addHbarTransfer(myAccountId, new Hbar(-0.01))
+    .addHbarTransfer(accountId, new Hbar(-0.01))
     .addHbarTransfer(evmAddress, new Hbar(0.01))
     .setTransactionMemo("Test transfer to monitored EVM address");
 
@@ -50,18 +48,28 @@ async function sendTestTransfer(recipientEvmAddress) {
 // ===========================================
 
 async function main() {
-  // Get EVM address from command line or use a test address
-  const evmAddress = process.argv[2];
+  const args = parseConfigArgs(process.argv.slice(2));
+  const [evmAddress] = args.args;
 
   if (!evmAddress) {
-    console.log("Usage: node send-test-transfer. js <evm-address>");
     console.log(
-      "Example: node send-test-transfer.js 0x8f31e9fa14266c5da7f63bfc96811e08b7c09183"
+      "Usage: node send-test-transfer.js <evm-address> [--config FILE] [--network NAME]"
+    );
+    console.log(
+      "Example: node send-test-transfer.js 0x8f31e9fa14266c5da7f63bfc96811e08b7c09183 --network local"
     );
     process.exit(1);
   }
 
-  await sendTestTransfer(evmAddress);
+  const config = loadConfig("rest", {
+    file: args.file,
+    overrides: { network: args.network },
+    require
+  });
+  await sendTestTransfer(config, evmAddress);
 }
 
-main().catch(console.error);
+main().catch((err) => {
+  console.error(err instanceof ConfigError ? err.message : err);
+  process.exit(1);
+});
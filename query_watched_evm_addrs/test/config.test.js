@@ -0,0 +1,215 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  ConfigError,
+  describeConfig,
+  loadConfig,
+  parseConfigArgs,
+  watchlistOptions
+} = require("../../common/config");
+
+const WATCHED = "8f31e9fa14266c5da7f63bfc96811e08b7c09183";
+
+let dir;
+
+/** Write a config file into the test's directory and return its path */
+function writeConfig(name, text) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+/** loadConfig's ConfigError problems, failing if it loads */
+function problemsOf(monitor, options) {
+  try {
+    loadConfig(monitor, options);
+  } catch (err) {
+    assert.ok(err instanceof ConfigError, err.message);
+    return err.problems;
+  }
+  assert.fail("expected a ConfigError");
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("loadConfig", () => {
+  it("uses the defaults without a file", () => {
+    const config = loadConfig("rest", { env: {} });
+
+    assert.equal(config.network, "testnet");
+    assert.equal(config.mirrorNodeUrl, "https://testnet.mirrornode.hedera.com");
+    assert.equal(config.networkConfig.mirrorNodeUrl, config.mirrorNodeUrl);
+    assert.equal(config.watchlist.file, "watchlist.json");
+    assert.equal(config.checkpoint.backend, "json");
+    assert.equal(config.monitor, "rest");
+    assert.equal(config.configFile, null);
+  });
+
+  it("merges the file, its monitor section, the environment and flags", () => {
+    const file = writeConfig(
+      "monitor.yaml",
+      [
+        "network: mainnet",
+        "pollingIntervalMs: 5000",
+        "batchLimit: 500",
+        "watchlist:",
+        "  file: data/watchlist.json",
+        "  addresses:",
+        `    - address: "0x${WATCHED}"`,
+        "      label: treasury",
+        "      tokens: [0.0.456]",
+        "log:",
+        "rest:",
+        "  pollingIntervalMs: 2000",
+        "  mode: stream",
+        "db:",
+        "  pollingIntervalMs: 1000"
+      ].join("\n")
+    );
+
+    const config = loadConfig("rest", {
+      file,
+      defaults: { metrics: { port: 9464 } },
+      env: { POLLING_INTERVAL_MS: "3000", LOG_LEVEL: "warn", BATCH_LIMIT: "" },
+      overrides: { network: "previewnet" },
+      require
+    });
+
+    assert.equal(config.network, "previewnet");
+    assert.equal(config.pollingIntervalMs, 3000);
+    assert.equal(config.mode, "stream");
+    // An option of the other monitor is left out, not reported
+    assert.equal(config.batchLimit, undefined);
+    assert.equal(config.metrics.port, 9464);
+    assert.equal(config.metrics.host, "0.0.0.0");
+    assert.equal(config.log.level, "warn");
+    // Relative paths are relative to the file
+    assert.equal(config.watchlist.file, path.join(dir, "data/watchlist.json"));
+    assert.equal(config.checkpoint.file, "checkpoints.json");
+    assert.equal(config.configFile, file);
+
+    assert.deepEqual(watchlistOptions(config), {
+      watchedEvmAddresses: new Set([WATCHED]),
+      addressLabels: { [WATCHED]: "treasury" },
+      tokenAllowlist: { [WATCHED]: ["0.0.456"] }
+    });
+  });
+
+  it("picks a network defined in the file", () => {
+    const file = writeConfig(
+      "monitor.json",
+      JSON.stringify({
+        network: "solo",
+        networks: {
+          solo: {
+            mirrorNodeUrl: "http://localhost:5551",
+            consensusNodes: { "127.0.0.1:50211": "0.0.3" }
+          }
+        }
+      })
+    );
+
+    const config = loadConfig("db", { file, env: {} });
+
+    assert.deepEqual(config.networkConfig, {
+      mirrorNodeUrl: "http://localhost:5551",
+      consensusNodes: { "127.0.0.1:50211": "0.0.3" }
+    });
+  });
+
+  it("reports every problem at once", () => {
+    const file = writeConfig(
+      "monitor.yaml",
+      [
+        "pollingIntervalMs: 10",
+        "mirrorNodeUrl: ftp://example.com",
+        "colour: blue",
+        "watchlist:",
+        `  addresses: [0x${WATCHED}, "0x1234"]`,
+        "webhook:",
+        "  url: https://example.com/hook",
+        "rest:",
+        "  batchLimit: 10"
+      ].join("\n")
+    );
+
+    const problems = problemsOf("rest", {
+      file,
+      env: { METRICS_PORT: "eighty", HEDERA_NETWORK: "moonnet" },
+      require
+    });
+
+    assert.deepEqual(problems, [
+      "pollingIntervalMs: must be an integer >= 100, got 10",
+      "mirrorNodeUrl: must be an http(s) URL",
+      "colour: unknown option",
+      "watchlist.addresses[0]: quote the address (YAML reads an unquoted 0x... as a number)",
+      'watchlist.addresses[1]: "0x1234" is not a 20-byte hex address',
+      "rest.batchLimit: only applies to the db monitor",
+      'metrics.port (from METRICS_PORT): must be an integer from 0 to 65535, got "eighty"',
+      'network (from HEDERA_NETWORK): unknown network "moonnet" (mainnet, testnet, previewnet, local, or one defined under networks)',
+      "webhook.secret: required with webhook.url; every delivery is signed"
+    ]);
+  });
+
+  it("reports unreadable and malformed files", () => {
+    assert.match(
+      problemsOf("rest", { file: path.join(dir, "missing.yaml") })[0],
+      /^cannot read config file/
+    );
+    const file = writeConfig("monitor.json", "{ network: ");
+    assert.match(problemsOf("rest", { file })[0], /^not valid JSON/);
+    const list = writeConfig("list.json", "[1, 2]");
+    assert.deepEqual(problemsOf("rest", { file: list }), [
+      "the file must hold a mapping of options"
+    ]);
+  });
+});
+
+describe("parseConfigArgs", () => {
+  it("reads --config, --network and --check", () => {
+    assert.deepEqual(
+      parseConfigArgs(["--config=a.yaml", "--network", "mainnet", "--check"]),
+      { file: "a.yaml", network: "mainnet", check: true, args: [] }
+    );
+    assert.equal(
+      parseConfigArgs([], { MONITOR_CONFIG: "b.yaml" }).file,
+      "b.yaml"
+    );
+  });
+
+  it("rejects unknown flags and missing values", () => {
+    assert.throws(
+      () => parseConfigArgs(["--verbose"]),
+      /unknown option --verbose/
+    );
+    assert.throws(
+      () => parseConfigArgs(["--network"]),
+      /--network needs a value/
+    );
+  });
+});
+
+describe("describeConfig", () => {
+  it("masks secrets", () => {
+    const config = loadConfig("db", {
+      env: { DB_PASSWORD: "hunter2", WATCHLIST_API_TOKEN: "t0ken" }
+    });
+
+    const text = describeConfig(config);
+
+    assert.doesNotMatch(text, /hunter2|t0ken/);
+    const described = JSON.parse(text);
+    assert.equal(described.database.password, "***");
+    assert.equal(described.watchlist.api.token, "***");
+  });
+});
@@ -0,0 +1,770 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EvmAddressMonitor } = require("../lib/evm-address-monitor");
+const { createCheckpointStore } = require("../../common/checkpoint-store");
+const { createLogger } = require("../../common/logger");
+const { reconcileBalances } = require("../../common/reconcile");
+const {
+  DepositAttribution,
+  UnattributedQueue,
+  parseAttributionRules
+} = require("../../common/attribution");
+const {
+  TRANSFER_EVENT_TOPIC,
+  addressToTopic
+} = require("../../common/erc-transfer");
+const { RuleEngine } = require("../../common/rule-engine");
+const { MockMirrorNode } = require("./mock-mirror-node");
+
+const WATCHED = "8f31e9fa14266c5da7f63bfc96811e08b7c09183";
+const SENDER = "0.0.2002";
+
+let mirror;
+let monitor;
+
+/**
+ * Start a monitor against the mock Mirror Node and collect what it emits.
+ * Polls only happen through start() and pollNow().
+ */
+async function startMonitor(options = {}) {
+  const events = { transfers: [], accounts: [], errors: [] };
+  monitor = new EvmAddressMonitor({
+    mirrorNodeUrl: mirror.url,
+    watchedEvmAddresses: [`0x${WATCHED}`],
+    pollingIntervalMs: 60_000,
+    logger: createLogger({ level: "silent" }),
+    ...options
+  });
+  monitor.on("transfer", (transfer) => events.transfers.push(transfer));
+  monitor.on("accountCreated", (account) => events.accounts.push(account));
+  monitor.on("error", (error) => events.errors.push(error));
+  await monitor.start();
+  return events;
+}
+
+function hbarTransfer(account, amount) {
+  return {
+    transfers: [
+      { account: SENDER, amount: -amount },
+      { account, amount }
+    ]
+  };
+}
+
+beforeEach(async () => {
+  mirror = new MockMirrorNode();
+  await mirror.start();
+});
+
+afterEach(async () => {
+  if (monitor) await monitor.stop();
+  monitor = null;
+  await mirror.stop();
+});
+
+describe("account mode", () => {
+  it("reports a lazy-created account and the transfer that created it", async () => {
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    const tx = mirror.addTransaction({
+      ...hbarTransfer("0.0.1001", 500_000_000),
+      memo_base64: Buffer.from("hello").toString("base64")
+    });
+
+    const events = await startMonitor();
+
+    assert.deepEqual(events.errors, []);
+    assert.equal(events.accounts.length, 1);
+    assert.equal(events.accounts[0].entityId, "0.0.1001");
+    assert.equal(events.transfers.length, 1);
+    const [transfer] = events.transfers;
+    assert.equal(transfer.evmAddress, WATCHED);
+    assert.equal(transfer.assetType, "HBAR");
+    assert.equal(transfer.amount, "500000000");
+    assert.equal(transfer.amountDecimal, "5");
+    assert.equal(transfer.transactionId, tx.transaction_id);
+    assert.equal(transfer.consensusTimestamp, tx.consensus_timestamp);
+    assert.equal(transfer.transactionType, "CRYPTOTRANSFER");
+    assert.equal(transfer.isEvmTransaction, false);
+    assert.equal(transfer.memo, "hello");
+    // The sender has no alias, so it is named by its long-zero address
+    assert.equal(transfer.from, `${"0".repeat(37)}7d2`);
+    assert.equal(
+      transfer.idempotencyKey,
+      `${tx.consensus_timestamp}:${WATCHED}:HBAR:credit`
+    );
+  });
+
+  it("ignores addresses without an account", async () => {
+    const events = await startMonitor();
+
+    assert.deepEqual(events.accounts, []);
+    assert.deepEqual(events.transfers, []);
+    assert.deepEqual(events.errors, []);
+  });
+
+  it("reports transfers after a balance change once", async () => {
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    mirror.addTransaction(hbarTransfer("0.0.1001", 100));
+    const events = await startMonitor();
+
+    const tx = mirror.addTransaction(hbarTransfer("0.0.1001", 250));
+    await monitor.pollNow();
+    await monitor.pollNow();
+
+    assert.deepEqual(
+      events.transfers.map((t) => t.amount),
+      ["100", "250"]
+    );
+    assert.equal(
+      events.transfers[1].consensusTimestamp,
+      tx.consensus_timestamp
+    );
+    assert.deepEqual(events.errors, []);
+  });
+
+  it("forgets a removed address", async () => {
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    mirror.addTransaction(hbarTransfer("0.0.1001", 100));
+    const events = await startMonitor();
+
+    monitor.removeAddress(`0x${WATCHED}`);
+    mirror.addTransaction(hbarTransfer("0.0.1001", 250));
+    await monitor.pollNow();
+
+    assert.deepEqual(
+      events.transfers.map((t) => t.amount),
+      ["100"]
+    );
+    assert.equal(monitor.accountState.size, 0);
+    assert.equal(monitor.entityIdByEvm.size, 0);
+    assert.equal(monitor.evmByEntityId.size, 0);
+  });
+
+  it("reports a deposit swept out before the next poll", async () => {
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    mirror.addTransaction(hbarTransfer("0.0.1001", 100));
+    const events = await startMonitor();
+
+    // The balance ends where it was
+    mirror.addTransaction(hbarTransfer("0.0.1001", 5000));
+    mirror.addTransaction({
+      transfers: [
+        { account: "0.0.1001", amount: -5000 },
+        { account: SENDER, amount: 5000 }
+      ]
+    });
+    await monitor.pollNow();
+
+    assert.deepEqual(
+      events.transfers.map((t) => t.amount),
+      ["100", "5000"]
+    );
+  });
+
+  it("only queries transactions after new account activity", async () => {
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    mirror.addTransaction(hbarTransfer("0.0.1001", 100));
+    await startMonitor();
+
+    const transactionQueries = () =>
+      mirror.requests.filter((r) => r.startsWith("/api/v1/transactions?"))
+        .length;
+    const before = transactionQueries();
+    await monitor.pollNow();
+    assert.equal(transactionQueries(), before);
+
+    mirror.addTransaction({
+      transfers: [
+        { account: "0.0.1001", amount: -10 },
+        { account: SENDER, amount: 10 }
+      ]
+    });
+    await monitor.pollNow();
+    const afterActivity = transactionQueries();
+    assert.ok(afterActivity > before);
+
+    await monitor.pollNow();
+    assert.equal(transactionQueries(), afterActivity);
+  });
+
+  it("does not report outgoing transfers", async () => {
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    mirror.addTransaction(hbarTransfer("0.0.1001", 1000));
+    const events = await startMonitor();
+
+    mirror.addTransaction({
+      transfers: [
+        { account: "0.0.1001", amount: -400 },
+        { account: SENDER, amount: 400 }
+      ]
+    });
+    await monitor.pollNow();
+
+    assert.equal(events.transfers.length, 1);
+  });
+
+  it("adds the sender and Ethereum hash of an ETHEREUMTRANSACTION", async () => {
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    const tx = mirror.addTransaction({
+      name: "ETHEREUMTRANSACTION",
+      ...hbarTransfer("0.0.1001", 1_000)
+    });
+    mirror.addContractResult(tx.consensus_timestamp, {
+      from: `0x${"12".repeat(20)}`,
+      hash: `0x${"ef".repeat(32)}`
+    });
+
+    const events = await startMonitor();
+
+    assert.equal(events.transfers.length, 1);
+    const [transfer] = events.transfers;
+    assert.equal(transfer.transactionType, "ETHEREUMTRANSACTION");
+    assert.equal(transfer.isEvmTransaction, true);
+    assert.equal(transfer.from, "12".repeat(20));
+    assert.equal(transfer.ethereum.hash, `0x${"ef".repeat(32)}`);
+    assert.equal(monitor.stats.ethereumTransactions, 1);
+  });
+
+  it("reports HTS token and NFT transfers with token metadata", async () => {
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    mirror.addAccount({ account: SENDER, evmAddress: "22".repeat(20) });
+    mirror.addToken("0.0.5000", {
+      name: "Test Token",
+      symbol: "TT",
+      decimals: "2",
+      type: "FUNGIBLE_COMMON"
+    });
+    mirror.addToken("0.0.6000", {
+      name: "Test NFT",
+      symbol: "TNFT",
+      decimals: "0",
+      type: "NON_FUNGIBLE_UNIQUE"
+    });
+    mirror.addTransaction({
+      token_transfers: [
+        { token_id: "0.0.5000", account: SENDER, amount: -250 },
+        { token_id: "0.0.5000", account: "0.0.1001", amount: 250 }
+      ],
+      nft_transfers: [
+        {
+          token_id: "0.0.6000",
+          serial_number: 7,
+          sender_account_id: SENDER,
+          receiver_account_id: "0.0.1001"
+        }
+      ]
+    });
+
+    const events = await startMonitor();
+
+    assert.deepEqual(events.errors, []);
+    const [token, nft] = events.transfers;
+    assert.equal(token.assetType, "FUNGIBLE_TOKEN");
+    assert.equal(token.tokenId, "0.0.5000");
+    assert.equal(token.tokenSymbol, "TT");
+    assert.equal(token.amountDecimal, "2.5");
+    assert.equal(nft.assetType, "NFT");
+    assert.equal(nft.tokenId, "0.0.6000");
+    assert.equal(nft.serialNumber, "7");
+    assert.deepEqual(
+      events.transfers.map((t) => t.from),
+      ["22".repeat(20), "22".repeat(20)]
+    );
+    // The same keys as the DB monitor gives these transfers
+    assert.deepEqual(
+      events.transfers.map((t) => t.idempotencyKey.split(":").slice(2)),
+      [
+        ["0.0.5000", "credit"],
+        ["0.0.6000", "serial7"]
+      ]
+    );
+  });
+
+  it("follows pagination and resumes after the page cap", async () => {
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    mirror.addTransaction(hbarTransfer("0.0.1001", 1));
+    const events = await startMonitor({ pageLimit: 2, maxPagesPerQuery: 1 });
+
+    for (let amount = 2; amount <= 6; amount++) {
+      mirror.addTransaction(hbarTransfer("0.0.1001", amount));
+    }
+    await monitor.pollNow();
+    assert.deepEqual(
+      events.transfers.map((t) => t.amount),
+      ["1", "2", "3"]
+    );
+
+    await monitor.pollNow();
+    await monitor.pollNow();
+    await monitor.pollNow();
+    assert.deepEqual(
+      events.transfers.map((t) => t.amount),
+      ["1", "2", "3", "4", "5", "6"]
+    );
+  });
+
+  it("retries a throttled request", async () => {
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    mirror.addTransaction(hbarTransfer("0.0.1001", 100));
+    mirror.fail("/api/v1/accounts", 429, {
+      times: 2,
+      headers: { "retry-after": "0" }
+    });
+
+    const events = await startMonitor();
+
+    assert.equal(events.transfers.length, 1);
+    assert.deepEqual(events.errors, []);
+    const accountRequests = mirror.requests.filter((r) =>
+      r.startsWith(`/api/v1/accounts/0.0.${WATCHED}`)
+    );
+    assert.equal(accountRequests.length, 3);
+  });
+
+  it("reports ERC-20 Transfer logs to watched addresses", async () => {
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    mirror.addTransaction(hbarTransfer("0.0.1001", 100));
+    const events = await startMonitor();
+
+    const tx = mirror.addTransaction({
+      name: "CONTRACTCALL",
+      transfers: [{ account: SENDER, amount: -10 }]
+    });
+    mirror.addLog({
+      timestamp: tx.consensus_timestamp,
+      index: 1,
+      contract_id: "0.0.7000",
+      address: `0x${"33".repeat(20)}`,
+      topics: [
+        `0x${TRANSFER_EVENT_TOPIC}`,
+        addressToTopic("44".repeat(20)),
+        addressToTopic(WATCHED)
+      ],
+      data: `0x${1234n.toString(16).padStart(64, "0")}`
+    });
+    await monitor.pollNow();
+
+    assert.deepEqual(events.errors, []);
+    const erc20 = events.transfers.filter((t) => t.assetType === "ERC20");
+    assert.equal(erc20.length, 1);
+    assert.equal(erc20[0].amount, "1234");
+    assert.equal(erc20[0].from, "44".repeat(20));
+    assert.equal(erc20[0].contractAddress, "33".repeat(20));
+    assert.equal(erc20[0].detectionMethod, "contract_log");
+    assert.equal(erc20[0].transactionId, tx.transaction_id);
+  });
+
+  it("resumes from a checkpoint without reporting twice", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rest-monitor-"));
+    const file = path.join(dir, "checkpoints.json");
+    try {
+      mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+      mirror.addTransaction(hbarTransfer("0.0.1001", 100));
+      const first = await startMonitor({
+        checkpointStore: createCheckpointStore({ file })
+      });
+      await monitor.stop();
+
+      mirror.addTransaction(hbarTransfer("0.0.1001", 200));
+      const second = await startMonitor({
+        checkpointStore: createCheckpointStore({ file })
+      });
+
+      assert.equal(first.transfers.length, 1);
+      assert.deepEqual(second.accounts, []);
+      assert.deepEqual(
+        second.transfers.map((t) => t.amount),
+        ["200"]
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("suppresses transfers reported before the account state was saved", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rest-monitor-"));
+    const file = path.join(dir, "checkpoints.json");
+    try {
+      mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+      mirror.addTransaction(hbarTransfer("0.0.1001", 100));
+      await startMonitor({ checkpointStore: createCheckpointStore({ file }) });
+      await monitor.stop();
+
+      // As if the process died after the event, before the account state
+      const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+      saved.accounts = {};
+      fs.writeFileSync(file, JSON.stringify(saved));
+      mirror.addTransaction(hbarTransfer("0.0.1001", 200));
+      const events = await startMonitor({
+        checkpointStore: createCheckpointStore({ file })
+      });
+
+      assert.deepEqual(
+        events.transfers.map((t) => t.amount),
+        ["200"]
+      );
+      assert.equal(monitor.duplicatesSuppressed, 1);
+      assert.equal(monitor.stats.transfersDetected, 1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("reports a transfer again when deduplication is off", async () => {
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    mirror.addTransaction(hbarTransfer("0.0.1001", 100));
+    const events = await startMonitor({ dedupeCacheSize: 0 });
+
+    monitor.accountState.clear();
+    await monitor.pollNow();
+
+    assert.deepEqual(
+      events.transfers.map((t) => t.amount),
+      ["100", "100"]
+    );
+    assert.equal(monitor.duplicatesSuppressed, 0);
+  });
+});
+
+describe("stream mode", () => {
+  it("matches network-wide transactions against the watchlist", async () => {
+    mirror.addTransaction(hbarTransfer("0.0.3003", 1));
+    const events = await startMonitor({ mode: "stream" });
+
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    mirror.addAccount({ account: "0.0.1002", evmAddress: "55".repeat(20) });
+    mirror.addTransaction(hbarTransfer("0.0.1001", 700));
+    mirror.addTransaction(hbarTransfer("0.0.1002", 800));
+    await monitor.pollNow();
+
+    assert.deepEqual(events.errors, []);
+    assert.equal(events.accounts.length, 1);
+    assert.equal(events.accounts[0].entityId, "0.0.1001");
+    assert.deepEqual(
+      events.transfers.map((t) => [t.entityId, t.amount]),
+      [["0.0.1001", "700"]]
+    );
+    assert.equal(monitor.stats.transactionsScanned, 2);
+  });
+});
+
+describe("deposit attribution", () => {
+  const withMemo = (amount, memo) => ({
+    ...hbarTransfer("0.0.1001", amount),
+    memo_base64: memo === null ? "" : Buffer.from(memo).toString("base64")
+  });
+
+  it("credits deposits by memo and queues the rest for review", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "attribution-"));
+    try {
+      mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+      mirror.addTransaction(withMemo(100, " 7731904 "));
+      mirror.addTransaction(withMemo(200, "CUST-42"));
+      mirror.addTransaction(withMemo(300, "for bob"));
+      mirror.addTransaction(withMemo(400, null));
+
+      const queue = new UnattributedQueue(dir);
+      const events = await startMonitor({
+        attribution: new DepositAttribution({
+          rules: parseAttributionRules([
+            { customerId: "alice", reference: "7731904" },
+            { customerId: "cust-$1", pattern: "^CUST-(\\d+)$" }
+          ]),
+          addresses: [`0x${WATCHED}`],
+          queue
+        })
+      });
+
+      assert.deepEqual(events.errors, []);
+      assert.deepEqual(
+        events.transfers.map((t) => [t.amount, t.attributedTo]),
+        [
+          ["100", "alice"],
+          ["200", "cust-42"],
+          ["300", null],
+          ["400", null]
+        ]
+      );
+      assert.deepEqual(
+        queue.list().map((entry) => [entry.event.amount, entry.reason]),
+        [
+          ["300", "unknown_memo"],
+          ["400", "missing_memo"]
+        ]
+      );
+
+      const [entry] = queue.list();
+      queue.resolve(entry.key, "bob");
+      assert.equal(queue.add(entry.event, entry.reason), false);
+      assert.equal(queue.list().length, 1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("reports every problem of a rule list", () => {
+    assert.throws(
+      () =>
+        parseAttributionRules([
+          { customerId: "alice" },
+          { customerId: "bob", pattern: "(" },
+          { reference: "1", address: "0x1234" }
+        ]),
+      (err) => {
+        assert.equal(err.name, "ConfigError");
+        assert.equal(err.problems.length, 4);
+        return true;
+      }
+    );
+  });
+});
+
+describe("transfer rules", () => {
+  let dir;
+  let engine;
+
+  function writeRules(spec) {
+    fs.writeFileSync(path.join(dir, "rules.json"), JSON.stringify(spec));
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "rules-"));
+  });
+
+  afterEach(async () => {
+    if (engine) await engine.stop();
+    engine = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("drops transfers and routes the rest to the rules' sinks", async () => {
+    writeRules({
+      sinks: { large: { type: "file", path: "large.jsonl" } },
+      rules: [
+        {
+          name: "ignore-dust",
+          when: { assetType: "HBAR", maxAmount: "0.01" },
+          action: "drop"
+        },
+        {
+          name: "large-deposits",
+          when: { assetType: "HBAR", minAmount: "10000" },
+          sinks: ["large"]
+        }
+      ]
+    });
+    engine = new RuleEngine({
+      file: path.join(dir, "rules.json"),
+      reloadIntervalMs: 0,
+      logger: createLogger({ level: "silent" })
+    });
+    await engine.start();
+
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    mirror.addTransaction(hbarTransfer("0.0.1001", 100_000));
+    mirror.addTransaction(hbarTransfer("0.0.1001", 500_000_000));
+    mirror.addTransaction(hbarTransfer("0.0.1001", 1_000_000_000_000));
+    const queue = new UnattributedQueue(path.join(dir, "unattributed"));
+    const events = await startMonitor({
+      rules: engine,
+      attribution: new DepositAttribution({ queue })
+    });
+
+    assert.deepEqual(events.errors, []);
+    assert.deepEqual(
+      events.transfers.map((t) => t.amountDecimal),
+      ["5", "10000"]
+    );
+    assert.equal(monitor.transfersDropped, 1);
+    // The dropped dust deposit is not queued for attribution review
+    assert.deepEqual(
+      queue.list().map((entry) => entry.event.amountDecimal),
+      ["5", "10000"]
+    );
+
+    const routed = fs
+      .readFileSync(path.join(dir, "large.jsonl"), "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    assert.deepEqual(
+      routed.map((r) => [r.rules, r.event.amountDecimal]),
+      [[["large-deposits"], "10000"]]
+    );
+  });
+
+  it("reloads changed rules and keeps the old ones when invalid", async () => {
+    const errors = [];
+    writeRules({
+      rules: [
+        { name: "hbar-only", unless: { assetType: "HBAR" }, action: "drop" }
+      ]
+    });
+    engine = new RuleEngine({
+      file: path.join(dir, "rules.json"),
+      reloadIntervalMs: 0,
+      logger: createLogger({ level: "silent" }),
+      onError: (error) => errors.push(error)
+    });
+    await engine.start();
+
+    const event = {
+      evmAddress: WATCHED,
+      label: null,
+      assetType: "FUNGIBLE_TOKEN",
+      tokenId: "0.0.5000",
+      transactionType: "CRYPTOTRANSFER",
+      amountDecimal: "1.5",
+      from: "1111111111111111111111111111111111111111"
+    };
+    assert.equal(engine.evaluate(event).dropped, "hbar-only");
+
+    writeRules({
+      sinks: { audit: { type: "log" } },
+      rules: [
+        {
+          name: "denylist",
+          when: { from: ["0x1111111111111111111111111111111111111111"] },
+          sinks: ["audit"]
+        }
+      ]
+    });
+    await engine.reload();
+    const verdict = engine.evaluate(event);
+    assert.equal(verdict.dropped, null);
+    assert.deepEqual([...verdict.routes], [["audit", ["denylist"]]]);
+
+    writeRules({ rules: [{ name: "broken", sinks: ["missing"] }] });
+    await engine.reload();
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].name, "ConfigError");
+    assert.deepEqual(
+      engine.rules.map((rule) => rule.name),
+      ["denylist"]
+    );
+
+    // A sink that cannot be created (its queue dir is under a file)
+    fs.writeFileSync(path.join(dir, "not-a-dir"), "");
+    writeRules({
+      sinks: {
+        hook: {
+          type: "webhook",
+          url: "http://127.0.0.1:9",
+          secret: "s",
+          queueDir: "not-a-dir/queue"
+        }
+      },
+      rules: [{ name: "all", sinks: ["hook"] }]
+    });
+    await engine.reload();
+    assert.equal(errors.length, 2);
+    assert.deepEqual(
+      engine.rules.map((rule) => rule.name),
+      ["denylist"]
+    );
+    assert.deepEqual([...engine.sinks.keys()], ["audit"]);
+  });
+});
+
+describe("balance reconciliation", () => {
+  function createMonitor() {
+    monitor = new EvmAddressMonitor({
+      mirrorNodeUrl: mirror.url,
+      watchedEvmAddresses: [`0x${WATCHED}`],
+      logger: createLogger({ level: "silent" })
+    });
+    return monitor;
+  }
+
+  beforeEach(() => {
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    mirror.addToken("0.0.5000", {
+      name: "Test Token",
+      symbol: "TT",
+      decimals: "2",
+      type: "FUNGIBLE_COMMON"
+    });
+    mirror.addTransaction(hbarTransfer("0.0.1001", 1000));
+  });
+
+  it("explains the balances with detected deposits and debits", async () => {
+    const from = mirror.snapshotBalances();
+    mirror.addTransaction(hbarTransfer("0.0.1001", 500));
+    mirror.addTransaction({
+      token_transfers: [
+        { token_id: "0.0.5000", account: SENDER, amount: -250 },
+        { token_id: "0.0.5000", account: "0.0.1001", amount: 250 }
+      ]
+    });
+    // NFT balances count serials and are not reconciled
+    mirror.addToken("0.0.6000", {
+      name: "Test NFT",
+      symbol: "TNFT",
+      decimals: "0",
+      type: "NON_FUNGIBLE_UNIQUE"
+    });
+    mirror.addTransaction({
+      nft_transfers: [
+        {
+          token_id: "0.0.6000",
+          serial_number: 7,
+          sender_account_id: SENDER,
+          receiver_account_id: "0.0.1001"
+        }
+      ]
+    });
+    // An outgoing transfer and its fee
+    mirror.addTransaction({
+      transfers: [
+        { account: "0.0.1001", amount: -320 },
+        { account: SENDER, amount: 300 },
+        { account: "0.0.98", amount: 20 }
+      ]
+    });
+    const to = mirror.snapshotBalances();
+
+    const report = await reconcileBalances(createMonitor(), from, to);
+
+    assert.deepEqual(
+      report
+        .rows()
+        .map((row) => [
+          row.assetType,
+          row.tokenId,
+          row.startBalance,
+          row.incoming,
+          row.outgoing,
+          row.endBalance,
+          row.status
+        ]),
+      [
+        ["HBAR", null, "1000", "500", "320", "1180", "ok"],
+        ["FUNGIBLE_TOKEN", "0.0.5000", "0", "250", "0", "250", "ok"]
+      ]
+    );
+    assert.deepEqual(report.unexplained(), []);
+  });
+
+  it("reports credits without a transfer event", async () => {
+    const from = mirror.snapshotBalances();
+    // HBAR sent by a contract call is not a monitored transaction type
+    mirror.addTransaction({
+      name: "CONTRACTCALL",
+      transfers: [
+        { account: SENDER, amount: -70 },
+        { account: "0.0.1001", amount: 70 }
+      ]
+    });
+    const to = mirror.snapshotBalances();
+
+    const report = await reconcileBalances(createMonitor(), from, to);
+
+    const [row] = report.unexplained();
+    assert.equal(row.assetType, "HBAR");
+    assert.equal(row.difference, "70");
+    assert.equal(row.status, "unexplained");
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { HttpClient } = require("../../common/http-client");
+
+let server;
+let url;
+let handlers;
+let log;
+
+/**
+ * A server that answers each request with the next of `handlers`
+ * (req, res), recording when requests arrive and responses end
+ */
+beforeEach(async () => {
+  handlers = [];
+  log = [];
+  server = http.createServer((req, res) => {
+    const n = log.length;
+    log.push({ receivedAt: Date.now(), endedAt: null });
+    res.on("finish", () => {
+      log[n].endedAt = Date.now();
+    });
+    handlers.shift()(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}/`;
+});
+
+afterEach(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+function json(body) {
+  return (req, res) => {
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+}
+
+/** Headers at once, the body after delayMs */
+function slowBody(body, delayMs) {
+  return (req, res) => {
+    res.writeHead(200, { "content-type": "application/json" });
+    res.flushHeaders();
+    setTimeout(() => res.end(JSON.stringify(body)), delayMs);
+  };
+}
+
+describe("HttpClient", () => {
+  it("retries a response whose body times out", async () => {
+    handlers.push(slowBody({ n: 1 }, 1000), json({ n: 2 }));
+    const client = new HttpClient({
+      requestsPerSecond: null,
+      timeoutMs: 200,
+      baseDelayMs: 1
+    });
+
+    const response = await client.fetch(url);
+
+    assert.deepEqual(await response.json(), { n: 2 });
+    const metrics = client.getMetrics();
+    assert.equal(metrics.timeouts, 1);
+    assert.equal(metrics.retries, 1);
+  });
+
+  it("holds the concurrency slot until the body is read", async () => {
+    handlers.push(slowBody({ n: 1 }, 100), json({ n: 2 }));
+    const client = new HttpClient({ requestsPerSecond: null, concurrency: 1 });
+
+    const bodies = await Promise.all(
+      [client.fetch(url), client.fetch(url)].map(async (response) =>
+        (await response).json()
+      )
+    );
+
+    assert.deepEqual(bodies, [{ n: 1 }, { n: 2 }]);
+    assert.ok(log[1].receivedAt >= log[0].endedAt);
+  });
+
+  it("returns responses without a body", async () => {
+    handlers.push((req, res) => {
+      res.writeHead(204);
+      res.end();
+    });
+    const client = new HttpClient({ requestsPerSecond: null });
+
+    const response = await client.fetch(url);
+
+    assert.equal(response.status, 204);
+    assert.equal(await response.text(), "");
+  });
+});
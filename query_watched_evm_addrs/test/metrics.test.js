@@ -0,0 +1,136 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("timers/promises");
+const { EvmAddressMonitor } = require("../lib/evm-address-monitor");
+const { createLogger } = require("../../common/logger");
+const {
+  MonitorMetrics,
+  httpClientMetrics,
+  startMetricsServer
+} = require("../../common/metrics");
+const { MockMirrorNode } = require("./mock-mirror-node");
+
+const WATCHED = "8f31e9fa14266c5da7f63bfc96811e08b7c09183";
+
+let mirror;
+let monitor;
+let metrics;
+let server;
+
+/**
+ * Start a monitor (one poll, then none for a minute) with its metrics
+ * served on a local port
+ */
+async function startMonitor(options = {}) {
+  monitor = new EvmAddressMonitor({
+    mirrorNodeUrl: mirror.url,
+    watchedEvmAddresses: [`0x${WATCHED}`],
+    pollingIntervalMs: 60_000,
+    maxRetries: 0,
+    logger: createLogger({ level: "silent" })
+  });
+  monitor.on("error", () => {});
+  metrics = new MonitorMetrics(monitor, {
+    collectors: [httpClientMetrics(monitor.client.http)],
+    ...options
+  });
+  server = await startMetricsServer(metrics, {
+    logger: createLogger({ level: "silent" })
+  });
+  await monitor.start();
+}
+
+async function get(pathname) {
+  const res = await fetch(
+    `http://127.0.0.1:${server.address().port}${pathname}`
+  );
+  const type = res.headers.get("content-type");
+  const body = type.startsWith("application/json")
+    ? await res.json()
+    : await res.text();
+  return { status: res.status, body };
+}
+
+beforeEach(async () => {
+  mirror = new MockMirrorNode();
+  await mirror.start();
+});
+
+afterEach(async () => {
+  if (monitor) await monitor.stop();
+  monitor = null;
+  if (server) await new Promise((resolve) => server.close(resolve));
+  server = null;
+  await mirror.stop();
+});
+
+describe("MonitorMetrics", () => {
+  it("is ready after a successful poll", async () => {
+    mirror.addAccount({ account: "0.0.1001", evmAddress: WATCHED });
+    mirror.addTransaction({
+      transfers: [
+        { account: "0.0.2002", amount: -5 },
+        { account: "0.0.1001", amount: 5 }
+      ]
+    });
+    await startMonitor();
+
+    const ready = await get("/readyz");
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.status, "ok");
+    assert.deepEqual(ready.body.reasons, []);
+    assert.equal((await get("/healthz")).status, 200);
+
+    const { status, body } = await get("/metrics");
+    assert.equal(status, 200);
+    assert.match(body, /^hedera_monitor_polls_total\{result="success"\} 1$/m);
+    assert.match(
+      body,
+      /^hedera_monitor_transfers_total\{asset_type="HBAR",detection_method="[a-z_]+"\} 1$/m
+    );
+    assert.match(body, /^hedera_monitor_watched_addresses 1$/m);
+    assert.match(body, /^hedera_monitor_ready 1$/m);
+    assert.match(body, /^hedera_monitor_mirror_http_requests_total \d+$/m);
+  });
+
+  it("goes unhealthy and unready when polling stalls", async () => {
+    await startMonitor({ stallAfterMs: 200 });
+    assert.equal((await get("/readyz")).status, 200);
+
+    await sleep(300);
+
+    for (const pathname of ["/healthz", "/readyz"]) {
+      const { status, body } = await get(pathname);
+      assert.equal(status, 503);
+      assert.equal(body.status, "unavailable");
+      assert.match(body.reasons[0], /^polling stalled: no poll ended for/);
+    }
+    assert.match((await get("/metrics")).body, /^hedera_monitor_healthy 0$/m);
+
+    // The next poll makes it healthy again
+    await monitor.pollNow();
+    assert.equal((await get("/readyz")).status, 200);
+  });
+
+  it("is not ready while the latest poll failed", async () => {
+    mirror.fail("/api/v1/accounts", 500);
+    await startMonitor();
+
+    const { status, body } = await get("/readyz");
+    assert.equal(status, 503);
+    assert.deepEqual(body.reasons, ["no successful poll yet"]);
+    // Failed polls still end, so the monitor stays live
+    assert.equal((await get("/healthz")).status, 200);
+    assert.match(
+      (await get("/metrics")).body,
+      /^hedera_monitor_polls_total\{result="failure"\} 1$/m
+    );
+
+    await monitor.pollNow();
+    mirror.fail("/api/v1/accounts", 500);
+    await monitor.pollNow();
+    assert.deepEqual((await get("/readyz")).body.reasons, [
+      "the latest poll failed"
+    ]);
+  });
+});
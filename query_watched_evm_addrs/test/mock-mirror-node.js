@@ -0,0 +1,473 @@
+/**
+ * mock-mirror-node.js
+ *
+ * A local stand-in for the Mirror Node REST API, for tests. Scenarios are
+ * scripted with accounts, transactions, tokens, contract results and
+ * contract logs; the server answers the queries the REST monitor makes:
+ *
+ *   GET /api/v1/accounts/{id | 0.0.evmAddress}   with the latest `limit`
+ *                                    transactions
+ *   GET /api/v1/transactions         transactiontype, account.id, timestamp
+ *                                    (gt/gte/lt/lte/eq), order, limit and
+ *                                    links.next pagination
+ *   GET /api/v1/tokens/{id}
+ *   GET /api/v1/balances             the newest snapshot at timestamp=lte:,
+ *                                    account.id, limit
+ *   GET /api/v1/contracts/results    ?timestamp=
+ *   GET /api/v1/contracts/results/logs   topic0, topic2, timestamp (one page)
+ *   GET /api/v1/blocks               the newest transaction (or snapshot) as
+ *                                    the last block
+ *
+ * Balances follow the transactions: each one added moves the HBAR and token
+ * amounts of the accounts it touches, so the monitor sees a balance change
+ * like on a real network.
+ *
+ *   const mirror = new MockMirrorNode();
+ *   const url = await mirror.start();
+ *   mirror.addAccount({ account: "0.0.1001", evmAddress: "0x..." });
+ *   mirror.addTransaction({ transfers: [{ account: "0.0.1001", amount: 5 }] });
+ *   ...
+ *   await mirror.stop();
+ */
+
+const http = require("http");
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// ===========================================
+// TIMESTAMPS
+// ===========================================
+
+function toNanos(timestamp) {
+  const [seconds, nanos = "0"] = String(timestamp).split(".");
+  return BigInt(seconds) * 1_000_000_000n + BigInt(nanos.padEnd(9, "0"));
+}
+
+/**
+ * "seconds.nanoseconds" for a number of seconds (and nanoseconds) since the
+ * epoch
+ */
+function timestamp(seconds, nanos = 0) {
+  return `${seconds}.${String(nanos).padStart(9, "0")}`;
+}
+
+/**
+ * A predicate for the `timestamp` query parameters (all must hold)
+ */
+function timestampFilter(values) {
+  const checks = values.map((value) => {
+    const [op, ts] = value.includes(":") ? value.split(":") : ["eq", value];
+    const bound = toNanos(ts);
+    switch (op) {
+      case "gt":
+        return (n) => n > bound;
+      case "gte":
+        return (n) => n >= bound;
+      case "lt":
+        return (n) => n < bound;
+      case "lte":
+        return (n) => n <= bound;
+      default:
+        return (n) => n === bound;
+    }
+  });
+  return (ts) => {
+    const n = toNanos(ts);
+    return checks.every((check) => check(n));
+  };
+}
+
+function normalizeEvmAddress(address) {
+  return String(address).toLowerCase().replace(/^0x/, "");
+}
+
+// ===========================================
+// SERVER
+// ===========================================
+
+class MockMirrorNode {
+  constructor() {
+    this.accounts = [];
+    this.transactions = [];
+    this.tokens = new Map();
+    this.contractResults = new Map();
+    this.logs = [];
+    this.snapshots = [];
+    this.failures = [];
+    // Paths and queries served, oldest first
+    this.requests = [];
+    this.nextSecond = 1700000000;
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * Listen on a random local port
+   * @returns {Promise<string>} - the base URL (mirrorNodeUrl)
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve) => this.server.listen(0, "127.0.0.1", resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  // ===========================================
+  // SCRIPTING
+  // ===========================================
+
+  /**
+   * @param {object} account - account (entity ID), evmAddress, balance
+   *   (tinybar), createdTimestamp
+   * @returns {object} - the stored account, updated by addTransaction()
+   */
+  addAccount({ account, evmAddress, balance = 0, createdTimestamp = null }) {
+    const entry = {
+      account,
+      evmAddress: evmAddress ? normalizeEvmAddress(evmAddress) : null,
+      balance,
+      tokens: new Map(),
+      createdTimestamp: createdTimestamp || this.nextTimestamp()
+    };
+    this.accounts.push(entry);
+    return entry;
+  }
+
+  /**
+   * Add a transaction in Mirror Node JSON. Missing fields get defaults: the
+   * next consensus timestamp (one second apart), a transaction ID and hash,
+   * CRYPTOTRANSFER and SUCCESS.
+   * @returns {object} - the stored transaction
+   */
+  addTransaction(fields = {}) {
+    const consensusTimestamp =
+      fields.consensus_timestamp || this.nextTimestamp();
+    const [seconds, nanos] = consensusTimestamp.split(".");
+    const tx = {
+      consensus_timestamp: consensusTimestamp,
+      transaction_id: `0.0.2-${seconds}-${nanos}`,
+      transaction_hash: Buffer.alloc(48, this.transactions.length + 1).toString(
+        "base64"
+      ),
+      name: "CRYPTOTRANSFER",
+      result: "SUCCESS",
+      memo_base64: "",
+      transfers: [],
+      token_transfers: [],
+      nft_transfers: [],
+      ...fields
+    };
+    this.transactions.push(tx);
+    this.transactions.sort((a, b) =>
+      toNanos(a.consensus_timestamp) < toNanos(b.consensus_timestamp) ? -1 : 1
+    );
+    if (Number(seconds) >= this.nextSecond) {
+      this.nextSecond = Number(seconds) + 1;
+    }
+
+    for (const { account, amount } of tx.transfers) {
+      const entry = this.findAccount(account);
+      if (entry) entry.balance += amount;
+    }
+    for (const { account, token_id: tokenId, amount } of tx.token_transfers) {
+      const entry = this.findAccount(account);
+      if (entry) {
+        entry.tokens.set(tokenId, (entry.tokens.get(tokenId) || 0) + amount);
+      }
+    }
+    for (const nft of tx.nft_transfers) {
+      for (const [account, delta] of [
+        [nft.sender_account_id, -1],
+        [nft.receiver_account_id, 1]
+      ]) {
+        const entry = this.findAccount(account);
+        if (entry) {
+          entry.tokens.set(
+            nft.token_id,
+            (entry.tokens.get(nft.token_id) || 0) + delta
+          );
+        }
+      }
+    }
+    return tx;
+  }
+
+  /**
+   * @param {object} info - name, symbol, decimals, type (FUNGIBLE_COMMON or
+   *   NON_FUNGIBLE_UNIQUE)
+   */
+  addToken(tokenId, info) {
+    this.tokens.set(tokenId, { token_id: tokenId, ...info });
+  }
+
+  /**
+   * The contract result of an ETHEREUMTRANSACTION (from, hash)
+   */
+  addContractResult(consensusTimestamp, result) {
+    this.contractResults.set(consensusTimestamp, {
+      timestamp: consensusTimestamp,
+      ...result
+    });
+  }
+
+  /**
+   * A contract log: timestamp, index, contract_id, address, topics, data
+   */
+  addLog(log) {
+    this.logs.push({ index: 0, data: "0x", ...log });
+  }
+
+  /**
+   * Take a balance snapshot of every account, as of the transactions added
+   * so far; it is timestamped after them
+   * @returns {string} - the snapshot's timestamp
+   */
+  snapshotBalances() {
+    const snapshot = {
+      timestamp: this.nextTimestamp(),
+      balances: this.accounts.map((entry) => ({
+        account: entry.account,
+        balance: entry.balance,
+        tokens: [...entry.tokens]
+          .filter(([, balance]) => balance !== 0)
+          .map(([tokenId, balance]) => ({ token_id: tokenId, balance }))
+      }))
+    };
+    this.snapshots.push(snapshot);
+    return snapshot.timestamp;
+  }
+
+  /**
+   * Answer the next `times` requests whose path starts with pathPrefix with
+   * an error status (e.g. 429 or 503) instead
+   */
+  fail(pathPrefix, status, { times = 1, headers = {} } = {}) {
+    this.failures.push({ pathPrefix, status, times, headers });
+  }
+
+  nextTimestamp() {
+    return timestamp(this.nextSecond++);
+  }
+
+  findAccount(id) {
+    const evmMatch = /^0\.0\.((?:0x)?[0-9a-fA-F]{40})$/.exec(id);
+    if (evmMatch) {
+      const evmAddress = normalizeEvmAddress(evmMatch[1]);
+      return this.accounts.find((a) => a.evmAddress === evmAddress) || null;
+    }
+    return this.accounts.find((a) => a.account === id) || null;
+  }
+
+  // ===========================================
+  // ROUTES
+  // ===========================================
+
+  handle(req, res) {
+    const url = new URL(req.url, this.url);
+    this.requests.push(`${url.pathname}${url.search}`);
+
+    const failure = this.failures.find(
+      (f) => f.times > 0 && url.pathname.startsWith(f.pathPrefix)
+    );
+    if (failure) {
+      failure.times--;
+      res.writeHead(failure.status, {
+        "content-type": "application/json",
+        ...failure.headers
+      });
+      res.end(
+        JSON.stringify({ _status: { messages: [{ message: "Error" }] } })
+      );
+      return;
+    }
+
+    const path = url.pathname.replace(/^\/api\/v1/, "");
+    const query = url.searchParams;
+    let body = null;
+
+    if (path.startsWith("/accounts/")) {
+      body = this.accountBody(decodeURIComponent(path.slice(10)), query);
+    } else if (path === "/transactions") {
+      body = this.transactionsBody(query);
+    } else if (path === "/balances") {
+      body = this.balancesBody(query);
+    } else if (path.startsWith("/tokens/")) {
+      body = this.tokens.get(path.slice(8)) || null;
+    } else if (path === "/contracts/results") {
+      const result = this.contractResults.get(query.get("timestamp"));
+      body = { results: result ? [result] : [], links: { next: null } };
+    } else if (path === "/contracts/results/logs") {
+      body = this.logsBody(query);
+    } else if (path === "/blocks") {
+      body = this.blocksBody();
+    }
+
+    if (!body) {
+      res.writeHead(404, { "content-type": "application/json" });
+      res.end(
+        JSON.stringify({ _status: { messages: [{ message: "Not found" }] } })
+      );
+      return;
+    }
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  accountBody(id, query) {
+    const entry = this.findAccount(id);
+    if (!entry) return null;
+    const limit = Math.min(
+      Number(query.get("limit")) || DEFAULT_LIMIT,
+      MAX_LIMIT
+    );
+    return {
+      account: entry.account,
+      evm_address: entry.evmAddress ? `0x${entry.evmAddress}` : null,
+      created_timestamp: entry.createdTimestamp,
+      balance: {
+        balance: entry.balance,
+        timestamp: this.latestTimestamp(),
+        tokens: [...entry.tokens]
+          .filter(([, balance]) => balance !== 0)
+          .map(([tokenId, balance]) => ({ token_id: tokenId, balance }))
+      },
+      // Newest first, like the Mirror Node
+      transactions: this.transactions
+        .filter((tx) => touchesAccount(tx, entry.account))
+        .reverse()
+        .slice(0, limit),
+      links: { next: null }
+    };
+  }
+
+  transactionsBody(query) {
+    const type = query.get("transactiontype");
+    const accountId = query.get("account.id");
+    const inRange = timestampFilter(query.getAll("timestamp"));
+    const order = query.get("order") || "desc";
+    const limit = Math.min(
+      Number(query.get("limit")) || DEFAULT_LIMIT,
+      MAX_LIMIT
+    );
+
+    let matches = this.transactions.filter(
+      (tx) =>
+        (!type || tx.name === type) &&
+        (!accountId || touchesAccount(tx, accountId)) &&
+        inRange(tx.consensus_timestamp)
+    );
+    if (order === "desc") matches = matches.reverse();
+
+    const page = matches.slice(0, limit);
+    let next = null;
+    if (matches.length > limit) {
+      // Like the Mirror Node: the same query, continuing after the last row
+      const last = page[page.length - 1].consensus_timestamp;
+      const params = new URLSearchParams(query);
+      const kept = params
+        .getAll("timestamp")
+        .filter((value) =>
+          order === "asc"
+            ? !/^(gt|gte|eq):/.test(value) && value.includes(":")
+            : !/^(lt|lte|eq):/.test(value) && value.includes(":")
+        );
+      params.delete("timestamp");
+      for (const value of kept) params.append("timestamp", value);
+      params.append("timestamp", `${order === "asc" ? "gt" : "lt"}:${last}`);
+      next = `/api/v1/transactions?${params}`;
+    }
+    return { transactions: page, links: { next } };
+  }
+
+  balancesBody(query) {
+    const inRange = timestampFilter(query.getAll("timestamp"));
+    const accountId = query.get("account.id");
+    const limit = Math.min(
+      Number(query.get("limit")) || DEFAULT_LIMIT,
+      MAX_LIMIT
+    );
+    const snapshot = this.snapshots
+      .filter((s) => inRange(s.timestamp))
+      .reduce(
+        (newest, s) =>
+          !newest || toNanos(s.timestamp) > toNanos(newest.timestamp)
+            ? s
+            : newest,
+        null
+      );
+    if (!snapshot)
+      return { timestamp: null, balances: [], links: { next: null } };
+    return {
+      timestamp: snapshot.timestamp,
+      balances: snapshot.balances
+        .filter((b) => !accountId || b.account === accountId)
+        .slice(0, limit),
+      links: { next: null }
+    };
+  }
+
+  logsBody(query) {
+    const topic0 = query.get("topic0");
+    const topic2 = query.getAll("topic2").map((t) => t.toLowerCase());
+    const inRange = timestampFilter(query.getAll("timestamp"));
+    const logs = this.logs
+      .filter(
+        (log) =>
+          (!topic0 || log.topics[0] === topic0) &&
+          (topic2.length === 0 ||
+            topic2.includes(String(log.topics[2]).toLowerCase())) &&
+          inRange(log.timestamp)
+      )
+      .sort((a, b) =>
+        a.timestamp === b.timestamp
+          ? a.index - b.index
+          : toNanos(a.timestamp) < toNanos(b.timestamp)
+            ? -1
+            : 1
+      );
+    return { logs, links: { next: null } };
+  }
+
+  latestTimestamp() {
+    const candidates = [
+      ...this.transactions.map((tx) => tx.consensus_timestamp),
+      ...this.logs.map((log) => log.timestamp),
+      ...this.snapshots.map((snapshot) => snapshot.timestamp)
+    ];
+    if (candidates.length === 0) return null;
+    return candidates.reduce((a, b) => (toNanos(a) > toNanos(b) ? a : b));
+  }
+
+  blocksBody() {
+    const latest = this.latestTimestamp();
+    if (!latest) return { blocks: [], links: { next: null } };
+    return {
+      blocks: [{ number: this.transactions.length, timestamp: { to: latest } }],
+      links: { next: null }
+    };
+  }
+}
+
+function touchesAccount(tx, accountId) {
+  return (
+    tx.transfers.some((t) => t.account === accountId) ||
+    tx.token_transfers.some((t) => t.account === accountId) ||
+    tx.nft_transfers.some(
+      (t) =>
+        t.sender_account_id === accountId || t.receiver_account_id === accountId
+    )
+  );
+}
+
+module.exports = {
+  MockMirrorNode,
+  timestamp
+};
@@ -0,0 +1,152 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLogger } = require("../../common/logger");
+const { Watchlist } = require("../../common/watchlist");
+const { startWatchlistApi } = require("../../common/watchlist-api");
+
+const TOKEN = "test-token";
+const A = "8f31e9fa14266c5da7f63bfc96811e08b7c09183";
+const B = "1111111111111111111111111111111111111111";
+const C = "2222222222222222222222222222222222222222";
+
+let dir;
+let file;
+let watchlist;
+let removed;
+let server;
+let url;
+
+function request(method, pathname, body, token = TOKEN) {
+  const headers = {};
+  if (token) headers.authorization = `Bearer ${token}`;
+  if (body !== undefined) headers["content-type"] = "application/json";
+  return fetch(`${url}${pathname}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+beforeEach(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "watchlist-"));
+  file = path.join(dir, "watchlist.json");
+  removed = [];
+  watchlist = new Watchlist({
+    addresses: new Set([A]),
+    labels: { [A]: "treasury" },
+    file,
+    prepareAddress: async (evm) => {
+      if (evm === C) throw new Error("no baseline");
+    },
+    onRemove: (evm) => removed.push(evm)
+  });
+  watchlist.load();
+  server = await startWatchlistApi(watchlist, {
+    token: TOKEN,
+    logger: createLogger({ level: "silent" })
+  });
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("watchlist API", () => {
+  it("requires a token to start", () => {
+    assert.throws(() => startWatchlistApi(watchlist, {}), /requires a token/);
+  });
+
+  it("rejects requests without the token", async () => {
+    for (const token of [null, "wrong-token", `${TOKEN}x`]) {
+      const res = await request("POST", "/watchlist", { address: B }, token);
+      assert.equal(res.status, 401);
+      assert.deepEqual(await res.json(), { error: "Unauthorized" });
+    }
+    const res = await request("GET", "/watchlist", undefined, null);
+    assert.equal(res.status, 401);
+
+    assert.deepEqual([...watchlist.addresses], [A]);
+  });
+
+  it("adds, labels, lists and removes addresses", async () => {
+    let res = await request("POST", "/watchlist", {
+      address: `0x${B.toUpperCase()}`,
+      label: "hot"
+    });
+    assert.equal(res.status, 201);
+    assert.deepEqual(await res.json(), { address: `0x${B}`, added: true });
+
+    res = await request("POST", "/watchlist", { address: B });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).added, false);
+
+    res = await request("PATCH", `/watchlist/0x${A}`, { label: "cold" });
+    assert.equal(res.status, 200);
+
+    res = await request("GET", "/watchlist");
+    const { addresses } = await res.json();
+    assert.deepEqual(
+      addresses.map((a) => [a.address, a.label]),
+      [
+        [`0x${A}`, "cold"],
+        [`0x${B}`, "hot"]
+      ]
+    );
+    assert.equal(addresses[0].addedAt, null);
+    assert.ok(addresses[1].addedAt);
+
+    res = await request("DELETE", `/watchlist/0x${A}`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(removed, [A]);
+    res = await request("DELETE", `/watchlist/0x${A}`);
+    assert.equal(res.status, 404);
+  });
+
+  it("rejects invalid addresses and failed baselines", async () => {
+    let res = await request("POST", "/watchlist", { address: "0x1234" });
+    assert.equal(res.status, 400);
+    res = await request("PATCH", "/watchlist/nope", { label: "x" });
+    assert.equal(res.status, 400);
+    res = await request("POST", "/watchlist", { address: C });
+    assert.equal(res.status, 502);
+    assert.match((await res.json()).error, /no baseline/);
+
+    assert.deepEqual([...watchlist.addresses], [A]);
+  });
+
+  it("imports addresses in bulk and persists them", async () => {
+    const res = await request("POST", "/watchlist/import", {
+      addresses: [B, { address: A, label: "cold" }, "nope", C]
+    });
+
+    assert.equal(res.status, 200);
+    const result = await res.json();
+    assert.deepEqual(result.added, [`0x${B}`]);
+    assert.deepEqual(result.updated, [`0x${A}`]);
+    assert.deepEqual(result.invalid, ["nope"]);
+    assert.deepEqual(
+      result.failed.map((f) => f.address),
+      [C]
+    );
+
+    // A restarted monitor loads the imported watchlist from the file
+    const reloaded = new Watchlist({
+      addresses: new Set([C]),
+      labels: {},
+      file
+    });
+    reloaded.load();
+    assert.deepEqual(
+      reloaded.list().map((a) => [a.address, a.label]),
+      [
+        [`0x${A}`, "cold"],
+        [`0x${B}`, null]
+      ]
+    );
+  });
+});
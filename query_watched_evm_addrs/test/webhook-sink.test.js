@@ -0,0 +1,207 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createLogger } = require("../../common/logger");
+const { WebhookSink, verifySignature } = require("../../common/webhook-sink");
+
+const SECRET = "test-secret";
+
+let receiver;
+let dir;
+
+/**
+ * A local webhook endpoint. Requests are recorded; each answer takes the
+ * next status from `statuses` (200 when they run out), after `onRequest`
+ * has finished.
+ */
+async function startReceiver() {
+  const state = { requests: [], statuses: [], onRequest: null };
+  state.server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", async () => {
+      state.requests.push({
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString()
+      });
+      const onRequest = state.onRequest;
+      state.onRequest = null;
+      if (onRequest) await onRequest();
+      res.writeHead(state.statuses.shift() || 200);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => state.server.listen(0, "127.0.0.1", resolve));
+  state.url = `http://127.0.0.1:${state.server.address().port}/hook`;
+  return state;
+}
+
+function createSink(options = {}) {
+  return new WebhookSink({
+    url: receiver.url,
+    secret: SECRET,
+    queueDir: dir,
+    source: "test",
+    initialBackoffMs: 0,
+    logger: createLogger({ level: "silent" }),
+    ...options
+  });
+}
+
+function pendingFiles() {
+  return fs.readdirSync(path.join(dir, "pending"));
+}
+
+beforeEach(async () => {
+  receiver = await startReceiver();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-"));
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => receiver.server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("WebhookSink", () => {
+  it("signs every delivery", async () => {
+    const sink = createSink();
+    const entry = sink.enqueue({ amount: "5" }, { rules: ["all"] });
+    await sink.drain();
+
+    assert.equal(receiver.requests.length, 1);
+    const [{ headers, body }] = receiver.requests;
+    assert.equal(headers["x-webhook-id"], entry.id);
+    assert.ok(
+      verifySignature(
+        SECRET,
+        headers["x-webhook-timestamp"],
+        body,
+        headers["x-webhook-signature"]
+      )
+    );
+    assert.equal(
+      verifySignature(
+        "wrong-secret",
+        headers["x-webhook-timestamp"],
+        body,
+        headers["x-webhook-signature"]
+      ),
+      false
+    );
+    // Signatures older than the tolerance are rejected
+    assert.equal(
+      verifySignature(
+        SECRET,
+        headers["x-webhook-timestamp"],
+        body,
+        headers["x-webhook-signature"],
+        { now: Number(headers["x-webhook-timestamp"]) + 301 }
+      ),
+      false
+    );
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.id, entry.id);
+    assert.equal(payload.source, "test");
+    assert.deepEqual(payload.rules, ["all"]);
+    assert.deepEqual(payload.event, { amount: "5" });
+    assert.deepEqual(pendingFiles(), []);
+  });
+
+  it("retries a failed delivery with the same id", async () => {
+    receiver.statuses.push(500);
+    const sink = createSink();
+    sink.enqueue({ amount: "5" });
+
+    await sink.drain();
+    assert.equal(pendingFiles().length, 1);
+    await sink.drain();
+
+    assert.deepEqual(pendingFiles(), []);
+    const ids = receiver.requests.map((r) => r.headers["x-webhook-id"]);
+    assert.equal(ids.length, 2);
+    assert.equal(ids[0], ids[1]);
+    assert.deepEqual(sink.stats, {
+      delivered: 1,
+      failedAttempts: 1,
+      deadLettered: 0
+    });
+  });
+
+  it("waits out the backoff before retrying", async () => {
+    receiver.statuses.push(500);
+    const sink = createSink({ initialBackoffMs: 60_000 });
+    sink.enqueue({ amount: "5" });
+
+    await sink.drain();
+    await sink.drain();
+
+    assert.equal(receiver.requests.length, 1);
+    assert.equal(pendingFiles().length, 1);
+  });
+
+  it("dead-letters an event after maxAttempts", async () => {
+    receiver.statuses.push(500, 500);
+    const deadLettered = [];
+    const sink = createSink({
+      maxAttempts: 2,
+      onDeadLetter: (record) => deadLettered.push(record)
+    });
+    const entry = sink.enqueue({ amount: "5" });
+
+    await sink.drain();
+    await sink.drain();
+    await sink.drain();
+
+    assert.equal(receiver.requests.length, 2);
+    assert.deepEqual(pendingFiles(), []);
+    const [record] = sink.listDeadLetters();
+    assert.equal(record.id, entry.id);
+    assert.equal(record.attempts, 2);
+    assert.equal(record.lastError, "HTTP 500 Internal Server Error");
+    assert.deepEqual(
+      deadLettered.map((r) => r.id),
+      [entry.id]
+    );
+  });
+
+  it("delivers events queued before a restart", async () => {
+    const first = createSink();
+    const entry = first.enqueue({ amount: "5" });
+    await first.stop();
+
+    const second = createSink();
+    await second.drain();
+
+    assert.equal(receiver.requests.length, 1);
+    assert.equal(receiver.requests[0].headers["x-webhook-id"], entry.id);
+    assert.deepEqual(pendingFiles(), []);
+  });
+
+  it("keeps events dead-lettered while redelivering", async () => {
+    receiver.statuses.push(500);
+    const sink = createSink({ maxAttempts: 1 });
+    const redelivered = sink.enqueue({ amount: "1" });
+    await sink.drain();
+
+    // A running monitor dead-letters another event during the redelivery
+    const monitor = createSink({ maxAttempts: 1 });
+    let appended = null;
+    receiver.onRequest = async () => {
+      receiver.statuses.push(500);
+      appended = monitor.enqueue({ amount: "2" });
+      await monitor.drain();
+    };
+
+    const results = await sink.redeliverDeadLetters();
+
+    assert.deepEqual(results, [{ id: redelivered.id, error: null }]);
+    assert.deepEqual(
+      sink.listDeadLetters().map((record) => record.id),
+      [appended.id]
+    );
+  });
+});